@@ -5,14 +5,18 @@ import fs from "fs";
 import os from "os";
 import path from "path";
 import crypto from "crypto";
+import zlib from "zlib";
 import unzipper from "unzipper";
-import { execFile, exec } from "child_process";
+import readline from "readline";
+import { execFile, spawn } from "child_process";
 import { promisify } from "util";
+import { fileURLToPath } from "url";
 import { XMLParser } from "fast-xml-parser";
 import { MathMLToLaTeX } from "mathml-to-latex";
+import CFB from "cfb";
+import katex from "katex";
 
 const execFileAsync = promisify(execFile);
-const execAsync = promisify(exec);
 
 const SQRT_MATHML_RE = /(msqrt|mroot|√|&#8730;|&#x221a;|&#x221A;|&radic;)/i;
 
@@ -25,6 +29,21 @@ const CONFIG = {
   CACHE_MAX_SIZE: parseInt(process.env.CACHE_MAX_SIZE) || 500, // Max cached items
   CACHE_TTL_MS: parseInt(process.env.CACHE_TTL_MS) || 30 * 60 * 1000, // 30 minutes
   RUBY_TIMEOUT_MS: parseInt(process.env.RUBY_TIMEOUT_MS) || 30000,
+  RUBY_WORKERS: parseInt(process.env.RUBY_WORKERS ?? "2"), // 0 = tắt pool, dùng batch script như cũ
+  RUBY_WORKER_MODE: process.env.RUBY_WORKER_MODE || "auto", // fast | v2 | auto (xem mt_worker.rb)
+  RUBY_JOB_TIMEOUT_MS: parseInt(process.env.RUBY_JOB_TIMEOUT_MS) || 15000, // Quá hạn => coi worker bị treo
+  RUBY_WORKER_MAX_JOBS: parseInt(process.env.RUBY_WORKER_MAX_JOBS) || 500, // Recycle worker sau N jobs
+  JOB_CONCURRENCY: parseInt(process.env.JOB_CONCURRENCY) || 2, // Số job /jobs chạy đồng thời
+  JOB_RETENTION_MS: parseInt(process.env.JOB_RETENTION_MS) || 60 * 60 * 1000, // Giữ kết quả job 1 giờ
+  JOB_MAX: parseInt(process.env.JOB_MAX) || 100, // Số job giữ trong bộ nhớ (xoá job đã xong cũ nhất)
+  DISK_CACHE_DIR: process.env.DISK_CACHE_DIR || path.join(process.cwd(), ".cache", "mathml"),
+  DISK_CACHE_MAX_MB: parseInt(process.env.DISK_CACHE_MAX_MB ?? "200"), // 0 = tắt disk cache
+  DISK_CACHE_PRUNE: process.env.DISK_CACHE_PRUNE === "1", // 1 = xoá namespace cũ của cùng engine lúc khởi động
+  ASSET_DIR: process.env.ASSET_DIR || path.join(process.cwd(), ".cache", "assets"),
+  ASSET_MAX_MB: parseInt(process.env.ASSET_MAX_MB ?? "500"), // 0 = tắt images=url
+  PUBLIC_BASE_URL: (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, ""), // "" = URL tương đối /assets/...
+  METAFILE_FORMAT: process.env.METAFILE_FORMAT || "svg", // svg | png (png cần @resvg/resvg-js)
+  MTEF_ENGINE: process.env.MTEF_ENGINE || "auto", // auto (Ruby, lỗi thì decoder JS) | ruby | js
 };
 
 // ============================================================
@@ -91,8 +110,323 @@ class LRUCache {
   }
 }
 
-// Global cache instances
-const mathmlCache = new LRUCache(CONFIG.CACHE_MAX_SIZE, CONFIG.CACHE_TTL_MS);
+// ============================================================
+// DISK CACHE - Tầng 2 dưới LRU, sống qua restart/deploy
+// Key: SHA-256 của OLE buffer, namespace theo engine + pipeline version
+// ============================================================
+// File .tmp cũ hơn mức này là của lần ghi bị ngắt (process chết giữa writeFile và rename)
+const DISK_CACHE_TMP_MAX_AGE_MS = 10 * 60 * 1000;
+
+class DiskCache {
+  // pruneNamespaces: xoá namespace khác của cùng engine (pipeline đã đổi). Mặc định giữ nguyên để nhiều version
+  // server dùng chung 1 thư mục cache
+  constructor(dir, { namespace = "default", maxBytes = 200 * 1024 * 1024, pruneNamespaces = false } = {}) {
+    this.root = dir;
+    this.namespace = namespace;
+    this.dir = path.join(dir, namespace);
+    this.maxBytes = maxBytes;
+    this.pruneNamespaces = pruneNamespaces;
+    this.index = new Map(); // key -> size, thứ tự Map = thứ tự truy cập (LRU)
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0, errors: 0 };
+    this.enabled = maxBytes > 0;
+
+    if (this.enabled) this._load();
+  }
+
+  _load() {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+
+      if (this.pruneNamespaces) {
+        const engine = this.namespace.split("-")[0];
+        for (const ns of fs.readdirSync(this.root)) {
+          if (ns !== this.namespace && ns.split("-")[0] === engine) safeRmdir(path.join(this.root, ns));
+        }
+      }
+
+      const entries = [];
+      const now = Date.now();
+      for (const shard of fs.readdirSync(this.dir)) {
+        const shardDir = path.join(this.dir, shard);
+        for (const f of fs.readdirSync(shardDir)) {
+          const st = fs.statSync(path.join(shardDir, f));
+          if (f.endsWith(".tmp") && now - st.mtimeMs > DISK_CACHE_TMP_MAX_AGE_MS) safeUnlink(path.join(shardDir, f));
+          if (!f.endsWith(".json")) continue;
+          entries.push({ key: f.slice(0, -5), size: st.size, atime: st.atimeMs });
+        }
+      }
+
+      entries.sort((a, b) => a.atime - b.atime);
+      for (const e of entries) {
+        this.index.set(e.key, e.size);
+        this.bytes += e.size;
+      }
+      this._evict();
+    } catch (e) {
+      console.error("[DISK_CACHE_INIT_FAIL]", e?.message);
+      this.enabled = false;
+    }
+  }
+
+  _hash(buffer) {
+    return crypto.createHash("sha256").update(buffer).digest("hex");
+  }
+
+  _file(key) {
+    return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+  }
+
+  async get(buffer) {
+    if (!this.enabled) return null;
+    const key = this._hash(buffer);
+
+    if (!this.index.has(key)) {
+      this.stats.misses++;
+      return null;
+    }
+
+    try {
+      const value = JSON.parse(await fs.promises.readFile(this._file(key), "utf8"));
+      const size = this.index.get(key);
+      this.index.delete(key);
+      this.index.set(key, size);
+      this.stats.hits++;
+      return value;
+    } catch {
+      this._drop(key);
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  async set(buffer, value) {
+    if (!this.enabled) return;
+    const key = this._hash(buffer);
+    const file = this._file(key);
+    const data = JSON.stringify(value);
+
+    try {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, data);
+      await fs.promises.rename(tmp, file);
+
+      if (this.index.has(key)) this.bytes -= this.index.get(key);
+      this.index.delete(key);
+      this.index.set(key, Buffer.byteLength(data));
+      this.bytes += Buffer.byteLength(data);
+      this.stats.writes++;
+      this._evict();
+    } catch (e) {
+      this.stats.errors++;
+      console.error("[DISK_CACHE_WRITE_FAIL]", e?.message);
+    }
+  }
+
+  _drop(key) {
+    if (!this.index.has(key)) return;
+    this.bytes -= this.index.get(key);
+    this.index.delete(key);
+    safeUnlink(this._file(key));
+  }
+
+  _evict() {
+    while (this.bytes > this.maxBytes && this.index.size) {
+      this._drop(this.index.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  getStats() {
+    const total = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      dir: this.dir,
+      namespace: this.namespace,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hitRate: total > 0 ? (this.stats.hits / total * 100).toFixed(1) + "%" : "0%",
+      writes: this.stats.writes,
+      evictions: this.stats.evictions,
+      errors: this.stats.errors,
+      size: this.index.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+    };
+  }
+
+  clear() {
+    for (const key of [...this.index.keys()]) this._drop(key);
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0, errors: 0 };
+  }
+}
+
+// ============================================================
+// ASSET STORE - Ảnh theo SHA-256 nội dung, phục vụ qua GET /assets/:hash
+// Cùng 1 logo trong nhiều đề => 1 file duy nhất
+// ============================================================
+class AssetStore {
+  constructor(dir, { maxBytes = 500 * 1024 * 1024 } = {}) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.index = new Map(); // hash -> { size, ext }, thứ tự Map = thứ tự truy cập (LRU)
+    this.pinned = new Map(); // hash -> số conversion đang giữ (chưa trả response)
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0, errors: 0 };
+    this.enabled = maxBytes > 0;
+
+    if (this.enabled) this._load();
+  }
+
+  _load() {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+
+      const entries = [];
+      for (const shard of fs.readdirSync(this.dir)) {
+        const shardDir = path.join(this.dir, shard);
+        for (const f of fs.readdirSync(shardDir)) {
+          const m = /^([0-9a-f]{64})\.(\w+)$/.exec(f);
+          if (!m) continue;
+          const st = fs.statSync(path.join(shardDir, f));
+          entries.push({ hash: m[1], ext: m[2], size: st.size, atime: st.atimeMs });
+        }
+      }
+
+      entries.sort((a, b) => a.atime - b.atime);
+      for (const e of entries) {
+        this.index.set(e.hash, { size: e.size, ext: e.ext });
+        this.bytes += e.size;
+      }
+      this._evict();
+    } catch (e) {
+      console.error("[ASSET_STORE_INIT_FAIL]", e?.message);
+      this.enabled = false;
+    }
+  }
+
+  static hash(buffer) {
+    return crypto.createHash("sha256").update(buffer).digest("hex");
+  }
+
+  _file(hash, ext) {
+    return path.join(this.dir, hash.slice(0, 2), `${hash}.${ext}`);
+  }
+
+  has(hash) {
+    return this.index.has(hash);
+  }
+
+  // Mỗi conversion giữ 1 pin: ảnh đã ghi không bị evict cho tới khi release() (response đã gửi xong)
+  pin() {
+    const hashes = new Set();
+    return {
+      add: (hash) => {
+        if (hashes.has(hash)) return;
+        hashes.add(hash);
+        this.pinned.set(hash, (this.pinned.get(hash) || 0) + 1);
+      },
+      release: () => {
+        if (!hashes.size) return;
+        for (const hash of hashes) {
+          const count = this.pinned.get(hash) - 1;
+          if (count > 0) this.pinned.set(hash, count);
+          else this.pinned.delete(hash);
+        }
+        hashes.clear();
+        this._evict();
+      },
+    };
+  }
+
+  async put(buffer, ext, { pin } = {}) {
+    const hash = AssetStore.hash(buffer);
+    if (!this.enabled) return hash;
+    pin?.add(hash);
+
+    if (this.index.has(hash)) {
+      const entry = this.index.get(hash);
+      this.index.delete(hash);
+      this.index.set(hash, entry);
+      return hash;
+    }
+
+    const file = this._file(hash, ext);
+    try {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, buffer);
+      await fs.promises.rename(tmp, file);
+
+      this.index.set(hash, { size: buffer.length, ext });
+      this.bytes += buffer.length;
+      this.stats.writes++;
+      this._evict(hash);
+    } catch (e) {
+      this.stats.errors++;
+      console.error("[ASSET_STORE_WRITE_FAIL]", e?.message);
+    }
+    return hash;
+  }
+
+  async get(hash) {
+    const entry = this.enabled ? this.index.get(hash) : null;
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    try {
+      const data = await fs.promises.readFile(this._file(hash, entry.ext));
+      this.index.delete(hash);
+      this.index.set(hash, entry);
+      this.stats.hits++;
+      return { data, ext: entry.ext, mime: mimeFromExt(`.${entry.ext}`) };
+    } catch {
+      this._drop(hash);
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  _drop(hash) {
+    const entry = this.index.get(hash);
+    if (!entry) return;
+    this.bytes -= entry.size;
+    this.index.delete(hash);
+    safeUnlink(this._file(hash, entry.ext));
+  }
+
+  // Không xoá ảnh vừa ghi cũng như ảnh của các response chưa gửi xong
+  _evict(keep) {
+    for (const hash of [...this.index.keys()]) {
+      if (this.bytes <= this.maxBytes) break;
+      if (hash === keep || this.pinned.has(hash)) continue;
+      this._drop(hash);
+      this.stats.evictions++;
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      dir: this.dir,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      writes: this.stats.writes,
+      evictions: this.stats.evictions,
+      errors: this.stats.errors,
+      size: this.index.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+    };
+  }
+}
+
+const assetStore = new AssetStore(CONFIG.ASSET_DIR, {
+  maxBytes: Math.max(0, CONFIG.ASSET_MAX_MB || 0) * 1024 * 1024,
+});
 
 // ============================================================
 // CONCURRENCY LIMITER
@@ -122,6 +456,9 @@ function createLimiter(concurrency) {
 }
 
 const limit = createLimiter(CONFIG.CONCURRENCY_LIMIT);
+// Riêng cho ruby lẻ khi worker pool lỗi: gọi từ bên trong 1 batch đang giữ slot của `limit`,
+// dùng chung `limit` sẽ tự khoá khi mọi slot đều là batch chờ fallback
+const rubyFallbackLimit = createLimiter(CONFIG.CONCURRENCY_LIMIT);
 
 async function parallelMap(items, fn) {
   return Promise.all(items.map((item) => limit(() => fn(item))));
@@ -140,6 +477,46 @@ function isMathTypeOLE(buffer) {
   return content.includes("Equation") || content.includes("MathType") || content.includes("MTEF");
 }
 
+// Lớp của object OLE: CLSID của Root Entry + ProgID trong stream \x01CompObj ("Equation.DSMT4", "Equation.3"...)
+function readOleClass(buffer) {
+  let cfb;
+  try {
+    cfb = CFB.read(buffer, { type: "buffer" });
+  } catch {
+    return null;
+  }
+
+  const hex = cfb.FileIndex[0]?.clsid || "";
+  let clsid = null;
+  if (/^[0-9a-f]{32}$/i.test(hex) && !/^0+$/.test(hex)) {
+    const le = (a, b) => hex.slice(a, b).match(/../g).reverse().join("");
+    clsid = `{${le(0, 8)}-${le(8, 12)}-${le(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}}`.toUpperCase();
+  }
+
+  // CompObj: header 28 byte, AnsiUserType, AnsiClipboardFormat, rồi ProgID (chuỗi có độ dài u32 phía trước)
+  let userType = null,
+    progId = null;
+  const comp = CFB.find(cfb, "\x01CompObj")?.content;
+  if (comp) {
+    const data = Buffer.from(comp);
+    let pos = 28;
+    const str = () => {
+      const n = data.readUInt32LE(pos);
+      const v = data.toString("latin1", pos + 4, pos + 4 + n).replace(/\0[\s\S]*$/, "");
+      pos += 4 + n;
+      return v || null;
+    };
+    try {
+      userType = str();
+      const marker = data.readUInt32LE(pos);
+      if (marker === 0xffffffff || marker === 0xfffffffe) pos += 8;
+      else str();
+      progId = str();
+    } catch {}
+  }
+  return { progId, userType, clsid };
+}
+
 // ============================================================
 // APP SETUP
 // ============================================================
@@ -186,10 +563,328 @@ function unique(arr) {
   return [...new Set(arr || [])].filter(Boolean);
 }
 
+// ============================================================
+// ZIP WRITER - tối giản (deflate + CRC32), đủ cho package/docx xuất ra
+// ============================================================
+const CRC32_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC32_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Giờ / ngày kiểu MS-DOS (ngày 0 không hợp lệ, một số trình giải nén báo lỗi)
+function dosDateTime(d = new Date()) {
+  const year = Math.max(d.getFullYear(), 1980);
+  const time = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+  const date = ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return ((date << 16) | time) >>> 0;
+}
+
+function createZip(entries) {
+  const modified = dosDateTime();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data } of entries) {
+    const nameBuf = Buffer.from(name, "utf8");
+    const raw = Buffer.isBuffer(data) ? data : Buffer.from(String(data), "utf8");
+    const deflated = zlib.deflateRawSync(raw);
+    const useDeflate = deflated.length < raw.length;
+    const body = useDeflate ? deflated : raw;
+    const crc = crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    local.writeUInt16LE(useDeflate ? 8 : 0, 8);
+    local.writeUInt32LE(modified, 10); // time/date
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(useDeflate ? 8 : 0, 10);
+    central.writeUInt32LE(modified, 12);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuf, body);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + body.length;
+  }
+
+  const centralBuf = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralBuf.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralBuf, end]);
+}
+
+// ============================================================
+// RUBY WORKER POOL - Giữ các tiến trình mt_worker.rb sống lâu
+// (tránh trả giá khởi động Ruby + load gem cho mỗi lần convert)
+// ============================================================
+// Không tìm thấy lệnh (ENOENT) bấy nhiêu lần liên tiếp => bỏ pool, dùng đường ruby lẻ / batch script
+const RUBY_SPAWN_MISSING_MAX = 3;
+
+class RubyWorkerPool {
+  constructor(
+    size = 2,
+    { command = "ruby", script, mode = "auto", jobTimeoutMs = 15000, maxJobsPerWorker = 500 } = {},
+  ) {
+    this.size = Math.max(0, size || 0);
+    this.command = command;
+    this.script = script;
+    this.mode = mode;
+    this.jobTimeoutMs = jobTimeoutMs;
+    this.maxJobsPerWorker = maxJobsPerWorker;
+
+    this.workers = [];
+    this.queue = [];
+    this.nextJobId = 1;
+    this.nextWorkerId = 1;
+    this.closed = false;
+    this.spawnMissing = 0;
+    this.unavailable = null; // lý do pool bị bỏ (thiếu lệnh ruby)
+    this.stats = { jobs: 0, ok: 0, failed: 0, timeouts: 0, crashes: 0, restarts: 0, recycled: 0 };
+  }
+
+  isAvailable() {
+    if (this.closed || this.unavailable || this.size === 0 || !fs.existsSync(this.script)) return false;
+    if (!this.workers.length) this._start();
+    return this.workers.some((w) => w.alive);
+  }
+
+  _start() {
+    for (let i = 0; i < this.size; i++) this.workers.push(this._spawn());
+  }
+
+  _spawn(failures = 0) {
+    const w = {
+      id: this.nextWorkerId++,
+      proc: null,
+      alive: false,
+      job: null,
+      jobs: 0,
+      failures,
+      startedAt: Date.now(),
+      restartTimer: null,
+    };
+
+    const proc = spawn(this.command, [this.script], { cwd: process.cwd(), stdio: ["pipe", "pipe", "pipe"] });
+    w.proc = proc;
+    w.alive = true;
+
+    readline.createInterface({ input: proc.stdout }).on("line", (line) => this._onLine(w, line));
+    readline.createInterface({ input: proc.stderr }).on("line", (line) => {
+      if (line.trim()) console.error(`[RUBY_WORKER_${w.id}]`, line);
+    });
+
+    proc.stdin.on("error", () => {});
+    proc.on("error", (e) => this._onExit(w, e?.message || "spawn_error", e?.code));
+    proc.on("exit", (code, signal) => this._onExit(w, `exit code=${code} signal=${signal}`));
+
+    setImmediate(() => this._drain());
+    return w;
+  }
+
+  _onLine(w, line) {
+    let msg;
+    try {
+      msg = JSON.parse(line);
+    } catch {
+      return;
+    }
+
+    const job = w.job;
+    if (!job || String(msg?.id) !== job.id) return;
+
+    clearTimeout(job.timer);
+    w.job = null;
+    w.jobs++;
+    w.failures = 0;
+    this.spawnMissing = 0;
+
+    if (msg.ok && msg.mathml) {
+      this.stats.ok++;
+      job.resolve({ mathml: msg.mathml, error: null, mode: msg.mode_used || this.mode });
+    } else {
+      this.stats.failed++;
+      job.resolve({ mathml: "", error: msg.error || msg.err || "empty_mathml", mode: msg.mode_used || this.mode });
+    }
+
+    if (w.jobs >= this.maxJobsPerWorker) this._recycle(w);
+    else this._drain();
+  }
+
+  _onExit(w, reason, code) {
+    if (!w.alive) return;
+    w.alive = false;
+
+    if (w.job) {
+      clearTimeout(w.job.timer);
+      this.stats.failed++;
+      w.job.reject(new Error(`ruby worker ${w.id} died: ${reason}`));
+      w.job = null;
+    }
+
+    const idx = this.workers.indexOf(w);
+    if (idx < 0 || this.closed || this.unavailable) return;
+
+    // Thiếu hẳn lệnh ruby: khởi động lại không có ích
+    if (code === "ENOENT" && ++this.spawnMissing >= RUBY_SPAWN_MISSING_MAX) {
+      this.unavailable = reason;
+      console.error(`[RUBY_POOL] ${this.command} not found, worker pool disabled`);
+      for (const x of this.workers) clearTimeout(x.restartTimer);
+      this._rejectQueued("ruby worker pool unavailable");
+      return;
+    }
+
+    // Worker chết sớm liên tục (thiếu ruby/gem...) => backoff để không spawn dồn dập
+    const crashed = !w.recycling;
+    if (crashed) this.stats.crashes++;
+    const failures = crashed && Date.now() - w.startedAt < 5000 ? w.failures + 1 : 0;
+    const delay = failures ? Math.min(30000, 500 * 2 ** (failures - 1)) : 0;
+
+    w.restartTimer = setTimeout(() => {
+      w.restartTimer = null;
+      if (this.closed) return;
+      this.stats.restarts++;
+      this.workers[this.workers.indexOf(w)] = this._spawn(failures);
+    }, delay);
+
+    // Không còn worker nào sống và phải chờ backoff => trả lỗi cho job đang chờ để caller fallback
+    // (recycle / crash sau thời gian dài thì worker mới lên ngay, job chờ được)
+    if (delay && !this.workers.some((x) => x.alive)) this._rejectQueued("ruby worker pool unavailable");
+    else this._drain();
+  }
+
+  _recycle(w) {
+    this.stats.recycled++;
+    w.recycling = true;
+    try {
+      w.proc.stdin.end();
+    } catch {}
+    setTimeout(() => {
+      if (w.alive) w.proc.kill("SIGKILL");
+    }, 2000).unref();
+  }
+
+  _kill(w) {
+    try {
+      w.proc.kill("SIGKILL");
+    } catch {}
+  }
+
+  _rejectQueued(reason) {
+    const queued = this.queue.splice(0);
+    for (const job of queued) {
+      this.stats.failed++;
+      job.reject(new Error(reason));
+    }
+  }
+
+  _drain() {
+    for (const w of this.workers) {
+      if (!this.queue.length) return;
+      if (!w.alive || w.job || w.recycling) continue;
+
+      const job = this.queue.shift();
+      w.job = job;
+      job.timer = setTimeout(() => {
+        this.stats.timeouts++;
+        console.error(`[RUBY_WORKER_${w.id}] job ${job.id} timeout, restarting worker`);
+        this._kill(w);
+      }, this.jobTimeoutMs);
+
+      try {
+        w.proc.stdin.write(JSON.stringify({ id: job.id, path: job.path, mode: this.mode }) + "\n");
+      } catch (e) {
+        this._kill(w);
+      }
+    }
+  }
+
+  convert(filePath) {
+    if (this.closed) return Promise.reject(new Error("ruby worker pool closed"));
+    if (this.unavailable) return Promise.reject(new Error("ruby worker pool unavailable"));
+    if (!this.workers.length) this._start();
+    this.stats.jobs++;
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: String(this.nextJobId++), path: filePath, resolve, reject, timer: null });
+      this._drain();
+    });
+  }
+
+  getStats() {
+    return {
+      enabled: this.size > 0 && !this.closed && !this.unavailable,
+      unavailable: this.unavailable,
+      size: this.size,
+      mode: this.mode,
+      alive: this.workers.filter((w) => w.alive).length,
+      busy: this.workers.filter((w) => w.job).length,
+      queued: this.queue.length,
+      workers: this.workers.map((w) => ({
+        id: w.id,
+        pid: w.proc?.pid || null,
+        alive: w.alive,
+        busy: !!w.job,
+        jobs: w.jobs,
+        uptimeMs: w.alive ? Date.now() - w.startedAt : 0,
+      })),
+      ...this.stats,
+    };
+  }
+
+  close() {
+    this.closed = true;
+    this._rejectQueued("ruby worker pool closed");
+    for (const w of this.workers) {
+      clearTimeout(w.restartTimer);
+      if (w.alive) this._kill(w);
+    }
+  }
+}
+
+const rubyPool = new RubyWorkerPool(CONFIG.RUBY_WORKERS, {
+  script: path.join(process.cwd(), "mt_worker.rb"),
+  mode: CONFIG.RUBY_WORKER_MODE,
+  jobTimeoutMs: CONFIG.RUBY_JOB_TIMEOUT_MS,
+  maxJobsPerWorker: CONFIG.RUBY_WORKER_MAX_JOBS,
+});
+
 // ============================================================
 // BATCH RUBY PROCESSING - Xử lý nhiều files trong 1 lần gọi
 // ============================================================
-async function batchConvertOleBinToMathML(items) {
+// pool / convertOne: thay được trong test (worker giả, không cần ruby)
+async function batchConvertOleBinToMathML(items, { pool = rubyPool, convertOne = singleConvertOleBinToMathML } = {}) {
   if (!items.length) return [];
 
   const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "mathtype-batch-"));
@@ -206,7 +901,21 @@ async function batchConvertOleBinToMathML(items) {
 
     const batchScript = path.join(process.cwd(), "mt2mml_batch.rb");
 
-    if (fs.existsSync(batchScript)) {
+    if (pool.isAvailable()) {
+      const pooled = await Promise.all(
+        items.map(async (item, i) => {
+          try {
+            const { mathml, error } = await pool.convert(tmpFiles[i]);
+            return { rid: item.rid, mathml, error };
+          } catch (e) {
+            console.error("[RUBY_POOL_FAIL]", item.embPath, e?.message);
+            const mathml = await rubyFallbackLimit(() => convertOne(item.buffer, item.embPath));
+            return { rid: item.rid, mathml, error: mathml ? null : e?.message || "ruby_pool_failed" };
+          }
+        }),
+      );
+      results.push(...pooled);
+    } else if (fs.existsSync(batchScript)) {
       try {
         const { stdout } = await execFileAsync("ruby", [batchScript, ...tmpFiles], {
           encoding: "utf8",
@@ -227,13 +936,13 @@ async function batchConvertOleBinToMathML(items) {
       } catch (e) {
         console.error("[BATCH_RUBY_FAIL]", e?.message);
         for (let i = 0; i < items.length; i++) {
-          const mathml = await singleConvertOleBinToMathML(items[i].buffer, items[i].embPath);
+          const mathml = await convertOne(items[i].buffer, items[i].embPath);
           results.push({ rid: items[i].rid, mathml, error: null });
         }
       }
     } else {
       const individualResults = await parallelMap(items, async (item) => {
-        const mathml = await singleConvertOleBinToMathML(item.buffer, item.embPath);
+        const mathml = await convertOne(item.buffer, item.embPath);
         return { rid: item.rid, mathml, error: null };
       });
       results.push(...individualResults);
@@ -278,1249 +987,8248 @@ async function singleConvertOleBinToMathML(buffer, embPath) {
 }
 
 // ============================================================
-// IMAGE CONVERSION (ASYNC)
+// MTEF DECODER (pure JS) - OLE "Equation Native" -> MathML, không cần Ruby
+// MTEF v3 (Equation Editor 3.x) và v4/v5 (MathType 4+): LINE, CHAR, TMPL, PILE, MATRIX,
+// EMBELL, SIZE, FONT; các record định nghĩa (EQN_PREFS, FONT_DEF, COLOR_DEF...) chỉ đọc để bỏ qua.
 // ============================================================
-async function convertEmfWmfToPngAsync(buffer, ext) {
-  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "img-convert-"));
-  const inFile = path.join(tmpDir, `input.${ext}`);
+const MTEF = {
+  END: 0,
+  LINE: 1,
+  CHAR: 2,
+  TMPL: 3,
+  PILE: 4,
+  MATRIX: 5,
+  EMBELL: 6,
+  RULER: 7,
+  FONT: 8, // v5: FONT_STYLE_DEF
+  SIZE: 9,
+  SUBSYM: 14, // FULL, SUB, SUB2, SYM, SUBSYM: chỉ có tag
+  COLOR: 15,
+  COLOR_DEF: 16,
+  FONT_DEF: 17,
+  EQN_PREFS: 18,
+  ENCODING_DEF: 19,
+  FUTURE: 100,
+};
 
-  try {
-    fs.writeFileSync(inFile, buffer);
+// Typeface (byte - 128)
+const MTEF_FN = {
+  TEXT: 1,
+  FUNCTION: 2,
+  VARIABLE: 3,
+  LCGREEK: 4,
+  UCGREEK: 5,
+  SYMBOL: 6,
+  VECTOR: 7,
+  NUMBER: 8,
+  SPACE: 24,
+};
 
-    try {
-      await execAsync(`soffice --headless --convert-to png "${inFile}" --outdir "${tmpDir}"`, {
-        timeout: 30000,
-      });
-      const pngFile = fs.readdirSync(tmpDir).find((f) => f.endsWith(".png"));
-      if (pngFile) return fs.readFileSync(path.join(tmpDir, pngFile));
-    } catch {}
+// Embellishment -> [vị trí, ký tự]
+const MTEF_EMBELLS = {
+  2: ["over", "˙"],
+  3: ["over", "¨"],
+  4: ["over", "⃛"],
+  5: ["prime", "′"],
+  6: ["prime", "″"],
+  7: ["prime", "‵"],
+  8: ["over", "~"],
+  9: ["over", "^"],
+  10: ["not"],
+  11: ["over", "→"],
+  12: ["over", "←"],
+  13: ["over", "↔"],
+  14: ["over", "⇀"],
+  15: ["over", "↼"],
+  16: ["not"],
+  17: ["over", "¯"],
+  18: ["prime", "‴"],
+  19: ["over", "⌢"],
+  20: ["over", "⌣"],
+  25: ["under", "˙"],
+  26: ["under", "¨"],
+  29: ["under", "_"],
+  30: ["under", "~"],
+  33: ["under", "→"],
+  34: ["under", "←"],
+  35: ["under", "↔"],
+};
 
-    try {
-      const outFile = path.join(tmpDir, "output.png");
-      await execAsync(`convert "${inFile}" "${outFile}"`, { timeout: 30000 });
-      if (fs.existsSync(outFile)) return fs.readFileSync(outFile);
-    } catch {}
+const MTEF_NEGATIONS = {
+  "=": "≠",
+  "<": "≮",
+  ">": "≯",
+  "≤": "≰",
+  "≥": "≱",
+  "∈": "∉",
+  "∋": "∌",
+  "≡": "≢",
+  "⊂": "⊄",
+  "⊃": "⊅",
+  "⊆": "⊈",
+  "⊇": "⊉",
+  "∃": "∄",
+  "∼": "≁",
+  "≈": "≉",
+  "|": "∤",
+  "∥": "∦",
+};
 
-    return null;
-  } finally {
-    safeRmdir(tmpDir);
+const tmFence = (open, close) => ({ kind: "fence", open, close });
+const tmBigOp = (char, limits = true) => ({ kind: "bigop", char, limits });
+
+// Selector -> loại template. v3 (Equation Editor) và v4/v5 (MathType) đánh số khác nhau
+const MTEF3_TEMPLATES = [
+  tmFence("⟨", "⟩"),
+  tmFence("(", ")"),
+  tmFence("{", "}"),
+  tmFence("[", "]"),
+  tmFence("|", "|"),
+  tmFence("‖", "‖"),
+  tmFence("⌊", "⌋"),
+  tmFence("⌈", "⌉"),
+  tmFence("[", "["),
+  tmFence("]", "]"),
+  tmFence("]", "["),
+  tmFence("[", ")"),
+  tmFence("(", "]"),
+  { kind: "root" },
+  { kind: "fract" },
+  { kind: "script" },
+  { kind: "under", char: "_" },
+  { kind: "over", char: "¯" },
+  { kind: "arrow", char: "←" },
+  { kind: "arrow", char: "→" },
+  { kind: "arrow", char: "↔" },
+  { kind: "integral", char: "∫" },
+  { kind: "integral", char: "∬" },
+  { kind: "integral", char: "∭" },
+  { kind: "integral", char: "∫" },
+  { kind: "integral", char: "∬" },
+  { kind: "integral", char: "∭" },
+  { kind: "hbrace", char: "⏞", top: true },
+  { kind: "hbrace", char: "⏟", top: false },
+  tmBigOp("∑"),
+  tmBigOp("∑", false),
+  tmBigOp("∏"),
+  tmBigOp("∏", false),
+  tmBigOp("∐"),
+  tmBigOp("∐", false),
+  tmBigOp("⋃"),
+  tmBigOp("⋃", false),
+  tmBigOp("⋂"),
+  tmBigOp("⋂", false),
+  { kind: "lim" },
+  { kind: "ldiv" },
+  { kind: "fract", slash: true },
+  tmBigOp("∫", false),
+  tmBigOp("∑"),
+  { kind: "lscript" },
+  { kind: "dirac" },
+  { kind: "under", char: "→" },
+  { kind: "over", char: "→" },
+  { kind: "over", char: "⌒" },
+];
+
+const MTEF5_TEMPLATES = [
+  tmFence("⟨", "⟩"),
+  tmFence("(", ")"),
+  tmFence("{", "}"),
+  tmFence("[", "]"),
+  tmFence("|", "|"),
+  tmFence("‖", "‖"),
+  tmFence("⌊", "⌋"),
+  tmFence("⌈", "⌉"),
+  tmFence("⟦", "⟧"),
+  { kind: "interval" },
+  { kind: "root" },
+  { kind: "fract" },
+  { kind: "under", char: "_" },
+  { kind: "over", char: "¯" },
+  { kind: "arrow", char: "→" },
+  { kind: "integral", char: "∫" },
+  tmBigOp("∑"),
+  tmBigOp("∏"),
+  tmBigOp("∐"),
+  tmBigOp("⋃"),
+  tmBigOp("⋂"),
+  tmBigOp("∫", false),
+  tmBigOp("∑"),
+  { kind: "lim" },
+  { kind: "hbrace", char: "⏟" }, // variation 1 = ngoặc ở trên
+  { kind: "hbrace", char: "⎵" },
+  { kind: "ldiv" },
+  { kind: "script", only: "sub" },
+  { kind: "script", only: "sup" },
+  { kind: "script" },
+  { kind: "dirac" },
+  { kind: "vec" },
+  { kind: "over", char: "~" },
+  { kind: "over", char: "^" },
+  { kind: "over", char: "⌒" },
+  { kind: "jstatus" },
+  { kind: "strike" },
+  { kind: "box" },
+];
+
+// Đọc tuần tự các record MTEF thành cây { type: line|char|tmpl|pile|matrix|embell }
+class MtefReader {
+  constructor(data) {
+    this.data = data;
+    this.version = data[0];
+    this.pos = 5; // version, platform, product, product version, product subversion
+    // v4 được đọc theo bố cục record của v5 (tag + options riêng)
+    if (this.version >= 5) {
+      while (this.data[this.pos] !== 0) this.u8(); // application key
+      this.pos += 2; // NUL + equation options
+    }
   }
-}
 
-// ============================================================
-// MATHML -> LATEX (optimized with early returns)
-// ============================================================
-function ensureMathMLNamespace(mathml) {
-  if (!mathml) return mathml;
-  let s = String(mathml);
-  s = s.replace(/<\?xml[^>]*\?>/gi, "").trim();
-  s = s.replace(/<math(?![^>]*\bxmlns=)/i, '<math xmlns="http://www.w3.org/1998/Math/MathML"');
-  return s;
-}
+  u8() {
+    if (this.pos >= this.data.length) throw new Error("mtef_eof");
+    return this.data[this.pos++];
+  }
 
-function normalizeMtable(mathml) {
-  if (!mathml) return mathml;
-  return String(mathml).replace(/<mtable\b[^>]*>/gi, "<mtable>");
-}
+  i8() {
+    const v = this.u8();
+    return v > 127 ? v - 256 : v;
+  }
 
-function preprocessMathMLForSqrt(mathml) {
-  if (!mathml) return mathml;
-  let s = String(mathml);
-  const moSqrt = String.raw`<mo>\s*(?:√|&#8730;|&#x221a;|&#x221A;|&radic;)\s*<\/mo>`;
-  s = s.replace(new RegExp(moSqrt + String.raw`\s*<mrow>([\s\S]*?)<\/mrow>`, "gi"), "<msqrt>$1</msqrt>");
-  s = s.replace(new RegExp(moSqrt + String.raw`\s*<mi>([^<]+)<\/mi>`, "gi"), "<msqrt><mi>$1</mi></msqrt>");
-  s = s.replace(new RegExp(moSqrt + String.raw`\s*<mn>([^<]+)<\/mn>`, "gi"), "<msqrt><mn>$1</mn></msqrt>");
-  s = s.replace(
-    new RegExp(moSqrt + String.raw`\s*<mfenced([^>]*)>([\s\S]*?)<\/mfenced>`, "gi"),
-    "<msqrt><mfenced$1>$2</mfenced></msqrt>"
-  );
-  return s;
+  u16() {
+    return this.u8() | (this.u8() << 8);
+  }
+
+  // uint của MTEF 5: 1 byte, 255 => 16-bit tiếp theo
+  uint() {
+    const v = this.u8();
+    return v === 255 ? this.u16() : v;
+  }
+
+  skip(n) {
+    this.pos += n;
+    if (this.pos > this.data.length) throw new Error("mtef_eof");
+  }
+
+  stringz() {
+    const start = this.pos;
+    while (this.u8() !== 0);
+    return this.data.toString("latin1", start, this.pos - 1);
+  }
+
+  nudge(options) {
+    if (!(options & 0x08)) return;
+    if (this.i8() === -128 && this.i8() === -128) this.skip(4);
+  }
+
+  ruler() {
+    this.u8(); // tag RULER
+    this.skip(this.u8() * 3);
+  }
+
+  // Dimension array của EQN_PREFS: mỗi giá trị = nibble đơn vị + các nibble số, kết thúc bằng 0xF
+  dimensions() {
+    let count = this.u8();
+    let unit = true;
+    while (count > 0) {
+      const b = this.u8();
+      for (const nib of [b >> 4, b & 0x0f]) {
+        if (count === 0) break;
+        if (unit) unit = false;
+        else if (nib === 0x0f) {
+          count--;
+          unit = true;
+        }
+      }
+    }
+  }
+
+  objectList() {
+    const nodes = [];
+    while (this.pos < this.data.length) {
+      const node = this.record();
+      if (node === null) break;
+      if (node) nodes.push(node);
+    }
+    return nodes;
+  }
+
+  // null = END, undefined = record không mang nội dung
+  record() {
+    const v5 = this.version >= 4;
+    const tag = this.u8();
+    const type = v5 ? tag : tag & 0x0f;
+    if (type === MTEF.END) return null;
+    if (type >= MTEF.FUTURE) {
+      this.skip(this.u16());
+      return undefined;
+    }
+
+    const hasOptions = type <= MTEF.EMBELL;
+    const options = v5 ? (hasOptions ? this.u8() : 0) : tag >> 4;
+
+    switch (type) {
+      case MTEF.LINE: {
+        this.nudge(options);
+        if (options & 0x04) this.u16(); // line spacing
+        if (options & 0x02) this.ruler();
+        return { type: "line", nodes: options & 0x01 ? [] : this.objectList() };
+      }
+      case MTEF.CHAR: {
+        this.nudge(options);
+        const typeface = this.u8() - 128;
+        let code = null;
+        if (!v5) code = this.u16();
+        else {
+          // MTCode (Unicode), rồi vị trí trong font 8/16-bit nếu có
+          if (!(options & 0x20)) code = this.u16();
+          const char8 = options & 0x04 ? this.u8() : null;
+          const char16 = options & 0x10 ? this.u16() : null;
+          code ??= char8 ?? char16;
+        }
+        const embells = options & (v5 ? 0x01 : 0x02) ? this.objectList() : [];
+        return { type: "char", typeface, code, funcStart: v5 && !!(options & 0x02), embells };
+      }
+      case MTEF.TMPL: {
+        this.nudge(options);
+        const selector = this.u8();
+        let variation = this.u8();
+        if (v5 && variation & 0x80) variation = (variation & 0x7f) | (this.u8() << 7);
+        this.u8(); // template options
+        return { type: "tmpl", selector, variation, items: this.objectList() };
+      }
+      case MTEF.PILE: {
+        this.nudge(options);
+        const halign = this.u8();
+        this.u8(); // valign
+        if (options & 0x02) this.ruler();
+        return { type: "pile", halign, lines: this.objectList() };
+      }
+      case MTEF.MATRIX: {
+        this.nudge(options);
+        this.skip(3); // valign, h_just, v_just
+        const rows = this.u8();
+        const cols = this.u8();
+        this.skip(Math.ceil(((rows + 1) * 2) / 8) + Math.ceil(((cols + 1) * 2) / 8)); // row/col partition lines
+        return { type: "matrix", rows, cols, cells: this.objectList() };
+      }
+      case MTEF.EMBELL:
+        this.nudge(options);
+        return { type: "embell", embell: this.u8() };
+      case MTEF.RULER:
+        this.skip(this.u8() * 3);
+        return undefined;
+      case MTEF.FONT:
+        if (v5) {
+          this.uint();
+          this.u8();
+        } else {
+          this.skip(2);
+          this.stringz();
+        }
+        return undefined;
+      case MTEF.SIZE: {
+        const lsize = this.u8();
+        if (lsize === 101) this.u16();
+        else if (lsize === 100) this.skip(3);
+        else this.u8();
+        return undefined;
+      }
+      default:
+        if (type <= MTEF.SUBSYM) return undefined;
+        if (!v5) throw new Error(`mtef_bad_record_${type}`);
+        break;
+    }
+
+    switch (type) {
+      case MTEF.COLOR:
+        this.uint();
+        break;
+      case MTEF.COLOR_DEF: {
+        const opts = this.u8();
+        this.skip((opts & 0x01 ? 4 : 3) * 2);
+        if (opts & 0x04) this.stringz();
+        break;
+      }
+      case MTEF.FONT_DEF:
+        this.uint();
+        this.stringz();
+        break;
+      case MTEF.EQN_PREFS: {
+        this.u8(); // options
+        this.dimensions(); // sizes
+        this.dimensions(); // spaces
+        const styles = this.u8();
+        for (let i = 0; i < styles; i++) if (this.u8()) this.u8();
+        break;
+      }
+      case MTEF.ENCODING_DEF:
+        this.stringz();
+        break;
+      default:
+        throw new Error(`mtef_bad_record_${type}`);
+    }
+    return undefined;
+  }
 }
 
-function postprocessLatexSqrt(latex) {
-  if (!latex) return latex;
-  let s = String(latex);
-  s = s.replace(/\\surd\b/g, "\\sqrt{}");
-  s = s.replace(/√\s*\{([^}]+)\}/g, "\\sqrt{$1}");
-  s = s.replace(/√\s*\(([^)]+)\)/g, "\\sqrt{$1}");
-  s = s.replace(/√\s*(\d+)/g, "\\sqrt{$1}");
-  s = s.replace(/√\s*([a-zA-Z])/g, "\\sqrt{$1}");
-  s = s.replace(/\\sqrt\s+(\d+)(?![}\d])/g, "\\sqrt{$1}");
-  s = s.replace(/\\sqrt\s+([a-zA-Z])(?![}\w])/g, "\\sqrt{$1}");
-  s = s.replace(/\\sqrt\s*\{\s*\}/g, "\\sqrt{\\phantom{x}}");
-  s = s.replace(/\\sqrt\s+\{/g, "\\sqrt{");
-  s = s.replace(/\\root\s*\{([^}]+)\}\s*\\of\s*\{([^}]+)\}/g, "\\sqrt[$1]{$2}");
-  s = s.replace(/\\sqrt\s*\[\s*(\d+)\s*\]\s*\{/g, "\\sqrt[$1]{");
-  return s;
+function mtefCharText(node, version) {
+  const code = node.code;
+  if (code === null || code === undefined) return "";
+  if (code >= 0xf020 && code <= 0xf0ff) return decodeMetafileText([code], { charset: 2 });
+  // Equation Editor 3: chữ Hy Lạp có thể lưu theo vị trí trong font Symbol (a => α)
+  const greekFace = [MTEF_FN.LCGREEK, MTEF_FN.UCGREEK, MTEF_FN.SYMBOL].includes(node.typeface);
+  if (version < 4 && greekFace && /^[A-Za-z]$/.test(String.fromCharCode(code)))
+    return decodeMetafileText([code], { charset: 2 });
+  if (code >= 0xe000 && code <= 0xf8ff) return ""; // ký tự riêng của MathType (khoảng trắng, marker...)
+  if (code === 0xa0 || (code >= 0x2000 && code <= 0x200b)) return " ";
+  return String.fromCodePoint(code);
 }
 
-function finalLatexCleanup(latex) {
-  if (!latex) return latex;
-  let s = String(latex);
-  s = s.replace(/[\u200B-\u200D\uFEFF]/g, "");
-  s = s.replace(/[\u00A0]/g, " ");
-  s = s.replace(/[\u2000-\u200A\u202F\u205F\u3000]/g, " ");
-  s = s.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, "");
-  s = s.replace(/\\left\s*\(\s*\*\s*\\right\s*\)/g, "(*)");
-  s = s.replace(/\\left\s*\(\s*\\star\s*\\right\s*\)/g, "(*)");
-  s = s.replace(/\\left\s*\(\s*\\right\s*\./g, "(");
-  s = s.replace(/\\left\s*\.\s*\\right\s*\)/g, ")");
-  s = s.replace(/\\left\s*\(\s*\\right\s*\)/g, "()");
-  s = s.replace(/\bl\s+o\s+g\b/gi, "\\log");
-  s = s.replace(/\bs\s+i\s+n\b/gi, "\\sin");
-  s = s.replace(/\bc\s+o\s+s\b/gi, "\\cos");
-  s = s.replace(/\bt\s+a\s+n\b/gi, "\\tan");
-  s = s.replace(/\bl\s+n\b/gi, "\\ln");
-  s = s.replace(/\bl\s+i\s+m\b/gi, "\\lim");
-  s = s.replace(/\\log\s*(\d+)\s*_\s*\{\s*\}/g, "\\log_{$1}");
-  s = s.replace(/\\log\s+(\d+)\s*\(/g, "\\log_{$1}(");
-  s = s.replace(/\\log\s+(\d+)\s*\\left/g, "\\log_{$1}\\left");
-  s = s.replace(/_\s*\{\s*\}/g, "");
-  s = s.replace(/\^\s*\{\s*\}/g, "");
-  s = s.replace(/\\star/g, "*");
-  s = s.replace(/\\ast/g, "*");
-  s = s.replace(/\s{2,}/g, " ").trim();
-  return s;
+// CHAR -> { tag, text, variant } (mtext/mn/mi/mo; "fn" = tên hàm, gộp các ký tự liên tiếp)
+function mtefCharToken(node, version) {
+  const text = mtefCharText(node, version);
+  if (!text) return null;
+  const tf = node.typeface;
+  if (tf === MTEF_FN.TEXT) return { tag: "mtext", text };
+  if (tf === MTEF_FN.SPACE || !text.trim()) return null;
+  if (tf === MTEF_FN.FUNCTION && /\p{L}/u.test(text)) return { tag: "fn", text };
+  if (/\d/.test(text) || (tf === MTEF_FN.NUMBER && /^[.,]$/.test(text))) return { tag: "mn", text };
+  if (/\p{L}/u.test(text)) return { tag: "mi", text, variant: tf === MTEF_FN.VECTOR ? "bold" : null };
+  return { tag: "mo", text };
 }
 
-function fixBrokenLeftBracketTableLatex(latex) {
-  if (!latex) return latex;
-  let s = String(latex).trim();
-  if (s.includes("\\left[") && s.includes("\\right.") && s.includes("\\\\") && !/\\begin\{/.test(s)) {
-    s = s.replace(/\\left\[\s*\\right\.\s*/g, "").trim();
-    s = `\\left[\\begin{array}{l} ${s} \\end{array}\\right.`;
-  }
-  return s;
+function mtefTokenHtml({ tag, text, variant }) {
+  if (tag === "fn") return `<mi>${escapeXml(text)}</mi>`;
+  return `<${tag}${variant ? ` mathvariant="${variant}"` : ""}>${escapeXml(text)}</${tag}>`;
 }
 
-function fixManualBracketMatrix(latex) {
-  if (!latex) return latex;
-  let s = String(latex).trim();
-  if (/^\[\s*\\begin\{matrix\}/.test(s) && !/\\right\b/.test(s)) {
-    s = s.replace(/^\[\s*/, "");
-    s = `\\left[${s}\\right.`;
+function mtefEmbellish(token, embells) {
+  let el = null;
+  for (const { embell } of embells) {
+    const [pos, chr] = MTEF_EMBELLS[embell] || [];
+    if (pos === "not") {
+      if (!el && token.tag === "mo" && MTEF_NEGATIONS[token.text])
+        token = { ...token, text: MTEF_NEGATIONS[token.text] };
+      else el = `<menclose notation="updiagonalstrike">${el || mtefTokenHtml(token)}</menclose>`;
+      continue;
+    }
+    const base = el || mtefTokenHtml(token);
+    if (pos === "prime") el = `<msup>${base}<mo>${chr}</mo></msup>`;
+    else if (pos === "over") el = `<mover accent="true">${base}<mo>${escapeXml(chr)}</mo></mover>`;
+    else if (pos === "under") el = `<munder accentunder="true">${base}<mo>${escapeXml(chr)}</mo></munder>`;
   }
-  return s;
+  return el || mtefTokenHtml(token);
 }
 
-function manualMathMLToLatex(mathml) {
-  if (!mathml) return "";
-  const parser = new XMLParser({
-    ignoreAttributes: false,
-    attributeNamePrefix: "@_",
-    textNodeName: "#text",
-    preserveOrder: false,
-  });
+function mtefBigOp(op, lower, upper, limits) {
+  const mo = `<mo>${escapeXml(op)}</mo>`;
+  const lo = `<mrow>${lower}</mrow>`,
+    up = `<mrow>${upper}</mrow>`;
+  if (lower && upper) return limits ? `<munderover>${mo}${lo}${up}</munderover>` : `<msubsup>${mo}${lo}${up}</msubsup>`;
+  if (lower) return limits ? `<munder>${mo}${lo}</munder>` : `<msub>${mo}${lo}</msub>`;
+  if (upper) return limits ? `<mover>${mo}${up}</mover>` : `<msup>${mo}${up}</msup>`;
+  return mo;
+}
 
-  let parsed;
-  try {
-    parsed = parser.parse(mathml);
-  } catch {
-    return "";
+// Dòng (LINE/slot) -> MathML. Template SUB/SUP gắn vào phần tử đứng trước.
+function mtefNodesToMathml(nodes, version) {
+  const out = [];
+  let run = null;
+  const flush = () => {
+    if (run) out.push(mtefTokenHtml(run));
+    run = null;
+  };
+
+  for (const node of nodes || []) {
+    if (node.type === "char") {
+      const token = mtefCharToken(node, version);
+      if (!token) continue;
+      if (node.embells.length) {
+        flush();
+        out.push(mtefEmbellish(token, node.embells));
+        continue;
+      }
+      const mergeable = ["mtext", "mn", "fn"].includes(token.tag);
+      if (run && mergeable && run.tag === token.tag && !node.funcStart) run.text += token.text;
+      else {
+        flush();
+        if (mergeable) run = token;
+        else out.push(mtefTokenHtml(token));
+      }
+      continue;
+    }
+
+    flush();
+    if (node.type === "line") out.push(`<mrow>${mtefNodesToMathml(node.nodes, version)}</mrow>`);
+    else if (node.type === "pile") out.push(mtefPileToMathml(node, version));
+    else if (node.type === "matrix") out.push(mtefMatrixToMathml(node, version));
+    else if (node.type === "tmpl") {
+      const tmpl = (version >= 4 ? MTEF5_TEMPLATES : MTEF3_TEMPLATES)[node.selector];
+      if (tmpl?.kind === "script") {
+        const base = out.length ? out.pop() : "<mrow/>";
+        out.push(mtefScripts(base, node, tmpl, version));
+      } else out.push(mtefTemplateToMathml(node, tmpl, version));
+    }
   }
+  flush();
+  return out.join("");
+}
 
-  function nodeToLatex(node) {
-    if (!node) return "";
-    if (typeof node === "string") return node;
-    if (typeof node === "number") return String(node);
-    if (node["#text"] !== undefined) return String(node["#text"]);
-    if (Array.isArray(node)) return node.map(nodeToLatex).join("");
+function mtefSlots(node, version) {
+  return node.items
+    .filter((n) => n.type === "line" || n.type === "pile")
+    .map((n) => (n.type === "line" ? mtefNodesToMathml(n.nodes, version) : mtefPileToMathml(n, version)));
+}
 
-    let result = "";
-    for (const [tag, content] of Object.entries(node)) {
-      if (tag.startsWith("@_")) continue;
-      const tagLower = tag.toLowerCase();
+function mtefTemplateChars(node, version) {
+  return node.items.filter((n) => n.type === "char").map((n) => mtefCharText(n, version).trim());
+}
 
-      switch (tagLower) {
-        case "math":
-        case "mrow":
-        case "mstyle":
-        case "mpadded":
-        case "mphantom":
-          result += nodeToLatex(content);
-          break;
-        case "msqrt":
-          result += `\\sqrt{${nodeToLatex(content)}}`;
-          break;
-        case "mroot":
-          if (Array.isArray(content) && content.length >= 2)
-            result += `\\sqrt[${nodeToLatex(content[1])}]{${nodeToLatex(content[0])}}`;
-          else result += `\\sqrt{${nodeToLatex(content)}}`;
-          break;
-        case "mfrac":
-          if (Array.isArray(content) && content.length >= 2)
-            result += `\\frac{${nodeToLatex(content[0])}}{${nodeToLatex(content[1])}}`;
-          else result += nodeToLatex(content);
-          break;
-        case "msup":
-          if (Array.isArray(content) && content.length >= 2)
-            result += `${nodeToLatex(content[0])}^{${nodeToLatex(content[1])}}`;
-          else result += nodeToLatex(content);
-          break;
-        case "msub":
-          if (Array.isArray(content) && content.length >= 2)
-            result += `${nodeToLatex(content[0])}_{${nodeToLatex(content[1])}}`;
-          else result += nodeToLatex(content);
-          break;
-        case "msubsup":
-          if (Array.isArray(content) && content.length >= 3)
-            result += `${nodeToLatex(content[0])}_{${nodeToLatex(content[1])}}^{${nodeToLatex(content[2])}}`;
-          else result += nodeToLatex(content);
-          break;
-        case "mi":
-        case "mn":
-        case "mtext":
-          result += nodeToLatex(content);
-          break;
-        case "mo": {
-          const op = nodeToLatex(content);
-          const opMap = {
-            "√": "\\sqrt",
-            "×": "\\times",
-            "÷": "\\div",
-            "±": "\\pm",
-            "∓": "\\mp",
-            "≤": "\\leq",
-            "≥": "\\geq",
-            "≠": "\\neq",
-            "≈": "\\approx",
-            "∞": "\\infty",
-            "→": "\\to",
-            "←": "\\leftarrow",
-            "⇒": "\\Rightarrow",
-            "⇐": "\\Leftarrow",
-            "∈": "\\in",
-            "∉": "\\notin",
-            "⊂": "\\subset",
-            "⊃": "\\supset",
-            "∪": "\\cup",
-            "∩": "\\cap",
-            "∀": "\\forall",
-            "∃": "\\exists",
-            "∂": "\\partial",
-            "∇": "\\nabla",
-            "∑": "\\sum",
-            "∏": "\\prod",
-            "∫": "\\int",
-          };
-          result += opMap[op] || op;
-          break;
-        }
-        case "mfenced": {
-          const open = node["@_open"] ?? "(";
-          const close = node["@_close"] ?? ")";
-          result += `\\left${open}${nodeToLatex(content)}\\right${close}`;
-          break;
-        }
-        case "mtable":
-          result += `\\begin{matrix}${nodeToLatex(content)}\\end{matrix}`;
-          break;
-        case "mtr":
-          result += nodeToLatex(content) + " \\\\ ";
-          break;
-        case "mtd":
-          result += nodeToLatex(content) + " & ";
-          break;
-        default:
-          result += nodeToLatex(content);
+function mtefScripts(base, node, tmpl, version) {
+  const slots = mtefSlots(node, version);
+  let [sub, sup] = slots.length >= 2 ? slots : tmpl.only === "sup" ? ["", slots[0]] : [slots[0], ""];
+  if (tmpl.only === "sub") sup = "";
+  if (tmpl.only === "sup") sub = "";
+  if (sub && sup) return `<msubsup>${base}<mrow>${sub}</mrow><mrow>${sup}</mrow></msubsup>`;
+  if (sup) return `<msup>${base}<mrow>${sup}</mrow></msup>`;
+  if (sub) return `<msub>${base}<mrow>${sub}</mrow></msub>`;
+  return base;
+}
+
+function mtefTemplateToMathml(node, tmpl, version) {
+  const slots = mtefSlots(node, version);
+  const chars = mtefTemplateChars(node, version).filter(Boolean);
+  const [a = "", b = "", c = ""] = slots;
+  const v = node.variation;
+
+  switch (tmpl?.kind) {
+    case "fence":
+    case "interval": {
+      // variation: 1 = chỉ ngoặc trái, 2 = chỉ ngoặc phải, 0/3 = cả hai (hệ phương trình: chỉ "{")
+      const left = (v & 3) !== 2,
+        right = (v & 3) !== 1;
+      const open = left ? chars.shift() || tmpl.open || "(" : ".";
+      const close = right ? chars.shift() || tmpl.close || ")" : ".";
+      return `<mfenced open="${escapeXml(open)}" close="${escapeXml(close)}"><mrow>${a}</mrow></mfenced>`;
+    }
+    case "root":
+      return b ? `<mroot><mrow>${a}</mrow><mrow>${b}</mrow></mroot>` : `<msqrt><mrow>${a}</mrow></msqrt>`;
+    case "fract":
+      if (tmpl.slash || (version >= 4 && v & 0x02)) return `<mrow><mrow>${a}</mrow><mo>/</mo><mrow>${b}</mrow></mrow>`;
+      return `<mfrac><mrow>${a}</mrow><mrow>${b}</mrow></mfrac>`;
+    case "under":
+      return `<munder><mrow>${a}</mrow><mo>${escapeXml(tmpl.char)}</mo></munder>`;
+    case "over":
+      return `<mover accent="true"><mrow>${a}</mrow><mo>${escapeXml(tmpl.char)}</mo></mover>`;
+    case "vec": {
+      const chr = v & 0x08 ? "⇀" : (v & 3) === 3 ? "↔" : v & 1 ? "←" : "→";
+      return v & 0x04
+        ? `<munder><mrow>${a}</mrow><mo>${chr}</mo></munder>`
+        : `<mover accent="true"><mrow>${a}</mrow><mo>${chr}</mo></mover>`;
+    }
+    case "arrow": {
+      let chr = chars[0] || tmpl.char;
+      if (version >= 4 && !chars.length) {
+        const dir = v & 0x30;
+        chr =
+          v & 0x01 ? (dir === 0x10 ? "⇐" : dir === 0x30 ? "⇔" : "⇒") : dir === 0x10 ? "←" : dir === 0x30 ? "↔" : "→";
       }
+      return mtefBigOp(chr, b, a, true);
     }
-    return result;
+    case "integral": {
+      let chr = chars[0] || tmpl.char;
+      if (version >= 4 && !chars.length) chr = v & 0x04 ? "∮" : ["∫", "∫", "∬", "∭"][v & 3];
+      return `<mrow>${mtefBigOp(chr, b, c, false)}<mrow>${a}</mrow></mrow>`;
+    }
+    case "bigop":
+      // SUMOP/INTOP không có slot thân: toán tử áp dụng cho phần phía sau
+      if (slots.length <= 2) return mtefBigOp(chars[0] || tmpl.char, a, b, tmpl.limits);
+      return `<mrow>${mtefBigOp(chars[0] || tmpl.char, b, c, tmpl.limits)}<mrow>${a}</mrow></mrow>`;
+    case "lim":
+      if (b && c)
+        return `<munderover><mrow>${a || "<mi>lim</mi>"}</mrow><mrow>${b}</mrow><mrow>${c}</mrow></munderover>`;
+      return `<munder><mrow>${a || "<mi>lim</mi>"}</mrow><mrow>${b}</mrow></munder>`;
+    case "hbrace": {
+      const top = tmpl.top ?? !!(v & 1);
+      const chr = tmpl.top === undefined && top ? (tmpl.char === "⎵" ? "⎴" : "⏞") : tmpl.char;
+      const braced = top
+        ? `<mover><mrow>${a}</mrow><mo>${chr}</mo></mover>`
+        : `<munder><mrow>${a}</mrow><mo>${chr}</mo></munder>`;
+      if (!b) return braced;
+      return top ? `<mover>${braced}<mrow>${b}</mrow></mover>` : `<munder>${braced}<mrow>${b}</mrow></munder>`;
+    }
+    case "ldiv":
+      return `<mrow><mrow>${b}</mrow><menclose notation="longdiv"><mrow>${a}</mrow></menclose></mrow>`;
+    case "lscript":
+      return mtefScripts("<mrow/>", node, { kind: "script" }, version);
+    case "dirac":
+      return `<mrow><mo>⟨</mo><mrow>${a}</mrow><mo>|</mo><mrow>${b}</mrow><mo>⟩</mo></mrow>`;
+    default:
+      return `<mrow>${slots.join("")}</mrow>`;
+  }
+}
+
+// PILE: halign 1 = trái, 2 = giữa, 3 = phải, 4 = căn theo dấu quan hệ
+function mtefPileToMathml(node, version) {
+  const lines = node.lines.filter((l) => l.type === "line");
+  if (lines.length === 1) return mtefNodesToMathml(lines[0].nodes, version);
+  const align = { 1: "left", 3: "right", 4: "left" }[node.halign];
+  const rows = lines.map((l) => `<mtr><mtd>${mtefNodesToMathml(l.nodes, version)}</mtd></mtr>`).join("");
+  return `<mtable${align ? ` columnalign="${align}"` : ""}>${rows}</mtable>`;
+}
+
+function mtefMatrixToMathml(node, version) {
+  const cells = node.cells.filter((c) => c.type === "line" || c.type === "pile");
+  let rows = "";
+  for (let r = 0; r < node.rows; r++) {
+    const row = cells.slice(r * node.cols, (r + 1) * node.cols);
+    rows += `<mtr>${row.map((c) => `<mtd>${mtefSlots({ items: [c] }, version)[0]}</mtd>`).join("")}</mtr>`;
+  }
+  return `<mtable>${rows}</mtable>`;
+}
+
+// OLE (MathType / Equation.3) -> MTEF bytes trong stream "Equation Native" (bỏ header 28 byte)
+function readEquationNative(oleBuffer) {
+  const cfb = CFB.read(oleBuffer, { type: "buffer" });
+  const entry = CFB.find(cfb, "Equation Native");
+  if (!entry?.content || entry.content.length < 8) return null;
+  const data = Buffer.from(entry.content);
+  return data.subarray(data.readUInt16LE(0));
+}
+
+function mtefToMathml(mtef) {
+  if (!mtef || mtef.length < 6 || mtef[0] < 3 || mtef[0] > 5) throw new Error(`mtef_unsupported_version_${mtef?.[0]}`);
+  const reader = new MtefReader(mtef);
+  const nodes = reader.objectList();
+  const body = nodes
+    .map((n) =>
+      n.type === "line"
+        ? mtefNodesToMathml(n.nodes, reader.version)
+        : n.type === "pile"
+          ? mtefPileToMathml(n, reader.version)
+          : "",
+    )
+    .join("");
+  return body ? `<math xmlns="http://www.w3.org/1998/Math/MathML"><mrow>${body}</mrow></math>` : "";
+}
+
+function jsConvertOleBinToMathML(buffer, embPath) {
+  try {
+    const mtef = readEquationNative(buffer);
+    if (!mtef) return { mathml: "", error: "no_equation_native", engine: "js" };
+    const mathml = mtefToMathml(mtef);
+    return { mathml, error: mathml ? null : "empty_mathml", engine: "js" };
+  } catch (e) {
+    console.error("[MTEF_JS_FAIL]", embPath, e?.message);
+    return { mathml: "", error: e?.message || "mtef_js_failed", engine: "js" };
+  }
+}
+
+// Mã của decoder: sửa => namespace disk cache của engine js đổi theo
+const MTEF_DECODER_FNS = [
+  MtefReader,
+  mtefCharText,
+  mtefCharToken,
+  mtefTokenHtml,
+  mtefEmbellish,
+  mtefBigOp,
+  mtefNodesToMathml,
+  mtefSlots,
+  mtefTemplateChars,
+  mtefScripts,
+  mtefTemplateToMathml,
+  mtefPileToMathml,
+  mtefMatrixToMathml,
+  mtefToMathml,
+];
+
+// ============================================================
+// EMF / WMF -> SVG (thông dịch trong tiến trình, không cần soffice/ImageMagick)
+// Hỗ trợ các record thường gặp: polyline/polygon/bezier, rect/ellipse/arc,
+// text + font, pen/brush, bitmap (DIB -> PNG). PNG tuỳ chọn qua @resvg/resvg-js.
+// ============================================================
+const Resvg = await import("@resvg/resvg-js").then((m) => m.Resvg).catch(() => null);
+
+// Font Symbol (Adobe) -> Unicode, mã 0x20-0x7E và 0xA0-0xFE
+const SYMBOL_FONT_LOW =
+  " !∀#∃%&∋()∗+,−./0123456789:;<=>?≅ΑΒΧΔΕΦΓΗΙϑΚΛΜΝΟΠΘΡΣΤΥςΩΞΨΖ[∴]⊥_‾αβχδεφγηιϕκλμνοπθρστυϖωξψζ{|}∼";
+const SYMBOL_FONT_HIGH =
+  "€ϒ′≤⁄∞ƒ♣♦♥♠↔←↑→↓°±″≥×∝∂•÷≠≡≈…⏐⎯↵ℵℑℜ℘⊗⊕∅∩∪⊃⊇⊄⊂⊆∈∉∠∇®©™∏√⋅¬∧∨⇔⇐⇑⇒⇓◊〈®©™∑⎛⎜⎝⎡⎢⎣⎧⎨⎩⎪ 〉∫⌠⎮⌡⎞⎟⎠⎤⎥⎦⎫⎬⎭";
+
+// lfCharSet -> encoding cho TextDecoder
+const METAFILE_CHARSETS = {
+  0: "windows-1252",
+  128: "shift_jis",
+  129: "euc-kr",
+  134: "gbk",
+  136: "big5",
+  161: "windows-1253",
+  162: "windows-1254",
+  163: "windows-1258",
+  177: "windows-1255",
+  178: "windows-1256",
+  186: "windows-1257",
+  204: "windows-1251",
+  222: "windows-874",
+  238: "windows-1250",
+};
+
+// Số inch trên 1 đơn vị logic của các map mode cố định (MM_LOMETRIC..MM_TWIPS)
+const METAFILE_MAP_UNITS = { 2: 0.1 / 25.4, 3: 0.01 / 25.4, 4: 0.01, 5: 0.001, 6: 1 / 1440 };
+
+// Stock object (EMF: index | 0x80000000)
+const METAFILE_STOCK = {
+  0: { type: "brush", style: 0, color: "#ffffff" },
+  1: { type: "brush", style: 0, color: "#c0c0c0" },
+  2: { type: "brush", style: 0, color: "#808080" },
+  3: { type: "brush", style: 0, color: "#404040" },
+  4: { type: "brush", style: 0, color: "#000000" },
+  5: { type: "brush", style: 1, color: "#000000" },
+  6: { type: "pen", style: 0, width: 0, color: "#ffffff" },
+  7: { type: "pen", style: 0, width: 0, color: "#000000" },
+  8: { type: "pen", style: 5, width: 0, color: "#000000" },
+};
+
+const PEN_DASHES = { 1: "6 2", 2: "1 2", 3: "6 2 1 2", 4: "6 2 1 2 1 2" };
+
+const HATCH_PATHS = {
+  0: "M0 4H8",
+  1: "M4 0V8",
+  2: "M0 0L8 8",
+  3: "M0 8L8 0",
+  4: "M0 4H8M4 0V8",
+  5: "M0 0L8 8M0 8L8 0",
+};
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+function metafileColor(buf, offset) {
+  const hex = (v) => v.toString(16).padStart(2, "0");
+  return `#${hex(buf[offset])}${hex(buf[offset + 1])}${hex(buf[offset + 2])}`;
+}
+
+function decodeMetafileText(bytesOrCodes, font) {
+  const symbol = font.charset === 2 || /^symbol$/i.test(font.face);
+  if (typeof bytesOrCodes === "string") {
+    if (!symbol) return bytesOrCodes;
+    bytesOrCodes = [...bytesOrCodes].map((ch) => ch.codePointAt(0));
+  } else if (!symbol) {
+    try {
+      return new TextDecoder(METAFILE_CHARSETS[font.charset] || "windows-1252").decode(bytesOrCodes);
+    } catch {
+      return Buffer.from(bytesOrCodes).toString("latin1");
+    }
+  }
+  return [...bytesOrCodes]
+    .map((code) => {
+      const c = code >= 0xf020 && code <= 0xf0ff ? code & 0xff : code;
+      if (c >= 0x20 && c <= 0x7e) return SYMBOL_FONT_LOW[c - 0x20];
+      if (c >= 0xa0 && c <= 0xfe) return SYMBOL_FONT_HIGH[c - 0xa0];
+      return String.fromCharCode(c);
+    })
+    .join("");
+}
+
+function encodePng(width, height, rgba) {
+  const chunk = (type, data) => {
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([len, body, crc]);
+  };
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) rgba.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// Kích thước header + bảng màu của DIB (để tách phần bits trong record WMF)
+function dibHeaderSize(dib) {
+  if (dib.length < 12) return dib.length;
+  const headerSize = dib.readUInt32LE(0);
+  if (headerSize === 12) return 12 + (dib.readUInt16LE(10) <= 8 ? 3 << dib.readUInt16LE(10) : 0);
+  const bitCount = dib.readUInt16LE(14);
+  const compression = dib.readUInt32LE(16);
+  const clrUsed = dib.readUInt32LE(32);
+  const colors = bitCount <= 8 ? clrUsed || 1 << bitCount : clrUsed;
+  const masks = compression === 3 && headerSize === 40 ? 12 : 0;
+  return headerSize + masks + colors * 4;
+}
+
+// DIB (BITMAPINFO + bits) -> { mime, data }; hỗ trợ 1/4/8/16/24/32 bit không nén, JPEG/PNG nhúng
+function dibToImage(bmi, bits) {
+  if (!bmi || bmi.length < 12 || !bits) return null;
+  const headerSize = bmi.readUInt32LE(0);
+  const core = headerSize === 12;
+  const width = core ? bmi.readUInt16LE(4) : bmi.readInt32LE(4);
+  const rawHeight = core ? bmi.readInt16LE(6) : bmi.readInt32LE(8);
+  const bitCount = bmi.readUInt16LE(core ? 10 : 14);
+  const compression = core ? 0 : bmi.readUInt32LE(16);
+  if (compression === 4) return { mime: "image/jpeg", data: bits };
+  if (compression === 5) return { mime: "image/png", data: bits };
+
+  const height = Math.abs(rawHeight);
+  if (width <= 0 || height <= 0 || width * height > 25e6) return null;
+  if (compression !== 0 && compression !== 3) return null;
+
+  const palette = [];
+  if (bitCount <= 8) {
+    const entry = core ? 3 : 4;
+    const clrUsed = core ? 0 : bmi.readUInt32LE(32);
+    const count = clrUsed || 1 << bitCount;
+    for (let i = 0, o = headerSize; i < count && o + 2 < bmi.length; i++, o += entry)
+      palette.push([bmi[o + 2], bmi[o + 1], bmi[o]]);
+  }
+
+  let masks = bitCount === 16 ? [0x7c00, 0x03e0, 0x001f] : [0xff0000, 0x00ff00, 0x0000ff];
+  if (compression === 3 && bmi.length >= 52) masks = [bmi.readUInt32LE(40), bmi.readUInt32LE(44), bmi.readUInt32LE(48)];
+  const channel = (v, mask) => {
+    if (!mask) return 0;
+    const shift = 31 - Math.clz32(mask & -mask);
+    const max = mask >>> shift;
+    return Math.round((((v & mask) >>> shift) * 255) / max);
+  };
+
+  const stride = Math.floor((width * bitCount + 31) / 32) * 4;
+  if (bits.length < stride * height) return null;
+  const rgba = Buffer.alloc(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const row = (rawHeight > 0 ? height - 1 - y : y) * stride;
+    for (let x = 0; x < width; x++) {
+      let rgb;
+      if (bitCount <= 8) {
+        const bitPos = x * bitCount;
+        const idx = (bits[row + (bitPos >> 3)] >> (8 - bitCount - (bitPos & 7))) & ((1 << bitCount) - 1);
+        rgb = palette[idx] || [0, 0, 0];
+      } else if (bitCount === 24) {
+        const o = row + x * 3;
+        rgb = [bits[o + 2], bits[o + 1], bits[o]];
+      } else if (bitCount === 16 || bitCount === 32) {
+        const v = bitCount === 16 ? bits.readUInt16LE(row + x * 2) : bits.readUInt32LE(row + x * 4);
+        rgb = masks.map((m) => channel(v, m));
+      } else {
+        return null;
+      }
+      const o = (y * width + x) * 4;
+      rgba[o] = rgb[0];
+      rgba[o + 1] = rgb[1];
+      rgba[o + 2] = rgb[2];
+      rgba[o + 3] = 255;
+    }
+  }
+
+  return { mime: "image/png", data: encodePng(width, height, rgba) };
+}
+
+// Trạng thái DC + bộ phát SVG dùng chung cho WMF và EMF.
+// Tọa độ logic -> world transform (EMF) -> window/viewport -> đơn vị của viewBox.
+class MetafileCanvas {
+  constructor() {
+    this.objects = [];
+    this.state = {
+      mapMode: 1,
+      wox: 0,
+      woy: 0,
+      wex: 1,
+      wey: 1,
+      vox: 0,
+      voy: 0,
+      vex: 1,
+      vey: 1,
+      world: [1, 0, 0, 1, 0, 0],
+      pen: METAFILE_STOCK[7],
+      brush: METAFILE_STOCK[0],
+      font: { type: "font", height: -12, weight: 400, italic: false, underline: false, strike: false, charset: 0 },
+      textColor: "#000000",
+      bkColor: "#ffffff",
+      bkMode: 2,
+      textAlign: 0,
+      polyFill: 1,
+      arcDir: 1,
+      x: 0,
+      y: 0,
+    };
+    this.stack = [];
+    this.elements = [];
+    this.defs = new Map();
+    this.path = null;
+    this.recordingPath = false;
+    this.dpi = 96;
+  }
+
+  // ---------- Objects ----------
+  addObject(obj, index = -1) {
+    if (index < 0) {
+      index = this.objects.findIndex((o) => !o);
+      if (index < 0) index = this.objects.length;
+    }
+    this.objects[index] = obj;
+  }
+
+  selectObject(index) {
+    const obj = index & 0x80000000 ? METAFILE_STOCK[index & 0x7fffffff] : this.objects[index];
+    if (obj?.type === "pen") this.state.pen = obj;
+    else if (obj?.type === "brush") this.state.brush = obj;
+    else if (obj?.type === "font") this.state.font = obj;
+  }
+
+  deleteObject(index) {
+    if (!(index & 0x80000000)) this.objects[index] = null;
+  }
+
+  saveDC() {
+    this.stack.push({ ...this.state, world: [...this.state.world] });
+  }
+
+  restoreDC(n) {
+    const depth = n < 0 ? this.stack.length + n : n - 1;
+    if (depth < 0 || depth >= this.stack.length) return;
+    this.state = this.stack[depth];
+    this.stack.length = depth;
+  }
+
+  // eM11 eM12 eM21 eM22 eDx eDy; mode: 1 = identity, 2 = left multiply, 3 = right multiply, 4 = set
+  setWorld(xf, mode = 4) {
+    const mul = ([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) => [
+      a1 * a2 + b1 * c2,
+      a1 * b2 + b1 * d2,
+      c1 * a2 + d1 * c2,
+      c1 * b2 + d1 * d2,
+      e1 * a2 + f1 * c2 + e2,
+      e1 * b2 + f1 * d2 + f2,
+    ];
+    const w = this.state.world;
+    if (mode === 1) this.state.world = [1, 0, 0, 1, 0, 0];
+    else if (mode === 2) this.state.world = mul(xf, w);
+    else if (mode === 3) this.state.world = mul(w, xf);
+    else this.state.world = xf;
+  }
+
+  // ---------- Coordinates ----------
+  pt(x, y) {
+    const s = this.state;
+    const [a, b, c, d, e, f] = s.world;
+    let px = a * x + c * y + e;
+    let py = b * x + d * y + f;
+    if (s.mapMode === 1) {
+      px = px - s.wox + s.vox;
+      py = py - s.woy + s.voy;
+    } else if (s.mapMode >= 7) {
+      let sx = s.wex ? s.vex / s.wex : 1;
+      let sy = s.wey ? s.vey / s.wey : 1;
+      if (s.mapMode === 7) {
+        const m = Math.min(Math.abs(sx), Math.abs(sy));
+        sx = Math.sign(sx) * m;
+        sy = Math.sign(sy) * m;
+      }
+      px = (px - s.wox) * sx + s.vox;
+      py = (py - s.woy) * sy + s.voy;
+    } else {
+      const u = (METAFILE_MAP_UNITS[s.mapMode] || 1 / 96) * this.dpi;
+      px = (px - s.wox) * u + s.vox;
+      py = -(py - s.woy) * u + s.voy;
+    }
+    return [round2(px), round2(py)];
+  }
+
+  // Hệ số co giãn (dx/dy của 1 đơn vị logic) và dấu định thức (lật trục)
+  scale() {
+    const [x0, y0] = this.pt(0, 0);
+    const [x1, y1] = this.pt(1000, 0);
+    const [x2, y2] = this.pt(0, 1000);
+    const sx = Math.hypot(x1 - x0, y1 - y0) / 1000;
+    const sy = Math.hypot(x2 - x0, y2 - y0) / 1000;
+    const det = (x1 - x0) * (y2 - y0) - (y1 - y0) * (x2 - x0);
+    return { sx, sy, flip: det < 0 };
+  }
+
+  len(v) {
+    const { sx, sy } = this.scale();
+    return Math.abs(v) * Math.sqrt(sx * sy);
+  }
+
+  // ---------- Styles ----------
+  strokeAttrs() {
+    const pen = this.state.pen;
+    if (pen.style === 5) return 'stroke="none"';
+    const width = Math.max(1, round2(pen.width ? this.len(pen.width) : 1));
+    const dash = PEN_DASHES[pen.style] ? ` stroke-dasharray="${PEN_DASHES[pen.style]}"` : "";
+    return `stroke="${pen.color}" stroke-width="${width}" stroke-linecap="round" stroke-linejoin="round"${dash}`;
+  }
+
+  fillAttrs() {
+    const brush = this.state.brush;
+    const rule = this.state.polyFill === 1 ? "evenodd" : "nonzero";
+    if (brush.style === 1) return 'fill="none"';
+    if (brush.style === 2 && HATCH_PATHS[brush.hatch] !== undefined) {
+      const bk = this.state.bkMode === 2 ? this.state.bkColor : "none";
+      const id = `hatch${brush.hatch}-${brush.color.slice(1)}-${bk.replace("#", "")}`;
+      if (!this.defs.has(id)) {
+        this.defs.set(
+          id,
+          `<pattern id="${id}" width="8" height="8" patternUnits="userSpaceOnUse">` +
+            (bk !== "none" ? `<rect width="8" height="8" fill="${bk}"/>` : "") +
+            `<path d="${HATCH_PATHS[brush.hatch]}" stroke="${brush.color}" stroke-width="1"/></pattern>`,
+        );
+      }
+      return `fill="url(#${id})" fill-rule="${rule}"`;
+    }
+    return `fill="${brush.style === 0 ? brush.color : "#808080"}" fill-rule="${rule}"`;
+  }
+
+  // ---------- Paths ----------
+  _d(points, close) {
+    const d = points.map(([x, y], i) => `${i ? "L" : "M"}${this.pt(x, y).join(" ")}`).join("");
+    return close ? `${d}Z` : d;
+  }
+
+  _emit(d, { fill = false, stroke = true } = {}) {
+    if (!d) return;
+    if (this.recordingPath) {
+      this.path.push(d);
+      return;
+    }
+    const f = fill ? this.fillAttrs() : 'fill="none"';
+    const s = stroke ? this.strokeAttrs() : 'stroke="none"';
+    if (f === 'fill="none"' && s === 'stroke="none"') return;
+    this.elements.push(`<path d="${d}" ${f} ${s}/>`);
+  }
+
+  beginPath() {
+    this.path = [];
+    this.recordingPath = true;
+  }
+
+  endPath() {
+    this.recordingPath = false;
+  }
+
+  closeFigure() {
+    if (this.path?.length) this.path.push("Z");
+  }
+
+  abortPath() {
+    this.path = null;
+    this.recordingPath = false;
+  }
+
+  drawPath(fill, stroke) {
+    const d = (this.path || []).join("");
+    this.abortPath();
+    this._emit(d, { fill, stroke });
+  }
+
+  moveTo(x, y) {
+    this.state.x = x;
+    this.state.y = y;
+    if (this.recordingPath) this.path.push(`M${this.pt(x, y).join(" ")}`);
+  }
+
+  lineTo(x, y) {
+    const from = [this.state.x, this.state.y];
+    this.state.x = x;
+    this.state.y = y;
+    if (this.recordingPath) this.path.push(`L${this.pt(x, y).join(" ")}`);
+    else this._emit(this._d([from, [x, y]], false));
+  }
+
+  polyline(points) {
+    if (points.length) this._emit(this._d(points, false));
+  }
+
+  // "...To": nối tiếp từ vị trí hiện tại (trong path thì chỉ thêm đoạn L)
+  polylineTo(points) {
+    if (!points.length) return;
+    if (this.recordingPath) this.path.push(points.map(([x, y]) => `L${this.pt(x, y).join(" ")}`).join(""));
+    else this.polyline([[this.state.x, this.state.y], ...points]);
+    [this.state.x, this.state.y] = points[points.length - 1];
+  }
+
+  polygon(points) {
+    if (points.length) this._emit(this._d(points, true), { fill: true });
+  }
+
+  polyPolyline(polys) {
+    this._emit(polys.map((p) => this._d(p, false)).join(""));
+  }
+
+  polyPolygon(polys) {
+    this._emit(polys.map((p) => this._d(p, true)).join(""), { fill: true });
+  }
+
+  bezier(points, fromCurrent = false) {
+    const pts = fromCurrent ? [[this.state.x, this.state.y], ...points] : points;
+    if (pts.length < 4) return this.polyline(pts);
+    let d = `M${this.pt(...pts[0]).join(" ")}`;
+    for (let i = 1; i + 2 < pts.length; i += 3)
+      d += `C${[pts[i], pts[i + 1], pts[i + 2]].map((p) => this.pt(...p).join(" ")).join(" ")}`;
+    if (fromCurrent) [this.state.x, this.state.y] = pts[pts.length - 1];
+    this._emit(d);
+  }
+
+  rect(l, t, r, b) {
+    this.polygon([
+      [l, t],
+      [r, t],
+      [r, b],
+      [l, b],
+    ]);
+  }
+
+  roundRect(l, t, r, b, w, h) {
+    const [x1, y1] = this.pt(l, t);
+    const [x2, y2] = this.pt(r, b);
+    const { sx, sy } = this.scale();
+    const rx = round2(Math.min(Math.abs(w * sx) / 2, Math.abs(x2 - x1) / 2));
+    const ry = round2(Math.min(Math.abs(h * sy) / 2, Math.abs(y2 - y1) / 2));
+    const [xa, xb] = [Math.min(x1, x2), Math.max(x1, x2)];
+    const [ya, yb] = [Math.min(y1, y2), Math.max(y1, y2)];
+    const a = `A${rx} ${ry} 0 0 1`;
+    this._emit(
+      `M${xa + rx} ${ya}H${xb - rx}${a} ${xb} ${ya + ry}V${yb - ry}${a} ${xb - rx} ${yb}` +
+        `H${xa + rx}${a} ${xa} ${yb - ry}V${ya + ry}${a} ${xa + rx} ${ya}Z`,
+      { fill: true },
+    );
+  }
+
+  ellipse(l, t, r, b) {
+    const [x1, y1] = this.pt(l, t);
+    const [x2, y2] = this.pt(r, b);
+    const cx = round2((x1 + x2) / 2),
+      cy = round2((y1 + y2) / 2);
+    const rx = round2(Math.abs(x2 - x1) / 2),
+      ry = round2(Math.abs(y2 - y1) / 2);
+    this._emit(`M${cx - rx} ${cy}A${rx} ${ry} 0 1 0 ${cx + rx} ${cy}A${rx} ${ry} 0 1 0 ${cx - rx} ${cy}Z`, {
+      fill: true,
+    });
+  }
+
+  // kind: arc | pie | chord. GDI vẽ ngược chiều kim đồng hồ (theo hệ logic) trừ khi SETARCDIRECTION = 2
+  arc(kind, l, t, r, b, xs, ys, xe, ye) {
+    const [x1, y1] = this.pt(l, t);
+    const [x2, y2] = this.pt(r, b);
+    const [sx, sy] = this.pt(xs, ys);
+    const [ex, ey] = this.pt(xe, ye);
+    const cx = round2((x1 + x2) / 2),
+      cy = round2((y1 + y2) / 2);
+    const rx = round2(Math.abs(x2 - x1) / 2) || 1,
+      ry = round2(Math.abs(y2 - y1) / 2) || 1;
+    const a0 = Math.atan2((sy - cy) / ry, (sx - cx) / rx);
+    const a1 = Math.atan2((ey - cy) / ry, (ex - cx) / rx);
+    const sweep = (this.state.arcDir === 2) !== this.scale().flip ? 1 : 0;
+    let delta = sweep ? a1 - a0 : a0 - a1;
+    while (delta <= 0) delta += 2 * Math.PI;
+    const p0 = [cx + rx * Math.cos(a0), cy + ry * Math.sin(a0)].map(round2);
+    const p1 = [cx + rx * Math.cos(a1), cy + ry * Math.sin(a1)].map(round2);
+    let d = `M${p0.join(" ")}`;
+    if (delta >= 2 * Math.PI - 1e-6) {
+      const mid = [round2(2 * cx - p0[0]), round2(2 * cy - p0[1])];
+      d += `A${rx} ${ry} 0 0 ${sweep} ${mid.join(" ")}A${rx} ${ry} 0 0 ${sweep} ${p0.join(" ")}`;
+    } else {
+      d += `A${rx} ${ry} 0 ${delta > Math.PI ? 1 : 0} ${sweep} ${p1.join(" ")}`;
+    }
+    if (kind === "pie") d = `M${cx} ${cy}L${d.slice(1)}Z`;
+    if (kind === "chord") d += "Z";
+    this._emit(d, { fill: kind !== "arc" });
+  }
+
+  // ---------- Text ----------
+  text(x, y, str, { dx = null, opaqueRect = null } = {}) {
+    const s = this.state;
+    if (opaqueRect) {
+      const saved = s.brush;
+      const savedPen = s.pen;
+      s.brush = { type: "brush", style: 0, color: s.bkColor };
+      s.pen = METAFILE_STOCK[8];
+      this.rect(...opaqueRect);
+      s.brush = saved;
+      s.pen = savedPen;
+    }
+    str = String(str || "").replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, "");
+    if (!str.trim()) return;
+
+    if (s.textAlign & 1) {
+      x = s.x;
+      y = s.y;
+    }
+    const font = s.font;
+    const [px, py] = this.pt(x, y);
+    const { sx, sy } = this.scale();
+    const cell = Math.abs(font.height || 12) * sy;
+    const size = round2(font.height < 0 ? cell : cell * 0.87) || 12;
+    const ascent = font.height < 0 ? size * 0.9 : cell * 0.8;
+
+    const vAlign = s.textAlign & 24;
+    const baseline = vAlign === 24 ? 0 : vAlign === 8 ? -size * 0.2 : ascent;
+    const hAlign = s.textAlign & 6;
+    let anchor = hAlign === 6 ? "middle" : hAlign === 2 ? "end" : "start";
+
+    let xAttr = `${px}`;
+    if (dx && dx.length >= str.length && str.length > 1) {
+      const offsets = [0];
+      for (let i = 0; i < str.length - 1; i++) offsets.push(offsets[i] + dx[i] * sx);
+      const total = offsets[offsets.length - 1] + dx[str.length - 1] * sx;
+      const start = px - (anchor === "end" ? total : anchor === "middle" ? total / 2 : 0);
+      xAttr = offsets.map((o) => round2(start + o)).join(" ");
+      anchor = "start";
+    }
+
+    const generic = { 1: "serif", 2: "sans-serif", 3: "monospace", 4: "cursive" }[(font.pitchAndFamily || 0) >> 4];
+    const symbol = font.charset === 2 || /^symbol$/i.test(font.face || "");
+    const family = symbol
+      ? "'Times New Roman', serif"
+      : `${font.face ? `'${font.face.replace(/['"<>&]/g, "")}', ` : ""}${generic || "serif"}`;
+    const attrs = [
+      `x="${xAttr}"`,
+      `y="${round2(py + baseline)}"`,
+      `font-family="${family}"`,
+      `font-size="${size}"`,
+      font.weight >= 600 ? `font-weight="bold"` : "",
+      font.italic ? `font-style="italic"` : "",
+      font.underline || font.strike
+        ? `text-decoration="${[font.underline && "underline", font.strike && "line-through"].filter(Boolean).join(" ")}"`
+        : "",
+      anchor !== "start" ? `text-anchor="${anchor}"` : "",
+      `fill="${s.textColor}"`,
+      font.escapement ? `transform="rotate(${-font.escapement / 10} ${px} ${py})"` : "",
+    ].filter(Boolean);
+    this.elements.push(`<text ${attrs.join(" ")} xml:space="preserve">${escapeXml(str)}</text>`);
+  }
+
+  // ---------- Bitmaps ----------
+  image(x, y, w, h, bmi, bits) {
+    const img = dibToImage(bmi, bits);
+    if (!img) return;
+    const [x1, y1] = this.pt(x, y);
+    const [x2, y2] = this.pt(x + w, y + h);
+    const attrs = `x="${Math.min(x1, x2)}" y="${Math.min(y1, y2)}" width="${round2(Math.abs(x2 - x1))}" height="${round2(Math.abs(y2 - y1))}"`;
+    this.elements.push(
+      `<image ${attrs} preserveAspectRatio="none" href="data:${img.mime};base64,${img.data.toString("base64")}"/>`,
+    );
+  }
+
+  // PATBLT / BITBLT không có bitmap: tô hình chữ nhật bằng brush hiện tại
+  patBlt(x, y, w, h) {
+    const saved = this.state.pen;
+    this.state.pen = METAFILE_STOCK[8];
+    this.rect(x, y, x + w, y + h);
+    this.state.pen = saved;
+  }
+
+  toSvg({ x, y, w, h, width, height }) {
+    if (!this.elements.length || !(w > 0) || !(h > 0)) return null;
+    const defs = this.defs.size ? `<defs>${[...this.defs.values()].join("")}</defs>` : "";
+    return (
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${round2(width)}" height="${round2(height)}" ` +
+      `viewBox="${[x, y, w, h].map(round2).join(" ")}">${defs}${this.elements.join("")}</svg>`
+    );
+  }
+}
+
+function wmfToSvg(buf) {
+  let off = 0;
+  let bbox = null,
+    inch = 1440;
+  if (buf.length >= 22 && buf.readUInt32LE(0) === 0x9ac6cdd7) {
+    bbox = { l: buf.readInt16LE(6), t: buf.readInt16LE(8), r: buf.readInt16LE(10), b: buf.readInt16LE(12) };
+    inch = buf.readUInt16LE(14) || 1440;
+    off = 22;
+  }
+  if (buf.length < off + 18 || ![1, 2].includes(buf.readUInt16LE(off)) || buf.readUInt16LE(off + 2) !== 9) return null;
+  off += 18;
+
+  // Khung hình: bbox của placeable header, nếu không có thì lấy SETWINDOWORG/EXT đầu tiên
+  let frame = bbox && { x: bbox.l, y: bbox.t, w: bbox.r - bbox.l, h: bbox.b - bbox.t };
+  for (let o = off, org = null; !frame && o + 6 <= buf.length;) {
+    const size = buf.readUInt32LE(o) * 2;
+    const fn = buf.readUInt16LE(o + 4);
+    if (size < 6 || fn === 0) break;
+    if (fn === 0x020b) org = { x: buf.readInt16LE(o + 8), y: buf.readInt16LE(o + 6) };
+    if (fn === 0x020c) frame = { ...(org || { x: 0, y: 0 }), w: buf.readInt16LE(o + 8), h: buf.readInt16LE(o + 6) };
+    o += size;
+  }
+  if (!frame || !frame.w || !frame.h) return null;
+
+  let width, height;
+  if (bbox) {
+    width = (Math.abs(frame.w) / inch) * 96;
+    height = (Math.abs(frame.h) / inch) * 96;
+  } else {
+    const k = Math.min(1, 1000 / Math.max(Math.abs(frame.w), Math.abs(frame.h)));
+    width = Math.abs(frame.w) * k;
+    height = Math.abs(frame.h) * k;
+  }
+
+  const c = new MetafileCanvas();
+  Object.assign(c.state, {
+    mapMode: 8,
+    wox: frame.x,
+    woy: frame.y,
+    wex: frame.w,
+    wey: frame.h,
+    vex: width,
+    vey: height,
+  });
+
+  for (let count = 0; off + 6 <= buf.length && count < 500000; count++) {
+    const size = buf.readUInt32LE(off) * 2;
+    const fn = buf.readUInt16LE(off + 4);
+    if (size < 6 || fn === 0 || off + size > buf.length) break;
+    const p = off + 6;
+    const end = off + size;
+    const w = (i) => buf.readInt16LE(p + i * 2);
+    const uw = (i) => buf.readUInt16LE(p + i * 2);
+    const points = (from, n) =>
+      Array.from({ length: n }, (_, i) => [buf.readInt16LE(from + i * 4), buf.readInt16LE(from + i * 4 + 2)]);
+    const s = c.state;
+    off = end;
+
+    switch (fn) {
+      case 0x020b: // SETWINDOWORG
+        s.wox = w(1);
+        s.woy = w(0);
+        break;
+      case 0x020c: // SETWINDOWEXT
+        s.wex = w(1) || s.wex;
+        s.wey = w(0) || s.wey;
+        break;
+      case 0x020f: // OFFSETWINDOWORG
+        s.wox += w(1);
+        s.woy += w(0);
+        break;
+      case 0x0410: // SCALEWINDOWEXT
+        s.wex = (s.wex * w(3)) / (w(2) || 1) || s.wex;
+        s.wey = (s.wey * w(1)) / (w(0) || 1) || s.wey;
+        break;
+      case 0x0209: // SETTEXTCOLOR
+        s.textColor = metafileColor(buf, p);
+        break;
+      case 0x0201: // SETBKCOLOR
+        s.bkColor = metafileColor(buf, p);
+        break;
+      case 0x0102: // SETBKMODE
+        s.bkMode = uw(0);
+        break;
+      case 0x012e: // SETTEXTALIGN
+        s.textAlign = uw(0);
+        break;
+      case 0x0106: // SETPOLYFILLMODE
+        s.polyFill = uw(0);
+        break;
+      case 0x001e: // SAVEDC
+        c.saveDC();
+        break;
+      case 0x0127: // RESTOREDC
+        c.restoreDC(w(0));
+        break;
+      case 0x012d: // SELECTOBJECT
+        c.selectObject(uw(0));
+        break;
+      case 0x01f0: // DELETEOBJECT
+        c.deleteObject(uw(0));
+        break;
+      case 0x02fa: // CREATEPENINDIRECT
+        c.addObject({ type: "pen", style: uw(0) & 0x0f, width: Math.abs(w(1)), color: metafileColor(buf, p + 6) });
+        break;
+      case 0x02fc: // CREATEBRUSHINDIRECT
+        c.addObject({ type: "brush", style: uw(0), color: metafileColor(buf, p + 2), hatch: uw(3) });
+        break;
+      case 0x0142: // DIBCREATEPATTERNBRUSH
+      case 0x01f9: // CREATEPATTERNBRUSH
+        c.addObject({ type: "brush", style: 3, color: "#808080" });
+        break;
+      case 0x02fb: {
+        // CREATEFONTINDIRECT
+        const faceBytes = buf.subarray(p + 18, Math.min(end, p + 50));
+        const nul = faceBytes.indexOf(0);
+        c.addObject({
+          type: "font",
+          height: w(0),
+          escapement: w(2),
+          weight: w(4),
+          italic: !!buf[p + 10],
+          underline: !!buf[p + 11],
+          strike: !!buf[p + 12],
+          charset: buf[p + 13],
+          pitchAndFamily: buf[p + 17],
+          face: faceBytes.subarray(0, nul < 0 ? faceBytes.length : nul).toString("latin1"),
+        });
+        break;
+      }
+      case 0x00f7: // CREATEPALETTE
+      case 0x06ff: // CREATEREGION
+        c.addObject({ type: "other" });
+        break;
+      case 0x0214: // MOVETO
+        c.moveTo(w(1), w(0));
+        break;
+      case 0x0213: // LINETO
+        c.lineTo(w(1), w(0));
+        break;
+      case 0x0325: // POLYLINE
+        c.polyline(points(p + 2, uw(0)));
+        break;
+      case 0x0324: // POLYGON
+        c.polygon(points(p + 2, uw(0)));
+        break;
+      case 0x0538: {
+        // POLYPOLYGON
+        const n = uw(0);
+        const polys = [];
+        let o = p + 2 + n * 2;
+        for (let i = 0; i < n; i++) {
+          polys.push(points(o, uw(1 + i)));
+          o += uw(1 + i) * 4;
+        }
+        c.polyPolygon(polys);
+        break;
+      }
+      case 0x041b: // RECTANGLE
+        c.rect(w(3), w(2), w(1), w(0));
+        break;
+      case 0x061c: // ROUNDRECT
+        c.roundRect(w(5), w(4), w(3), w(2), w(1), w(0));
+        break;
+      case 0x0418: // ELLIPSE
+        c.ellipse(w(3), w(2), w(1), w(0));
+        break;
+      case 0x0817: // ARC
+      case 0x081a: // PIE
+      case 0x0830: // CHORD
+        c.arc({ 0x0817: "arc", 0x081a: "pie", 0x0830: "chord" }[fn], w(7), w(6), w(5), w(4), w(3), w(2), w(1), w(0));
+        break;
+      case 0x0521: {
+        // TEXTOUT
+        const len = uw(0);
+        const q = p + 2 + len + (len & 1);
+        if (q + 4 > end) break;
+        c.text(
+          buf.readInt16LE(q + 2),
+          buf.readInt16LE(q),
+          decodeMetafileText(buf.subarray(p + 2, p + 2 + len), s.font),
+        );
+        break;
+      }
+      case 0x0a32: {
+        // EXTTEXTOUT
+        const len = uw(2);
+        const opts = uw(3);
+        let q = p + 8;
+        let opaqueRect = null;
+        if (opts & 0x06) {
+          if (opts & 0x02)
+            opaqueRect = [buf.readInt16LE(q), buf.readInt16LE(q + 2), buf.readInt16LE(q + 4), buf.readInt16LE(q + 6)];
+          q += 8;
+        }
+        const str = decodeMetafileText(buf.subarray(q, Math.min(end, q + len)), s.font);
+        q += len + (len & 1);
+        const dx = q + len * 2 <= end ? Array.from({ length: len }, (_, i) => buf.readInt16LE(q + i * 2)) : null;
+        c.text(w(1), w(0), str, { dx: str.length === len ? dx : null, opaqueRect });
+        break;
+      }
+      case 0x061d: // PATBLT
+        c.patBlt(w(5), w(4), w(3), w(2));
+        break;
+      case 0x0b41: // DIBSTRETCHBLT
+        if (size <= 28) c.patBlt(w(10), w(9), w(8), w(7));
+        else {
+          const dib = buf.subarray(p + 20, end);
+          const hs = dibHeaderSize(dib);
+          c.image(w(9), w(8), w(7), w(6), dib.subarray(0, hs), dib.subarray(hs));
+        }
+        break;
+      case 0x0940: // DIBBITBLT
+        if (size <= 24) c.patBlt(w(8), w(7), w(6), w(5));
+        else {
+          const dib = buf.subarray(p + 16, end);
+          const hs = dibHeaderSize(dib);
+          c.image(w(7), w(6), w(5), w(4), dib.subarray(0, hs), dib.subarray(hs));
+        }
+        break;
+      case 0x0f43: {
+        // STRETCHDIB
+        const dib = buf.subarray(p + 22, end);
+        const hs = dibHeaderSize(dib);
+        c.image(w(10), w(9), w(8), w(7), dib.subarray(0, hs), dib.subarray(hs));
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return c.toSvg({ x: 0, y: 0, w: width, h: height, width, height });
+}
+
+function emfToSvg(buf) {
+  if (buf.length < 88 || buf.readUInt32LE(0) !== 1 || buf.readUInt32LE(40) !== 0x464d4520) return null;
+  const i32 = (o) => buf.readInt32LE(o);
+  const bounds = { l: i32(8), t: i32(12), r: i32(16), b: i32(20) };
+  const frame = { l: i32(24), t: i32(28), r: i32(32), b: i32(36) };
+  const devX = i32(72),
+    devY = i32(76),
+    mmX = i32(80),
+    mmY = i32(84);
+
+  const c = new MetafileCanvas();
+  let view;
+  if (devX > 0 && devY > 0 && mmX > 0 && mmY > 0 && frame.r > frame.l && frame.b > frame.t) {
+    const pxPerMmX = devX / mmX,
+      pxPerMmY = devY / mmY;
+    c.dpi = pxPerMmX * 25.4;
+    view = {
+      x: (frame.l / 100) * pxPerMmX,
+      y: (frame.t / 100) * pxPerMmY,
+      w: ((frame.r - frame.l) / 100) * pxPerMmX,
+      h: ((frame.b - frame.t) / 100) * pxPerMmY,
+      width: ((frame.r - frame.l) / 100) * (96 / 25.4),
+      height: ((frame.b - frame.t) / 100) * (96 / 25.4),
+    };
+  } else {
+    const w = bounds.r - bounds.l + 1,
+      h = bounds.b - bounds.t + 1;
+    view = { x: bounds.l, y: bounds.t, w, h, width: w, height: h };
+  }
+
+  let off = buf.readUInt32LE(4);
+  for (let count = 0; off + 8 <= buf.length && count < 500000; count++) {
+    const type = buf.readUInt32LE(off);
+    const size = buf.readUInt32LE(off + 4);
+    if (size < 8 || off + size > buf.length || type === 14) break;
+    const p = off;
+    const end = off + size;
+    const r = (o) => buf.readInt32LE(p + o);
+    const u = (o) => buf.readUInt32LE(p + o);
+    const f = (o) => buf.readFloatLE(p + o);
+    const s = c.state;
+    off = end;
+
+    const readPoints = (from, n, small) =>
+      Array.from({ length: Math.max(0, Math.min(n, Math.floor((end - from) / (small ? 4 : 8)))) }, (_, i) =>
+        small
+          ? [buf.readInt16LE(from + i * 4), buf.readInt16LE(from + i * 4 + 2)]
+          : [buf.readInt32LE(from + i * 8), buf.readInt32LE(from + i * 8 + 4)],
+      );
+    const readPolys = (small) => {
+      const n = u(24);
+      const counts = Array.from({ length: Math.min(n, (size - 32) >> 2) }, (_, i) => u(32 + i * 4));
+      let o = p + 32 + n * 4;
+      return counts.map((k) => {
+        const pts = readPoints(o, k, small);
+        o += k * (small ? 4 : 8);
+        return pts;
+      });
+    };
+    const bitmap = (offBmi, cbBmi, offBits, cbBits) =>
+      cbBmi ? [buf.subarray(p + offBmi, p + offBmi + cbBmi), buf.subarray(p + offBits, p + offBits + cbBits)] : null;
+
+    switch (type) {
+      case 9: // SETWINDOWEXTEX
+        s.wex = r(8) || s.wex;
+        s.wey = r(12) || s.wey;
+        break;
+      case 10: // SETWINDOWORGEX
+        s.wox = r(8);
+        s.woy = r(12);
+        break;
+      case 11: // SETVIEWPORTEXTEX
+        s.vex = r(8) || s.vex;
+        s.vey = r(12) || s.vey;
+        break;
+      case 12: // SETVIEWPORTORGEX
+        s.vox = r(8);
+        s.voy = r(12);
+        break;
+      case 17: // SETMAPMODE
+        s.mapMode = u(8);
+        break;
+      case 18: // SETBKMODE
+        s.bkMode = u(8);
+        break;
+      case 19: // SETPOLYFILLMODE
+        s.polyFill = u(8);
+        break;
+      case 22: // SETTEXTALIGN
+        s.textAlign = u(8);
+        break;
+      case 24: // SETTEXTCOLOR
+        s.textColor = metafileColor(buf, p + 8);
+        break;
+      case 25: // SETBKCOLOR
+        s.bkColor = metafileColor(buf, p + 8);
+        break;
+      case 57: // SETARCDIRECTION
+        s.arcDir = u(8);
+        break;
+      case 27: // MOVETOEX
+        c.moveTo(r(8), r(12));
+        break;
+      case 54: // LINETO
+        c.lineTo(r(8), r(12));
+        break;
+      case 33: // SAVEDC
+        c.saveDC();
+        break;
+      case 34: // RESTOREDC
+        c.restoreDC(r(8));
+        break;
+      case 35: // SETWORLDTRANSFORM
+        c.setWorld([f(8), f(12), f(16), f(20), f(24), f(28)]);
+        break;
+      case 36: // MODIFYWORLDTRANSFORM
+        c.setWorld([f(8), f(12), f(16), f(20), f(24), f(28)], u(32));
+        break;
+      case 37: // SELECTOBJECT
+        c.selectObject(u(8));
+        break;
+      case 40: // DELETEOBJECT
+        c.deleteObject(u(8));
+        break;
+      case 38: // CREATEPEN
+        c.addObject(
+          { type: "pen", style: u(12) & 0x0f, width: Math.abs(r(16)), color: metafileColor(buf, p + 24) },
+          u(8),
+        );
+        break;
+      case 95: // EXTCREATEPEN (pen cosmetic => rộng 1px)
+        c.addObject(
+          {
+            type: "pen",
+            style: u(36) === 1 ? 5 : u(28) & 0x0f,
+            width: u(28) & 0x10000 ? u(32) : 0,
+            color: metafileColor(buf, p + 40),
+          },
+          u(8),
+        );
+        break;
+      case 39: // CREATEBRUSHINDIRECT
+        c.addObject({ type: "brush", style: u(12), color: metafileColor(buf, p + 16), hatch: u(20) }, u(8));
+        break;
+      case 93: // CREATEMONOBRUSH
+      case 94: // CREATEDIBPATTERNBRUSHPT
+        c.addObject({ type: "brush", style: 3, color: "#808080" }, u(8));
+        break;
+      case 49: // CREATEPALETTE
+        c.addObject({ type: "other" }, u(8));
+        break;
+      case 82: // EXTCREATEFONTINDIRECTW
+        c.addObject(
+          {
+            type: "font",
+            height: r(12),
+            escapement: r(20),
+            weight: r(28),
+            italic: !!buf[p + 32],
+            underline: !!buf[p + 33],
+            strike: !!buf[p + 34],
+            charset: buf[p + 35],
+            pitchAndFamily: buf[p + 39],
+            face: buf
+              .toString("utf16le", p + 40, Math.min(end, p + 104))
+              .split("\0")[0]
+              .trim(),
+          },
+          u(8),
+        );
+        break;
+      case 2: // POLYBEZIER
+      case 85: // POLYBEZIER16
+        c.bezier(readPoints(p + 28, u(24), type === 85));
+        break;
+      case 3: // POLYGON
+      case 86: // POLYGON16
+        c.polygon(readPoints(p + 28, u(24), type === 86));
+        break;
+      case 4: // POLYLINE
+      case 87: // POLYLINE16
+        c.polyline(readPoints(p + 28, u(24), type === 87));
+        break;
+      case 5: // POLYBEZIERTO
+      case 88: // POLYBEZIERTO16
+        c.bezier(readPoints(p + 28, u(24), type === 88), true);
+        break;
+      case 6: // POLYLINETO
+      case 89: // POLYLINETO16
+        c.polylineTo(readPoints(p + 28, u(24), type === 89));
+        break;
+      case 7: // POLYPOLYLINE
+      case 90: // POLYPOLYLINE16
+        c.polyPolyline(readPolys(type === 90));
+        break;
+      case 8: // POLYPOLYGON
+      case 91: // POLYPOLYGON16
+        c.polyPolygon(readPolys(type === 91));
+        break;
+      case 42: // ELLIPSE
+        c.ellipse(r(8), r(12), r(16), r(20));
+        break;
+      case 43: // RECTANGLE
+        c.rect(r(8), r(12), r(16), r(20));
+        break;
+      case 44: // ROUNDRECT
+        c.roundRect(r(8), r(12), r(16), r(20), r(24), r(28));
+        break;
+      case 45: // ARC
+      case 46: // CHORD
+      case 47: // PIE
+        c.arc({ 45: "arc", 46: "chord", 47: "pie" }[type], r(8), r(12), r(16), r(20), r(24), r(28), r(32), r(36));
+        break;
+      case 59: // BEGINPATH
+        c.beginPath();
+        break;
+      case 60: // ENDPATH
+        c.endPath();
+        break;
+      case 61: // CLOSEFIGURE
+        c.closeFigure();
+        break;
+      case 62: // FILLPATH
+        c.drawPath(true, false);
+        break;
+      case 63: // STROKEANDFILLPATH
+        c.drawPath(true, true);
+        break;
+      case 64: // STROKEPATH
+        c.drawPath(false, true);
+        break;
+      case 67: // SELECTCLIPPATH
+      case 68: // ABORTPATH
+        c.abortPath();
+        break;
+      case 83: // EXTTEXTOUTA
+      case 84: {
+        // EXTTEXTOUTW
+        const n = u(44);
+        const offStr = u(48);
+        const opts = u(52);
+        const raw =
+          type === 84
+            ? buf.toString("utf16le", p + offStr, Math.min(end, p + offStr + n * 2))
+            : buf.subarray(p + offStr, Math.min(end, p + offStr + n));
+        const str = decodeMetafileText(raw, s.font);
+        const offDx = u(72);
+        const dx =
+          offDx && p + offDx + n * 4 <= end
+            ? Array.from({ length: n }, (_, i) => buf.readInt32LE(p + offDx + i * 4))
+            : null;
+        const opaqueRect = opts & 0x02 ? [r(56), r(60), r(64), r(68)] : null;
+        c.text(r(36), r(40), str, { dx: str.length === n ? dx : null, opaqueRect });
+        break;
+      }
+      case 81: {
+        // STRETCHDIBITS
+        const bm = bitmap(u(48), u(52), u(56), u(60));
+        if (bm) c.image(r(24), r(28), r(72), r(76), ...bm);
+        break;
+      }
+      case 76: // BITBLT
+      case 77: {
+        // STRETCHBLT
+        const bm = bitmap(u(84), u(88), u(92), u(96));
+        if (bm) c.image(r(24), r(28), r(32), r(36), ...bm);
+        else c.patBlt(r(24), r(28), r(32), r(36));
+        break;
+      }
+      case 80: {
+        // SETDIBITSTODEVICE
+        const bm = bitmap(u(48), u(52), u(56), u(60));
+        if (bm) c.image(r(24), r(28), r(40), r(44), ...bm);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return c.toSvg(view);
+}
+
+function metafileToSvg(buffer) {
+  if (buffer.length >= 44 && buffer.readUInt32LE(0) === 1 && buffer.readUInt32LE(40) === 0x464d4520)
+    return emfToSvg(buffer);
+  return wmfToSvg(buffer);
+}
+
+function svgToPng(svg) {
+  return new Resvg(Buffer.isBuffer(svg) ? svg.toString("utf8") : svg, {
+    font: { loadSystemFonts: true, defaultFontFamily: "Liberation Serif" },
+  })
+    .render()
+    .asPng();
+}
+
+// EMF/WMF -> { data, ext } (svg, hoặc png khi METAFILE_FORMAT=png và có @resvg/resvg-js); null nếu không đọc được
+function convertMetafile(buffer) {
+  let svg = null;
+  try {
+    svg = metafileToSvg(buffer);
+  } catch (e) {
+    console.warn("[METAFILE_FAIL]", e?.message);
+  }
+  if (!svg) return null;
+
+  if (CONFIG.METAFILE_FORMAT === "png" && Resvg) {
+    try {
+      return { data: svgToPng(svg), ext: "png" };
+    } catch (e) {
+      console.warn("[METAFILE_PNG_FAIL]", e?.message);
+    }
+  }
+  return { data: Buffer.from(svg, "utf8"), ext: "svg" };
+}
+
+// ============================================================
+// MATHML -> LATEX (optimized with early returns)
+// ============================================================
+function ensureMathMLNamespace(mathml) {
+  if (!mathml) return mathml;
+  let s = String(mathml);
+  s = s.replace(/<\?xml[^>]*\?>/gi, "").trim();
+  s = s.replace(/<math(?![^>]*\bxmlns=)/i, '<math xmlns="http://www.w3.org/1998/Math/MathML"');
+  return s;
+}
+
+function normalizeMtable(mathml) {
+  if (!mathml) return mathml;
+  return String(mathml).replace(/<mtable\b[^>]*>/gi, "<mtable>");
+}
+
+function preprocessMathMLForSqrt(mathml) {
+  if (!mathml) return mathml;
+  let s = String(mathml);
+  const moSqrt = String.raw`<mo>\s*(?:√|&#8730;|&#x221a;|&#x221A;|&radic;)\s*<\/mo>`;
+  s = s.replace(new RegExp(moSqrt + String.raw`\s*<mrow>([\s\S]*?)<\/mrow>`, "gi"), "<msqrt>$1</msqrt>");
+  s = s.replace(new RegExp(moSqrt + String.raw`\s*<mi>([^<]+)<\/mi>`, "gi"), "<msqrt><mi>$1</mi></msqrt>");
+  s = s.replace(new RegExp(moSqrt + String.raw`\s*<mn>([^<]+)<\/mn>`, "gi"), "<msqrt><mn>$1</mn></msqrt>");
+  s = s.replace(
+    new RegExp(moSqrt + String.raw`\s*<mfenced([^>]*)>([\s\S]*?)<\/mfenced>`, "gi"),
+    "<msqrt><mfenced$1>$2</mfenced></msqrt>"
+  );
+  return s;
+}
+
+// mathml-to-latex in ra \left{ ... \right} (không escape) => sanitizeLatexStrict xoá mất ngoặc nhọn
+function escapeMfencedBraces(mathml) {
+  if (!mathml) return mathml;
+  return String(mathml)
+    .replace(/(<mfenced\b[^>]*\bopen=")\{"/gi, '$1\\{"')
+    .replace(/(<mfenced\b[^>]*\bclose=")\}"/gi, '$1\\}"');
+}
+
+function postprocessLatexSqrt(latex) {
+  if (!latex) return latex;
+  let s = String(latex);
+  s = s.replace(/\\surd\b/g, "\\sqrt{}");
+  s = s.replace(/√\s*\{([^}]+)\}/g, "\\sqrt{$1}");
+  s = s.replace(/√\s*\(([^)]+)\)/g, "\\sqrt{$1}");
+  s = s.replace(/√\s*(\d+)/g, "\\sqrt{$1}");
+  s = s.replace(/√\s*([a-zA-Z])/g, "\\sqrt{$1}");
+  s = s.replace(/\\sqrt\s+(\d+)(?![}\d])/g, "\\sqrt{$1}");
+  s = s.replace(/\\sqrt\s+([a-zA-Z])(?![}\w])/g, "\\sqrt{$1}");
+  s = s.replace(/\\sqrt\s*\{\s*\}/g, "\\sqrt{\\phantom{x}}");
+  s = s.replace(/\\sqrt\s+\{/g, "\\sqrt{");
+  s = s.replace(/\\root\s*\{([^}]+)\}\s*\\of\s*\{([^}]+)\}/g, "\\sqrt[$1]{$2}");
+  s = s.replace(/\\sqrt\s*\[\s*(\d+)\s*\]\s*\{/g, "\\sqrt[$1]{");
+  return s;
+}
+
+function finalLatexCleanup(latex) {
+  if (!latex) return latex;
+  let s = String(latex);
+  s = s.replace(/[\u200B-\u200D\uFEFF]/g, "");
+  s = s.replace(/[\u00A0]/g, " ");
+  s = s.replace(/[\u2000-\u200A\u202F\u205F\u3000]/g, " ");
+  s = s.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, "");
+  s = s.replace(/\\left\s*\(\s*\*\s*\\right\s*\)/g, "(*)");
+  s = s.replace(/\\left\s*\(\s*\\star\s*\\right\s*\)/g, "(*)");
+  s = s.replace(/\\left\s*\(\s*\\right\s*\./g, "(");
+  s = s.replace(/\\left\s*\.\s*\\right\s*\)/g, ")");
+  s = s.replace(/\\left\s*\(\s*\\right\s*\)/g, "()");
+  s = s.replace(/\bl\s+o\s+g\b/gi, "\\log");
+  s = s.replace(/\bs\s+i\s+n\b/gi, "\\sin");
+  s = s.replace(/\bc\s+o\s+s\b/gi, "\\cos");
+  s = s.replace(/\bt\s+a\s+n\b/gi, "\\tan");
+  s = s.replace(/\bl\s+n\b/gi, "\\ln");
+  s = s.replace(/\bl\s+i\s+m\b/gi, "\\lim");
+  s = s.replace(/\\log\s*(\d+)\s*_\s*\{\s*\}/g, "\\log_{$1}");
+  s = s.replace(/\\log\s+(\d+)\s*\(/g, "\\log_{$1}(");
+  s = s.replace(/\\log\s+(\d+)\s*\\left/g, "\\log_{$1}\\left");
+  s = s.replace(/_\s*\{\s*\}/g, "");
+  s = s.replace(/\^\s*\{\s*\}/g, "");
+  s = s.replace(/\\star/g, "*");
+  s = s.replace(/\\ast/g, "*");
+  s = s.replace(/\s{2,}/g, " ").trim();
+  return s;
+}
+
+function fixBrokenLeftBracketTableLatex(latex) {
+  if (!latex) return latex;
+  let s = String(latex).trim();
+  if (s.includes("\\left[") && s.includes("\\right.") && s.includes("\\\\") && !/\\begin\{/.test(s)) {
+    s = s.replace(/\\left\[\s*\\right\.\s*/g, "").trim();
+    s = `\\left[\\begin{array}{l} ${s} \\end{array}\\right.`;
+  }
+  return s;
+}
+
+function fixManualBracketMatrix(latex) {
+  if (!latex) return latex;
+  let s = String(latex).trim();
+  if (/^\[\s*\\begin\{matrix\}/.test(s) && !/\\right\b/.test(s)) {
+    s = s.replace(/^\[\s*/, "");
+    s = `\\left[${s}\\right.`;
+  }
+  return s;
+}
+
+function manualMathMLToLatex(mathml) {
+  if (!mathml) return "";
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "@_",
+    textNodeName: "#text",
+    preserveOrder: false,
+  });
+
+  let parsed;
+  try {
+    parsed = parser.parse(mathml);
+  } catch {
+    return "";
+  }
+
+  function nodeToLatex(node) {
+    if (!node) return "";
+    if (typeof node === "string") return node;
+    if (typeof node === "number") return String(node);
+    if (node["#text"] !== undefined) return String(node["#text"]);
+    if (Array.isArray(node)) return node.map(nodeToLatex).join("");
+
+    let result = "";
+    for (const [tag, content] of Object.entries(node)) {
+      if (tag.startsWith("@_")) continue;
+      const tagLower = tag.toLowerCase();
+
+      switch (tagLower) {
+        case "math":
+        case "mrow":
+        case "mstyle":
+        case "mpadded":
+        case "mphantom":
+          result += nodeToLatex(content);
+          break;
+        case "msqrt":
+          result += `\\sqrt{${nodeToLatex(content)}}`;
+          break;
+        case "mroot":
+          if (Array.isArray(content) && content.length >= 2)
+            result += `\\sqrt[${nodeToLatex(content[1])}]{${nodeToLatex(content[0])}}`;
+          else result += `\\sqrt{${nodeToLatex(content)}}`;
+          break;
+        case "mfrac":
+          if (Array.isArray(content) && content.length >= 2)
+            result += `\\frac{${nodeToLatex(content[0])}}{${nodeToLatex(content[1])}}`;
+          else result += nodeToLatex(content);
+          break;
+        case "msup":
+          if (Array.isArray(content) && content.length >= 2)
+            result += `${nodeToLatex(content[0])}^{${nodeToLatex(content[1])}}`;
+          else result += nodeToLatex(content);
+          break;
+        case "msub":
+          if (Array.isArray(content) && content.length >= 2)
+            result += `${nodeToLatex(content[0])}_{${nodeToLatex(content[1])}}`;
+          else result += nodeToLatex(content);
+          break;
+        case "msubsup":
+          if (Array.isArray(content) && content.length >= 3)
+            result += `${nodeToLatex(content[0])}_{${nodeToLatex(content[1])}}^{${nodeToLatex(content[2])}}`;
+          else result += nodeToLatex(content);
+          break;
+        case "mi":
+        case "mn":
+        case "mtext":
+          result += nodeToLatex(content);
+          break;
+        case "mo": {
+          const op = nodeToLatex(content);
+          const opMap = {
+            "√": "\\sqrt",
+            "×": "\\times",
+            "÷": "\\div",
+            "±": "\\pm",
+            "∓": "\\mp",
+            "≤": "\\leq",
+            "≥": "\\geq",
+            "≠": "\\neq",
+            "≈": "\\approx",
+            "∞": "\\infty",
+            "→": "\\to",
+            "←": "\\leftarrow",
+            "⇒": "\\Rightarrow",
+            "⇐": "\\Leftarrow",
+            "∈": "\\in",
+            "∉": "\\notin",
+            "⊂": "\\subset",
+            "⊃": "\\supset",
+            "∪": "\\cup",
+            "∩": "\\cap",
+            "∀": "\\forall",
+            "∃": "\\exists",
+            "∂": "\\partial",
+            "∇": "\\nabla",
+            "∑": "\\sum",
+            "∏": "\\prod",
+            "∫": "\\int",
+          };
+          result += opMap[op] || op;
+          break;
+        }
+        case "mfenced": {
+          const open = node["@_open"] ?? "(";
+          const close = node["@_close"] ?? ")";
+          result += `\\left${open}${nodeToLatex(content)}\\right${close}`;
+          break;
+        }
+        case "mtable":
+          result += `\\begin{matrix}${nodeToLatex(content)}\\end{matrix}`;
+          break;
+        case "mtr":
+          result += nodeToLatex(content) + " \\\\ ";
+          break;
+        case "mtd":
+          result += nodeToLatex(content) + " & ";
+          break;
+        default:
+          result += nodeToLatex(content);
+      }
+    }
+    return result;
+  }
+
+  let latex = nodeToLatex(parsed);
+  latex = latex.replace(/\s*&\s*\\\\/g, " \\\\");
+  latex = latex.replace(/\s*&\s*$/g, "");
+  latex = latex.replace(/\s+/g, " ").trim();
+  return latex;
+}
+
+// trace (tuỳ chọn, cho diagnostics): converter nào đã sinh LaTeX và lỗi của MathMLToLaTeX nếu có.
+// strategy "manual": bỏ qua MathMLToLaTeX (đường sửa lỗi khi LaTeX không parse được)
+function customMathMLToLatex(mathml, trace = {}, strategy = "auto") {
+  if (!mathml) return "";
+  let mm = ensureMathMLNamespace(mathml);
+  mm = normalizeMtable(mm);
+  mm = preprocessMathMLForSqrt(mm);
+  mm = escapeMfencedBraces(mm);
+
+  let latex = "";
+  trace.converter = "mathml-to-latex";
+  try {
+    if (strategy !== "manual") latex = MathMLToLaTeX.convert(mm) || "";
+  } catch (e) {
+    trace.converterError = e?.message || String(e);
+    latex = "";
+  }
+
+  if (!latex) {
+    trace.converter = "manual";
+    latex = manualMathMLToLatex(mm) || "";
+    latex = fixManualBracketMatrix(latex);
+  }
+
+  latex = fixBrokenLeftBracketTableLatex(latex);
+  latex = postprocessLatexSqrt(latex);
+  return String(latex || "").trim();
+}
+
+function mathmlToLatexSafe(mathml, trace = {}, strategy = "auto") {
+  try {
+    return customMathMLToLatex(mathml, trace, strategy);
+  } catch (e) {
+    trace.error = e?.message || String(e);
+    return "";
+  }
+}
+
+function sanitizeLatexStrict(latex) {
+  if (!latex) return latex;
+  latex = String(latex).replace(/\s+/g, " ").trim();
+  latex = latex
+    .replace(/\\left(?!\s*(\(|\[|\\\{|\\langle|\\vert|\\\||\||\.))/g, "")
+    .replace(/\\right(?!\s*(\)|\]|\\\}|\\rangle|\\vert|\\\||\||\.))/g, "");
+
+  const tokens = latex.match(/\\left\b|\\right\b/g) || [];
+  let bal = 0,
+    broken = false;
+  for (const t of tokens) {
+    if (t === "\\left") bal++;
+    else {
+      if (bal === 0) {
+        broken = true;
+        break;
+      }
+      bal--;
+    }
+  }
+  if (bal !== 0) broken = true;
+  if (broken) latex = latex.replace(/\\left\s*/g, "").replace(/\\right\s*/g, "");
+  return latex;
+}
+
+function fixSetBracesHard(latex) {
+  let s = String(latex || "");
+  s = s.replace(/\\underset\s*\{([^}]*)\}\s*\{\s*l\s*i\s*m\s*\}/gi, "\\underset{$1}{\\lim}");
+  s = s.replace(/\b(l)\s+(i)\s+(m)\b/gi, "lim");
+  s = s.replace(/(^|[^A-Za-z\\])lim([^A-Za-z]|$)/g, "$1\\lim$2");
+  s = s.replace(/\\arrow\b/g, "\\rightarrow");
+  s = s.replace(/\bxarrow\b/g, "x\\rightarrow");
+  s = s.replace(/\bxrightarrow\b/g, "\\xrightarrow");
+  s = s.replace(/\\\{\s*\./g, "\\{");
+  s = s.replace(/\.\s*\\\}/g, "\\}");
+  s = s.replace(/\\\}\s*\./g, "\\}");
+  s = s.replace(/\\mathbb\{([A-Za-z])\\\}/g, "\\mathbb{$1}");
+  s = s.replace(/\\mathbb\{([A-Za-z])\}\s*\.\s*\}/g, "\\mathbb{$1}}");
+  s = s.replace(/\\backslash\s*{(?!\\)/g, "\\backslash \\{");
+  s = s.replace(/\\setminus\s*{(?!\\)/g, "\\setminus \\{");
+  if ((s.includes("\\backslash \\{") || s.includes("\\setminus \\{")) && !s.includes("\\}")) {
+    s = s.replace(/\}\s*$/g, "").trim() + "\\}";
+  }
+  s = s.replace(/\\\}\s*([,.;:])/g, "\\}$1");
+  s = s.replace(/\\frac\{([^}]*)\}\{([^}]*)\}/g, (m, a, b) => {
+    const bb = String(b).replace(/(\d)\s+(\d)/g, "$1$2");
+    return `\\frac{${a}}{${bb}}`;
+  });
+  s = s.replace(/\s+/g, " ").trim();
+  return s;
+}
+
+function restoreArrowAndCoreCommands(latex) {
+  let s = String(latex || "");
+  s = s.replace(/\s+/g, " ").trim();
+  s = s.replace(/\b([A-Za-z])\s+arrow\b/g, "$1 \\to");
+  s = s.replace(/\brightarrow\b/g, "\\rightarrow");
+  s = s.replace(/\barrow\b/g, "\\rightarrow");
+  s = s.replace(/(^|[^A-Za-z\\])to([^A-Za-z]|$)/g, "$1\\to$2");
+  s = s.replace(/(^|[^A-Za-z\\])(sin|cos|tan|cot|log|ln|exp|max|min)(?![A-Za-z])/g, "$1\\$2");
+  return s.replace(/\s+/g, " ").trim();
+}
+
+function normalizeLatexCommands(latex) {
+  if (!latex) return latex;
+  return fixSetBracesHard(String(latex));
+}
+
+function fixPiecewiseFunction(latex) {
+  let s = String(latex || "");
+  s = s.replace(/\(\.\s+/g, "(");
+  s = s.replace(/\s+\.\)/g, ")");
+  s = s.replace(/\[\.\s+/g, "[");
+  s = s.replace(/\s+\.\]/g, "]");
+
+  const piecewiseMatch = s.match(/(?<!\\)\{\.\s+/);
+  if (piecewiseMatch) {
+    const startIdx = piecewiseMatch.index;
+    const contentStart = startIdx + piecewiseMatch[0].length;
+    let braceCount = 1,
+      endIdx = contentStart,
+      foundEnd = false;
+
+    for (let i = contentStart; i < s.length; i++) {
+      const ch = s[i],
+        prevCh = i > 0 ? s[i - 1] : "";
+      if (prevCh === "\\") continue;
+      if (ch === "{") braceCount++;
+      else if (ch === "}") {
+        braceCount--;
+        if (braceCount === 0) {
+          endIdx = i;
+          foundEnd = true;
+          break;
+        }
+      }
+    }
+
+    if (!foundEnd) endIdx = s.length;
+    let content = s.slice(contentStart, endIdx).trim();
+    content = content.replace(/\s+\.\s*$/, "");
+    content = content.replace(/\s+\\\s+(?=\d)/g, " \\\\ ");
+    const before = s.slice(0, startIdx);
+    const after = foundEnd ? s.slice(endIdx + 1) : "";
+    s = before + `\\begin{cases} ${content} \\end{cases}` + after;
+  }
+  return s;
+}
+
+function processLatex(mathml, trace = {}, strategy = "auto") {
+  let latex = mathmlToLatexSafe(mathml, trace, strategy);
+  trace.rawLatex = latex;
+  if (!latex) return "";
+
+  latex = sanitizeLatexStrict(latex);
+  latex = normalizeLatexCommands(latex);
+  latex = restoreArrowAndCoreCommands(latex);
+  latex = fixPiecewiseFunction(latex);
+  latex = postprocessLatexSqrt(latex);
+  latex = finalLatexCleanup(latex);
+
+  return latex;
+}
+
+// ============================================================
+// LATEX VALIDATION - parse thử bằng KaTeX (offline) trước khi MathJax hiện chữ đỏ cho học sinh
+// ============================================================
+// Lệnh pipeline chủ động sinh ra (bảng tables=latex) mà KaTeX không có: chỉ kiểm tra cú pháp các tham số
+const KATEX_VALIDATION_MACROS = {
+  "\\multicolumn": "\\@secondoftwo{#1#2}{#3}",
+};
+
+// null = hợp lệ, ngược lại là thông báo lỗi ngắn ("Undefined control sequence: \foo at position 1")
+function validateLatex(latex) {
+  if (!latex) return "empty_latex";
+  try {
+    katex.renderToString(latex, {
+      output: "mathml",
+      displayMode: true,
+      throwOnError: true,
+      strict: "ignore",
+      macros: { ...KATEX_VALIDATION_MACROS }, // KaTeX ghi \gdef vào object macros
+    });
+    return null;
+  } catch (e) {
+    return String(e?.message || e)
+      .replace(/^KaTeX parse error:\s*/, "")
+      .replace(/(at position \d+):[\s\S]*$/, "$1");
+  }
+}
+
+// Bỏ "}" thừa, thêm "}" còn thiếu ("\{" / "\}" là ký tự, không tính)
+function balanceLatexBraces(latex) {
+  let out = "",
+    depth = 0;
+  for (let i = 0; i < latex.length; i++) {
+    const c = latex[i];
+    if (c === "\\") {
+      out += c + (latex[i + 1] ?? "");
+      i++;
+      continue;
+    }
+    if (c === "}" && !depth) continue;
+    if (c === "{") depth++;
+    if (c === "}") depth--;
+    out += c;
+  }
+  return out + "}".repeat(depth);
+}
+
+// processLatex + kiểm tra. LaTeX lỗi => thử đường manual MathML -> LaTeX, rồi cân bằng ngoặc; vẫn lỗi thì giữ
+// bản gốc kèm latexError. latexRepair cho biết cách sửa đã dùng.
+function processLatexChecked(mathml, trace = {}) {
+  const latex = processLatex(mathml, trace);
+  const latexError = validateLatex(latex);
+  if (!latexError) return { latex, latexValid: true, latexError: null, latexRepair: null };
+
+  const repairs = [
+    ["manual", () => processLatex(mathml, {}, "manual")],
+    ["balance_braces", () => balanceLatexBraces(latex)],
+  ];
+  for (const [repair, fn] of repairs) {
+    const fixed = fn();
+    if (fixed && fixed !== latex && !validateLatex(fixed))
+      return { latex: fixed, latexValid: true, latexError: null, latexRepair: repair };
+  }
+  return { latex, latexValid: false, latexError, latexRepair: null };
+}
+
+// ============================================================
+// MATH CONVERSION - LaTeX -> MathML, MathML -> OMML (Word)
+// ============================================================
+const LATEX_SYMBOLS = {
+  alpha: "α",
+  beta: "β",
+  gamma: "γ",
+  delta: "δ",
+  epsilon: "ϵ",
+  varepsilon: "ε",
+  zeta: "ζ",
+  eta: "η",
+  theta: "θ",
+  vartheta: "ϑ",
+  iota: "ι",
+  kappa: "κ",
+  lambda: "λ",
+  mu: "μ",
+  nu: "ν",
+  xi: "ξ",
+  pi: "π",
+  rho: "ρ",
+  sigma: "σ",
+  tau: "τ",
+  upsilon: "υ",
+  phi: "ϕ",
+  varphi: "φ",
+  chi: "χ",
+  psi: "ψ",
+  omega: "ω",
+  Gamma: "Γ",
+  Delta: "Δ",
+  Theta: "Θ",
+  Lambda: "Λ",
+  Xi: "Ξ",
+  Pi: "Π",
+  Sigma: "Σ",
+  Phi: "Φ",
+  Psi: "Ψ",
+  Omega: "Ω",
+  infty: "∞",
+  partial: "∂",
+  nabla: "∇",
+  emptyset: "∅",
+  varnothing: "∅",
+  ell: "ℓ",
+  angle: "∠",
+  triangle: "△",
+  degree: "°",
+  circ: "∘",
+  prime: "′",
+  cdots: "⋯",
+  ldots: "…",
+  dots: "…",
+};
+
+const LATEX_OPERATORS = {
+  times: "×",
+  div: "÷",
+  pm: "±",
+  mp: "∓",
+  cdot: "⋅",
+  ast: "∗",
+  star: "⋆",
+  leq: "≤",
+  le: "≤",
+  geq: "≥",
+  ge: "≥",
+  neq: "≠",
+  ne: "≠",
+  approx: "≈",
+  equiv: "≡",
+  sim: "∼",
+  simeq: "≃",
+  cong: "≅",
+  propto: "∝",
+  to: "→",
+  rightarrow: "→",
+  leftarrow: "←",
+  Rightarrow: "⇒",
+  Leftarrow: "⇐",
+  Leftrightarrow: "⇔",
+  leftrightarrow: "↔",
+  mapsto: "↦",
+  nearrow: "↗",
+  searrow: "↘",
+  in: "∈",
+  notin: "∉",
+  ni: "∋",
+  subset: "⊂",
+  supset: "⊃",
+  subseteq: "⊆",
+  supseteq: "⊇",
+  cup: "∪",
+  cap: "∩",
+  setminus: "∖",
+  backslash: "\\",
+  forall: "∀",
+  exists: "∃",
+  neg: "¬",
+  land: "∧",
+  lor: "∨",
+  wedge: "∧",
+  vee: "∨",
+  perp: "⊥",
+  parallel: "∥",
+  mid: "∣",
+  sum: "∑",
+  prod: "∏",
+  int: "∫",
+  iint: "∬",
+  iiint: "∭",
+  oint: "∮",
+  lbrace: "{",
+  rbrace: "}",
+  langle: "⟨",
+  rangle: "⟩",
+  vert: "|",
+  Vert: "‖",
+  lfloor: "⌊",
+  rfloor: "⌋",
+  lceil: "⌈",
+  rceil: "⌉",
+  uparrow: "↑",
+  downarrow: "↓",
+  therefore: "∴",
+  because: "∵",
+  bot: "⊥",
+  colon: ":",
+};
+
+const LATEX_FUNCTIONS = new Set([
+  "sin",
+  "cos",
+  "tan",
+  "cot",
+  "sec",
+  "csc",
+  "arcsin",
+  "arccos",
+  "arctan",
+  "sinh",
+  "cosh",
+  "tanh",
+  "log",
+  "ln",
+  "lg",
+  "exp",
+  "lim",
+  "max",
+  "min",
+  "sup",
+  "inf",
+  "det",
+  "deg",
+  "dim",
+  "gcd",
+  "arg",
+]);
+
+const LATEX_ACCENTS = {
+  overline: "¯",
+  bar: "¯",
+  vec: "→",
+  overrightarrow: "→",
+  hat: "^",
+  widehat: "^",
+  tilde: "~",
+  widetilde: "~",
+  dot: "˙",
+  ddot: "¨",
+  overleftarrow: "←",
+  overparen: "⏜",
+  underline: "_",
+};
+
+const LATEX_SPACES = { ",": "0.167em", ":": "0.222em", ";": "0.278em", quad: "1em", qquad: "2em", " ": "0.25em" };
+
+function tokenizeLatex(latex) {
+  const tokens = [];
+  const re = /\\([A-Za-z]+|.)|(\d+(?:\.\d+)?)|(\s+)|(.)/gsu;
+  let m;
+  while ((m = re.exec(String(latex || ""))) !== null) {
+    if (m[1] !== undefined) tokens.push({ type: "cmd", value: m[1] });
+    else if (m[2] !== undefined) tokens.push({ type: "num", value: m[2] });
+    else if (m[3] !== undefined) tokens.push({ type: "space" });
+    else tokens.push({ type: "char", value: m[4] });
+  }
+  return tokens;
+}
+
+function latexToMathml(latex, { display = false } = {}) {
+  const tokens = tokenizeLatex(latex);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const skipSpaces = () => {
+    while (tokens[pos]?.type === "space") pos++;
+  };
+  const isChar = (t, c) => t && t.type === "char" && t.value === c;
+  const mrow = (items) => (items.length === 1 ? items[0] : `<mrow>${items.join("")}</mrow>`);
+  const mo = (c, attrs = "") => `<mo${attrs}>${escapeXml(c)}</mo>`;
+
+  function readGroupRaw() {
+    // Đọc {...} dạng text thô (cho \text, \begin{...}, tham số cột của array)
+    skipSpaces();
+    if (!isChar(peek(), "{")) return "";
+    pos++;
+    let depth = 1,
+      out = "";
+    while (pos < tokens.length) {
+      const t = tokens[pos++];
+      if (isChar(t, "{")) depth++;
+      else if (isChar(t, "}") && --depth === 0) break;
+      out += t.type === "cmd" ? (t.value.length === 1 ? t.value : `\\${t.value}`) : t.type === "space" ? " " : t.value;
+    }
+    return out;
+  }
+
+  function parseArg() {
+    skipSpaces();
+    const t = peek();
+    if (!t) return "<mrow/>";
+    if (isChar(t, "{")) {
+      pos++;
+      const items = parseList((tk) => isChar(tk, "}"));
+      pos++;
+      return mrow(items);
+    }
+    return parseAtom() || "<mrow/>";
+  }
+
+  function parseOptional() {
+    skipSpaces();
+    if (!isChar(peek(), "[")) return null;
+    pos++;
+    const items = parseList((tk) => isChar(tk, "]"));
+    pos++;
+    return mrow(items);
+  }
+
+  function parseDelimiter() {
+    skipSpaces();
+    const t = tokens[pos++];
+    if (!t) return "";
+    if (t.type === "cmd") {
+      if (t.value === "{" || t.value === "}") return t.value;
+      if (t.value === "|") return "‖";
+      return LATEX_OPERATORS[t.value] || "";
+    }
+    return t.value === "." ? "" : t.value;
+  }
+
+  function parseEnvironment(name) {
+    const cols = name === "array" ? readGroupRaw() : "";
+    const rows = [[[]]];
+    let hline = false;
+    while (pos < tokens.length) {
+      skipSpaces();
+      const t = peek();
+      if (!t) break;
+      if (t.type === "cmd" && t.value === "end") {
+        pos++;
+        readGroupRaw();
+        break;
+      }
+      if (isChar(t, "&")) {
+        pos++;
+        rows[rows.length - 1].push([]);
+        continue;
+      }
+      if (t.type === "cmd" && t.value === "\\") {
+        pos++;
+        rows.push([[]]);
+        continue;
+      }
+      if (t.type === "cmd" && t.value === "hline") {
+        pos++;
+        hline = true;
+        continue;
+      }
+      const row = rows[rows.length - 1];
+      if (t.type === "cmd" && t.value === "multicolumn") {
+        pos++;
+        row[row.length - 1].span = Number(readGroupRaw()) || 1;
+        readGroupRaw();
+        row[row.length - 1].push(parseArg());
+        continue;
+      }
+      const item = parseAtomWithScripts();
+      if (item) row[row.length - 1].push(item);
+    }
+    while (rows.length > 1 && rows[rows.length - 1].every((c) => !c.length)) rows.pop();
+
+    const align =
+      name === "cases"
+        ? ' columnalign="left"'
+        : cols
+          ? ` columnalign="${cols
+              .replace(/[^lcr]/g, "")
+              .split("")
+              .map((c) => ({ l: "left", c: "center", r: "right" })[c])
+              .join(" ")}"`
+          : "";
+    const lines = hline ? ` frame="solid" rowlines="solid"${cols.includes("|") ? ' columnlines="solid"' : ""}` : "";
+    const cell = (c) => `<mtd${c.span > 1 ? ` columnspan="${c.span}"` : ""}>${mrow(c)}</mtd>`;
+    const table = `<mtable${align}${lines}>${rows.map((r) => `<mtr>${r.map(cell).join("")}</mtr>`).join("")}</mtable>`;
+    const fences = {
+      pmatrix: ["(", ")"],
+      bmatrix: ["[", "]"],
+      Bmatrix: ["{", "}"],
+      vmatrix: ["|", "|"],
+      cases: ["{", ""],
+    };
+    const f = fences[name];
+    if (!f) return table;
+    return `<mrow>${f[0] ? mo(f[0]) : ""}${table}${f[1] ? mo(f[1]) : ""}</mrow>`;
+  }
+
+  function parseCommand(name) {
+    if (name === "frac" || name === "dfrac" || name === "tfrac" || name === "cfrac") {
+      return `<mfrac>${parseArg()}${parseArg()}</mfrac>`;
+    }
+    if (name === "binom")
+      return `<mrow>${mo("(")}<mfrac linethickness="0">${parseArg()}${parseArg()}</mfrac>${mo(")")}</mrow>`;
+    if (name === "sqrt") {
+      const index = parseOptional();
+      const body = parseArg();
+      return index ? `<mroot>${body}${index}</mroot>` : `<msqrt>${body}</msqrt>`;
+    }
+    if (name === "left") {
+      const open = parseDelimiter();
+      const items = parseList((tk) => tk.type === "cmd" && tk.value === "right");
+      pos++;
+      const close = parseDelimiter();
+      return `<mrow>${open ? mo(open, ' fence="true"') : ""}${items.join("")}${close ? mo(close, ' fence="true"') : ""}</mrow>`;
+    }
+    if (name === "right") return "";
+    if (name === "text" || name === "textrm" || name === "mbox" || name === "textit" || name === "textbf") {
+      return `<mtext>${escapeXml(readGroupRaw())}</mtext>`;
+    }
+    if (
+      name === "mathbb" ||
+      name === "mathbf" ||
+      name === "mathrm" ||
+      name === "mathit" ||
+      name === "mathcal" ||
+      name === "operatorname"
+    ) {
+      const variant = {
+        mathbb: "double-struck",
+        mathbf: "bold",
+        mathrm: "normal",
+        mathit: "italic",
+        mathcal: "script",
+        operatorname: "normal",
+      }[name];
+      return `<mi mathvariant="${variant}">${escapeXml(readGroupRaw())}</mi>`;
+    }
+    if (LATEX_ACCENTS[name]) {
+      const body = parseArg();
+      if (name === "underline") return `<munder>${body}${mo("_")}</munder>`;
+      return `<mover accent="true">${body}${mo(LATEX_ACCENTS[name])}</mover>`;
+    }
+    if (name === "underset" || name === "overset" || name === "stackrel") {
+      const script = parseArg();
+      const base = parseArg();
+      return name === "underset" ? `<munder>${base}${script}</munder>` : `<mover>${base}${script}</mover>`;
+    }
+    if (name === "xrightarrow") {
+      parseOptional();
+      return `<mover>${mo("→")}${parseArg()}</mover>`;
+    }
+    if (name === "begin") return parseEnvironment(readGroupRaw());
+    if (name === "displaystyle" || name === "limits" || name === "nolimits" || name === "!") return "";
+    if (LATEX_SPACES[name]) return `<mspace width="${LATEX_SPACES[name]}"/>`;
+    if (LATEX_FUNCTIONS.has(name)) return `<mi>${name}</mi>`;
+    if (LATEX_SYMBOLS[name]) return `<mi>${LATEX_SYMBOLS[name]}</mi>`;
+    if (LATEX_OPERATORS[name]) return mo(LATEX_OPERATORS[name]);
+    if (name.length === 1) return mo(name); // \{ \} \% \| ...
+    return `<mi>${escapeXml(name)}</mi>`;
+  }
+
+  function parseAtom() {
+    skipSpaces();
+    const t = tokens[pos];
+    if (!t) return "";
+    pos++;
+    if (t.type === "num") return `<mn>${t.value}</mn>`;
+    if (t.type === "cmd") return parseCommand(t.value);
+    if (t.value === "{") {
+      const items = parseList((tk) => isChar(tk, "}"));
+      pos++;
+      return mrow(items);
+    }
+    if (/\p{L}/u.test(t.value)) return `<mi>${escapeXml(t.value)}</mi>`;
+    if (t.value === "'") return mo("′");
+    if (t.value === "~") return `<mspace width="0.25em"/>`;
+    return mo(t.value);
+  }
+
+  function parseAtomWithScripts() {
+    const startTok = peek();
+    let base = parseAtom();
+    if (!base && !isChar(peek(), "^") && !isChar(peek(), "_")) return base;
+    const isBigOp = startTok?.type === "cmd" && /^(sum|prod|lim|max|min|bigcup|bigcap)$/.test(startTok.value);
+
+    let sub = null,
+      sup = null;
+    for (;;) {
+      skipSpaces();
+      if (isChar(peek(), "_") && sub === null) {
+        pos++;
+        sub = parseArg();
+      } else if (isChar(peek(), "^") && sup === null) {
+        pos++;
+        sup = parseArg();
+      } else break;
+    }
+    base = base || "<mrow/>";
+    if (sub !== null && sup !== null)
+      return isBigOp ? `<munderover>${base}${sub}${sup}</munderover>` : `<msubsup>${base}${sub}${sup}</msubsup>`;
+    if (sub !== null) return isBigOp ? `<munder>${base}${sub}</munder>` : `<msub>${base}${sub}</msub>`;
+    if (sup !== null) return isBigOp ? `<mover>${base}${sup}</mover>` : `<msup>${base}${sup}</msup>`;
+    return base;
+  }
+
+  function parseList(stop) {
+    const items = [];
+    while (pos < tokens.length) {
+      skipSpaces();
+      const t = peek();
+      if (!t || stop(t)) break;
+      if (t.type === "cmd" && (t.value === "end" || t.value === "\\")) break;
+      if (isChar(t, "&") || isChar(t, "}")) {
+        pos++;
+        continue;
+      }
+      const item = parseAtomWithScripts();
+      if (item) items.push(item);
+    }
+    return items;
+  }
+
+  const items = [];
+  while (pos < tokens.length) {
+    items.push(...parseList(() => false));
+    if (pos < tokens.length) pos++; // bỏ qua \end / \\ lạc ở top-level
+  }
+  const displayAttr = display ? ' display="block"' : "";
+  return `<math xmlns="http://www.w3.org/1998/Math/MathML"${displayAttr}>${mrow(items)}</math>`;
+}
+
+// ---- MathML tree helpers (fast-xml-parser preserveOrder) ----
+function parseMathmlTree(mathml) {
+  const parser = new XMLParser({ ignoreAttributes: false, preserveOrder: true, trimValues: false });
+  const src = htmlEntitiesToXml(String(mathml || "").replace(/<\?xml[^>]*\?>/gi, "")).replace(/<(\/?)m:/g, "<$1");
+  try {
+    const tree = parser.parse(src);
+    const math = tree.find((n) => n && n.math);
+    return math ? math.math : tree;
+  } catch {
+    return [];
+  }
+}
+
+function mmTag(node) {
+  return Object.keys(node || {}).find((k) => k !== ":@") || "";
+}
+
+function mmAttr(node, name) {
+  return node?.[":@"]?.[`@_${name}`];
+}
+
+function mmChildren(node) {
+  const kidsArr = node?.[mmTag(node)];
+  return Array.isArray(kidsArr) ? kidsArr.filter((k) => mmTag(k) && mmTag(k) !== "#text") : [];
+}
+
+function mmText(node) {
+  if (!node) return "";
+  if (node["#text"] !== undefined) return String(node["#text"]);
+  const kidsArr = node[mmTag(node)];
+  return Array.isArray(kidsArr) ? kidsArr.map(mmText).join("") : "";
+}
+
+// ---- MathML -> OMML ----
+const OMML_NARY = new Set(["∑", "∏", "∫", "∬", "∭", "∮", "⋃", "⋂"]);
+const OMML_ACCENTS = {
+  "¯": "bar",
+  "‾": "bar",
+  "→": "acc",
+  "^": "acc",
+  ˆ: "acc",
+  "~": "acc",
+  "˜": "acc",
+  "˙": "acc",
+  "¨": "acc",
+};
+
+const OMML_SCRIPTS = { "double-struck": "double-struck", script: "script", fraktur: "fraktur" };
+
+function ommlRun(text, { plain = false, variant } = {}) {
+  if (!text) return "";
+  const props =
+    (OMML_SCRIPTS[variant] ? `<m:scr m:val="${OMML_SCRIPTS[variant]}"/>` : "") +
+    (variant === "bold" ? `<m:sty m:val="b"/>` : plain ? `<m:sty m:val="p"/>` : "");
+  const rPr = props ? `<m:rPr>${props}</m:rPr>` : "";
+  return `<m:r>${rPr}<m:t xml:space="preserve">${escapeXml(text)}</m:t></m:r>`;
+}
+
+const OMML_NARY_STOP = new Set(["=", "<", ">", "≤", "≥", "≠", "≈", ",", ";"]);
+
+function naryParts(node) {
+  const tag = mmTag(node);
+  const ch = mmChildren(node);
+  if (tag === "mo") return OMML_NARY.has(mmText(node).trim()) ? { op: node } : null;
+  if (!OMML_NARY.has(mmText(ch[0]).trim()) || mmChildren(ch[0]).length) return null;
+  if (tag === "msub") return { op: ch[0], lower: ch[1] };
+  if (tag === "msup") return { op: ch[0], upper: ch[1] };
+  if (tag === "msubsup") return { op: ch[0], lower: ch[1], upper: ch[2] };
+  if (tag === "munder") return { op: ch[0], lower: ch[1], limLoc: true };
+  if (tag === "mover") return { op: ch[0], upper: ch[1], limLoc: true };
+  if (tag === "munderover") return { op: ch[0], lower: ch[1], upper: ch[2], limLoc: true };
+  return null;
+}
+
+// ∑/∫ trong MathML đứng cạnh biểu thức; OMML cần biểu thức nằm trong m:nary/m:e
+function mathmlNodesToOmml(nodes) {
+  let out = "";
+  for (let i = 0; i < (nodes || []).length; i++) {
+    const nary = naryParts(nodes[i]);
+    if (!nary) {
+      out += mathmlNodeToOmml(nodes[i]);
+      continue;
+    }
+    let j = i + 1;
+    while (j < nodes.length && !(mmTag(nodes[j]) === "mo" && OMML_NARY_STOP.has(mmText(nodes[j]).trim()))) j++;
+    out += ommlNary(nary, nodes.slice(i + 1, j));
+    i = j - 1;
+  }
+  return out;
+}
+
+function mathmlNodeToOmml(node) {
+  const tag = mmTag(node);
+  const ch = mmChildren(node);
+  const e = (n) => `<m:e>${n ? mathmlNodeToOmml(n) : ""}</m:e>`;
+  const wrap = (name, n) => `<m:${name}>${n ? mathmlNodeToOmml(n) : ""}</m:${name}>`;
+
+  switch (tag) {
+    case "mi": {
+      const t = mmText(node);
+      const variant = mmAttr(node, "mathvariant");
+      return ommlRun(t, { plain: t.length > 1 || variant === "normal", variant });
+    }
+    case "mn":
+      return ommlRun(mmText(node));
+    case "mo":
+      return ommlRun(mmText(node).trim());
+    case "mtext":
+    case "ms":
+      return ommlRun(mmText(node), { plain: true });
+    case "mspace":
+      return ommlRun(" ");
+    case "mfrac": {
+      const noBar = mmAttr(node, "linethickness") === "0";
+      return `<m:f>${noBar ? `<m:fPr><m:type m:val="noBar"/></m:fPr>` : ""}${wrap("num", ch[0])}${wrap("den", ch[1])}</m:f>`;
+    }
+    case "msqrt":
+      return `<m:rad><m:radPr><m:degHide m:val="1"/></m:radPr><m:deg/><m:e>${mathmlNodesToOmml(ch)}</m:e></m:rad>`;
+    case "mroot":
+      return `<m:rad>${wrap("deg", ch[1])}${e(ch[0])}</m:rad>`;
+    case "msup":
+      return `<m:sSup>${e(ch[0])}${wrap("sup", ch[1])}</m:sSup>`;
+    case "msub":
+      return `<m:sSub>${e(ch[0])}${wrap("sub", ch[1])}</m:sSub>`;
+    case "msubsup":
+      return `<m:sSubSup>${e(ch[0])}${wrap("sub", ch[1])}${wrap("sup", ch[2])}</m:sSubSup>`;
+    case "munderover":
+      return `<m:limUpp><m:e><m:limLow>${e(ch[0])}${wrap("lim", ch[1])}</m:limLow></m:e>${wrap("lim", ch[2])}</m:limUpp>`;
+    case "munder":
+      return `<m:limLow>${e(ch[0])}${wrap("lim", ch[1])}</m:limLow>`;
+    case "mover": {
+      const accent = mmTag(ch[1]) === "mo" ? mmText(ch[1]).trim() : "";
+      if (OMML_ACCENTS[accent] === "bar") return `<m:bar><m:barPr><m:pos m:val="top"/></m:barPr>${e(ch[0])}</m:bar>`;
+      if (OMML_ACCENTS[accent]) {
+        const chr = accent === "→" ? "⃗" : accent === "^" ? "̂" : accent === "~" ? "̃" : accent;
+        return `<m:acc><m:accPr><m:chr m:val="${escapeXml(chr)}"/></m:accPr>${e(ch[0])}</m:acc>`;
+      }
+      return `<m:limUpp>${e(ch[0])}${wrap("lim", ch[1])}</m:limUpp>`;
+    }
+    case "mfenced": {
+      const open = mmAttr(node, "open") ?? "(";
+      const close = mmAttr(node, "close") ?? ")";
+      return (
+        `<m:d><m:dPr><m:begChr m:val="${escapeXml(open)}"/><m:endChr m:val="${escapeXml(close)}"/></m:dPr>` +
+        (ch.length ? ch.map((c) => e(c)).join("") : "<m:e/>") +
+        `</m:d>`
+      );
+    }
+    case "mtable": {
+      // m:m không có columnspan => ô gộp thành ô + các ô rỗng, mọi hàng đủ số cột
+      const rows = ch
+        .filter((r) => mmTag(r) === "mtr" || mmTag(r) === "mlabeledtr")
+        .map((r) =>
+          mmChildren(r).flatMap((td) => {
+            const span = Math.max(1, Number(mmAttr(td, "columnspan")) || 1);
+            return [`<m:e>${mathmlNodesToOmml(mmChildren(td))}</m:e>`, ...Array(span - 1).fill("<m:e/>")];
+          }),
+        );
+      const cols = Math.max(1, ...rows.map((r) => r.length));
+      return (
+        `<m:m><m:mPr><m:mcs><m:mc><m:mcPr><m:count m:val="${cols}"/><m:mcJc m:val="left"/></m:mcPr></m:mc></m:mcs></m:mPr>` +
+        rows.map((r) => `<m:mr>${r.join("")}${"<m:e/>".repeat(cols - r.length)}</m:mr>`).join("") +
+        `</m:m>`
+      );
+    }
+    case "mphantom":
+      return `<m:phant><m:phantPr><m:show m:val="0"/></m:phantPr><m:e>${mathmlNodesToOmml(ch)}</m:e></m:phant>`;
+    case "mrow":
+      return ommlFencedRow(ch);
+    default:
+      return mathmlNodesToOmml(ch);
+  }
+}
+
+function ommlNary({ op, lower = null, upper = null, limLoc = false }, body) {
+  const chr = mmText(op).trim();
+  const pr =
+    `<m:naryPr><m:chr m:val="${escapeXml(chr)}"/>` +
+    `<m:limLoc m:val="${limLoc || chr !== "∫" ? "undOvr" : "subSup"}"/>` +
+    (lower ? "" : `<m:subHide m:val="1"/>`) +
+    (upper ? "" : `<m:supHide m:val="1"/>`) +
+    `</m:naryPr>`;
+  const sub = lower ? mathmlNodeToOmml(lower) : "";
+  const sup = upper ? mathmlNodeToOmml(upper) : "";
+  return `<m:nary>${pr}<m:sub>${sub}</m:sub><m:sup>${sup}</m:sup><m:e>${mathmlNodesToOmml(body)}</m:e></m:nary>`;
+}
+
+// <mrow><mo>(</mo> ... <mo>)</mo></mrow> => m:d để Word co giãn ngoặc
+function ommlFencedRow(ch) {
+  const first = ch[0],
+    last = ch[ch.length - 1];
+  const isFence = (n, set) => n && mmTag(n) === "mo" && set.includes(mmText(n).trim());
+  if (ch.length >= 2 && isFence(first, ["(", "[", "{", "|", "⟨", "‖", "⌊", "⌈"])) {
+    const closeOk = isFence(last, [")", "]", "}", "|", "⟩", "‖", "⌋", "⌉"]);
+    const inner = closeOk ? ch.slice(1, -1) : ch.slice(1);
+    const open = mmText(first).trim();
+    const close = closeOk ? mmText(last).trim() : "";
+    if (mmAttr(first, "fence") === "true" || closeOk || inner.some((n) => mmTag(n) === "mtable")) {
+      return (
+        `<m:d><m:dPr><m:begChr m:val="${escapeXml(open)}"/><m:endChr m:val="${escapeXml(close)}"/></m:dPr>` +
+        `<m:e>${mathmlNodesToOmml(inner)}</m:e></m:d>`
+      );
+    }
+  }
+  return mathmlNodesToOmml(ch);
+}
+
+function mathmlToOmml(mathml) {
+  const nodes = parseMathmlTree(mathml);
+  return `<m:oMath>${mathmlNodesToOmml(nodes.filter((n) => mmTag(n) && mmTag(n) !== "#text"))}</m:oMath>`;
+}
+
+// ---- MathML -> AsciiMath / văn bản đọc (mathFormat=asciimath|speech) ----
+const GREEK_NAMES = Object.fromEntries(
+  Object.entries(LATEX_SYMBOLS)
+    .filter(([, ch]) => /\p{Script=Greek}/u.test(ch))
+    .map(([name, ch]) => [ch, name]),
+);
+
+const ASCIIMATH_SYMBOLS = {
+  "−": "-",
+  "×": "xx",
+  "⋅": "*",
+  "·": "*",
+  "∗": "**",
+  "÷": "-:",
+  "±": "+-",
+  "∓": "-+",
+  "≤": "<=",
+  "≥": ">=",
+  "≠": "!=",
+  "≈": "~~",
+  "≡": "-=",
+  "∼": "~",
+  "≅": "~=",
+  "∝": "prop",
+  "→": "->",
+  "←": "larr",
+  "⇒": "=>",
+  "⇐": "lArr",
+  "⇔": "<=>",
+  "↔": "harr",
+  "↦": "|->",
+  "∈": "in",
+  "∉": "!in",
+  "⊂": "sub",
+  "⊃": "sup",
+  "⊆": "sube",
+  "⊇": "supe",
+  "∪": "uu",
+  "∩": "nn",
+  "∀": "AA",
+  "∃": "EE",
+  "¬": "neg",
+  "∧": "^^",
+  "∨": "vv",
+  "∥": "||",
+  "∞": "oo",
+  "∂": "del",
+  "∇": "grad",
+  "∠": "/_",
+  "△": "Delta",
+  "∘": "@",
+  "…": "...",
+  "⋯": "cdots",
+  "∴": ":.",
+  "∵": ":'",
+  "∑": "sum",
+  "∏": "prod",
+  "∫": "int",
+  "∬": "iint",
+  "∮": "oint",
+  "⟨": "(:",
+  "⟩": ":)",
+  ℝ: "RR",
+  ℕ: "NN",
+  ℤ: "ZZ",
+  ℚ: "QQ",
+  ℂ: "CC",
+};
+
+const ASCIIMATH_ACCENTS = {
+  "→": "vec",
+  "¯": "bar",
+  "‾": "bar",
+  "^": "hat",
+  ˆ: "hat",
+  "~": "tilde",
+  "˙": "dot",
+  "¨": "ddot",
+};
+
+function asciiToken(text) {
+  const t = String(text || "").trim();
+  if (ASCIIMATH_SYMBOLS[t]) return ASCIIMATH_SYMBOLS[t];
+  return [...t].map((c) => (GREEK_NAMES[c] ? ` ${GREEK_NAMES[c]} ` : c)).join("");
+}
+
+// 1 token (x, 12, alpha, (...)) thì khỏi thêm ngoặc sau ^ _ /
+function asciiGroup(s) {
+  s = s.trim();
+  return /^[\p{L}\p{N}.]+$/u.test(s) ? s : `(${s})`;
+}
+
+function asciiTableRows(table) {
+  return mmChildren(table)
+    .map((tr) => `(${mmChildren(tr).map(mathmlNodeToAscii).join(",")})`)
+    .join(",");
+}
+
+function asciiFence(open, close, children) {
+  const o = open === "." || !open ? "{:" : asciiToken(open);
+  const c = close === "." || !close ? ":}" : asciiToken(close);
+  const inner = children.map(mmUnwrap);
+  if (inner.length === 1 && mmTag(inner[0]) === "mtable") return `${o}${asciiTableRows(inner[0])}${c}`;
+  return `${o}${children.map(mathmlNodeToAscii).join(",")}${c}`;
+}
+
+function mathmlNodeToAscii(node) {
+  const tag = mmTag(node);
+  const ch = mmChildren(node);
+  const a = (i) => mathmlNodeToAscii(ch[i]);
+
+  switch (tag) {
+    case "mi":
+    case "mn":
+    case "mo":
+      return asciiToken(mmText(node));
+    case "mtext":
+    case "ms":
+      return mmText(node).trim() ? `"${mmText(node).replace(/"/g, "'")}"` : " ";
+    case "mspace":
+      return " ";
+    case "mfrac":
+      return `${asciiGroup(a(0))}/${asciiGroup(a(1))}`;
+    case "msqrt":
+      return `sqrt${asciiGroup(ch.map(mathmlNodeToAscii).join(" "))}`;
+    case "mroot":
+      return `root(${a(1)})(${a(0)})`;
+    case "msup":
+      return `${a(0)}^${asciiGroup(a(1))}`;
+    case "msub":
+    case "munder":
+      if (tag === "munder" && mmTag(ch[1]) === "mo" && mmText(ch[1]).trim() === "_") return `ul(${a(0)})`;
+      return `${a(0)}_${asciiGroup(a(1))}`;
+    case "msubsup":
+    case "munderover":
+      return `${a(0)}_${asciiGroup(a(1))}^${asciiGroup(a(2))}`;
+    case "mover": {
+      const accent = ASCIIMATH_ACCENTS[mmTag(ch[1]) === "mo" ? mmText(ch[1]).trim() : ""];
+      if (accent) return `${accent}(${a(0)})`;
+      if (/^[⌢⏜]$/.test(mmText(ch[1]).trim())) return `overarc(${a(0)})`;
+      return `overset(${a(1)})(${a(0)})`;
+    }
+    case "mfenced":
+      return asciiFence(mmAttr(node, "open") ?? "(", mmAttr(node, "close") ?? ")", ch);
+    case "mtable":
+      return `{:${asciiTableRows(node)}:}`;
+    case "mphantom":
+      return "";
+    case "mrow": {
+      // <mo>{</mo><mtable>...</mtable> (hệ phương trình) => {(x=1),(y=2):}
+      const isMo = (n) => mmTag(n) === "mo";
+      if (ch.length >= 2 && ch.length <= 3 && isMo(ch[0]) && mmTag(mmUnwrap(ch[1])) === "mtable")
+        return asciiFence(mmText(ch[0]).trim(), ch[2] && isMo(ch[2]) ? mmText(ch[2]).trim() : "", [ch[1]]);
+      return ch.map(mathmlNodeToAscii).join(" ");
+    }
+    default:
+      return ch.map(mathmlNodeToAscii).join(" ");
+  }
+}
+
+function mathmlToAsciiMath(mathml) {
+  const nodes = parseMathmlTree(mathml).filter((n) => mmTag(n) && mmTag(n) !== "#text");
+  return nodes
+    .map(mathmlNodeToAscii)
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .replace(/\s*([_^/])\s*/g, "$1")
+    .replace(/([([{]) /g, "$1")
+    .replace(/ ([)\]},])/g, "$1")
+    .trim();
+}
+
+const SPEECH_WORDS = {
+  "+": "plus",
+  "-": "minus",
+  "−": "minus",
+  "=": "equals",
+  "≠": "is not equal to",
+  "<": "is less than",
+  ">": "is greater than",
+  "≤": "is less than or equal to",
+  "≥": "is greater than or equal to",
+  "×": "times",
+  "⋅": "times",
+  "·": "times",
+  "∗": "times",
+  "÷": "divided by",
+  "/": "divided by",
+  "±": "plus or minus",
+  "∓": "minus or plus",
+  "≈": "is approximately equal to",
+  "≡": "is equivalent to",
+  "∼": "is similar to",
+  "≅": "is congruent to",
+  "∝": "is proportional to",
+  "→": "tends to",
+  "⇒": "implies",
+  "⇔": "if and only if",
+  "↦": "maps to",
+  "∈": "in",
+  "∉": "not in",
+  "⊂": "subset of",
+  "⊃": "superset of",
+  "⊆": "subset of or equal to",
+  "⊇": "superset of or equal to",
+  "∪": "union",
+  "∩": "intersection",
+  "∖": "minus",
+  "∀": "for all",
+  "∃": "there exists",
+  "¬": "not",
+  "∧": "and",
+  "∨": "or",
+  "⊥": "is perpendicular to",
+  "∥": "is parallel to",
+  "∞": "infinity",
+  "∂": "partial",
+  "∇": "nabla",
+  "∅": "the empty set",
+  "∠": "angle",
+  "△": "triangle",
+  "°": "degrees",
+  "∘": "composed with",
+  "′": "prime",
+  "…": "dot dot dot",
+  "⋯": "dot dot dot",
+  "∴": "therefore",
+  "∵": "because",
+  "∑": "the sum",
+  "∏": "the product",
+  "∫": "the integral",
+  "∬": "the double integral",
+  "∭": "the triple integral",
+  "∮": "the contour integral",
+  "!": "factorial",
+  "%": "percent",
+  "(": "open paren",
+  ")": "close paren",
+  "[": "open bracket",
+  "]": "close bracket",
+  "{": "open brace",
+  "}": "close brace",
+  "|": "vertical bar",
+  "↗": "increasing",
+  "↘": "decreasing",
+};
+
+const SPEECH_ACCENTS = {
+  "→": "vector",
+  "¯": "bar",
+  "‾": "bar",
+  "^": "hat",
+  ˆ: "hat",
+  "~": "tilde",
+  "⌢": "arc",
+  "⏜": "arc",
+};
+
+function speechToken(text) {
+  const t = String(text || "").trim();
+  if (SPEECH_WORDS[t]) return SPEECH_WORDS[t];
+  return [...t]
+    .map((c) => {
+      const name = GREEK_NAMES[c];
+      if (!name) return c;
+      return /^[A-Z]/.test(name) ? ` capital ${name.toLowerCase()} ` : ` ${name} `;
+    })
+    .join("");
+}
+
+// mrow chỉ bọc 1 phần tử (MathType hay sinh <mrow><mtable>...</mtable></mrow>)
+function mmUnwrap(node) {
+  while (mmTag(node) === "mrow" && mmChildren(node).length === 1) node = mmChildren(node)[0];
+  return node;
+}
+
+// Biểu thức 1 token đọc liền; phức tạp thì cần "end ..." để người nghe biết chỗ kết thúc
+function speechSimple(node) {
+  return ["mi", "mn"].includes(mmTag(mmUnwrap(node)));
+}
+
+// ∑ ∫ ... (naryParts) và lim_{x→0}: phần thân là các phần tử phía sau tới dấu quan hệ
+function speechOpParts(node) {
+  const nary = naryParts(node);
+  if (nary) return nary;
+  const [base, lower] = mmChildren(node);
+  if (mmTag(node) === "munder" && mmText(base).trim() === "lim") return { op: base, lower };
+  return null;
+}
+
+function speechBigOp(op, lower, upper, body = "") {
+  const name = speechToken(mmText(op));
+  if (name === "lim") return `the limit as ${lower}${body ? ` of ${body}` : ""}`;
+  return `${name}${lower ? ` from ${lower}` : ""}${upper ? ` to ${upper}` : ""}${body ? ` of ${body}` : ""}`;
+}
+
+function speechPower(base, expNode) {
+  const exp = mmText(expNode).trim();
+  if (exp === "2") return `${base} squared`;
+  if (exp === "3") return `${base} cubed`;
+  if (exp === "′" || exp === "″") return `${base} ${exp === "′" ? "prime" : "double prime"}`;
+  const power = mathmlNodeToSpeech(expNode);
+  return speechSimple(expNode) ? `${base} to the power of ${power}` : `${base} to the power of ${power} end power`;
+}
+
+function speechTable(table) {
+  return mmChildren(table)
+    .map((tr) => mmChildren(tr).map(mathmlNodeToSpeech).join(", "))
+    .join("; ");
+}
+
+function speechFence(open, close, children) {
+  const inner = children.map(mmUnwrap);
+  if (inner.length === 1 && mmTag(inner[0]) === "mtable") {
+    const kind = open === "{" && close !== "}" ? "cases" : "matrix";
+    return `${kind}: ${speechTable(inner[0])}`;
+  }
+  const body = mathmlNodesToSpeech(children);
+  if (open === "|" && close === "|") return `the absolute value of ${body} end absolute value`;
+  const word = (c) => (c && c !== "." ? speechToken(c) : "");
+  return [word(open), body, word(close)].filter(Boolean).join(" ");
+}
+
+function mathmlNodeToSpeech(node) {
+  const tag = mmTag(node);
+  const ch = mmChildren(node);
+  const s = (i) => mathmlNodeToSpeech(ch[i]);
+  const op = speechOpParts(node);
+  const limit = (n) => (n ? mathmlNodeToSpeech(n) : "");
+
+  switch (tag) {
+    case "mi":
+    case "mn":
+    case "mo":
+      return speechToken(mmText(node));
+    case "mtext":
+    case "ms":
+      return mmText(node);
+    case "mfrac":
+      return speechSimple(ch[0]) && speechSimple(ch[1])
+        ? `${s(0)} over ${s(1)}`
+        : `the fraction ${s(0)} over ${s(1)} end fraction`;
+    case "msqrt": {
+      const body = mathmlNodesToSpeech(ch);
+      return ch.length === 1 && speechSimple(ch[0])
+        ? `the square root of ${body}`
+        : `the square root of ${body} end root`;
+    }
+    case "mroot": {
+      const index = mmText(ch[1]).trim();
+      const name = index === "3" ? "cube root" : index === "2" ? "square root" : `root of index ${s(1)}`;
+      return `the ${name} of ${s(0)} end root`;
+    }
+    case "msup":
+      return op ? speechBigOp(op.op, "", limit(op.upper)) : speechPower(s(0), ch[1]);
+    case "msub":
+    case "munder":
+      if (op) return speechBigOp(op.op, limit(op.lower), "");
+      return tag === "msub" ? `${s(0)} sub ${s(1)}` : `${s(0)} with ${s(1)} below`;
+    case "msubsup":
+    case "munderover":
+      return op ? speechBigOp(op.op, limit(op.lower), limit(op.upper)) : speechPower(`${s(0)} sub ${s(1)}`, ch[2]);
+    case "mover": {
+      const accent = SPEECH_ACCENTS[mmText(ch[1]).trim()];
+      if (accent === "vector" || accent === "arc") return `${accent} ${s(0)}`;
+      if (accent) return `${s(0)} ${accent}`;
+      return `${s(0)} with ${s(1)} above`;
+    }
+    case "mfenced":
+      return speechFence(mmAttr(node, "open") ?? "(", mmAttr(node, "close") ?? ")", ch);
+    case "mtable":
+      return speechTable(node);
+    case "mphantom":
+      return "";
+    case "mrow": {
+      // <mo>(</mo> ... <mo>)</mo> / <mo>{</mo><mtable> như mfenced
+      const isMo = (n) => mmTag(n) === "mo";
+      const first = isMo(ch[0]) ? mmText(ch[0]).trim() : "";
+      const last = ch.length > 1 && isMo(ch[ch.length - 1]) ? mmText(ch[ch.length - 1]).trim() : "";
+      if (first === "{" && mmTag(mmUnwrap(ch[1])) === "mtable" && ch.length <= 3)
+        return speechFence(first, last, [ch[1]]);
+      if (["(", "[", "|"].includes(first) && last === { "(": ")", "[": "]", "|": "|" }[first] && ch.length > 2)
+        return speechFence(first, last, ch.slice(1, -1));
+      return mathmlNodesToSpeech(ch);
+    }
+    default:
+      return mathmlNodesToSpeech(ch);
+  }
+}
+
+// ∑/∫/lim đứng cạnh biểu thức (như mathmlNodesToOmml): "the sum from i equals 1 to n of i squared"
+function mathmlNodesToSpeech(nodes) {
+  const out = [];
+  for (let i = 0; i < nodes.length; i++) {
+    const op = speechOpParts(nodes[i]);
+    if (!op) {
+      out.push(mathmlNodeToSpeech(nodes[i]));
+      continue;
+    }
+    let j = i + 1;
+    while (j < nodes.length && !(mmTag(nodes[j]) === "mo" && OMML_NARY_STOP.has(mmText(nodes[j]).trim()))) j++;
+    const limit = (n) => (n ? mathmlNodeToSpeech(n) : "");
+    out.push(speechBigOp(op.op, limit(op.lower), limit(op.upper), mathmlNodesToSpeech(nodes.slice(i + 1, j))));
+    i = j - 1;
+  }
+  return out.join(" ");
+}
+
+function mathmlToSpeech(mathml) {
+  const nodes = parseMathmlTree(mathml).filter((n) => mmTag(n) && mmTag(n) !== "#text");
+  return mathmlNodesToSpeech(nodes)
+    .replace(/\s+/g, " ")
+    .replace(/\s+([,;])/g, "$1")
+    .trim();
+}
+
+// ---- OMML (Word equation editor) -> MathML ----
+const OMML_ACCENT_CHARS = { "⃗": "→", "̂": "^", "̃": "~", "̅": "¯", "̄": "¯", "̇": "˙", "̈": "¨" };
+
+function ommlVal(nodes, prTag, propTag) {
+  const pr = kids(nodes, prTag)[0]?.[prTag];
+  const prop = kids(pr, propTag)[0];
+  if (!prop) return undefined;
+  return prop[":@"]?.["@_m:val"] ?? "";
+}
+
+function ommlPart(nodes, tag) {
+  return ommlNodesToMathml(kids(nodes, tag)[0]?.[tag]);
+}
+
+function ommlTextToMathml(text, plain) {
+  if (!text) return "";
+  if (plain && /^\p{L}{2,}$/u.test(text.trim())) return `<mi>${escapeXml(text.trim())}</mi>`;
+  const parts = text.match(/\d+(?:[.,]\d+)*|\p{L}|\s+|./gsu) || [];
+  return parts
+    .map((p) => {
+      if (/^\s+$/.test(p)) return "";
+      if (/^\d/.test(p)) return `<mn>${escapeXml(p)}</mn>`;
+      if (/\p{L}/u.test(p)) return plain ? `<mi mathvariant="normal">${escapeXml(p)}</mi>` : `<mi>${escapeXml(p)}</mi>`;
+      return `<mo>${escapeXml(p)}</mo>`;
+    })
+    .join("");
+}
+
+function ommlNodesToMathml(nodes) {
+  if (!Array.isArray(nodes)) return "";
+  let out = "";
+
+  for (const node of nodes) {
+    const tag = Object.keys(node || {}).find((k) => k !== ":@");
+    const ch = node?.[tag];
+
+    switch (tag) {
+      case "m:r": {
+        const sty = ommlVal(ch, "m:rPr", "m:sty");
+        const scr = ommlVal(ch, "m:rPr", "m:scr");
+        const plain = sty === "p" || kids(ch, "m:rPr")[0]?.["m:rPr"]?.some?.((x) => x["m:nor"]);
+        const text = kids(ch, "m:t")
+          .map((t) => getTextFromPreserveWrap(t, "m:t"))
+          .join("");
+        const wText = kids(ch, "w:t")
+          .map((t) => getTextFromPreserveWrap(t, "w:t"))
+          .join("");
+        const variant = OMML_SCRIPTS[scr] || (sty === "b" ? "bold" : null);
+        if (variant && /^\p{L}+$/u.test(text)) out += `<mi mathvariant="${variant}">${escapeXml(text)}</mi>`;
+        else out += ommlTextToMathml(text || wText, plain);
+        break;
+      }
+      case "m:f": {
+        const type = ommlVal(ch, "m:fPr", "m:type");
+        const num = ommlPart(ch, "m:num"),
+          den = ommlPart(ch, "m:den");
+        if (type === "lin") out += `<mrow>${num}<mo>/</mo>${den}</mrow>`;
+        else
+          out += `<mfrac${type === "noBar" ? ' linethickness="0"' : ""}><mrow>${num}</mrow><mrow>${den}</mrow></mfrac>`;
+        break;
+      }
+      case "m:rad": {
+        const deg = ommlPart(ch, "m:deg");
+        const e = ommlPart(ch, "m:e");
+        const hide = ["1", "on", "true", ""].includes(ommlVal(ch, "m:radPr", "m:degHide") ?? "0");
+        out +=
+          hide || !deg ? `<msqrt><mrow>${e}</mrow></msqrt>` : `<mroot><mrow>${e}</mrow><mrow>${deg}</mrow></mroot>`;
+        break;
+      }
+      case "m:sSup":
+        out += `<msup><mrow>${ommlPart(ch, "m:e")}</mrow><mrow>${ommlPart(ch, "m:sup")}</mrow></msup>`;
+        break;
+      case "m:sSub":
+        out += `<msub><mrow>${ommlPart(ch, "m:e")}</mrow><mrow>${ommlPart(ch, "m:sub")}</mrow></msub>`;
+        break;
+      case "m:sSubSup":
+        out += `<msubsup><mrow>${ommlPart(ch, "m:e")}</mrow><mrow>${ommlPart(ch, "m:sub")}</mrow><mrow>${ommlPart(ch, "m:sup")}</mrow></msubsup>`;
+        break;
+      case "m:sPre":
+        out +=
+          `<mmultiscripts><mrow>${ommlPart(ch, "m:e")}</mrow><mprescripts/>` +
+          `<mrow>${ommlPart(ch, "m:sub")}</mrow><mrow>${ommlPart(ch, "m:sup")}</mrow></mmultiscripts>`;
+        break;
+      case "m:d": {
+        // begChr/endChr rỗng = không có ngoặc bên đó (hệ phương trình) => "." cho \left. / \right.
+        const beg = (ommlVal(ch, "m:dPr", "m:begChr") ?? "(") || ".";
+        const end = (ommlVal(ch, "m:dPr", "m:endChr") ?? ")") || ".";
+        const sep = ommlVal(ch, "m:dPr", "m:sepChr") ?? "|";
+        const items = kids(ch, "m:e").map((e) => ommlNodesToMathml(e["m:e"]));
+        const inner = items.join(`<mo separator="true">${escapeXml(sep)}</mo>`);
+        out += `<mfenced open="${escapeXml(beg)}" close="${escapeXml(end)}"><mrow>${inner}</mrow></mfenced>`;
+        break;
+      }
+      case "m:nary": {
+        const chr = ommlVal(ch, "m:naryPr", "m:chr") || "∫";
+        const undOvr = (ommlVal(ch, "m:naryPr", "m:limLoc") ?? (chr === "∫" ? "subSup" : "undOvr")) === "undOvr";
+        const subHide = ["1", "on", "true", ""].includes(ommlVal(ch, "m:naryPr", "m:subHide") ?? "0");
+        const supHide = ["1", "on", "true", ""].includes(ommlVal(ch, "m:naryPr", "m:supHide") ?? "0");
+        const sub = subHide ? "" : ommlPart(ch, "m:sub");
+        const sup = supHide ? "" : ommlPart(ch, "m:sup");
+        const op = `<mo>${escapeXml(chr)}</mo>`;
+        let head = op;
+        if (sub && sup)
+          head = undOvr
+            ? `<munderover>${op}<mrow>${sub}</mrow><mrow>${sup}</mrow></munderover>`
+            : `<msubsup>${op}<mrow>${sub}</mrow><mrow>${sup}</mrow></msubsup>`;
+        else if (sub)
+          head = undOvr ? `<munder>${op}<mrow>${sub}</mrow></munder>` : `<msub>${op}<mrow>${sub}</mrow></msub>`;
+        else if (sup)
+          head = undOvr ? `<mover>${op}<mrow>${sup}</mrow></mover>` : `<msup>${op}<mrow>${sup}</mrow></msup>`;
+        out += `<mrow>${head}<mrow>${ommlPart(ch, "m:e")}</mrow></mrow>`;
+        break;
+      }
+      case "m:func":
+        out += `<mrow>${ommlPart(ch, "m:fName")}<mo>&#x2061;</mo><mrow>${ommlPart(ch, "m:e")}</mrow></mrow>`;
+        break;
+      case "m:limLow":
+        out += `<munder><mrow>${ommlPart(ch, "m:e")}</mrow><mrow>${ommlPart(ch, "m:lim")}</mrow></munder>`;
+        break;
+      case "m:limUpp":
+        out += `<mover><mrow>${ommlPart(ch, "m:e")}</mrow><mrow>${ommlPart(ch, "m:lim")}</mrow></mover>`;
+        break;
+      case "m:acc": {
+        const chr = ommlVal(ch, "m:accPr", "m:chr") || "̂";
+        out += `<mover accent="true"><mrow>${ommlPart(ch, "m:e")}</mrow><mo>${escapeXml(OMML_ACCENT_CHARS[chr] || chr)}</mo></mover>`;
+        break;
+      }
+      case "m:bar": {
+        const top = ommlVal(ch, "m:barPr", "m:pos") === "top";
+        const e = ommlPart(ch, "m:e");
+        out += top
+          ? `<mover accent="true"><mrow>${e}</mrow><mo>¯</mo></mover>`
+          : `<munder><mrow>${e}</mrow><mo>_</mo></munder>`;
+        break;
+      }
+      case "m:groupChr": {
+        const chr = ommlVal(ch, "m:groupChrPr", "m:chr") || "⏟";
+        const top = ommlVal(ch, "m:groupChrPr", "m:pos") === "top";
+        const e = ommlPart(ch, "m:e");
+        out += top
+          ? `<mover><mrow>${e}</mrow><mo>${escapeXml(chr)}</mo></mover>`
+          : `<munder><mrow>${e}</mrow><mo>${escapeXml(chr)}</mo></munder>`;
+        break;
+      }
+      case "m:m":
+        out += `<mtable>${kids(ch, "m:mr")
+          .map(
+            (r) =>
+              `<mtr>${kids(r["m:mr"], "m:e")
+                .map((e) => `<mtd>${ommlNodesToMathml(e["m:e"])}</mtd>`)
+                .join("")}</mtr>`,
+          )
+          .join("")}</mtable>`;
+        break;
+      case "m:eqArr":
+        out += `<mtable columnalign="left">${kids(ch, "m:e")
+          .map((e) => `<mtr><mtd>${ommlNodesToMathml(e["m:e"])}</mtd></mtr>`)
+          .join("")}</mtable>`;
+        break;
+      case "m:phant":
+        out += `<mphantom>${ommlPart(ch, "m:e")}</mphantom>`;
+        break;
+      case "m:box":
+      case "m:borderBox":
+        out += ommlPart(ch, "m:e");
+        break;
+      case "w:r":
+        out += `<mtext>${escapeXml(collectTextFromRun(ch))}</mtext>`;
+        break;
+      case "m:oMath":
+      case "m:e":
+      case "m:num":
+      case "m:den":
+        out += ommlNodesToMathml(ch);
+        break;
+      default:
+        // *Pr, m:ctrlPr, bookmark... không mang nội dung toán
+        break;
+    }
+  }
+  return out;
+}
+
+function ommlToMathml(oMathChildren) {
+  const body = ommlNodesToMathml(oMathChildren);
+  return body ? `<math xmlns="http://www.w3.org/1998/Math/MathML"><mrow>${body}</mrow></math>` : "";
+}
+
+// ============================================================
+// EQUATION CACHE - LRU (RAM) -> DiskCache (SHA-256, namespaced)
+// ============================================================
+// Mọi hàm tạo ra LaTeX: sửa bất kỳ hàm nào => version đổi => cache cũ trên đĩa tự mất hiệu lực
+const LATEX_PIPELINE_FNS = [
+  processLatex,
+  mathmlToLatexSafe,
+  customMathMLToLatex,
+  ensureMathMLNamespace,
+  normalizeMtable,
+  preprocessMathMLForSqrt,
+  escapeMfencedBraces,
+  manualMathMLToLatex,
+  fixManualBracketMatrix,
+  fixBrokenLeftBracketTableLatex,
+  postprocessLatexSqrt,
+  sanitizeLatexStrict,
+  normalizeLatexCommands,
+  fixSetBracesHard,
+  restoreArrowAndCoreCommands,
+  fixPiecewiseFunction,
+  finalLatexCleanup,
+  validateLatex,
+  balanceLatexBraces,
+  processLatexChecked,
+];
+
+function latexPipelineVersion(extraFns = []) {
+  let libVersion = "";
+  try {
+    const pkgPath = path.join(process.cwd(), "node_modules", "mathml-to-latex", "package.json");
+    libVersion = JSON.parse(fs.readFileSync(pkgPath, "utf8")).version || "";
+  } catch {}
+  // KaTeX quyết định latexValid => đổi version KaTeX cũng phải bỏ cache
+  const src = [...LATEX_PIPELINE_FNS, ...extraFns].map((fn) => fn.toString()).join("\n") + libVersion + katex.version;
+  return crypto.createHash("sha256").update(src).digest("hex").slice(0, 12);
+}
+
+// Script Ruby sinh MathML (pool worker, batch, fallback từng file): sửa => namespace cache của engine ruby đổi
+const RUBY_SCRIPTS = ["mt_worker.rb", "mt2mml_batch.rb", "mt2mml_v2.rb", "mt2mml.rb"];
+
+function rubyScriptsVersion() {
+  const hash = crypto.createHash("sha256");
+  for (const name of RUBY_SCRIPTS) {
+    hash.update(name);
+    try {
+      hash.update(fs.readFileSync(path.join(process.cwd(), name)));
+    } catch {}
+  }
+  return hash.digest("hex").slice(0, 12);
+}
+
+// Global cache instances
+// Mỗi engine một cặp cache riêng: MathML của Ruby và của decoder JS không lẫn vào nhau
+const MTEF_ENGINES = ["auto", "ruby", "js"];
+const equationCaches = {
+  ruby: {
+    memory: new LRUCache(CONFIG.CACHE_MAX_SIZE, CONFIG.CACHE_TTL_MS),
+    disk: new DiskCache(CONFIG.DISK_CACHE_DIR, {
+      namespace: `ruby-${CONFIG.RUBY_WORKER_MODE}-${rubyScriptsVersion()}-${latexPipelineVersion()}`,
+      maxBytes: Math.max(0, CONFIG.DISK_CACHE_MAX_MB || 0) * 1024 * 1024,
+      pruneNamespaces: CONFIG.DISK_CACHE_PRUNE,
+    }),
+  },
+  js: {
+    memory: new LRUCache(CONFIG.CACHE_MAX_SIZE, CONFIG.CACHE_TTL_MS),
+    disk: new DiskCache(CONFIG.DISK_CACHE_DIR, {
+      namespace: `js-${latexPipelineVersion(MTEF_DECODER_FNS)}`,
+      maxBytes: Math.max(0, CONFIG.DISK_CACHE_MAX_MB || 0) * 1024 * 1024,
+      pruneNamespaces: CONFIG.DISK_CACHE_PRUNE,
+    }),
+  },
+};
+
+// auto: ưu tiên kết quả Ruby, sau đó kết quả fallback JS
+function cacheEnginesFor(engine) {
+  return engine === "auto" ? ["ruby", "js"] : [engine];
+}
+
+async function getCachedEquation(buffer, engine = CONFIG.MTEF_ENGINE) {
+  for (const name of cacheEnginesFor(engine)) {
+    const { memory, disk } = equationCaches[name];
+    const hit = memory.get(buffer);
+    if (hit) return { ...hit, engine: name };
+
+    const fromDisk = await disk.get(buffer);
+    if (fromDisk?.mathml && fromDisk?.latex) {
+      memory.set(buffer, fromDisk);
+      return { ...fromDisk, engine: name };
+    }
+  }
+  return null;
+}
+
+function setCachedEquation(buffer, value, engine) {
+  equationCaches[engine].memory.set(buffer, value);
+  equationCaches[engine].disk.set(buffer, value);
+}
+
+function equationCacheStats() {
+  return Object.fromEntries(
+    Object.entries(equationCaches).map(([name, c]) => [name, { memory: c.memory.getStats(), disk: c.disk.getStats() }]),
+  );
+}
+
+// Tổng LRU của mọi engine theo dạng getStats() cũ (trước khi tách cache theo engine) cho client đọc key phẳng
+function memoryCacheTotals() {
+  const memory = Object.values(equationCaches).map((c) => c.memory.getStats());
+  const sum = (key) => memory.reduce((n, s) => n + s[key], 0);
+  const hits = sum("hits"),
+    misses = sum("misses");
+  return {
+    hits,
+    misses,
+    hitRate: hits + misses > 0 ? ((hits / (hits + misses)) * 100).toFixed(1) + "%" : "0%",
+    size: sum("size"),
+    maxSize: sum("maxSize"),
+  };
+}
+
+// ============================================================
+// OLE PIPELINE - cache -> Ruby batch / decoder JS -> processLatex
+// ============================================================
+async function convertOleItems(items, { onBatch, engine = CONFIG.MTEF_ENGINE } = {}) {
+  if (!items.length) return [];
+
+  const batches = [];
+  for (let i = 0; i < items.length; i += CONFIG.BATCH_SIZE) {
+    batches.push(items.slice(i, i + CONFIG.BATCH_SIZE));
+  }
+
+  const convertBatch =
+    engine === "js"
+      ? async (batch) => batch.map((item) => ({ rid: item.rid, ...jsConvertOleBinToMathML(item.buffer, item.embPath) }))
+      : async (batch) => (await batchConvertOleBinToMathML(batch)).map((r) => ({ ...r, engine: "ruby" }));
+
+  let batchesDone = 0;
+  const batchResults = await parallelMap(batches, async (batch) => {
+    const results = await convertBatch(batch);
+    if (onBatch) onBatch(++batchesDone, batches.length);
+    return results;
+  });
+
+  const out = [];
+  for (const results of batchResults) {
+    for (let { rid, mathml, error, engine: used } of results) {
+      const item = items.find((x) => x.rid === rid);
+      // auto: Ruby không ra MathML (lỗi gem, không có Ruby...) => thử decoder JS
+      let fallback = null;
+      if (!mathml && engine === "auto" && item) {
+        fallback = { from: used, error: error || "empty_mathml" };
+        ({ mathml, error, engine: used } = jsConvertOleBinToMathML(item.buffer, item.embPath));
+      }
+
+      if (!mathml) {
+        out.push({
+          rid,
+          mathml: "",
+          latex: "",
+          latexValid: false,
+          latexError: null,
+          latexRepair: null,
+          error: error || "empty_mathml",
+          engine: used,
+          fallback,
+        });
+        continue;
+      }
+
+      const { latex, ...check } = processLatexChecked(mathml);
+      if (latex && item) setCachedEquation(item.buffer, { mathml, latex, ...check }, used);
+      out.push({ rid, mathml, latex, ...check, error: latex ? null : "latex_failed", engine: used, fallback });
+    }
+  }
+  return out;
+}
+
+// ============================================================
+// RELS MAP
+// ============================================================
+function mimeFromExt(p) {
+  const ext = (p.split(".").pop() || "").toLowerCase();
+  if (ext === "png") return "image/png";
+  if (ext === "jpg" || ext === "jpeg") return "image/jpeg";
+  if (ext === "gif") return "image/gif";
+  if (ext === "webp") return "image/webp";
+  if (ext === "svg") return "image/svg+xml";
+  if (ext === "emf") return "image/emf";
+  if (ext === "wmf") return "image/wmf";
+  return "application/octet-stream";
+}
+
+function getExtFromPath(p) {
+  return (p.split(".").pop() || "").toLowerCase();
+}
+
+function normRelTarget(target) {
+  let t = String(target || "").trim();
+  t = t.replace(/\\/g, "/");
+  try {
+    t = decodeURIComponent(t);
+  } catch {}
+  t = t.replace(/^\.?\//, "");
+  t = path.posix.normalize(t);
+  t = t.replace(/^(\.\.\/)+/, "");
+  return t;
+}
+
+// header1.xml, footer2.xml, footnotes.xml, endnotes.xml: các part có nội dung riêng (và rels riêng)
+const CONTENT_PART_TYPES = ["header", "footer", "footnotes", "endnotes"];
+
+function buildRelMaps(relsXmlText, prefix = "") {
+  const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: "@_" });
+  const rels = parser.parse(relsXmlText);
+  const list = rels?.Relationships?.Relationship || [];
+  const arr = Array.isArray(list) ? list : [list];
+
+  const emb = {},
+    media = {},
+    parts = {};
+
+  for (const r of arr) {
+    const id = r?.["@_Id"],
+      target = r?.["@_Target"],
+      targetMode = r?.["@_TargetMode"];
+    if (!id || !target) continue;
+    if (targetMode && String(targetMode).toLowerCase() === "external") continue;
+
+    const t0 = normRelTarget(target);
+    const low = t0.toLowerCase();
+
+    const type = String(r?.["@_Type"] || "")
+      .split("/")
+      .pop();
+    if (CONTENT_PART_TYPES.includes(type)) {
+      parts[id] = { type, path: low.startsWith("word/") ? t0 : "word/" + t0 };
+      continue;
+    }
+
+    const embIdx = low.indexOf("embeddings/");
+    if (embIdx >= 0 && low.endsWith(".bin")) {
+      emb[prefix + id] = "word/" + t0.slice(embIdx);
+      continue;
+    }
+
+    const mediaIdx = low.indexOf("media/");
+    if (mediaIdx >= 0) {
+      media[prefix + id] = "word/" + t0.slice(mediaIdx);
+    }
+  }
+
+  return { emb, media, parts };
+}
+
+// ============================================================
+// PRESERVEORDER HELPERS (simplified)
+// ============================================================
+function kids(arr, tag) {
+  return Array.isArray(arr) ? arr.filter((n) => n && typeof n === "object" && n[tag]) : [];
+}
+
+function findAllRidsDeep(x, out = []) {
+  const re = /^rId\d+$/;
+  if (!x) return out;
+  if (typeof x === "string") {
+    if (re.test(x.trim())) out.push(x.trim());
+    return out;
+  }
+  if (Array.isArray(x)) {
+    for (const it of x) findAllRidsDeep(it, out);
+    return out;
+  }
+  if (typeof x === "object") {
+    for (const [k, v] of Object.entries(x)) if (k !== "w:txbxContent") findAllRidsDeep(v, out);
+  }
+  return out;
+}
+
+function findImageEmbedRidsDeep(x, out = []) {
+  if (!x) return out;
+  if (Array.isArray(x)) {
+    for (const it of x) findImageEmbedRidsDeep(it, out);
+    return out;
+  }
+  if (typeof x === "object") {
+    for (const [k, v] of Object.entries(x)) {
+      if (k === "w:txbxContent") continue;
+      if ((k === "@_r:embed" || k === "@_r:id") && typeof v === "string" && v.startsWith("rId"))
+        out.push(v);
+      findImageEmbedRidsDeep(v, out);
+    }
+  }
+  return out;
+}
+
+// Text box: wps:txbx (DrawingML) hoặc v:textbox (VML). mc:Fallback thường là bản VML của chính mc:Choice => bỏ qua
+function findTextBoxContents(x, out = []) {
+  if (!x) return out;
+  if (Array.isArray(x)) {
+    for (const it of x) findTextBoxContents(it, out);
+    return out;
+  }
+  if (typeof x === "object") {
+    for (const [k, v] of Object.entries(x)) {
+      if (k === "w:txbxContent") out.push(v);
+      else if (k !== "mc:Fallback") findTextBoxContents(v, out);
+    }
+  }
+  return out;
+}
+
+function runHasOleLike(rNode) {
+  try {
+    const s = JSON.stringify(rNode);
+    return s.includes("o:OLEObject") || s.includes("w:object") || s.includes("w:oleObject");
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================
+// TEXT EXTRACTION
+// ============================================================
+function getTextFromPreserveWrap(tagWrap, tagName) {
+  const v = tagWrap?.[tagName];
+  if (!v) return "";
+  if (Array.isArray(v)) return v.map((x) => x?.["#text"] || "").join("");
+  if (typeof v === "object") return v?.["#text"] || "";
+  return "";
+}
+
+function collectTextFromRun(rNode) {
+  let s = "";
+  for (const tWrap of kids(rNode, "w:t")) s += getTextFromPreserveWrap(tWrap, "w:t");
+  for (const tWrap of kids(rNode, "w:instrText")) s += getTextFromPreserveWrap(tWrap, "w:instrText");
+  for (const tWrap of kids(rNode, "w:delText")) s += getTextFromPreserveWrap(tWrap, "w:delText");
+  if (kids(rNode, "w:tab").length) s += "\t";
+  if (kids(rNode, "w:br").length) s += "\n";
+  return s;
+}
+
+function escapeTextToHtml(text) {
+  if (!text) return "";
+  return String(text)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll("\t", "&emsp;")
+    .replaceAll("\n", "<br/>");
+}
+
+function lastVisibleChar(html) {
+  const t = String(html || "").replace(/<[^>]*>/g, "");
+  return t.length ? t[t.length - 1] : "";
+}
+
+function appendMathWithOneSpace(html, mathSpan) {
+  const prev = lastVisibleChar(html);
+  if (prev && !/\s/.test(prev)) html += " ";
+  html += mathSpan + " ";
+  return html;
+}
+
+// ============================================================
+// STYLES / NUMBERING - styles.xml (basedOn), numbering.xml
+// ============================================================
+const WORD_HIGHLIGHT_COLORS = {
+  yellow: "#FFFF00",
+  green: "#00FF00",
+  cyan: "#00FFFF",
+  magenta: "#FF00FF",
+  blue: "#0000FF",
+  red: "#FF0000",
+  darkBlue: "#000080",
+  darkCyan: "#008080",
+  darkGreen: "#008000",
+  darkMagenta: "#800080",
+  darkRed: "#800000",
+  darkYellow: "#808000",
+  darkGray: "#808080",
+  lightGray: "#C0C0C0",
+  black: "#000000",
+  white: "#FFFFFF",
+};
+
+// undefined = không khai báo (kế thừa), "" = thẻ không có w:val
+function wProp(props, tag) {
+  const n = kids(props, tag)[0];
+  if (!n) return undefined;
+  return n[":@"]?.["@_w:val"] ?? "";
+}
+
+function wOnOff(v) {
+  if (v === undefined) return undefined;
+  return !["0", "false", "off", "none"].includes(String(v).toLowerCase());
+}
+
+function readRunProps(rPr) {
+  const fmt = {};
+  const set = (k, v) => {
+    if (v !== undefined) fmt[k] = v;
+  };
+  set("b", wOnOff(wProp(rPr, "w:b")));
+  set("i", wOnOff(wProp(rPr, "w:i")));
+  set("s", wOnOff(wProp(rPr, "w:strike")) ?? wOnOff(wProp(rPr, "w:dstrike")));
+  set("u", wOnOff(wProp(rPr, "w:u")));
+  set("vertAlign", wProp(rPr, "w:vertAlign"));
+  const color = wProp(rPr, "w:color");
+  if (color !== undefined) fmt.color = /^[0-9a-f]{6}$/i.test(color) && color !== "000000" ? `#${color}` : null;
+  const highlight = wProp(rPr, "w:highlight");
+  if (highlight !== undefined) fmt.highlight = WORD_HIGHLIGHT_COLORS[highlight] || null;
+  return fmt;
+}
+
+function readParagraphProps(pPr) {
+  const out = {};
+  const jc = wProp(pPr, "w:jc");
+  if (jc !== undefined) out.jc = jc;
+  const numPr = kids(pPr, "w:numPr")[0]?.["w:numPr"];
+  if (numPr) {
+    const numId = wProp(numPr, "w:numId");
+    if (numId !== undefined) out.numId = numId;
+    const ilvl = wProp(numPr, "w:ilvl");
+    if (ilvl !== undefined) out.ilvl = Number(ilvl) || 0;
+  }
+  return out;
+}
+
+// w:tblBorders / w:tcBorders => { top, left, bottom, right, insideH, insideV } (start/end = left/right)
+function readBorders(node) {
+  const out = {};
+  for (const side of ["top", "left", "start", "bottom", "right", "end", "insideH", "insideV"]) {
+    const b = kids(node, `w:${side}`)[0];
+    if (!b) continue;
+    const a = b[":@"] || {};
+    const key = { start: "left", end: "right" }[side] || side;
+    out[key] = { val: a["@_w:val"] || "single", sz: a["@_w:sz"], color: a["@_w:color"] };
+  }
+  return out;
+}
+
+function readTableBordersOf(tblPr) {
+  const node = kids(tblPr, "w:tblBorders")[0]?.["w:tblBorders"];
+  return node ? readBorders(node) : null;
+}
+
+function formatListNumber(n, numFmt) {
+  const roman = (x) =>
+    [
+      [1000, "M"],
+      [900, "CM"],
+      [500, "D"],
+      [400, "CD"],
+      [100, "C"],
+      [90, "XC"],
+      [50, "L"],
+      [40, "XL"],
+      [10, "X"],
+      [9, "IX"],
+      [5, "V"],
+      [4, "IV"],
+      [1, "I"],
+    ].reduce((s, [v, r]) => {
+      for (; x >= v; x -= v) s += r;
+      return s;
+    }, "");
+  const letter = (x) => String.fromCharCode(65 + ((x - 1) % 26)).repeat(Math.floor((x - 1) / 26) + 1);
+
+  switch (numFmt) {
+    case "upperLetter":
+      return letter(n);
+    case "lowerLetter":
+      return letter(n).toLowerCase();
+    case "upperRoman":
+      return roman(n);
+    case "lowerRoman":
+      return roman(n).toLowerCase();
+    case "decimalZero":
+      return String(n).padStart(2, "0");
+    default:
+      return String(n);
+  }
+}
+
+// Định dạng thực của run/đoạn = docDefaults -> style đoạn (basedOn...) -> style ký tự -> định dạng trực tiếp.
+// Giữ bộ đếm numbering theo thứ tự đoạn => mỗi document dùng 1 instance.
+class WordStyles {
+  constructor(stylesXml, numberingXml) {
+    this.styles = {};
+    this.defaultParagraphStyle = null;
+    this.docRunProps = {};
+    this.levels = {};
+    this.counters = {};
+    if (stylesXml) this._loadStyles(stylesXml);
+    if (numberingXml) this._loadNumbering(numberingXml);
+  }
+
+  _loadStyles(xml) {
+    const root = kids(parseWordXml(xml), "w:styles")[0]?.["w:styles"];
+    const defaults = kids(root, "w:docDefaults")[0]?.["w:docDefaults"];
+    const rPrDefault = kids(defaults, "w:rPrDefault")[0]?.["w:rPrDefault"];
+    this.docRunProps = readRunProps(kids(rPrDefault, "w:rPr")[0]?.["w:rPr"]);
+
+    for (const st of kids(root, "w:style")) {
+      const attrs = st[":@"] || {};
+      const id = attrs["@_w:styleId"];
+      if (!id) continue;
+      const node = st["w:style"];
+      this.styles[id] = {
+        type: attrs["@_w:type"],
+        basedOn: wProp(node, "w:basedOn"),
+        rPr: readRunProps(kids(node, "w:rPr")[0]?.["w:rPr"]),
+        pPr: readParagraphProps(kids(node, "w:pPr")[0]?.["w:pPr"]),
+        tblBorders: readTableBordersOf(kids(node, "w:tblPr")[0]?.["w:tblPr"]),
+      };
+      if (attrs["@_w:type"] === "paragraph" && wOnOff(attrs["@_w:default"])) this.defaultParagraphStyle = id;
+    }
+  }
+
+  _loadNumbering(xml) {
+    const root = kids(parseWordXml(xml), "w:numbering")[0]?.["w:numbering"];
+    const abstracts = {};
+    for (const an of kids(root, "w:abstractNum")) {
+      const levels = {};
+      for (const lvl of kids(an["w:abstractNum"], "w:lvl")) {
+        const node = lvl["w:lvl"];
+        levels[Number(lvl[":@"]?.["@_w:ilvl"]) || 0] = {
+          start: Number(wProp(node, "w:start") ?? 1),
+          numFmt: wProp(node, "w:numFmt") || "decimal",
+          lvlText: wProp(node, "w:lvlText") ?? "",
+          rPr: readRunProps(kids(node, "w:rPr")[0]?.["w:rPr"]),
+        };
+      }
+      abstracts[an[":@"]?.["@_w:abstractNumId"]] = levels;
+    }
+
+    for (const num of kids(root, "w:num")) {
+      const numId = num[":@"]?.["@_w:numId"];
+      const base = abstracts[wProp(num["w:num"], "w:abstractNumId")];
+      if (numId == null || !base) continue;
+      const levels = { ...base };
+      for (const ov of kids(num["w:num"], "w:lvlOverride")) {
+        const ilvl = Number(ov[":@"]?.["@_w:ilvl"]) || 0;
+        const start = wProp(ov["w:lvlOverride"], "w:startOverride");
+        if (start !== undefined && levels[ilvl]) levels[ilvl] = { ...levels[ilvl], start: Number(start) };
+      }
+      this.levels[numId] = levels;
+    }
+  }
+
+  _chain(styleId) {
+    const chain = [];
+    const seen = new Set();
+    for (let id = styleId; id && this.styles[id] && !seen.has(id); id = this.styles[id].basedOn) {
+      seen.add(id);
+      chain.unshift(this.styles[id]);
+    }
+    return chain;
+  }
+
+  // { styleId, jc, list: { ordered, level, label, labelFmt } | null }
+  paragraph(pNode) {
+    const pPr = kids(pNode, "w:pPr")[0]?.["w:pPr"];
+    const styleId = wProp(pPr, "w:pStyle") ?? this.defaultParagraphStyle;
+    const props = Object.assign({}, ...this._chain(styleId).map((s) => s.pPr), readParagraphProps(pPr));
+
+    let list = null;
+    const lvl = this.levels[props.numId]?.[props.ilvl ?? 0];
+    if (lvl && props.numId !== "0") list = this._listItem(props.numId, props.ilvl ?? 0, lvl);
+
+    return { styleId, jc: props.jc, list };
+  }
+
+  // null = không biết gì về viền (không có tblBorders lẫn table style) => để renderTable giữ border="1"
+  tableBorders(tblPr) {
+    const styleId = wProp(tblPr, "w:tblStyle");
+    const chain = this._chain(styleId);
+    const direct = readTableBordersOf(tblPr);
+    if (!direct && !chain.length) return null;
+    return Object.assign({}, ...chain.map((s) => s.tblBorders || {}), direct || {});
+  }
+
+  run(rNode, para) {
+    const rPr = kids(rNode, "w:rPr")[0]?.["w:rPr"];
+    return Object.assign(
+      {},
+      this.docRunProps,
+      ...this._chain(para?.styleId).map((s) => s.rPr),
+      ...this._chain(wProp(rPr, "w:rStyle")).map((s) => s.rPr),
+      readRunProps(rPr),
+    );
+  }
+
+  // "Câu %1.", "A.", "a)": nhãn là dấu hiệu cho formatExamLayout => in thẳng ra text.
+  // Danh sách thường (1. 2. 3. / bullet) => <ol>/<ul>.
+  _listItem(numId, ilvl, lvl) {
+    const counters = (this.counters[numId] ||= []);
+    const levels = this.levels[numId];
+    counters[ilvl] = (counters[ilvl] ?? levels[ilvl].start - 1) + 1;
+    counters.length = ilvl + 1;
+
+    const ordered = lvl.numFmt !== "bullet" && lvl.numFmt !== "none";
+    const literal = lvl.lvlText.replace(/%\d/g, "");
+    const isMarker =
+      ["upperLetter", "lowerLetter", "upperRoman", "lowerRoman"].includes(lvl.numFmt) || /\p{L}/u.test(literal);
+    if (!isMarker) return { ordered, level: ilvl, label: null };
+
+    const label = lvl.lvlText.replace(/%(\d)/g, (_, n) => {
+      const k = Number(n) - 1;
+      return formatListNumber(counters[k] ?? levels[k]?.start ?? 1, levels[k]?.numFmt);
+    });
+    return { ordered, level: ilvl, label, labelFmt: lvl.rPr };
+  }
+}
+
+// Thứ tự lồng cố định (ngoài -> trong) để mergeAdjacentFormatting gộp được các run liền nhau.
+// <u> luôn ở trong cùng: các regex đáp án/marker đều bám vào <u>X</u>.
+function wrapRunHtml(html, fmt) {
+  if (!html || !fmt) return html;
+  let s = html;
+  if (fmt.u) s = `<u>${s}</u>`;
+  if (fmt.vertAlign === "superscript") s = `<sup>${s}</sup>`;
+  else if (fmt.vertAlign === "subscript") s = `<sub>${s}</sub>`;
+  if (fmt.s) s = `<s>${s}</s>`;
+  if (fmt.i) s = `<i>${s}</i>`;
+  if (fmt.b) s = `<b>${s}</b>`;
+  if (fmt.highlight) s = `<mark style="background:${fmt.highlight}">${s}</mark>`;
+  if (fmt.color) s = `<span style="color:${fmt.color}">${s}</span>`;
+  return s;
+}
+
+// Word hay cắt 1 đoạn thành nhiều run cùng định dạng: "<b>Câu</b><b> 1.</b>" => "<b>Câu 1.</b>"
+function mergeAdjacentFormatting(html) {
+  return String(html || "").replace(/<\/(b|i|s|sup|sub)><\1>/g, "");
+}
+
+// ============================================================
+// MARKUP - cùng 1 lượt duyệt document.xml ra HTML / Markdown / text (?output=)
+// ============================================================
+const OUTPUT_FORMATS = ["html", "markdown", "text"];
+
+// HTML: formatExamLayout / parseExam / exporter đều dựa vào <br/>, &emsp; và \( \) nên giữ đúng như cũ
+const HTML_MARKUP = {
+  text: escapeTextToHtml,
+  run: wrapRunHtml,
+  inline: mergeAdjacentFormatting,
+  tab: () => "&emsp;",
+  br: () => "<br/>",
+  math: (latex, rid) => `<span class="math"${rid ? ` data-rid="${rid}"` : ""}>\\(${latex}\\)</span>`,
+  // công thức không đổi được: mốc rỗng để lint chỉ ra câu chứa nó, gỡ khỏi kết quả bởi stripLintMarks
+  mathFailed: (rid) => `<span class="math-failed" data-rid="${rid}"></span>`,
+  image: (src) => `<img src="${src}" style="max-width:100%;height:auto;vertical-align:middle;" />`,
+  noteRef(kind, id, n) {
+    const p = kind === "footnote" ? "fn" : "en";
+    return `<sup class="${kind}-ref"><a href="#${p}-${id}" id="${p}ref-${id}">${n}</a></sup>`;
+  },
+  notes: notesToHtml,
+  paragraph(html, para) {
+    if (html && ["center", "right", "end"].includes(para.jc)) {
+      const align = para.jc === "center" ? "center" : "right";
+      html = `<span style="display:inline-block;width:100%;text-align:${align}">${html}</span>`;
+    }
+    return html + "<br/>";
+  },
+  block: (html) => html + "<br/>",
+  table: tableHtml,
+  listOpen: (list) => `<${list.tag}>`,
+  listItem: (html, list) => `${list.count > 1 ? "</li>" : ""}<li>${html}<br/>`,
+  listClose: (list) => `</li></${list.tag}>`,
+  part: (kind, html) => `<div class="doc-${kind}">${html}</div>`,
+  trimPart: (html) => html.replace(/(<br\/>\s*)+$/, ""),
+  trimNote: (html) => html.replace(/^(\s|&emsp;)+/, "").replace(/(<br\/>|\s)+$/, ""),
+};
+
+// Markdown: b/i/s bọc bằng ký tự riêng, tới inline() mới gộp run liền nhau rồi đổi ra ** / * / ~~
+// (đặt khoảng trắng ra ngoài dấu nhấn - "** x**" không phải chữ đậm trong CommonMark)
+const MD_OPEN = "\uE000";
+const MD_CLOSE = "\uE001";
+const MD_EMPHASIS = { b: "**", i: "*", s: "~~" };
+
+function markdownInline(s) {
+  const adjacent = new RegExp(`${MD_CLOSE}([bis])${MD_OPEN}\\1`, "g");
+  const innermost = new RegExp(`${MD_OPEN}([bis])([^${MD_OPEN}${MD_CLOSE}]*)${MD_CLOSE}\\1`, "g");
+  let out = String(s || ""),
+    prev;
+  do {
+    prev = out;
+    out = out.replace(adjacent, "");
+  } while (out !== prev);
+  do {
+    prev = out;
+    out = out.replace(innermost, (m, k, body) => {
+      const [, lead, core, trail] = /^(\s*)([\s\S]*?)(\s*)$/.exec(body);
+      return core ? lead + MD_EMPHASIS[k] + core + MD_EMPHASIS[k] + trail : body;
+    });
+  } while (out !== prev);
+  return out;
+}
+
+function escapeMarkdown(text) {
+  return String(text || "").replace(/[\\`*_[\]<>$|#~&]/g, "\\$&");
+}
+
+// Marker lựa chọn "A." / "b)" (theo profile đề) trong Markdown, có thể bọc ** * <u>
+const MD_MARK_FMT = String.raw`(?:\*\*|\*|<\/?u>)*`;
+
+function mdChoiceMarker(g = examGrammar()) {
+  const { choice: c, statement: st } = g;
+  return String.raw`${MD_MARK_FMT}(?:${c.open}(${c.keys})${MD_MARK_FMT}${c.close}|${st.open}(${st.keys})${MD_MARK_FMT}${st.close})${MD_MARK_FMT}`;
+}
+
+// "Câu 1. ... A. 1 B. 2 C. 3 D. 4" trên 1 dòng => [phần đề, "A. 1", "B. 2", ...] (bỏ qua $...$ và `...`)
+function splitChoiceLine(s, marker = mdChoiceMarker()) {
+  const skip = [...s.matchAll(/(?<!\\)\$[^$]*?(?<!\\)\$|`[^`]*`/g)].map((m) => [m.index, m.index + m[0].length]);
+  const re = new RegExp(String.raw`(^|\s)(${marker})(?=\s|$)`, "g");
+  const hits = { upper: [], lower: [] };
+  for (const m of s.matchAll(re)) {
+    const idx = m.index + m[1].length;
+    if (skip.some(([a, b]) => idx >= a && idx < b)) continue;
+    hits[m[3] ? "upper" : "lower"].push(idx);
+  }
+  const list = hits.upper.length >= 2 ? hits.upper : hits.lower.length >= 2 ? hits.lower : null;
+  if (!list) return null;
+  return [s.slice(0, list[0]), ...list.map((idx, i) => s.slice(idx, list[i + 1] ?? s.length))].map((x) => x.trim());
+}
+
+function tableMatrix({ rows, colCount }) {
+  const width = Math.max(colCount, ...rows.flat().map((c) => c.col + c.span));
+  const matrix = rows.map(() => Array(width).fill(""));
+  rows.forEach((cells, r) => cells.forEach((c) => (matrix[r][c.col] = c.html)));
+  return matrix;
+}
+
+// Markdown (GFM) / text thuần: cùng các điểm gọi với HTML_MARKUP. Công thức theo mathFormat ngay tại chỗ
+// (HTML đổi ở renderMathFormat vì tách câu cần \( \)).
+function createMarkup(output, { mathFormat = "latex", mathmlByRid = {}, grammar = examGrammar() } = {}) {
+  if (output === "html") return HTML_MARKUP;
+  const md = output === "markdown";
+  const text = md ? escapeMarkdown : String;
+  const br = md ? "\\\n" : "\n";
+  const flat = (s) =>
+    String(s)
+      .replace(/^(?:\s|\\\n)+|(?:\s|\\\n)+$/g, "")
+      .replace(/\s*(?:\\?\n\s*)+/g, md ? "<br>" : " ");
+  // lồng trong "- " thụt 2, trong "12. " thụt 4
+  const listIndent = ({ parent: p }) => (p ? listIndent(p) + (p.tag === "ol" ? String(p.count).length + 2 : 2) : 0);
+  // Mỗi khối mở đầu bằng dòng trống (finish gộp lại); riêng các mục lựa chọn "A. ..." liền nhau thì không,
+  // để các đoạn A/B/C/D riêng lẻ thành 1 danh sách
+  // Tiêu đề đã đậm: bỏ ** bọc cả dòng ("**PHẦN 1. ...**")
+  const heading = (s, level) =>
+    md ? `\n${"#".repeat(level)} ${s.replace(/^\*\*((?:(?!\*\*)[\s\S])+)\*\*$/, "$1")}\n\n` : `\n${s}\n\n`;
+  const inline = md ? markdownInline : String;
+  const choiceMarker = mdChoiceMarker(grammar);
+  const choiceStart = new RegExp(String.raw`^${choiceMarker}(?:\s|$)`);
+  const sectionHeading = new RegExp(String.raw`^(?:\*\*|\*|<u>)*\s*${grammar.section}\s*(?:\d|[IVX]+\b)`, "i");
+
+  return {
+    text: (s) =>
+      text(s || "")
+        .replaceAll("\t", " ")
+        .replaceAll("\n", br),
+    run(s, fmt) {
+      if (!s || !fmt || !md) return s;
+      if (fmt.u) s = `<u>${s}</u>`;
+      if (fmt.vertAlign === "superscript") s = `<sup>${s}</sup>`;
+      else if (fmt.vertAlign === "subscript") s = `<sub>${s}</sub>`;
+      for (const k of ["s", "i", "b"]) if (fmt[k]) s = `${MD_OPEN}${k}${s}${MD_CLOSE}${k}`;
+      if (fmt.highlight) s = `<mark>${s}</mark>`;
+      return s;
+    },
+    inline,
+    tab: () => " ",
+    br: () => br,
+    math(latex, rid) {
+      if (mathFormat === "latex") return `$${latex}$`;
+      const mathml = (rid && mathmlByRid[rid]) || latexToMathml(latex);
+      if (mathFormat === "mathml") return mathmlForXml(mathml);
+      if (mathFormat === "asciimath") return md ? `\`${mathmlToAsciiMath(mathml)}\`` : mathmlToAsciiMath(mathml);
+      return text(mathmlToSpeech(mathml));
+    },
+    mathFailed: () => "",
+    image: (src) => (md && src ? `![image](${src})` : ""),
+    noteRef: (kind, id, n) => (md ? `[^${kind === "footnote" ? "fn" : "en"}-${id}]` : `[${n}]`),
+    notes(kind, order, notesById) {
+      const p = kind === "footnote" ? "fn" : "en";
+      const lines = order
+        .filter((id) => notesById[id] != null)
+        .map((id, i) => `${md ? `[^${p}-${id}]:` : `[${i + 1}]`} ${flat(notesById[id])}`);
+      return lines.length ? `\n${lines.join("\n")}\n\n` : "";
+    },
+    // Heading 1-6 của Word và dòng "PHẦN n." (theo profile) => tiêu đề; câu có A. B. C. D. trên 1 dòng => danh sách
+    paragraph(s, para) {
+      s = inline(s).trim();
+      if (!s) return "";
+      const level = Number(/^heading\s*(\d)$/i.exec(para.styleId || "")?.[1]) || 0;
+      if (level) return heading(s, Math.min(level, 6));
+      if (sectionHeading.test(s)) return heading(s, 2);
+      const choices = splitChoiceLine(s, choiceMarker) || (choiceStart.test(s) ? ["", s] : null);
+      if (!choices) return `\n${s}\n\n`;
+      const [stem, ...items] = choices;
+      return `${stem ? `\n${stem}\n\n` : ""}${items.map((x) => (md ? `- ${x}` : x)).join("\n")}\n`;
+    },
+    heading,
+    block: (s) => `\n${s}\n\n`,
+    table(grid) {
+      const cell = (c) => (md ? flat(c).replace(/(?<!\\)\|/g, "\\|") : flat(c));
+      const matrix = tableMatrix(grid).map((row) => row.map(cell));
+      if (!matrix.length) return "";
+      if (!md) return matrix.map((row) => row.join("\t")).join("\n");
+      const line = (row) => `| ${row.join(" | ")} |`;
+      return [line(matrix[0]), line(matrix[0].map(() => "---")), ...matrix.slice(1).map(line)].join("\n");
+    },
+    listOpen: (list) => (list.parent ? "" : "\n"),
+    listItem(s, list) {
+      const marker = list.tag === "ol" ? `${list.count}.` : "-";
+      return `${" ".repeat(listIndent(list))}${marker} ${inline(s).trim()}\n`;
+    },
+    listClose: (list) => (list.parent ? "" : "\n"),
+    part: (kind, s) => `\n${s}\n\n`,
+    trimPart: (s) => s.replace(/(\\?\n|\s)+$/, ""),
+    trimNote: (s) => s.trim().replace(/(\\?\n|\s)+$/, ""),
+    finish: (s) =>
+      s
+        .replace(/\\\n(?=\s*\n)/g, "\n")
+        .replace(/(\S)[ \t]{2,}/g, "$1 ")
+        .replace(/[ \t]+\n/g, "\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim() + "\n",
+  };
+}
+
+// Trường HTML của exam (đã qua formatExamLayout + tách câu) => output qua cùng markup. Chỉ cần hiểu đúng các
+// thẻ mà HTML_MARKUP / formatExamLayout sinh ra; công thức lấy nguyên từ span \( \).
+const FRAGMENT_FMT = {
+  b: { b: true },
+  strong: { b: true },
+  i: { i: true },
+  s: { s: true },
+  u: { u: true },
+  sup: { vertAlign: "superscript" },
+  sub: { vertAlign: "subscript" },
+  mark: { highlight: true },
+};
+const FRAGMENT_TOKEN_RE =
+  /<span class="math"(?: data-rid="([^"]*)")?>\\\(([\s\S]*?)\\\)<\/span>|<(\/?)([a-z][a-z0-9]*)\b([^>]*?)\/?>|([^<]+|<)/gi;
+const VOID_TAGS = new Set(["br", "img", "col", "hr"]);
+
+function parseHtmlFragment(html) {
+  const root = { tag: "", attrs: "", children: [] };
+  const stack = [root];
+  for (const m of String(html || "").matchAll(FRAGMENT_TOKEN_RE)) {
+    const top = stack[stack.length - 1];
+    const tag = m[4]?.toLowerCase();
+    if (m[2] !== undefined) top.children.push({ math: m[2], rid: m[1] });
+    else if (m[6] !== undefined) top.children.push(m[6]);
+    else if (m[3]) {
+      const i = stack.findLastIndex((n) => n.tag === tag);
+      if (i > 0) stack.length = i;
+    } else {
+      const node = { tag, attrs: m[5], children: [] };
+      top.children.push(node);
+      if (!VOID_TAGS.has(tag) && !m[0].endsWith("/>")) stack.push(node);
+    }
+  }
+  return root;
+}
+
+function fragmentAttr(node, name) {
+  return new RegExp(`\\b${name}="([^"]*)"`).exec(node.attrs)?.[1];
+}
+
+function fragmentTableGrid(tableNode, markup) {
+  const trs = [];
+  const collect = (n) => n.children?.forEach((c) => (c.tag === "tr" ? trs.push(c) : c.tag !== "table" && collect(c)));
+  collect(tableNode);
+
+  const rows = [];
+  const occupied = [];
+  let colCount = 0;
+  trs.forEach((tr, r) => {
+    const cells = [];
+    let col = 0;
+    for (const td of tr.children.filter((c) => c.tag === "td" || c.tag === "th")) {
+      while (occupied[r]?.[col]) col++;
+      const span = Math.max(1, Number(fragmentAttr(td, "colspan")) || 1);
+      const rowspan = Math.max(1, Number(fragmentAttr(td, "rowspan")) || 1);
+      cells.push({ col, span, rowspan, html: renderFragment(td, markup) });
+      for (let i = r; i < r + rowspan; i++) for (let k = col; k < col + span; k++) (occupied[i] ||= [])[k] = true;
+      col += span;
+    }
+    colCount = Math.max(colCount, col);
+    rows.push(cells);
+  });
+  return { rows, colCount };
+}
+
+// scope: danh sách đang mở (thụt lề) + định dạng đang bọc (<div><strong><b>PHẦN 1</b></strong> chỉ đậm 1 lần)
+function renderFragment(node, markup, scope = { list: null, fmt: [] }) {
+  if (typeof node === "string") return markup.text(decodeHtmlEntities(node));
+  if (node.math !== undefined) return markup.math(node.math, node.rid);
+  const inner = (sub = scope) => node.children.map((c) => renderFragment(c, markup, sub)).join("");
+
+  switch (node.tag) {
+    case "br":
+      return markup.br();
+    case "img":
+      return markup.image(fragmentAttr(node, "src"));
+    case "colgroup":
+    case "hr":
+      return "";
+    case "table":
+      return markup.block(markup.table(fragmentTableGrid(node, markup)));
+    case "ul":
+    case "ol": {
+      const list = { tag: node.tag, count: 0, parent: scope.list };
+      let out = markup.listOpen(list);
+      for (const li of node.children.filter((c) => c.tag === "li")) {
+        list.count++;
+        out += markup.listItem(li.children.map((c) => renderFragment(c, markup, { ...scope, list })).join(""), list);
+      }
+      return out + markup.listClose(list);
+    }
+    case "div":
+      // <div class="section-header"><strong>: tiêu đề không bọc thêm đậm (giống tiêu đề đọc từ document.xml)
+      if (!/section-header/.test(fragmentAttr(node, "class") || "")) return inner();
+      return markup.heading(inner({ ...scope, fmt: [...scope.fmt, "b"] }).trim(), 2);
+    default: {
+      const fmt = FRAGMENT_FMT[node.tag];
+      const key = fmt && Object.keys(fmt)[0];
+      if (!fmt || scope.fmt.includes(key)) return inner();
+      return markup.run(inner({ ...scope, fmt: [...scope.fmt, key] }), fmt);
+    }
+  }
+}
+
+function htmlToMarkup(html, markup) {
+  return markup
+    .inline(renderFragment(parseHtmlFragment(html), markup))
+    .replace(/(?:\\?\n\s*){2,}/g, "\n\n")
+    .replace(/^(?:\s|\\\n)+|(?:\s|\\\n)+$/g, "");
+}
+
+// exam => cùng cấu trúc; các trường HTML (stemHtml, choicesHtml, statements, section...) đổi sang output,
+// key *Html / html đổi tên thành *Markdown / markdown (hoặc *Text / text)
+const EXAM_MARKUP_FIELDS = /Html$|^html$|^title$|^statements$/;
+
+function markupKey(key, output) {
+  return key === "html" ? output : key.replace(/Html$/, output[0].toUpperCase() + output.slice(1));
+}
+
+function examToMarkup(exam, markup, output) {
+  if (!exam) return exam;
+  const walk = (v, convert) => {
+    if (typeof v === "string") return convert ? htmlToMarkup(v, markup) : v;
+    if (Array.isArray(v)) return v.map((x) => walk(x, convert));
+    if (!v || typeof v !== "object") return v;
+    return Object.fromEntries(
+      Object.entries(v).map(([k, x]) => [markupKey(k, output), walk(x, convert || EXAM_MARKUP_FIELDS.test(k))]),
+    );
+  };
+  return walk(exam, false);
+}
+
+// ============================================================
+// RENDER PARAGRAPH / TABLE
+// ============================================================
+function renderOmml(oMathChildren, ctx) {
+  const { debug } = ctx;
+  debug.omml.seen++;
+
+  const mathml = ommlToMathml(oMathChildren);
+  const { latex, ...check } = mathml ? processLatexChecked(mathml) : {};
+  if (!latex) {
+    debug.omml.failed++;
+    return "";
+  }
+
+  const key = `omml${debug.omml.seen}`;
+  if (ctx.mathmlByRid) ctx.mathmlByRid[key] = mathml;
+  if (ctx.latexCheckByRid) ctx.latexCheckByRid[key] = check;
+  debug.omml.injected++;
+  return ctx.markup.math(latex, key);
+}
+
+// imageByRid chỉ giữ tham chiếu { hash, mime, ext }; src tuỳ chế độ images (data URI / URL / đường dẫn trong zip)
+function imageHtml(ref, ctx) {
+  return ctx.markup.image(ctx.imageSrc(ref));
+}
+
+function renderParagraph(pNode, ctx, para = ctx.styles.paragraph(pNode)) {
+  const { latexByRid, imageByRid, debug, markup } = ctx;
+  // rId chỉ duy nhất trong 1 part: header/footer/notes dùng key "header1:rId3"
+  const key = (rid) => (ctx.ridPrefix || "") + rid;
+  let html = "";
+  // diagnostics: vị trí của từng rid OLE trong html của đoạn (để lấy text xung quanh khi đoạn đã xong)
+  const oleVisits = [];
+  const visitOle = (rid, start, injected, node) => {
+    if (!ctx.oleVisits) return;
+    const preview =
+      unique(findImageEmbedRidsDeep(node, []))
+        .map((r) => imageByRid[key(r)])
+        .find(Boolean) || null;
+    oleVisits.push({ rid: key(rid), start, end: html.length, injected, preview });
+  };
+  // OLE MathType không ra LaTeX (1 lần / rid; object khác như Excel, Paint không tính)
+  const injectImage = (rid) => {
+    const img = imageByRid[key(rid)];
+    if (img) {
+      debug.imagesInjected++;
+      html += imageHtml(img, ctx);
+    } else if (ctx.mediaRids?.has(key(rid))) {
+      // ảnh không đọc được (EMF/WMF lỗi, định dạng lạ): src rỗng => removeUnsupportedImages bỏ đi, lint báo
+      html += markup.image("");
+    }
+  };
+  const failedRids = new Set();
+  const markFailed = (rid) => {
+    if (!ctx.equationRids?.has(key(rid)) || failedRids.has(rid)) return;
+    failedRids.add(rid);
+    html += markup.mathFailed(key(rid));
+  };
+
+  for (const pChild of Array.isArray(pNode) ? pNode : []) {
+    if (pChild["m:oMath"] || pChild["m:oMathPara"]) {
+      const maths = pChild["m:oMath"] ? [pChild] : kids(pChild["m:oMathPara"], "m:oMath");
+      for (const oMath of maths) {
+        const span = renderOmml(oMath["m:oMath"], ctx);
+        if (span) html = appendMathWithOneSpace(html, span);
+        else html += markup.mathFailed(`omml${debug.omml.seen}`);
+      }
+      continue;
+    }
+    if (!pChild["w:r"]) continue;
+
+    const rNode = pChild["w:r"];
+    const fmt = ctx.styles.run(rNode, para);
+
+    if (Array.isArray(rNode)) {
+      for (const child of rNode) {
+        if (child["w:t"]) {
+          const text = getTextFromPreserveWrap(child, "w:t");
+          if (text) {
+            html += markup.run(markup.text(text), fmt);
+          }
+        }
+
+        if (child["w:tab"]) html += markup.tab();
+        if (child["w:br"]) html += markup.br();
+
+        if (child["w:footnoteReference"] || child["w:endnoteReference"]) {
+          html += renderNoteReference(child, ctx);
+        }
+
+        for (const box of findTextBoxContents(child)) {
+          debug.textBoxes++;
+          html += markup.br() + renderBlocks(box, ctx);
+        }
+
+        if (child["a:blip"] || child["pic:blipFill"] || child["w:drawing"]) {
+          for (const rid of unique(findImageEmbedRidsDeep(child, []))) injectImage(rid);
+        }
+
+        if (child["w:pict"] || child["v:shape"]) {
+          for (const rid of unique(findImageEmbedRidsDeep(child, []))) injectImage(rid);
+        }
+
+        if (child["w:object"] || child["o:OLEObject"]) {
+          let foundMath = false;
+          const objectRids = unique(findAllRidsDeep(child, []));
+          for (const rid of objectRids) {
+            const latex = latexByRid[key(rid)];
+            if (latex) {
+              const start = html.length;
+              debug.seenOle++;
+              debug.oleInjected++;
+              html = appendMathWithOneSpace(html, markup.math(latex, key(rid)));
+              visitOle(rid, start, true, child);
+              foundMath = true;
+            }
+          }
+          if (!foundMath) {
+            const start = html.length;
+            for (const rid of unique(findImageEmbedRidsDeep(child, []))) injectImage(rid);
+            for (const rid of objectRids) visitOle(rid, start, false, child);
+            objectRids.forEach(markFailed);
+          }
+        }
+      }
+    } else {
+      const runText = collectTextFromRun(rNode);
+      if (runText) {
+        html += markup.run(markup.text(runText), fmt);
+      }
+    }
+
+    const runImgRids = unique(findImageEmbedRidsDeep(rNode, []));
+    const processedInLoop = new Set();
+
+    if (Array.isArray(rNode)) {
+      for (const child of rNode) {
+        if (child["w:drawing"] || child["w:pict"] || child["v:shape"] || child["w:object"]) {
+          findImageEmbedRidsDeep(child, []).forEach((rid) => processedInLoop.add(rid));
+        }
+      }
+    }
+
+    for (const rid of runImgRids) if (!processedInLoop.has(rid)) injectImage(rid);
+
+    if (runHasOleLike(rNode)) {
+      debug.seenOleRuns++;
+      const rids = unique(findAllRidsDeep(rNode, []));
+      const processedMathRids = new Set();
+      if (Array.isArray(rNode)) {
+        for (const child of rNode) {
+          if (child["w:object"] || child["o:OLEObject"]) {
+            findAllRidsDeep(child, []).forEach((rid) => {
+              if (latexByRid[key(rid)]) processedMathRids.add(rid);
+            });
+          }
+        }
+      }
+
+      for (const rid of rids) {
+        if (processedMathRids.has(rid)) continue;
+        const latex = latexByRid[key(rid)];
+        const start = html.length;
+        if (latex) {
+          debug.seenOle++;
+          debug.oleInjected++;
+          html = appendMathWithOneSpace(html, markup.math(latex, key(rid)));
+        } else {
+          debug.ignoredRids++;
+          markFailed(rid);
+        }
+        visitOle(rid, start, !!latex, rNode);
+      }
+    }
+  }
+
+  for (const v of oleVisits) recordOleVisit(ctx, v, html);
+  return markup.inline(html);
+}
+
+// Lần gặp đầu tiên của mỗi rid: thứ tự trong tài liệu + ~80 ký tự text trước/sau công thức
+function recordOleVisit(ctx, { rid, start, end, injected, preview }, html) {
+  if (ctx.oleVisits.has(rid)) return;
+  const plain = (s) => decodeHtmlEntities(stripAllTagsToPlain(s));
+  ctx.oleVisits.set(rid, {
+    order: ctx.oleVisits.size + 1,
+    injected,
+    preview,
+    before: plain(html.slice(0, start)).slice(-80),
+    after: plain(html.slice(end)).slice(0, 80),
+  });
+}
+
+// Footnote/endnote: đánh số theo thứ tự xuất hiện (như Word), nội dung gom cuối bài bởi renderNotes
+function renderNoteReference(child, ctx) {
+  const kind = child["w:footnoteReference"] ? "footnote" : "endnote";
+  const id = child[":@"]?.["@_w:id"];
+  if (id == null) return "";
+
+  const order = ctx.notes[kind];
+  if (!order.includes(id)) order.push(id);
+  return ctx.markup.noteRef(kind, id, order.indexOf(id) + 1);
+}
+
+// Bảng Word -> lưới cột theo w:tblGrid: gridSpan => colspan, vMerge restart/continue => rowspan
+function buildTableGrid(tblNode) {
+  const tblGrid = kids(tblNode, "w:tblGrid")[0]?.["w:tblGrid"];
+  const colWidths = kids(tblGrid, "w:gridCol").map((g) => Number(g[":@"]?.["@_w:w"]) || 0);
+
+  const rows = [];
+  const merging = [];
+  let colCount = colWidths.length;
+
+  for (const trWrap of kids(tblNode, "w:tr")) {
+    const trNode = trWrap["w:tr"];
+    const trPr = kids(trNode, "w:trPr")[0]?.["w:trPr"];
+    let col = Number(wProp(trPr, "w:gridBefore") ?? 0);
+    const cells = [];
+
+    for (const tcWrap of kids(trNode, "w:tc")) {
+      const tcNode = tcWrap["w:tc"];
+      const tcPr = kids(tcNode, "w:tcPr")[0]?.["w:tcPr"];
+      const span = Math.max(1, Number(wProp(tcPr, "w:gridSpan") ?? 1) || 1);
+      const vMerge = wProp(tcPr, "w:vMerge");
+
+      if (vMerge !== undefined && vMerge !== "restart" && merging[col]) {
+        merging[col].rowspan++;
+      } else {
+        const cell = { node: tcNode, tcPr, row: rows.length, col, span, rowspan: 1 };
+        cells.push(cell);
+        for (let k = col; k < col + span; k++) merging[k] = vMerge === "restart" ? cell : null;
+      }
+      col += span;
+    }
+
+    colCount = Math.max(colCount, col);
+    rows.push(cells);
+  }
+
+  return { rows, colWidths, colCount };
+}
+
+// w:sz tính bằng 1/8 pt
+function borderCss(b) {
+  if (!b) return null;
+  if (["none", "nil"].includes(b.val)) return "none";
+  const width = Math.max(1, Math.round((Number(b.sz) || 4) / 6));
+  const style =
+    b.val === "double" ? "double" : /dash/i.test(b.val) ? "dashed" : /dot/i.test(b.val) ? "dotted" : "solid";
+  const color = /^[0-9a-f]{6}$/i.test(b.color || "") ? `#${b.color}` : "#000";
+  return `${b.val === "double" ? Math.max(3, width) : width}px ${style} ${color}`;
+}
+
+function twipsToPx(twips) {
+  return Math.round(Number(twips) / 15);
+}
+
+// width của w:tblW / w:tcW: dxa = twips, pct = 1/50 phần trăm (hoặc "50%")
+function tableWidthCss(node) {
+  const a = node?.[":@"] || {};
+  const w = a["@_w:w"];
+  if (w == null) return null;
+  if (a["@_w:type"] === "pct") return String(w).endsWith("%") ? w : `${Number(w) / 50}%`;
+  if (a["@_w:type"] === "dxa" && Number(w) > 0) return `${twipsToPx(w)}px`;
+  return null;
+}
+
+function renderTable(tblNode, ctx) {
+  const grid = buildTableGrid(tblNode);
+  const { rows, colCount } = grid;
+  const tblPr = kids(tblNode, "w:tblPr")[0]?.["w:tblPr"];
+  const borders = ctx.styles.tableBorders(tblPr);
+  const index = ctx.debug.tables.count++;
+
+  // Render nội dung ô 1 lần (đếm công thức/ảnh, footnote...), dùng lại cho cả HTML lẫn LaTeX
+  for (const cell of rows.flat()) cell.html = renderBlocks(cell.node, ctx);
+
+  if (ctx.tables === "latex") {
+    // cellHtmlToLatex cần ô dạng HTML => lượt output=markdown|text lấy lại LaTeX của lượt HTML theo thứ tự bảng
+    const latex = ctx.markup === HTML_MARKUP ? tableToLatexArray(rows, colCount, !!borders) : ctx.latexTables[index];
+    // LaTeX không parse được => giữ bảng HTML thay vì để MathJax báo lỗi
+    if (latex && !validateLatex(latex)) {
+      ctx.debug.tables.latex++;
+      ctx.latexTables[index] = latex;
+      return ctx.markup.block(ctx.markup.math(latex));
+    }
+    if (latex) ctx.debug.tables.latexInvalid++;
+  }
+
+  return ctx.markup.block(ctx.markup.table(grid, tblPr, borders));
+}
+
+function tableHtml({ rows, colWidths, colCount }, tblPr, borders) {
+  const tableWidth = tableWidthCss(kids(tblPr, "w:tblW")[0]) || "auto";
+  let html = borders
+    ? `<table style="border-collapse:collapse;width:${tableWidth};max-width:100%;">`
+    : `<table border="1" style="border-collapse:collapse;width:${tableWidth};max-width:100%;">`;
+
+  if (colWidths.some((w) => w > 0)) {
+    html += `<colgroup>${colWidths.map((w) => (w > 0 ? `<col style="width:${twipsToPx(w)}px"/>` : "<col/>")).join("")}</colgroup>`;
+  }
+
+  for (const cells of rows) {
+    html += "<tr>";
+    for (const cell of cells) {
+      const { tcPr } = cell;
+      const style = ["padding:6px"];
+
+      const vAlign = wProp(tcPr, "w:vAlign");
+      style.push(`vertical-align:${vAlign === "center" ? "middle" : vAlign === "bottom" ? "bottom" : "top"}`);
+
+      const fill = kids(tcPr, "w:shd")[0]?.[":@"]?.["@_w:fill"];
+      if (/^[0-9a-f]{6}$/i.test(fill || "")) style.push(`background:#${fill}`);
+
+      const width = tableWidthCss(kids(tcPr, "w:tcW")[0]);
+      if (width && !colWidths.length) style.push(`width:${width}`);
+
+      if (borders) {
+        const own = readBorders(kids(tcPr, "w:tcBorders")[0]?.["w:tcBorders"]);
+        const lastRow = cell.row + cell.rowspan === rows.length;
+        const lastCol = cell.col + cell.span >= colCount;
+        const sides = {
+          top: own.top ?? (cell.row === 0 ? borders.top : borders.insideH),
+          bottom: own.bottom ?? (lastRow ? borders.bottom : borders.insideH),
+          left: own.left ?? (cell.col === 0 ? borders.left : borders.insideV),
+          right: own.right ?? (lastCol ? borders.right : borders.insideV),
+        };
+        for (const [side, b] of Object.entries(sides)) style.push(`border-${side}:${borderCss(b) || "none"}`);
+      }
+
+      const attrs =
+        (cell.span > 1 ? ` colspan="${cell.span}"` : "") + (cell.rowspan > 1 ? ` rowspan="${cell.rowspan}"` : "");
+      html += `<td${attrs} style="${style.join(";")};">${cell.html}</td>`;
+    }
+    html += "</tr>";
+  }
+
+  return html + "</table>";
+}
+
+// Nhãn numbering dạng marker ("Câu 1.", "A.") đứng trước nội dung như khi gõ tay
+function listLabelHtml(list, markup) {
+  return list?.label ? markup.run(markup.text(list.label), list.labelFmt) + " " : "";
+}
+
+// w:body, w:hdr, w:ftr, w:footnote, w:txbxContent, w:tc đều là dãy w:p / w:tbl.
+// Mỗi đoạn kết thúc bằng <br/> (kể cả <li>...<br/></li>) vì formatExamLayout/parseExam tách dòng theo <br/>.
+function renderBlocks(children, ctx) {
+  let html = "";
+  const lists = [];
+  const closeLists = (level) => {
+    while (lists.length && lists[lists.length - 1].level > level) html += ctx.markup.listClose(lists.pop());
+  };
+
+  for (const child of Array.isArray(children) ? children : []) {
+    if (child["w:p"]) {
+      const para = ctx.styles.paragraph(child["w:p"]);
+      let pHtml = renderParagraph(child["w:p"], ctx, para);
+
+      if (para.list && !para.list.label) {
+        const { level } = para.list;
+        const tag = para.list.ordered ? "ol" : "ul";
+        closeLists(level);
+        const top = lists[lists.length - 1];
+        if (top?.level === level && top.tag !== tag) closeLists(level - 1);
+        let list = lists[lists.length - 1];
+        if (list?.level !== level) {
+          list = { tag, level, count: 0, parent: list || null };
+          lists.push(list);
+          html += ctx.markup.listOpen(list);
+        }
+        list.count++;
+        html += ctx.markup.listItem(pHtml, list);
+        continue;
+      }
+      closeLists(-1);
+
+      html += ctx.markup.paragraph(listLabelHtml(para.list, ctx.markup) + pHtml, para);
+    } else if (child["w:tbl"]) {
+      closeLists(-1);
+      html += renderTable(child["w:tbl"], ctx);
+    }
+  }
+  closeLists(-1);
+  return html;
+}
+
+function parseWordXml(xml) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    preserveOrder: true,
+    trimValues: false,
+    parseTagValue: false,
+  });
+  return parser.parse(xml);
+}
+
+function buildInlineHtml(documentXml, ctx) {
+  const tree = parseWordXml(documentXml);
+  const doc = kids(tree, "w:document")[0]?.["w:document"];
+  const body = kids(doc, "w:body")[0]?.["w:body"];
+  return renderBlocks(body, ctx);
+}
+
+// header/footer: <w:hdr>/<w:ftr> chứa thẳng các block
+function renderHeaderFooter(partXml, ctx) {
+  const tree = parseWordXml(partXml);
+  const root = kids(tree, "w:hdr")[0]?.["w:hdr"] || kids(tree, "w:ftr")[0]?.["w:ftr"];
+  return renderBlocks(root, ctx);
+}
+
+// footnotes.xml/endnotes.xml => { id: html }, bỏ các note separator (id -1, 0)
+function renderNotes(partXml, kind, ctx) {
+  const tree = parseWordXml(partXml);
+  const tag = `w:${kind}`;
+  const root = kids(tree, `${tag}s`)[0]?.[`${tag}s`];
+  const out = {};
+  for (const note of kids(root, tag)) {
+    const attrs = note[":@"] || {};
+    if (attrs["@_w:type"] && attrs["@_w:type"] !== "normal") continue;
+    const id = attrs["@_w:id"];
+    if (id == null) continue;
+    out[id] = ctx.markup.trimNote(renderBlocks(note[tag], ctx));
+  }
+  return out;
+}
+
+function notesToHtml(kind, order, notesById) {
+  const p = kind === "footnote" ? "fn" : "en";
+  const items = order
+    .filter((id) => notesById[id] != null)
+    .map((id) => `<li id="${p}-${id}">${notesById[id]} <a href="#${p}ref-${id}" class="${kind}-back">↩</a></li>`);
+  return items.length ? `<div class="${kind}s"><hr/><ol>${items.join("")}</ol></div>` : "";
+}
+
+// ============================================================
+// TABLE -> LaTeX array (bảng biến thiên, bảng xét dấu...)
+// ============================================================
+const TABLE_TEXT_SYMBOLS = {
+  "↗": "\\nearrow ",
+  "↘": "\\searrow ",
+  "→": "\\to ",
+  "∞": "\\infty ",
+  "±": "\\pm ",
+  "−": "-",
+  "≤": "\\le ",
+  "≥": "\\ge ",
+  "‖": "\\|",
+};
+
+function latexEscapeText(text) {
+  return String(text).replace(/[\\#$%&_{}~^]/g, (c) =>
+    c === "\\" ? "\\backslash " : c === "~" ? "\\sim " : c === "^" ? "\\hat{}" : `\\${c}`,
+  );
+}
+
+// null nếu ô không phải "toán": có ảnh, bảng con, danh sách hoặc đoạn văn dài
+function cellHtmlToLatex(html) {
+  const s = String(html || "")
+    .replace(/(<br\/>\s*)+$/, "")
+    .trim();
+  if (/<(img|table|ol|ul)\b/i.test(s)) return null;
+  if (stripAllTagsToPlain(s.replace(/\\\([\s\S]*?\\\)/g, "")).length > 30) return null;
+
+  return splitByMath(s)
+    .map(({ math, text }) => {
+      if (math) return text.slice(2, -2).trim();
+      let t = decodeHtmlEntities(stripAllTagsToPlain(text)).trim();
+      if (!t) return "";
+      // "x", "y'", "+", "0" giữ nguyên; chữ (từ 2 ký tự, tiếng Việt...) => \text{}
+      if (/\p{L}{2,}/u.test(t) || /[^\x00-\x7F↗↘→∞±−≤≥‖]/u.test(t)) return `\\text{${latexEscapeText(t)}}`;
+      for (const [sym, tex] of Object.entries(TABLE_TEXT_SYMBOLS)) t = t.replaceAll(sym, tex);
+      return t;
+    })
+    .join(" ")
+    .trim();
+}
+
+function tableToLatexArray(rows, colCount, bordered) {
+  const SKIP = Symbol("skip");
+  const grid = rows.map(() => new Array(colCount).fill(null));
+  let hasMath = false;
+
+  for (const cell of rows.flat()) {
+    const latex = cellHtmlToLatex(cell.html);
+    if (latex == null) return null;
+    if (/class="math"|[↗↘]/.test(cell.html)) hasMath = true;
+
+    for (let r = cell.row; r < cell.row + cell.rowspan && r < rows.length; r++) {
+      grid[r][cell.col] = { latex: r === cell.row ? latex : "", span: cell.span };
+      for (let k = 1; k < cell.span; k++) grid[r][cell.col + k] = SKIP;
+    }
+  }
+  if (!hasMath) return null;
+
+  const lines = grid.map((row) =>
+    row
+      .map((entry, col) => {
+        if (entry === SKIP) return null;
+        if (!entry || entry.span === 1) return entry?.latex || "";
+        const spec = bordered ? (col === 0 ? "|c|" : "c|") : "c";
+        return `\\multicolumn{${entry.span}}{${spec}}{${entry.latex}}`;
+      })
+      .filter((x) => x !== null)
+      .join(" & "),
+  );
+
+  const cols = bordered ? "|" + "c|".repeat(colCount) : "c".repeat(colCount);
+  const body = bordered ? `\\hline ${lines.join(" \\\\ \\hline ")} \\\\ \\hline` : lines.join(" \\\\ ");
+  return `\\begin{array}{${cols}} ${body} \\end{array}`;
+}
+
+// ============================================================
+// EXAM PROFILES - ngữ pháp đề theo ngôn ngữ (?examProfile=auto|vi|en)
+// ============================================================
+// Các trường là mảnh regex (source). TAG_GAP: khoảng trắng có thể chen thẻ định dạng ("Lời <b>giải</b>").
+// choiceKeys / statementKeys: chữ cái hợp lệ theo thứ tự (nhiều hơn 4 được); open/close: dấu bao quanh chữ cái.
+// Khi tách, "(A)" / "<u>A</u>." được đưa về "A." và "<u>a</u>)" về "a)" nên close phải chấp nhận "." / ")".
+const TAG_GAP = String.raw`(?:\s*<[^>]*>)*\s*`;
+// Thẻ định dạng mở ngay trước marker ("<b>Lời giải.</b>"): cắt trước các thẻ này để stem / lời giải không lệch thẻ
+const OPEN_FORMAT_TAGS = String.raw`(?:<(?:b|i|u|s|strong|em|mark|sup|sub|span(?![^>]*class="math"))\b[^>]*>\s*)*`;
+
+const EXAM_PROFILES = {
+  vi: {
+    question: "Câu",
+    questionEnd: String.raw`\.`,
+    section: "PHẦN",
+    sectionNumber: String.raw`\d+\.`,
+    choiceKeys: "ABCD",
+    choiceOpen: "",
+    choiceClose: String.raw`\.`,
+    statementKeys: "abcd",
+    statementOpen: "",
+    statementClose: String.raw`\)`,
+    gluedMarkers: true, // "x A." / "1A." vẫn là marker (đề gõ dính)
+    solution: String.raw`Lời${TAG_GAP}giải|Hướng${TAG_GAP}dẫn${TAG_GAP}giải`,
+    detail: String.raw`Giải${TAG_GAP}chi\s*ti\s*ết`,
+    answerLine: String.raw`[Đđ]áp${TAG_GAP}án(?:${TAG_GAP}đúng)?(?:${TAG_GAP}là)?|[Cc]họn(?:${TAG_GAP}đáp${TAG_GAP}án)?`,
+    answerTable: String.raw`BẢNG${TAG_GAP}ĐÁP${TAG_GAP}ÁN`,
+    shortAnswer: String.raw`[Đđ]áp${TAG_GAP}(?:án|số)|ĐS|[Tt]rả${TAG_GAP}lời|[Kk]ết${TAG_GAP}quả`,
+    tfTrue: "[Đđ]úng|Đ",
+    tfFalse: "[Ss]ai|S",
+    tfLetters: "ĐS",
+    pointsUnit: "điểm|đ",
+    essaySection: String.raw`tự\s*luận`,
+    tfSection: String.raw`đúng\s*[-/]?\s*sai`,
+    taskVerb: String.raw`Tìm|Tính|Vẽ|Giải|Chứng\s+minh|Xác\s+định|Rút\s+gọn|Khảo\s+sát|Viết|Lập|Biện\s+luận|So\s+sánh|Nêu|Hãy`,
+    rubric: String.raw`Hướng${TAG_GAP}dẫn${TAG_GAP}chấm|Thang${TAG_GAP}điểm`,
+    lockedChoice: String.raw`Tất\s+cả|Cả\s+(?:(?:đáp|phương)\s*án\s+)?(?:[A-F]|hai|ba|bốn)(?![\p{L}\p{N}])|Không\s+có\s+(?:đáp\s*án|phương\s*án|ý|câu)\s+nào|(?:Đáp|Phương)\s*án\s+khác|Các\s+(?:đáp\s*án|phương\s*án)\s+trên`,
+    variantLabel: "Mã đề",
+    pointsLabel: "điểm",
+    solutionLabel: "Lời giải",
+    trueLabel: "Đúng",
+    falseLabel: "Sai",
+    decimalSeparator: ",",
+  },
+  en: {
+    question: "Question",
+    questionEnd: "[.:]",
+    section: "PART|Part|SECTION|Section",
+    sectionNumber: String.raw`(?:\d+|[IVX]+)\b[.:]?`,
+    choiceKeys: "ABCDEF",
+    choiceOpen: String.raw`\(?`,
+    choiceClose: "[.)]",
+    statementKeys: "abcd",
+    statementOpen: String.raw`\(?`,
+    statementClose: String.raw`\)`,
+    gluedMarkers: false, // "DNA." / "f(a)" không phải marker
+    solution: String.raw`Solution|Explanation|Answer${TAG_GAP}explanation`,
+    detail: String.raw`Detailed${TAG_GAP}solution`,
+    answerLine: String.raw`(?:[Cc]orrect${TAG_GAP})?[Aa]nswer(?:${TAG_GAP}is)?|[Cc]hoose`,
+    answerTable: String.raw`Answer${TAG_GAP}keys?`,
+    shortAnswer: String.raw`[Aa]nswer|[Rr]esult`,
+    tfTrue: "[Tt]rue|T",
+    tfFalse: "[Ff]alse|F",
+    tfLetters: "TF",
+    pointsUnit: "points?|pts?|marks?",
+    essaySection: String.raw`essay|free\s*response|written`,
+    tfSection: String.raw`true\s*[-/]?\s*(?:or\s*)?false`,
+    taskVerb: String.raw`Find|Compute|Calculate|Evaluate|Solve|Prove|Show|Sketch|Draw|Determine|Simplify|Explain|Write|Describe|Hence`,
+    rubric: String.raw`Marking${TAG_GAP}scheme|Mark${TAG_GAP}scheme|Rubric`,
+    lockedChoice: String.raw`(?:all|none)\s+of\s+(?:the\s+above|these)|both\s+(?:options?\s+|answers?\s+)?[A-F]\s+and\s+[A-F]|neither(?![\p{L}\p{N}])|[A-F]\s+and\s+[A-F]\s+are\s+(?:correct|true)`,
+    variantLabel: "Version",
+    pointsLabel: "pts",
+    solutionLabel: "Solution",
+    trueLabel: "True",
+    falseLabel: "False",
+    decimalSeparator: ".",
+  },
+};
+const EXAM_PROFILE_NAMES = Object.keys(EXAM_PROFILES);
+
+const examGrammarCache = new Map();
+
+// profile => các mảnh regex dùng chung cho layout / tách câu / Markdown
+function examGrammar(name = "vi") {
+  if (examGrammarCache.has(name)) return examGrammarCache.get(name);
+  const p = EXAM_PROFILES[name] || EXAM_PROFILES.vi;
+  const g = {
+    name: EXAM_PROFILES[name] ? name : "vi",
+    question: `(?:${p.question})`,
+    questionEnd: p.questionEnd,
+    section: `(?:${p.section})`,
+    sectionNumber: p.sectionNumber,
+    choiceKeys: p.choiceKeys,
+    statementKeys: p.statementKeys,
+    gluedMarkers: p.gluedMarkers,
+    // khoảng trắng trước marker giữa dòng
+    markerGap: p.gluedMarkers ? String.raw`\s*` : String.raw`\s+`,
+    // ([A-D]) / "(" tuỳ chọn / "." => "A.", "(A)"...
+    choice: { keys: `[${p.choiceKeys}]`, open: p.choiceOpen, close: p.choiceClose },
+    statement: { keys: `[${p.statementKeys}]`, open: p.statementOpen, close: p.statementClose },
+    solution: `${p.solution}|${p.detail}|${p.rubric}`,
+    detail: p.detail,
+    // "Đáp án: B" / "Chọn C" (cờ u); answerHead dùng trong lookbehind của layout
+    answerHead: `(?:${p.answerLine})${TAG_GAP}[:.]?${TAG_GAP}`,
+    answerLine: String.raw`(?:${p.answerLine})${TAG_GAP}[:.]?${TAG_GAP}\(?([${p.choiceKeys}])(?![\p{L}\p{N}])`,
+    answerTable: p.answerTable,
+    // "Đáp án: 1,25" / "Trả lời: -0,5" (câu trả lời ngắn)
+    shortAnswer: `(?:${p.shortAnswer})${TAG_GAP}(?:là${TAG_GAP})?`,
+    // Đúng/Sai: từ đầy đủ hoặc chữ cái đầu ("ĐSSĐ" trong bảng đáp án)
+    tfTrue: p.tfTrue,
+    tfFalse: p.tfFalse,
+    tfLetters: p.tfLetters,
+    // "(1,0 điểm)": points bắt giá trị, pointsTag để chèn vào regex khác; essaySection / tfSection / rubric dùng cờ i
+    points: String.raw`\(\s*(\d+(?:[.,]\d+)?)\s*(?:${p.pointsUnit})\s*\)`,
+    pointsTag: String.raw`\(\s*\d+(?:[.,]\d+)?\s*(?:${p.pointsUnit})\s*\)`,
+    pointsUnit: p.pointsUnit,
+    essaySection: p.essaySection,
+    tfSection: p.tfSection,
+    // "a) Tìm ...", "b) Sketch ...": ý là yêu cầu làm bài (tự luận), không phải mệnh đề đúng/sai (cờ iu)
+    taskVerb: p.taskVerb,
+    rubric: p.rubric,
+    // "Tất cả các đáp án trên" / "None of the above" ở đầu lựa chọn (cờ iu): giữ chỗ khi trộn đề
+    lockedChoice: p.lockedChoice,
+    questionLabel: p.question,
+    variantLabel: p.variantLabel,
+    pointsLabel: p.pointsLabel,
+    // nhãn khi xuất đề (Moodle / GIFT / QTI / docx): "Lời giải. ", "Đúng" / "Sai"
+    solutionLabel: p.solutionLabel,
+    trueLabel: p.trueLabel,
+    falseLabel: p.falseLabel,
+    decimalSeparator: p.decimalSeparator,
+  };
+  // "Câu 1.", "Câu 1 (2,0 điểm).", "Câu 1 (2 điểm)"
+  g.questionTail = String.raw`(?:${g.questionEnd}|\s*${g.pointsTag}(?:\s*${g.questionEnd})?)`;
+  examGrammarCache.set(name, g);
+  return g;
+}
+
+// Marker 1 lựa chọn / 1 ý: open + (chữ cái) + close
+function markerSource({ keys, open, close }) {
+  return `${open}(${keys})${close}`;
+}
+
+// auto: profile có nhiều dòng mở đầu bằng marker câu hỏi nhất (hoà => vi)
+function detectExamProfile(html) {
+  let best = "vi",
+    bestCount = 0;
+  for (const name of EXAM_PROFILE_NAMES) {
+    const g = examGrammar(name);
+    const re = new RegExp(String.raw`(^|<br\/>\s*)\s*(?:<[^>]*>\s*)*${g.question}\s*\d+\s*${g.questionEnd}`, "gi");
+    const count = (String(html || "").match(re) || []).length;
+    if (count > bestCount) [best, bestCount] = [name, count];
+  }
+  return best;
+}
+
+// Lựa chọn thứ 5 trở đi (E., F.) chỉ nhận khi đi ngay sau lựa chọn liền trước - tránh "tại điểm E." trong đề
+function acceptChoiceHit(hits, key, keys) {
+  const rank = keys.indexOf(key);
+  return rank < 4 || hits[hits.length - 1]?.key === keys[rank - 1];
+}
+
+// A-D luôn có mặt (như trước), các chữ sau chỉ khi tách được
+function orderedKeyMap(keys, parts, value = (k) => parts?.[k] || "") {
+  return Object.fromEntries([...keys].filter((k, i) => i < 4 || parts?.[k]).map((k) => [k, value(k)]));
+}
+
+// ============================================================
+// FORMAT LAYOUT (simplified)
+// ============================================================
+function splitByMath(html) {
+  const out = [];
+  const re = /\\\([\s\S]*?\\\)/g;
+  let last = 0,
+    m;
+  while ((m = re.exec(html)) !== null) {
+    if (m.index > last) out.push({ math: false, text: html.slice(last, m.index) });
+    out.push({ math: true, text: m[0] });
+    last = m.index + m[0].length;
+  }
+  if (last < html.length) out.push({ math: false, text: html.slice(last) });
+  return out;
+}
+
+function normalizeGluedChoiceMarkers(s, g = examGrammar()) {
+  s = String(s || "");
+  if (!g.gluedMarkers) return s;
+  for (const [m, flags] of [
+    [g.choice, "g"],
+    [g.statement, "gi"],
+  ]) {
+    const before = `([^<\\s>${m.open ? "(" : ""}])`;
+    s = s.replace(new RegExp(`${before}(${m.open}${m.keys}${m.close})`, flags), "$1 $2");
+    s = s.replace(new RegExp(String.raw`${before}(${m.open}<u[^>]*>\s*${m.keys}\s*<\/u>\s*${m.close})`, "gi"), "$1 $2");
+  }
+  return s;
+}
+
+// "<u>a)</u>": marker trần nằm ngay trong <u> thì để mẫu <u>...</u> xử lý (xuống dòng trước <u>, không chèn vào trong)
+const NOT_IN_U = String.raw`(?<!<u[^>]*>\s*)`;
+
+function formatAbcdOutsideHeaders(text, g = examGrammar()) {
+  const { keys, open, close } = g.statement;
+  const headerRegex = /(<div class="section-header">[\s\S]*?<\/div>)/g;
+  return text
+    .split(headerRegex)
+    .map((seg) => {
+      if (seg.startsWith('<div class="section-header">')) return seg;
+      let s = seg;
+      for (const marker of [
+        `${open}${keys}${close}`,
+        String.raw`<u[^>]*>\s*${open}${keys}\s*${close}\s*<\/u>`,
+        String.raw`${open}<u[^>]*>\s*${keys}\s*<\/u>\s*${close}`,
+      ]) {
+        s = s
+          .replace(new RegExp(String.raw`(^|<br\/>\s*<br\/>|\n)\s*(${marker})`, "gi"), "$1&emsp;$2")
+          .replace(new RegExp(String.raw`([^<\n])${g.markerGap}${NOT_IN_U}(${marker})`, "gi"), "$1<br/>&emsp;$2");
+      }
+      return s;
+    })
+    .join("");
+}
+
+// <b>A.</b>, <b><u>B</u></b>., <span style="color:..."><b>C</b></span>. => marker trần như văn bản gõ tay,
+// để các regex tách lựa chọn / đáp án phía sau không bị thẻ định dạng chen vào giữa chữ cái và dấu
+function unwrapFormattedMarkers(html, g = examGrammar()) {
+  const open = g.choice.open || g.statement.open;
+  const marker = String.raw`\s*${open}(?:<u[^>]*>\s*)?[${g.choiceKeys}${g.statementKeys}]\s*(?:<\/u>\s*)?`;
+  const inside = new RegExp(String.raw`<(b|i|s|mark|span)(?:\s[^>]*)?>(${marker}[.)](?:\s*<\/u>)?\s*)<\/\1>`, "g");
+  const before = new RegExp(String.raw`<(b|i|s|mark|span)(?:\s[^>]*)?>(${marker})<\/\1>(?=\s*[.)])`, "g");
+  let s = String(html || ""),
+    prev;
+  do {
+    prev = s;
+    s = s.replace(inside, "$2").replace(before, "$2");
+  } while (s !== prev);
+  return s;
+}
+
+function formatExamLayout(html, g = examGrammar()) {
+  const { open, close } = g.choice;
+  const base = `[${g.choiceKeys.slice(0, 4)}]`;
+  let result = unwrapFormattedMarkers(html.replace(/\s+/g, " "), g).replace(
+    new RegExp(`(${g.section})(\\d)`, "gi"),
+    "$1 $2"
+  );
+  result = result.replace(
+    new RegExp(
+      String.raw`(^|<br\/>)\s*((?:<(?:b|i|u|span|mark)\b[^>]*>\s*)*${g.section}\s+${g.sectionNumber}(?:(?!<br\/>\s*(?:<[^>]*>\s*)*${g.question}\s+\d).)*)`,
+      "g"
+    ),
+    (m, lead, title) => `${lead}<br/><div class="section-header"><strong>${stripInlineFormatting(title)}</strong></div>`
+  );
+
+  const parts = splitByMath(result);
+  for (const p of parts) {
+    if (p.math) continue;
+    p.text = normalizeGluedChoiceMarkers(p.text, g);
+    for (const [marker, flags] of [
+      [`${open}${base}${close}`, "g"],
+      [String.raw`${open}<u[^>]*>\s*${base}\s*<\/u>\s*${close}`, "gi"],
+      [String.raw`<u[^>]*>\s*${open}${base}\s*${close}\s*<\/u>`, "gi"],
+    ]) {
+      p.text = p.text
+        .replace(new RegExp(String.raw`(^|<br\/>\s*<br\/>|\n)\s*(${marker})`, flags), "$1&emsp;$2")
+        .replace(
+          new RegExp(String.raw`([^<\n])${g.markerGap}${NOT_IN_U}(?<!${g.answerHead})(${marker})`, flags),
+          "$1<br/>&emsp;$2"
+        );
+    }
+    // E., F.: chỉ xuống dòng khi đi sau lựa chọn liền trước trên cùng dòng
+    for (let i = 4; i < g.choiceKeys.length; i++) {
+      const [prev, cur] = [g.choiceKeys[i - 1], g.choiceKeys[i]].map((k) => `${open}${k}${close}`);
+      p.text = p.text.replace(
+        new RegExp(String.raw`(&emsp;${prev}(?:(?!<br\/>)[\s\S])*?)\s+(${cur})`, "g"),
+        "$1<br/>&emsp;$2"
+      );
+    }
+    p.text = formatAbcdOutsideHeaders(p.text, g);
+    p.text = p.text
+      .replace(new RegExp(String.raw`(${g.question})\s*(\d+)\s*(${g.questionEnd})`, "g"), "$1 $2$3")
+      .replace(/(<br\/>\s*){3,}/g, "<br/><br/>");
+  }
+
+  return parts.map((x) => x.text).join("");
+}
+
+// ============================================================
+// ✅ FIX ADDED: ẢNH DÍNH SANG "Câu N."
+// (chỉ thêm <br/> để ảnh tách khối trước khi vào câu tiếp theo)
+// ============================================================
+function fixImageStickingToNextQuestion(html, g = examGrammar()) {
+  return String(html || "").replace(
+    new RegExp(String.raw`(<img\b[^>]*>\s*)(<br\/>\s*${g.question}\s+\d+${g.questionEnd})`, "gi"),
+    "$1<br/><br/>$2"
+  );
+}
+
+// ============================================================
+// EXAM PARSING (simplified - keeping essential functions)
+// ============================================================
+function stripAllTagsToPlain(html) {
+  return String(html || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/&emsp;/g, " ")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function detectHasMCQ(plain, g = examGrammar()) {
+  const re = new RegExp(String.raw`(?<!\w)${markerSource(g.choice)}`, "g");
+  return new Set([...plain.matchAll(re)].map((m) => m[1])).size >= 2;
+}
+function statementKeysIn(plain, g = examGrammar()) {
+  const re = new RegExp(String.raw`(?<!\w)${markerSource(g.statement)}`, "gi");
+  return new Set([...plain.matchAll(re)].map((m) => m[1].toLowerCase()));
+}
+
+function hasTaskStatements(plain, g = examGrammar()) {
+  return new RegExp(String.raw`(?<!\w)${markerSource(g.statement)}\s*(?:${g.taskVerb})(?![\p{L}])`, "iu").test(plain);
+}
+
+// Đúng/sai hay tự luận: PHẦN chứa câu quyết định trước, rồi tới điểm ghi ở phần đề "(0,5 điểm)"
+// (điểm trong barem lời giải không tính); ngoài PHẦN đúng/sai, từ 2 ý a) b)... chỉ là đúng/sai khi
+// lời giải có đáp án Đ/S (tfKey) hoặc các ý là mệnh đề (không mở đầu bằng "Tìm", "Vẽ"...), còn lại là tự luận
+function statementBlockType(plain, g, { inTfSection = false, inEssaySection = false, stemPlain = plain, tfKey = false } = {}) {
+  const hasStatements = statementKeysIn(plain, g).size >= 2;
+  if (inEssaySection) return "essay";
+  if (inTfSection && hasStatements) return "tf4";
+  if (new RegExp(g.pointsTag, "i").test(stemPlain)) return "essay";
+  if (!hasStatements) return null;
+  return tfKey || !hasTaskStatements(stemPlain, g) ? "tf4" : "essay";
+}
+
+function detectHasTF4(plain, g = examGrammar(), context = {}) {
+  return statementBlockType(plain, g, context) === "tf4";
+}
+
+function detectIsEssay(plain, g = examGrammar(), context = {}) {
+  return statementBlockType(plain, g, context) === "essay";
+}
+
+// 0.5 => "(0,5 điểm)": ghi lại điểm khi xuất đề
+function pointsTagText(points, g = examGrammar()) {
+  return `(${String(points).replace(".", g.decimalSeparator)} ${g.pointsLabel})`;
+}
+
+// "(1,0 điểm)" đầu tiên => 1
+function pointsIn(html, g = examGrammar()) {
+  const m = new RegExp(g.points, "i").exec(stripAllTagsToPlain(html));
+  return m ? Number(m[1].replace(",", ".")) : null;
+}
+
+function findSolutionMarkerIndex(html, fromIndex = 0, g = examGrammar()) {
+  const re = new RegExp(`${OPEN_FORMAT_TAGS}(${g.solution})`, "i");
+  const m = re.exec(String(html || "").slice(fromIndex));
+  return m ? fromIndex + m.index : -1;
+}
+
+// "Lời giải" mở đầu 1 dòng (không phải nhắc tới giữa câu văn)
+function findSolutionLineIndex(html, g = examGrammar()) {
+  const re = new RegExp(String.raw`(^|<br\/>)(?:\s|&emsp;)*(?:<[^>]*>\s*)*(?:${g.solution})`, "i");
+  const m = re.exec(String(html || ""));
+  return m ? m.index + m[1].length : -1;
+}
+
+function splitSolutionSections(tailHtml, g = examGrammar()) {
+  let s = String(tailHtml || "").trim();
+  if (!s) return { solutionHtml: "", detailHtml: "" };
+  const matchCT = new RegExp(`${OPEN_FORMAT_TAGS}(${g.detail})`, "i").exec(s);
+  if (matchCT) return { solutionHtml: s.slice(0, matchCT.index).trim(), detailHtml: s.slice(matchCT.index).trim() };
+  return { solutionHtml: s, detailHtml: "" };
+}
+
+// <u>A</u>. / <u>A.</u> (hoặc (<u>A</u>) / <u>(A)</u> tuỳ profile) => chữ cái được gạch chân
+function underlinedMarkerSources({ keys, open, close }) {
+  return [
+    String.raw`${open}<u[^>]*>\s*(${keys})\s*<\/u>\s*${close}`,
+    String.raw`<u[^>]*>\s*${open}(${keys})\s*${close}\s*<\/u>`,
+  ];
+}
+
+// { mcq: ["B"], tf: ["a", "c"] }: mọi chữ cái được gạch chân (gạch 2 lựa chọn => lint multiple_answers)
+function extractUnderlinedKeys(blockHtml, g = examGrammar()) {
+  const keys = { mcq: [], tf: [] };
+  const s = String(blockHtml || "");
+  for (const src of underlinedMarkerSources(g.choice)) {
+    for (const mm of s.matchAll(new RegExp(src, "gi"))) keys.mcq.push(mm[1].toUpperCase());
+  }
+  keys.mcq = [...new Set(keys.mcq)];
+  for (const src of underlinedMarkerSources(g.statement).reverse()) {
+    for (const mm of s.matchAll(new RegExp(src, "gi"))) keys.tf.push(mm[1].toLowerCase());
+  }
+  keys.tf = [...new Set(keys.tf)];
+  return keys;
+}
+
+function normalizeUnderlinedMarkersForSplit(html, g = examGrammar()) {
+  let s = String(html || "");
+  for (const src of underlinedMarkerSources(g.choice)) s = s.replace(new RegExp(src, "gi"), "$1.");
+  for (const src of underlinedMarkerSources(g.statement).reverse()) s = s.replace(new RegExp(src, "gi"), "$1)");
+  return s;
+}
+
+// mark: để lại mốc rỗng cho lint (ảnh bị bỏ ở câu nào), gỡ khỏi kết quả bởi stripLintMarks
+function removeUnsupportedImages(html, { mark = false } = {}) {
+  const drop = mark ? '<span class="image-dropped"></span>' : "";
+  let s = String(html || "");
+  s = s.replace(/<img[^>]*src\s*=\s*["']\s*["'][^>]*>/gi, drop);
+  s = s.replace(/<img(?![^>]*src\s*=)[^>]*>/gi, drop);
+  s = s.replace(/<img[^>]*data:application\/octet-stream[^>]*>/gi, drop);
+  return s;
+}
+
+function splitChoicesHtmlABCD(blockHtml, g = examGrammar()) {
+  let s = normalizeUnderlinedMarkersForSplit(blockHtml, g).replace(/&emsp;/g, " ");
+  s = normalizeGluedChoiceMarkers(s, g).replace(/<br\/>/g, " <br/>");
+
+  const re = new RegExp(String.raw`(^|[\s>.:;,<\)\]\}？？\?])${markerSource(g.choice)}`, "g");
+  const hits = [];
+  let m;
+  while ((m = re.exec(s)) !== null) {
+    if (acceptChoiceHit(hits, m[2], g.choiceKeys)) hits.push({ idx: m.index + m[1].length, key: m[2] });
+  }
+  if (hits.length < 2) return null;
+
+  // "Lời giải ... Chọn B." / "Đáp án: B." : chữ cái phía sau không phải lựa chọn
+  const cuts = [findSolutionMarkerIndex(s, hits[0].idx, g), findAnswerLineIndex(s, hits[0].idx, g)];
+  const endAll = Math.min(...cuts.map((i) => (i >= 0 ? i : s.length)));
+  while (hits.length && hits[hits.length - 1].idx >= endAll) hits.pop();
+  if (hits.length < 2) return null;
+
+  const out = { _stem: s.slice(0, hits[0].idx).trim(), _tail: s.slice(endAll).trim() };
+  for (let i = 0; i < hits.length; i++) {
+    const start = hits[i].idx,
+      end = i + 1 < hits.length ? hits[i + 1].idx : endAll;
+    out[hits[i].key] = removeUnsupportedImages(s.slice(start, end).trim().replace(new RegExp(String.raw`^${markerSource(g.choice)}\s*`, "i"), ""));
+  }
+  return out;
+}
+
+function splitStatementsHtmlabcd(blockHtml, g = examGrammar()) {
+  let s = normalizeUnderlinedMarkersForSplit(blockHtml, g).replace(/&emsp;/g, " ");
+  s = normalizeGluedChoiceMarkers(s, g).replace(/<br\/>/g, " <br/>");
+
+  // "Đáp án: a) Đúng b) Sai ..." không phải các ý
+  const cuts = [findSolutionMarkerIndex(s, 0, g), findShortAnswerLineIndex(s, 0, g)].filter((i) => i >= 0);
+  const earlysolIdx = cuts.length ? Math.min(...cuts) : -1;
+  let workingHtml = s,
+    tailHtml = "";
+  if (earlysolIdx >= 0) {
+    workingHtml = s.slice(0, earlysolIdx);
+    tailHtml = s.slice(earlysolIdx).trim();
+  }
+
+  const re = new RegExp(String.raw`(^|[\s>.:;,<\)\]\}？？\?])${markerSource(g.statement)}`, "gi");
+  const hits = [];
+  let m;
+  while ((m = re.exec(workingHtml)) !== null) hits.push({ idx: m.index + m[1].length, key: m[2].toLowerCase() });
+  if (hits.length < 2) return null;
+
+  const out = { _stem: workingHtml.slice(0, hits[0].idx).trim(), _tail: tailHtml };
+  for (let i = 0; i < hits.length; i++) {
+    const start = hits[i].idx,
+      end = i + 1 < hits.length ? hits[i + 1].idx : workingHtml.length;
+    out[hits[i].key] = removeUnsupportedImages(workingHtml.slice(start, end).trim().replace(new RegExp(String.raw`^${markerSource(g.statement)}\s*`, "i"), ""));
+  }
+  return out;
+}
+
+// Marker nằm giữa 1 đoạn định dạng ("<b>Câu 1. ... Lời giải.</b>") vẫn cắt đôi thẻ: bỏ thẻ đóng lẻ, đóng thẻ còn mở.
+// Công thức \( \) đi nguyên khối (LaTeX có thể chứa "<b").
+const FORMAT_TAG_RE = /<span class="math"[^>]*>\\\([\s\S]*?\\\)<\/span>|<(\/?)(b|i|u|s|strong|em|mark|sup|sub|span)\b[^>]*>/gi;
+
+function balanceFormatTags(html) {
+  if (typeof html !== "string" || !html.includes("<")) return html;
+  const stack = [];
+  const out = html.replace(FORMAT_TAG_RE, (m, close, tag) => {
+    if (!tag) return m;
+    const name = tag.toLowerCase();
+    if (!close) {
+      stack.push(name);
+      return m;
+    }
+    const at = stack.lastIndexOf(name);
+    if (at < 0) return "";
+    return stack
+      .splice(at)
+      .reverse()
+      .map((t) => `</${t}>`)
+      .join("");
+  });
+  const closed = out + stack.reverse().map((t) => `</${t}>`).join("");
+  return closed.replace(/<(b|i|u|s|strong|em|mark|sup|sub)\b[^>]*>(\s*)<\/\1>/gi, "$2");
+}
+
+// Tiêu đề PHẦN: bỏ thẻ định dạng (đã nằm trong <strong>), giữ công thức
+function stripInlineFormatting(html) {
+  return html.replace(FORMAT_TAG_RE, (m, close, tag) => (tag ? "" : m));
+}
+
+function cleanStem(html, g = examGrammar()) {
+  const label = new RegExp(String.raw`^((?:<[^>]*>\s*)*)${g.question}\s+\d+(?:${g.questionEnd}|\s*${g.pointsTag})*\s*`, "i");
+  return html ? String(html).replace(label, "$1").replace(/^<(b|i|strong|em)>\s*<\/\1>\s*/i, "").trim() : html;
+}
+
+// ============================================================
+// EXAM ANSWERS - đáp án từ nhiều nguồn (?answerSources=underline,bold,...)
+// Thứ tự trong answerSources là thứ tự ưu tiên; nguồn khác nhau => answerConflict
+// ============================================================
+const ANSWER_SOURCES = ["underline", "bold", "color", "highlight", "solution", "table"];
+const ANSWER_FORMAT_TAGS = { b: "bold", strong: "bold", mark: "highlight" };
+
+// Chữ đỏ: color:red hoặc #rrggbb thiên đỏ (Word hay dùng FF0000, C00000, E60000...)
+function isRedColor(attrs) {
+  const m = /color:\s*#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})/i.exec(attrs || "");
+  if (!m) return /color:\s*red\b/i.test(attrs || "");
+  const [r, gr, b] = m.slice(1).map((h) => parseInt(h, 16));
+  return r >= 0xb0 && gr < 0x70 && b < 0x70;
+}
+
+// Marker nằm đầu 1 đoạn chữ đậm / đỏ / tô nền: "<b>B.</b>", "<b>B</b>.", "<mark>c) ...</mark>"
+// => { bold: { choice: ["B"], statement: [] }, color: ..., highlight: ... }
+function formattedMarkerKeys(html, g = examGrammar()) {
+  let plain = "";
+  const ranges = { bold: [], color: [], highlight: [] };
+  const stack = [];
+  for (const tok of String(html || "").split(/(<[^>]*>)/)) {
+    if (!tok) continue;
+    const tag = /^<(\/?)([a-z][a-z0-9]*)\b([^>]*)>$/i.exec(tok);
+    if (tag) {
+      const [, closing, name, attrs] = tag;
+      const lname = name.toLowerCase();
+      if (lname === "br") plain += "\n";
+      else if (closing) {
+        const i = stack.map((t) => t.name).lastIndexOf(lname);
+        if (i >= 0) stack.length = i;
+      } else if (!VOID_TAGS.has(lname) && !attrs.endsWith("/")) {
+        const kind = ANSWER_FORMAT_TAGS[lname] || (lname === "span" && isRedColor(attrs) ? "color" : null);
+        stack.push({ name: lname, kind });
+      }
+      continue;
+    }
+    const start = plain.length;
+    plain += decodeHtmlEntities(tok);
+    for (const kind of new Set(stack.map((t) => t.kind).filter(Boolean))) {
+      const last = ranges[kind][ranges[kind].length - 1];
+      if (last && last[1] === start) last[1] = plain.length;
+      else ranges[kind].push([start, plain.length]);
+    }
+  }
+
+  const out = {};
+  for (const [kind, list] of Object.entries(ranges)) {
+    out[kind] = { choice: [], statement: [] };
+    for (const [a, b] of list) {
+      const seg = plain.slice(a, b);
+      if (a > 0 && !/^\s/.test(seg) && !/[\s.:;,)\]}?]/.test(plain[a - 1])) continue;
+      for (const type of ["choice", "statement"]) {
+        const { keys, open, close } = g[type];
+        const m = new RegExp(String.raw`^\s*${open}(${keys})\s*(${close})?`).exec(seg);
+        if (!m) continue;
+        // "<b>B</b>." : dấu đóng nằm ngoài run
+        if (!m[2] && (seg.slice(m[0].length).trim() || !new RegExp(String.raw`^\s*${close}`).test(plain.slice(b))))
+          continue;
+        if (!out[kind][type].includes(m[1])) out[kind][type].push(m[1]);
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+// Quét trên HTML trước layout (unwrapFormattedMarkers gỡ <b>/<mark>/<span> khỏi marker), chia theo "Câu N."
+function extractFormattedKeysByQuestion(rawHtml, g = examGrammar()) {
+  const s = String(rawHtml || "");
+  const re = new RegExp(String.raw`(?:^|<br\/>)\s*(?:<[^>]*>\s*)*${g.question}\s*(\d+)\s*${g.questionTail}`, "gi");
+  const hits = [...s.matchAll(re)];
+  return hits.map((m, i) => ({
+    qno: Number(m[1]),
+    ...formattedMarkerKeys(s.slice(m.index, hits[i + 1]?.index ?? s.length), g),
+  }));
+}
+
+// "Đáp án: B" mở đầu 1 dòng ("D. Cả đáp án A và B đều đúng" là lựa chọn, không phải dòng đáp án)
+function findAnswerLineIndex(html, fromIndex = 0, g = examGrammar()) {
+  const re = new RegExp(String.raw`(^|<br\/>)(?:\s|&emsp;)*(?:<[^>]*>\s*)*(?:${g.answerLine})`, "u");
+  const m = re.exec(String(html || "").slice(fromIndex));
+  return m ? fromIndex + m.index + m[1].length : -1;
+}
+
+// "Đáp án: B" / "Chọn C" trong lời giải: ưu tiên dòng đáp án, không có thì lấy lần nhắc đầu tiên
+function answerFromSolution(html, g = examGrammar()) {
+  const s = String(html || "");
+  const line = findAnswerLineIndex(s, 0, g);
+  return new RegExp(g.answerLine, "u").exec(line >= 0 ? s.slice(line) : s)?.[1] || null;
+}
+
+function findAnswerTableIndex(html, fromIndex = 0, g = examGrammar()) {
+  const m = new RegExp(`${OPEN_FORMAT_TAGS}(?:${g.answerTable})`, "i").exec(String(html || "").slice(fromIndex));
+  return m ? fromIndex + m.index : -1;
+}
+
+// BẢNG ĐÁP ÁN cuối đề => Map(số câu => ["B", "ĐSSĐ", ...]): số câu đánh lại từ 1 ở mỗi PHẦN nên 1 số có thể
+// có cả đáp án trắc nghiệm lẫn đúng/sai. Nhận 3 kiểu: hàng "Câu | 1 | 2" + hàng "Đáp án | B | ĐSSĐ" ngay dưới;
+// cột "1 | B"; ô / dòng chữ "1.B 2-C 3B 1.ĐSSĐ"
+function parseAnswerTable(html, g = examGrammar()) {
+  const answers = new Map();
+  const add = (no, value) => answers.set(no, [...(answers.get(no) || []), value]);
+  const tf = `[${g.tfLetters}]`;
+  const valueRe = new RegExp(String.raw`^(?:\(?(${g.choice.keys})[.)]?|(${tf}(?:[\s,;\-]*${tf})+))$`, "u");
+  const cellValue = (cell) => {
+    const m = valueRe.exec(cell.replace(new RegExp(markerSource(g.statement), "g"), " ").trim());
+    return m ? m[1] || m[2].replace(/[^\p{L}]/gu, "") : null;
+  };
+  const rows = [...String(html || "").matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi)].map((r) =>
+    [...r[1].matchAll(/<t[dh]\b[^>]*>([\s\S]*?)<\/t[dh]>/gi)].map((c) => stripAllTagsToPlain(c[1])),
+  );
+  const seen = new Set();
+  for (let r = 0; r + 1 < rows.length; r++) {
+    rows[r].forEach((cell, c) => {
+      const value = /^\d+$/.test(cell) && cellValue(rows[r + 1][c] || "");
+      if (!value) return;
+      add(Number(cell), value);
+      seen.add(`${cell}:${value}`);
+    });
+  }
+  const pairRe = new RegExp(
+    String.raw`(?<![\p{L}\p{N}])(\d{1,3})\s*[.:)\-–]?\s*(${g.choice.keys}|${tf}{2,})(?![\p{L}\p{N}])`,
+    "gu",
+  );
+  for (const m of stripAllTagsToPlain(html).matchAll(pairRe)) {
+    if (!seen.has(`${m[1]}:${m[2]}`)) add(Number(m[1]), m[2]);
+    seen.add(`${m[1]}:${m[2]}`);
+  }
+  return answers;
+}
+
+// "a) Đúng b) Sai ..." / "Đáp án: ĐSSĐ" trong lời giải => { a: true, b: false, ... } (ý không nhắc tới: null)
+// Dạng viết tắt Đ/S chỉ nhận khi đứng riêng ("a) Đ, b) S"), tránh "a) S = 5"
+function statementAnswersFromSolution(html, keys, g = examGrammar()) {
+  const text = answerPlainText(html);
+  const value = (word) => new RegExp(`^(?:${g.tfTrue})$`, "u").test(word);
+  const out = {};
+  const lineRe = new RegExp(
+    String.raw`(?<![\p{L}\p{N}])${markerSource(g.statement)}\s*[:\-–]?\s*(${g.tfTrue}|${g.tfFalse})(?![\p{L}])`,
+    "gu",
+  );
+  const shortEnd = new RegExp(String.raw`^\s*(?:[,;.]|\n|$|${markerSource(g.statement)})`);
+  for (const m of text.matchAll(lineRe)) {
+    if (m[2].length === 1 && !shortEnd.test(text.slice(m.index + m[0].length))) continue;
+    if (keys.includes(m[1]) && !(m[1] in out)) out[m[1]] = value(m[2]);
+  }
+  if (!Object.keys(out).length) {
+    const compact = new RegExp(String.raw`${g.shortAnswer}[:.]?\s*([${g.tfLetters}]{2,})(?![\p{L}])`, "u").exec(text);
+    if (compact) return tfStringToAnswers(compact[1], keys, g);
+  }
+  return Object.keys(out).length ? Object.fromEntries(keys.map((k) => [k, out[k] ?? null])) : null;
+}
+
+// "ĐSSĐ" => { a: true, b: false, c: false, d: true } theo thứ tự các ý
+function tfStringToAnswers(str, keys, g = examGrammar()) {
+  return Object.fromEntries(keys.map((k, i) => [k, str[i] ? str[i] === g.tfLetters[0] : null]));
+}
+
+// ============================================================
+// EXAM RUBRIC - bảng "Hướng dẫn chấm" / "Thang điểm" cho câu tự luận
+// ============================================================
+// "0,25" / "0.5đ" / "1 điểm" => số; không phải điểm => null
+function rubricPointsValue(text, g = examGrammar()) {
+  const m = new RegExp(String.raw`^(\d+(?:[.,]\d+)?)\s*(?:${g.pointsUnit})?$`, "i").exec(String(text || "").trim());
+  return m ? Number(m[1].replace(",", ".")) : null;
+}
+
+// Mỗi hàng có điểm ở cột cuối => { no, part, contentHtml, points }. Cột "Câu" / "Ý" hay gộp ô (rowspan)
+// nên hàng sau thiếu cột: số câu / ý giữ từ hàng trước. Hàng tiêu đề (cột cuối là "Điểm") bị bỏ qua.
+function parseRubricTable(html, g = examGrammar()) {
+  const rows = [];
+  const noRe = new RegExp(String.raw`^(?:${g.question})?\s*(\d+)\s*[.:]?$`, "i");
+  const partRe = new RegExp(String.raw`^(?:Ý\s*)?(?:(\d+)\s*\.?\s*)?\(?(${g.statement.keys})\s*[).]?$`, "i");
+  let no = null,
+    part = null;
+  for (const tr of String(html || "").matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi)) {
+    const cells = [...tr[1].matchAll(/<t[dh]\b[^>]*>([\s\S]*?)<\/t[dh]>/gi)].map((c) => c[1].trim());
+    const plain = cells.map(stripAllTagsToPlain);
+    const points = cells.length >= 2 ? rubricPointsValue(plain[plain.length - 1], g) : null;
+    if (points === null) continue;
+    const content = [];
+    for (let i = 0; i < cells.length - 1; i++) {
+      const q = noRe.exec(plain[i]),
+        p = !q && partRe.exec(plain[i]);
+      if (q) [no, part] = [Number(q[1]), null];
+      else if (p) [no, part] = [p[1] ? Number(p[1]) : no, p[2].toLowerCase()];
+      else if (plain[i]) content.push(cells[i].replace(/(?:\s*<br\/>)+$/, ""));
+    }
+    rows.push({ no, part, contentHtml: content.join("<br/>"), points });
+  }
+  return rows;
+}
+
+// Các bảng sau tiêu đề rubric trong đoạn html (lời giải của 1 câu, hoặc phần chấm cuối đề)
+function rubricRowsAfterHeading(html, g = examGrammar()) {
+  const s = String(html || "");
+  const m = new RegExp(g.rubric, "i").exec(s);
+  if (!m) return [];
+  return [...s.slice(m.index).matchAll(/<table\b[\s\S]*?<\/table>/gi)].flatMap((t) => parseRubricTable(t[0], g));
+}
+
+// "HƯỚNG DẪN CHẤM" cuối đề: bảng có cột số câu => { idx, rows } để tách khỏi câu cuối và gán theo số câu
+function findRubricSection(html, hits, g = examGrammar()) {
+  const s = String(html || "");
+  const from = hits[0]?.pos ?? 0;
+  const heads = [...s.matchAll(new RegExp(g.rubric, "gi"))].map((m) => m.index).filter((i) => i >= from);
+  for (const [i, idx] of heads.entries()) {
+    // bảng của tiêu đề này: tới tiêu đề rubric / câu hỏi kế tiếp
+    const end = Math.min(heads[i + 1] ?? s.length, hits.find((h) => h.pos > idx)?.pos ?? s.length);
+    const rows = rubricRowsAfterHeading(s.slice(idx, end), g);
+    if (rows.some((r) => r.no !== null)) return { idx, rows };
+  }
+  return null;
+}
+
+// rubric 1 câu: bảng trong lời giải của câu, không có thì lấy từ phần chấm cuối đề theo số câu
+function questionRubric(tailHtml, no, globalRows, g = examGrammar()) {
+  const own = rubricRowsAfterHeading(tailHtml, g);
+  const rows = own.length ? own : globalRows.filter((r) => r.no === no);
+  return rows.length ? rows.map(({ part, contentHtml, points }) => ({ part, contentHtml, points })) : null;
+}
+
+// Câu trả lời ngắn (đề thi tốt nghiệp mới): 4 ô, mỗi ô 1 ký tự trong "-", ",", 0-9
+const SHORT_ANSWER_BOXES = 4;
+const SHORT_ANSWER_NUMBER = String.raw`[+\-−–]?\s*\d+(?:[.,]\d+)?`;
+
+// Dòng bắt đầu bằng "Đáp án:" / "Trả lời." => phần lời giải của câu trả lời ngắn
+function findShortAnswerLineIndex(html, fromIndex = 0, g = examGrammar()) {
+  const re = new RegExp(String.raw`(^|<br\/>)\s*(?:<[^>]*>\s*)*${g.shortAnswer}[:.]`);
+  const m = re.exec(String(html || "").slice(fromIndex));
+  return m ? fromIndex + m.index + m[1].length : -1;
+}
+
+// HTML lời giải => text giữ xuống dòng; \(-0{,}5\) => -0,5
+function answerPlainText(html) {
+  return decodeHtmlEntities(
+    String(html || "")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<[^>]*>/g, ""),
+  )
+    .replace(/\\[()]/g, "")
+    .replace(/\{,\}/g, ",")
+    .replace(/\\(?:,|;|!|quad)/g, " ");
+}
+
+// "-0.5" / "−0,5" / "+2" => "-0,5" / "-0,5" / "2" (cách ghi trên phiếu trả lời)
+function toAnswerBoxes(raw) {
+  return raw.replace(/\s+/g, "").replace(/[−–]/g, "-").replace(/^\+/, "").replace(".", ",");
+}
+
+// Đáp án số (ưu tiên) hoặc chữ sau "Đáp án:" trong lời giải, kiểm tra vừa 4 ô. Dòng "Đáp án: ..." đứng trước
+// "Đáp án: ..." giữa dòng, rồi mới tới "kết quả 8" trong câu văn
+function parseShortAnswer(html, g = examGrammar()) {
+  const text = answerPlainText(html);
+  const heads = [
+    String.raw`(?:^|\n)\s*${g.shortAnswer}[:.=]`,
+    String.raw`${g.shortAnswer}[:=]`,
+    String.raw`${g.shortAnswer}[:.=]?`,
+  ];
+  const num = heads.reduce(
+    (m, head) => m || new RegExp(String.raw`${head}\s*(${SHORT_ANSWER_NUMBER})(?![\d\p{L}/^])`, "u").exec(text),
+    null,
+  );
+  const other = num ? null : new RegExp(String.raw`${g.shortAnswer}:\s*([^\n]+)`).exec(text);
+  if (!num && !other)
+    return { answer: null, answerValue: null, answerSource: null, boxes: SHORT_ANSWER_BOXES, answerWarning: null };
+
+  if (num) {
+    const answer = toAnswerBoxes(num[1]);
+    return {
+      answer,
+      answerValue: parseNumericAnswer(answer),
+      answerSource: "solution",
+      boxes: answer.length,
+      answerWarning:
+        answer.length > SHORT_ANSWER_BOXES
+          ? `Answer "${answer}" needs ${answer.length} boxes (max ${SHORT_ANSWER_BOXES})`
+          : null,
+    };
+  }
+  const answer = other[1].trim().replace(/[.;]$/, "");
+  return {
+    answer,
+    answerValue: null,
+    answerSource: "solution",
+    boxes: SHORT_ANSWER_BOXES,
+    answerWarning: `Answer "${answer}" is not a number and cannot be written in the answer boxes`,
+  };
+}
+
+// tf4: từng ý lấy từ nguồn ưu tiên nhất có nói tới ý đó. answerConfidence = tỉ lệ ý đã xác định đúng/sai
+// (< 1: đáp án chưa đủ, pipeline chấm điểm nên loại)
+function resolveStatementAnswers(votes, keys, order = ANSWER_SOURCES) {
+  const found = order.filter((src) => votes[src]);
+  const answer = {},
+    answerSource = {};
+  for (const k of keys) {
+    const src = found.find((s) => votes[s][k] != null) ?? null;
+    answer[k] = src ? votes[src][k] : null;
+    answerSource[k] = src;
+  }
+  const conflict = keys.some((k) => new Set(found.map((s) => votes[s][k]).filter((v) => v != null)).size > 1);
+  return {
+    answer,
+    answerSource,
+    answerConflict: conflict ? Object.fromEntries(found.map((src) => [src, votes[src]])) : null,
+    answerConfidence: keys.length ? keys.filter((k) => answer[k] != null).length / keys.length : 0,
+  };
+}
+
+// votes: { underline: "B", solution: "C", ... } (null = nguồn không thấy) => nguồn ưu tiên nhất có đáp án
+function resolveAnswer(votes, order = ANSWER_SOURCES) {
+  const found = order.filter((src) => votes[src] != null);
+  const source = found[0] ?? null;
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  return {
+    answer: source ? votes[source] : null,
+    answerSource: source,
+    answerConflict: found.some((src) => !same(votes[src], votes[source]))
+      ? Object.fromEntries(found.map((src) => [src, votes[src]]))
+      : null,
+  };
+}
+
+// rawHtml: HTML trước formatExamLayout, để đọc đáp án đánh dấu bằng đậm / màu / tô nền.
+// lint: mảng nhận các vấn đề chỉ thấy lúc tách (số câu lặp bị gộp, lời giải nằm ngoài câu) - xem lintExam
+function parseExamFromInlineHtml(
+  inlineHtml,
+  g = examGrammar(),
+  { answerSources = ANSWER_SOURCES, rawHtml = "", lint = null } = {},
+) {
+  const re = new RegExp(String.raw`(^|<br\/>\s*)\s*(?:<[^>]*>\s*)*${g.question}\s+(\d+)${g.questionTail}`, "gi");
+  const hits = [];
+  let m;
+  while ((m = re.exec(inlineHtml)) !== null) hits.push({ qno: Number(m[2]), pos: m.index + m[1].length });
+  if (!hits.length) return null;
+
+  // BẢNG ĐÁP ÁN: không thuộc câu đứng trước nó
+  const tableIdx = findAnswerTableIndex(inlineHtml, hits[0].pos, g);
+  const tableEnd = tableIdx >= 0 ? (hits.find((h) => h.pos > tableIdx)?.pos ?? inlineHtml.length) : -1;
+  const tableAnswers = tableIdx >= 0 ? parseAnswerTable(inlineHtml.slice(tableIdx, tableEnd), g) : new Map();
+  // HƯỚNG DẪN CHẤM cuối đề: cũng tách khỏi câu đứng trước, gán cho câu tự luận theo số câu
+  const rubricSection = findRubricSection(inlineHtml, hits, g);
+  const trailers = [tableIdx, rubricSection?.idx ?? -1].filter((i) => i >= 0);
+
+  const sectionRe = /<div class="section-header"><strong>([\s\S]*?)<\/strong><\/div>/gi;
+  const sections = [];
+  let sectionMatch;
+  while ((sectionMatch = sectionRe.exec(inlineHtml)) !== null)
+    sections.push({ pos: sectionMatch.index, html: sectionMatch[0], title: stripInlineFormatting(sectionMatch[1]).trim() });
+
+  const rawBlocks = [];
+  for (let i = 0; i < hits.length; i++) {
+    let start = hits[i].pos,
+      end = i + 1 < hits.length ? hits[i + 1].pos : inlineHtml.length;
+    for (const sec of sections) if (sec.pos > start && sec.pos < end) { end = sec.pos; break; }
+    for (const t of trailers) if (t > start && t < end) end = t;
+    rawBlocks.push({ qno: hits[i].qno, pos: start, end, html: inlineHtml.slice(start, end) });
+  }
+
+  const blocks = [];
+  for (const [i, b] of rawBlocks.entries()) {
+    // Đoạn không thuộc câu nào (trước câu đầu, sau tiêu đề PHẦN) mà mở đầu bằng "Lời giải": lạc khỏi câu của nó
+    const gapStart = i ? rawBlocks[i - 1].end : 0;
+    const gapEnd = Math.min(b.pos, ...trailers.filter((t) => t >= gapStart));
+    const last = blocks[blocks.length - 1];
+    // cùng số câu liền nhau: 1 câu bị ngắt (trừ khi PHẦN mới đánh lại số từ đầu)
+    const merge = last?.qno === b.qno && !sections.some((sec) => sec.pos > last.pos && sec.pos < b.pos);
+    if (lint && gapEnd > gapStart && findSolutionLineIndex(inlineHtml.slice(gapStart, gapEnd), g) >= 0)
+      lint.push({
+        code: "orphan_solution",
+        index: merge ? blocks.length - 1 : blocks.length,
+        location: "before",
+        message: `Solution block before question ${b.qno} does not belong to any question`,
+      });
+
+    if (merge) {
+      last.html += "<br/>" + b.html;
+      lint?.push({
+        code: "merged_number",
+        index: blocks.length - 1,
+        message: `Question ${b.qno} appears twice in a row; the two blocks were merged`,
+      });
+    } else blocks.push({ ...b });
+  }
+
+  // version 9: tf4 / essay (points, parts, rubric), nguồn đáp án, đáp án trả lời ngắn
+  const exam = { version: 9, profile: g.name, questions: [], sections };
+  // Khớp khối thô theo thứ tự số câu (layout không đổi thứ tự, chỉ chuẩn hoá "Câu 1 ." => "Câu 1.")
+  const formatted = extractFormattedKeysByQuestion(rawHtml, g);
+  let formattedAt = 0;
+  const formattedKeysOf = (qno) => {
+    const i = formatted.findIndex((f, j) => j >= formattedAt && f.qno === qno);
+    if (i < 0) return null;
+    formattedAt = i + 1;
+    return formatted[i];
+  };
+  const findSection = (qPos) => { let cur = null; for (const sec of sections) if (sec.pos < qPos) cur = sec; else break; return cur; };
+
+  for (const b of blocks) {
+    const under = extractUnderlinedKeys(b.html, g);
+    const fmt = formattedKeysOf(b.qno);
+    const plain = stripAllTagsToPlain(b.html);
+    const section = findSection(b.pos);
+    const inEssaySection = !!section && new RegExp(g.essaySection, "i").test(section.title);
+    const inTfSection = !!section && new RegExp(g.tfSection, "i").test(section.title);
+    const solutionAt = findSolutionMarkerIndex(b.html, 0, g);
+    const stemPlain = stripAllTagsToPlain(solutionAt >= 0 ? b.html.slice(0, solutionAt) : b.html);
+    const isMCQ = !inEssaySection && detectHasMCQ(plain, g),
+      tfKey =
+        !!tableAnswers.get(b.qno)?.some((v) => v.length > 1) ||
+        (solutionAt >= 0 && !!statementAnswersFromSolution(b.html.slice(solutionAt), [...g.statementKeys], g)),
+      context = { inTfSection, inEssaySection, stemPlain, tfKey },
+      isTF4 = !isMCQ && detectHasTF4(plain, g, context),
+      isEssay = !isMCQ && detectIsEssay(plain, g, context);
+
+    if (isMCQ) {
+      const parts = splitChoicesHtmlABCD(b.html, g),
+        sol = splitSolutionSections(parts?._tail || "", g);
+      // Định dạng chỉ tính khi đúng 1 lựa chọn được đánh dấu (in đậm tất cả A. B. C. D. là trình bày)
+      const marks = { underline: under.mcq };
+      for (const kind of ["bold", "color", "highlight"]) marks[kind] = fmt?.[kind].choice || [];
+      const votes = { solution: answerFromSolution(parts?._tail, g), table: null };
+      for (const [kind, list] of Object.entries(marks)) votes[kind] = list.length === 1 ? list[0] : null;
+      votes.table = tableAnswers.get(b.qno)?.find((v) => v.length === 1) ?? null;
+      const choiceCount = Object.keys(parts || {}).filter((k) => !k.startsWith("_")).length;
+      const multiple = Object.entries(marks).filter(
+        ([kind, list]) => list.length > 1 && (kind === "underline" || list.length < choiceCount),
+      );
+      if (multiple.length) {
+        const listed = multiple.map(([kind, list]) => `${list.join(", ")} (${kind})`).join("; ");
+        lint?.push({
+          code: "multiple_answers",
+          index: exam.questions.length,
+          location: "answer",
+          message: `Question ${b.qno} marks more than one answer: ${listed}`,
+          marked: Object.fromEntries(multiple),
+        });
+      }
+      exam.questions.push({
+        no: b.qno,
+        type: "mcq",
+        stemHtml: cleanStem(parts?._stem || b.html, g),
+        points: pointsIn(parts?._stem || b.html, g),
+        choicesHtml: orderedKeyMap(g.choiceKeys, parts),
+        ...resolveAnswer(votes, answerSources),
+        solutionHtml: sol.solutionHtml,
+        detailHtml: sol.detailHtml,
+        _plain: plain,
+        section: section ? { title: section.title, html: section.html } : null,
+      });
+    } else if (isTF4) {
+      const parts = splitStatementsHtmlabcd(b.html, g),
+        sol = splitSolutionSections(parts?._tail || "", g);
+      const statements = orderedKeyMap(g.statementKeys, parts);
+      const keys = Object.keys(statements);
+      // Ý được đánh dấu là đúng, các ý còn lại là sai; đánh dấu đủ mọi ý (định dạng) thì coi là trình bày
+      const marked = (list) => (list.length ? Object.fromEntries(keys.map((k) => [k, list.includes(k)])) : null);
+      const votes = { underline: marked(under.tf) };
+      for (const kind of ["bold", "color", "highlight"]) {
+        const list = fmt?.[kind].statement || [];
+        votes[kind] = list.length < keys.length ? marked(list) : null;
+      }
+      votes.solution = statementAnswersFromSolution(parts?._tail, keys, g);
+      const tfValue = tableAnswers.get(b.qno)?.find((v) => v.length > 1);
+      votes.table = tfValue ? tfStringToAnswers(tfValue, keys, g) : null;
+      exam.questions.push({
+        no: b.qno,
+        type: "tf4",
+        stemHtml: cleanStem(parts?._stem || b.html, g),
+        points: pointsIn(parts?._stem || b.html, g),
+        statements,
+        ...resolveStatementAnswers(votes, keys, answerSources),
+        solutionHtml: sol.solutionHtml,
+        detailHtml: sol.detailHtml,
+        _plain: plain,
+        section: section ? { title: section.title, html: section.html } : null,
+      });
+    } else if (isEssay) {
+      const parts = splitStatementsHtmlabcd(b.html, g);
+      const stemPart = parts ? parts._stem : solutionAt >= 0 ? b.html.slice(0, solutionAt).trim() : b.html;
+      const tailPart = parts ? parts._tail : solutionAt >= 0 ? b.html.slice(solutionAt).trim() : "";
+      const sol = splitSolutionSections(tailPart, g);
+      const subParts = Object.keys(parts || {})
+        .filter((k) => !k.startsWith("_"))
+        .map((key) => ({ key, html: parts[key], points: pointsIn(parts[key], g) }));
+      const partPoints = subParts.map((x) => x.points).filter((x) => x !== null);
+      exam.questions.push({
+        no: b.qno,
+        type: "essay",
+        stemHtml: cleanStem(stemPart, g),
+        // điểm cả câu: ghi ở đầu câu, không có thì cộng điểm các ý
+        points:
+          pointsIn(stemPart, g) ??
+          (partPoints.length ? Math.round(partPoints.reduce((a, x) => a + x, 0) * 100) / 100 : null),
+        parts: subParts,
+        rubric: questionRubric(tailPart, b.qno, rubricSection?.rows || [], g),
+        solutionHtml: sol.solutionHtml || tailPart,
+        detailHtml: sol.detailHtml || "",
+        _plain: plain,
+        section: section ? { title: section.title, html: section.html } : null,
+      });
+    } else {
+      const cuts = [findSolutionMarkerIndex(b.html, 0, g), findShortAnswerLineIndex(b.html, 0, g)].filter(
+        (i) => i >= 0,
+      );
+      const solIdx = cuts.length ? Math.min(...cuts) : -1;
+      const stemPart = solIdx >= 0 ? b.html.slice(0, solIdx).trim() : b.html;
+      const tailPart = solIdx >= 0 ? b.html.slice(solIdx).trim() : "";
+      const sol = splitSolutionSections(tailPart, g);
+      exam.questions.push({
+        no: b.qno,
+        type: "short",
+        stemHtml: cleanStem(stemPart, g),
+        points: pointsIn(stemPart, g),
+        ...parseShortAnswer(tailPart, g),
+        solutionHtml: sol.solutionHtml || tailPart,
+        detailHtml: sol.detailHtml || "",
+        _plain: plain,
+        section: section ? { title: section.title, html: section.html } : null,
+      });
+    }
+  }
+
+  exam.questions = exam.questions.map((q) => mapExamStrings(q, balanceFormatTags));
+  return exam;
+}
+
+// ============================================================
+// EXAM LINT - lỗi cấu trúc của đề (POST /exam/lint, warnings trong kết quả convert)
+// ============================================================
+const LINT_SEVERITY = {
+  duplicate_number: "error",
+  missing_number: "warning",
+  merged_number: "warning",
+  orphan_solution: "warning",
+  empty_stem: "error",
+  missing_choices: "error",
+  missing_statements: "error",
+  no_answer: "warning",
+  multiple_answers: "warning",
+  invalid_answer: "error",
+  answer_conflict: "warning",
+  incomplete_answer: "warning",
+  answer_warning: "warning",
+  equation_failed: "error",
+  image_dropped: "warning",
+};
+
+// Mốc rỗng do HTML_MARKUP.mathFailed / removeUnsupportedImages({ mark }) để lại trong bodyHtml
+const LINT_MARK_RE = /<span class="(math-failed|image-dropped)"(?: data-rid="([^"]*)")?><\/span>/g;
+
+function stripLintMarks(html) {
+  return typeof html === "string" ? html.replace(LINT_MARK_RE, "") : html;
+}
+
+// Không có chữ, ảnh hay công thức
+function isBlankHtml(html) {
+  return !stripAllTagsToPlain(html) && !/<img|class="math"/.test(html || "");
+}
+
+// Các trường HTML của 1 câu => [location, html]. rubric lặp lại nội dung lời giải nên không quét
+function questionHtmlFields(q) {
+  return [
+    ["stemHtml", q.stemHtml],
+    ...Object.entries(q.choicesHtml || {}).map(([k, v]) => [`choicesHtml.${k}`, v]),
+    ...Object.entries(q.statements || {}).map(([k, v]) => [`statements.${k}`, v]),
+    ...(q.parts || []).map((p, i) => [`parts[${i}].html`, p.html]),
+    ["solutionHtml", q.solutionHtml],
+    ["detailHtml", q.detailHtml],
+  ];
+}
+
+function lintWarning(q, index, { code, location = "question", message, ...extra }) {
+  return {
+    code,
+    severity: LINT_SEVERITY[code],
+    no: q?.no ?? null,
+    index,
+    section: q?.section ? stripAllTagsToPlain(q.section.title) : null,
+    location,
+    message,
+    ...extra,
+  };
+}
+
+function lintMarkWarning(q, index, [, kind, rid], location) {
+  return kind === "math-failed"
+    ? lintWarning(q, index, {
+        code: "equation_failed",
+        location,
+        rid,
+        message: `Equation ${rid} could not be converted`,
+      })
+    : lintWarning(q, index, { code: "image_dropped", location, message: "Image could not be read and was removed" });
+}
+
+// exam HTML (từ parseExamFromInlineHtml hoặc client gửi lên) => warnings theo thứ tự câu.
+// index: vị trí trong exam.questions (số câu có thể trùng); location: trường của câu ("choicesHtml.B", "answer"...).
+// html: bodyHtml còn mốc lint => công thức / ảnh lỗi ngoài mọi câu cũng được báo (no = null, location = "document")
+function lintExam(exam, { html = "", issues = [] } = {}) {
+  const questions = exam?.questions || [];
+  const out = issues.map((w) => lintWarning(questions[w.index], w.index, w));
+  const numbersBySection = new Map();
+  const marksInQuestions = new Map(); // mốc => số lần đã gặp trong các câu
+  let prev = null;
+
+  questions.forEach((q, index) => {
+    const warn = (code, message, extra) => out.push(lintWarning(q, index, { code, message, ...extra }));
+    const sectionKey = q.section?.title ?? "";
+
+    // Số câu: đánh tiếp trong cùng PHẦN; PHẦN mới đánh lại từ 1 hoặc đánh tiếp PHẦN trước
+    if (!numbersBySection.has(sectionKey)) numbersBySection.set(sectionKey, new Set());
+    const numbers = numbersBySection.get(sectionKey);
+    if (numbers.has(q.no)) warn("duplicate_number", `Question ${q.no} appears more than once in this section`);
+    else {
+      const sameSection = prev && (prev.section?.title ?? "") === sectionKey;
+      const from = prev && (sameSection || q.no > prev.no) ? prev.no + 1 : 1;
+      if (q.no > from) {
+        const missing = Array.from({ length: q.no - from }, (_, i) => from + i);
+        warn(
+          "missing_number",
+          missing.length > 1 ? `Questions ${missing.join(", ")} are missing` : `Question ${from} is missing`,
+          { missing },
+        );
+      }
+    }
+    numbers.add(q.no);
+    prev = q;
+
+    if (isBlankHtml(q.stemHtml) && !q.parts?.length)
+      warn("empty_stem", `Question ${q.no} has an empty stem`, { location: "stemHtml" });
+
+    const options = q.type === "mcq" ? q.choicesHtml : q.type === "tf4" ? q.statements : null;
+    if (options) {
+      const keys = Object.keys(options);
+      const missing = keys.filter((k) => isBlankHtml(options[k]));
+      if (missing.length)
+        warn(
+          q.type === "mcq" ? "missing_choices" : "missing_statements",
+          `Question ${q.no} is missing ${q.type === "mcq" ? "choice" : "statement"} ${missing.join(", ")}`,
+          { location: q.type === "mcq" ? "choicesHtml" : "statements", missing },
+        );
+      if (q.type === "mcq" && q.answer != null && (!keys.includes(q.answer) || missing.includes(q.answer)))
+        warn("invalid_answer", `Answer ${q.answer} of question ${q.no} is not one of its choices`, {
+          location: "answer",
+        });
+    }
+
+    if (q.type !== "essay") {
+      const unknown = q.type === "tf4" ? Object.keys(q.answer || {}).filter((k) => q.answer[k] == null) : [];
+      if (q.answer == null || (q.type === "tf4" && unknown.length === Object.keys(q.answer || {}).length))
+        warn("no_answer", `Question ${q.no} has no answer`, { location: "answer" });
+      else if (unknown.length)
+        warn("incomplete_answer", `Question ${q.no} has no answer for statement ${unknown.join(", ")}`, {
+          location: "answer",
+          missing: unknown,
+        });
+    }
+    if (q.answerConflict)
+      warn("answer_conflict", `Answer sources disagree: ${Object.keys(q.answerConflict).join(", ")}`, {
+        location: "answer",
+      });
+    if (q.answerWarning) warn("answer_warning", q.answerWarning, { location: "answer" });
+
+    for (const [location, fieldHtml] of questionHtmlFields(q))
+      for (const m of String(fieldHtml || "").matchAll(LINT_MARK_RE)) {
+        marksInQuestions.set(m[0], (marksInQuestions.get(m[0]) || 0) + 1);
+        out.push(lintMarkWarning(q, index, m, location));
+      }
+  });
+
+  for (const m of String(html || "").matchAll(LINT_MARK_RE)) {
+    const seen = marksInQuestions.get(m[0]) || 0;
+    if (seen) marksInQuestions.set(m[0], seen - 1);
+    else out.push(lintMarkWarning(null, null, m, "document"));
   }
 
-  let latex = nodeToLatex(parsed);
-  latex = latex.replace(/\s*&\s*\\\\/g, " \\\\");
-  latex = latex.replace(/\s*&\s*$/g, "");
-  latex = latex.replace(/\s+/g, " ").trim();
-  return latex;
+  const at = (w) => w.index ?? questions.length;
+  return out.sort((a, b) => at(a) - at(b));
 }
 
-function customMathMLToLatex(mathml) {
-  if (!mathml) return "";
-  let mm = ensureMathMLNamespace(mathml);
-  mm = normalizeMtable(mm);
-  mm = preprocessMathMLForSqrt(mm);
+// ============================================================
+// EXAM VARIANTS - trộn đề: N mã đề từ 1 đề gốc (POST /exam/variants)
+// Cùng seed + mã đề => cùng đề (thêm mã đề không làm đổi các mã đã có)
+// ============================================================
+const VARIANT_MAX = 99;
 
-  let latex = "";
-  try {
-    latex = MathMLToLaTeX.convert(mm) || "";
-  } catch {
-    latex = "";
+function isVariantCount(count) {
+  return Number.isInteger(count) && count >= 1 && count <= VARIANT_MAX;
+}
+
+// Mã đề: chuỗi khác rỗng hoặc số, không trùng; null = hợp lệ
+function variantCodesError(codes) {
+  if (!Array.isArray(codes)) return "codes must be an array";
+  if (codes.length > VARIANT_MAX) return `codes must have at most ${VARIANT_MAX} entries`;
+  const valid = (c) => (typeof c === "string" && c.trim() !== "") || (typeof c === "number" && Number.isFinite(c));
+  if (!codes.every(valid)) return "codes must be non-empty strings or numbers";
+  if (new Set(codes.map((c) => String(c).trim())).size !== codes.length) return "codes must be unique";
+  return null;
+}
+
+// mulberry32, trạng thái đầu lấy từ SHA-256 của seed
+function seededRandom(seed) {
+  let a = crypto.createHash("sha256").update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), a | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffleInPlace(list, random) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
   }
+  return list;
+}
 
-  if (!latex) {
-    latex = manualMathMLToLatex(mm) || "";
-    latex = fixManualBracketMatrix(latex);
+// Lựa chọn giữ nguyên chỗ: "Tất cả các đáp án trên", và các lựa chọn nó nhắc tới ("Cả A và B đều đúng" => A, B)
+function lockedChoiceKeys(choicesHtml, g = examGrammar()) {
+  const lockRe = new RegExp(String.raw`^(?:${g.lockedChoice})`, "iu");
+  const letterRe = new RegExp(String.raw`(?<![\p{L}\p{N}])(${g.choice.keys})(?![\p{L}\p{N}])`, "gu");
+  const locked = new Set();
+  for (const [key, html] of Object.entries(choicesHtml || {})) {
+    const plain = stripAllTagsToPlain(html);
+    if (!lockRe.test(plain)) continue;
+    locked.add(key);
+    for (const m of plain.matchAll(letterRe)) if (m[1] in choicesHtml) locked.add(m[1]);
   }
+  return locked;
+}
 
-  latex = fixBrokenLeftBracketTableLatex(latex);
-  latex = postprocessLatexSqrt(latex);
-  return String(latex || "").trim();
+// "Đáp án: B" / "Chọn B" trong lời giải => chữ cái mới
+function remapAnswerLines(html, keyMap, g = examGrammar()) {
+  if (!html) return html;
+  return html.replace(new RegExp(g.answerLine, "gu"), (m, key) => m.slice(0, -key.length) + (keyMap[key] ?? key));
 }
 
-function mathmlToLatexSafe(mathml) {
-  try {
-    return customMathMLToLatex(mathml);
-  } catch {
-    return "";
+// mcq: trộn các lựa chọn có nội dung, trừ lựa chọn bị khoá => { A: "C", ... } (chữ gốc => chữ mới)
+function shuffleChoices(q, random, g = examGrammar()) {
+  const keys = Object.keys(q.choicesHtml || {});
+  const locked = lockedChoiceKeys(q.choicesHtml, g);
+  const movable = keys.filter((k) => !locked.has(k) && !isBlankHtml(q.choicesHtml[k]));
+  const order = shuffleInPlace([...movable], random);
+  const keyMap = Object.fromEntries(keys.map((k) => [k, k]));
+  movable.forEach((slot, i) => (keyMap[order[i]] = slot));
+
+  const choicesHtml = Object.fromEntries(keys.map((k) => [k, ""]));
+  for (const k of keys) choicesHtml[keyMap[k]] = q.choicesHtml[k];
+  const remap = (v) => (typeof v === "string" ? (keyMap[v] ?? v) : v);
+  return {
+    keyMap,
+    question: {
+      ...q,
+      choicesHtml,
+      answer: remap(q.answer),
+      answerConflict: q.answerConflict
+        ? Object.fromEntries(Object.entries(q.answerConflict).map(([src, v]) => [src, remap(v)]))
+        : null,
+      solutionHtml: remapAnswerLines(q.solutionHtml, keyMap, g),
+      detailHtml: remapAnswerLines(q.detailHtml, keyMap, g),
+    },
+  };
+}
+
+// Các đoạn câu liền nhau cùng PHẦN: câu chỉ đổi chỗ trong đoạn của nó, số câu giữ theo vị trí (1, 2, 3... của PHẦN)
+function sectionRuns(questions) {
+  const runs = [];
+  questions.forEach((q, index) => {
+    const title = q.section?.title ?? null;
+    const last = runs[runs.length - 1];
+    if (last && last.title === title) last.indexes.push(index);
+    else runs.push({ title, indexes: [index] });
+  });
+  return runs;
+}
+
+function buildVariant(exam, code, seed, { shuffleQuestions = true, shuffleChoices: mixChoices = true } = {}) {
+  const g = examGrammar(exam.profile);
+  const random = seededRandom(`${seed}:${code}`);
+  const questions = [];
+  for (const { indexes } of sectionRuns(exam.questions)) {
+    const order = shuffleQuestions ? shuffleInPlace([...indexes], random) : indexes;
+    order.forEach((masterIndex, i) => {
+      const master = exam.questions[masterIndex];
+      const mixed = master.type === "mcq" && mixChoices ? shuffleChoices(master, random, g) : null;
+      // master.choices: chữ gốc => chữ ở mã đề này
+      const origin = { index: masterIndex, no: master.no, ...(mixed ? { choices: mixed.keyMap } : {}) };
+      questions.push({ ...(mixed?.question || master), no: exam.questions[indexes[i]].no, master: origin });
+    });
   }
+
+  const variantExam = { ...exam, variant: { code, seed }, questions };
+  const answerKey = questions.map((q) => ({
+    no: q.no,
+    section: q.section ? stripAllTagsToPlain(q.section.title) : null,
+    type: q.type,
+    answer: q.answer ?? null,
+  }));
+  return {
+    code,
+    exam: variantExam,
+    answerKey,
+    html: variantToHtml(variantExam, g),
+    answerKeyHtml: answerKeyToHtml(code, answerKey, g),
+  };
 }
 
-function sanitizeLatexStrict(latex) {
-  if (!latex) return latex;
-  latex = String(latex).replace(/\s+/g, " ").trim();
-  latex = latex
-    .replace(/\\left(?!\s*(\(|\[|\\\{|\\langle|\\vert|\\\||\||\.))/g, "")
-    .replace(/\\right(?!\s*(\)|\]|\\\}|\\rangle|\\vert|\\\||\||\.))/g, "");
+function answerKeyText(answer, type, g = examGrammar()) {
+  if (answer == null) return "";
+  if (type === "tf4")
+    return Object.values(answer)
+      .map((v) => (v == null ? "?" : g.tfLetters[v ? 0 : 1]))
+      .join("");
+  return String(answer);
+}
 
-  const tokens = latex.match(/\\left\b|\\right\b/g) || [];
-  let bal = 0,
-    broken = false;
-  for (const t of tokens) {
-    if (t === "\\left") bal++;
-    else {
-      if (bal === 0) {
-        broken = true;
-        break;
-      }
-      bal--;
+// Đề của 1 mã: cùng quy ước với inlineHtml (section-header, <br/>, &emsp;, công thức \( \)) nên hiển thị như nhau
+function variantToHtml(exam, g = examGrammar()) {
+  const trim = (html) => String(html || "").replace(/(?:\s*<br\/>)+\s*$/, "");
+  let html = `<div class="variant-header"><strong>${g.variantLabel} ${escapeXml(exam.variant.code)}</strong></div><br/>`;
+  let currentSection;
+  for (const q of exam.questions) {
+    if (q.section && q.section.title !== currentSection) {
+      currentSection = q.section.title;
+      html += `${q.section.html || `<div class="section-header"><strong>${q.section.title}</strong></div>`}<br/>`;
     }
+    html += `<b>${g.questionLabel} ${q.no}.</b> ${trim(questionTextHtml(q))}<br/>`;
+    const options = q.type === "mcq" ? q.choicesHtml : q.type === "tf4" ? q.statements : null;
+    const close = q.type === "mcq" ? "." : ")";
+    for (const [key, value] of Object.entries(options || {}))
+      if (value) html += `&emsp;${key}${close} ${trim(value)}<br/>`;
   }
-  if (bal !== 0) broken = true;
-  if (broken) latex = latex.replace(/\\left\s*/g, "").replace(/\\right\s*/g, "");
-  return latex;
+  return `<div class="exam-variant" data-code="${escapeXml(exam.variant.code)}">${html}</div>`;
 }
 
-function fixSetBracesHard(latex) {
-  let s = String(latex || "");
-  s = s.replace(/\\underset\s*\{([^}]*)\}\s*\{\s*l\s*i\s*m\s*\}/gi, "\\underset{$1}{\\lim}");
-  s = s.replace(/\b(l)\s+(i)\s+(m)\b/gi, "lim");
-  s = s.replace(/(^|[^A-Za-z\\])lim([^A-Za-z]|$)/g, "$1\\lim$2");
-  s = s.replace(/\\arrow\b/g, "\\rightarrow");
-  s = s.replace(/\bxarrow\b/g, "x\\rightarrow");
-  s = s.replace(/\bxrightarrow\b/g, "\\xrightarrow");
-  s = s.replace(/\\\{\s*\./g, "\\{");
-  s = s.replace(/\.\s*\\\}/g, "\\}");
-  s = s.replace(/\\\}\s*\./g, "\\}");
-  s = s.replace(/\\mathbb\{([A-Za-z])\\\}/g, "\\mathbb{$1}");
-  s = s.replace(/\\mathbb\{([A-Za-z])\}\s*\.\s*\}/g, "\\mathbb{$1}}");
-  s = s.replace(/\\backslash\s*{(?!\\)/g, "\\backslash \\{");
-  s = s.replace(/\\setminus\s*{(?!\\)/g, "\\setminus \\{");
-  if ((s.includes("\\backslash \\{") || s.includes("\\setminus \\{")) && !s.includes("\\}")) {
-    s = s.replace(/\}\s*$/g, "").trim() + "\\}";
-  }
-  s = s.replace(/\\\}\s*([,.;:])/g, "\\}$1");
-  s = s.replace(/\\frac\{([^}]*)\}\{([^}]*)\}/g, (m, a, b) => {
-    const bb = String(b).replace(/(\d)\s+(\d)/g, "$1$2");
-    return `\\frac{${a}}{${bb}}`;
-  });
-  s = s.replace(/\s+/g, " ").trim();
-  return s;
+function answerKeyToHtml(code, answerKey, g = examGrammar()) {
+  const rows = answerKey.map(
+    (a) => `<tr><td>${a.no}</td><td>${escapeXml(answerKeyText(a.answer, a.type, g))}</td></tr>`,
+  );
+  return (
+    `<table class="answer-key" data-code="${escapeXml(code)}">` +
+    `<tr><th>${g.questionLabel}</th><th>${g.variantLabel} ${escapeXml(code)}</th></tr>${rows.join("")}</table>`
+  );
 }
 
-function restoreArrowAndCoreCommands(latex) {
-  let s = String(latex || "");
-  s = s.replace(/\s+/g, " ").trim();
-  s = s.replace(/\b([A-Za-z])\s+arrow\b/g, "$1 \\to");
-  s = s.replace(/\brightarrow\b/g, "\\rightarrow");
-  s = s.replace(/\barrow\b/g, "\\rightarrow");
-  s = s.replace(/(^|[^A-Za-z\\])to([^A-Za-z]|$)/g, "$1\\to$2");
-  return s.replace(/\s+/g, " ").trim();
+// codes: danh sách mã đề (mặc định 101, 102...); mapping: mỗi câu gốc => số câu / đáp án / thứ tự lựa chọn ở từng mã
+function buildExamVariants(exam, { count = 4, codes, seed, shuffleQuestions = true, shuffleChoices = true } = {}) {
+  // Kiểm tra trước khi cấp phát: count / codes lấy thẳng từ request
+  if (codes?.length) {
+    const error = variantCodesError(codes);
+    if (error) throw httpError(400, error);
+  } else if (!isVariantCount(count)) throw httpError(400, `count must be an integer between 1 and ${VARIANT_MAX}`);
+  const list = (codes?.length ? codes : Array.from({ length: count }, (_, i) => 101 + i)).map((c) => String(c).trim());
+
+  const variants = list.map((code) => buildVariant(exam, code, seed, { shuffleQuestions, shuffleChoices }));
+  const mapping = exam.questions.map((q, index) => ({
+    index,
+    no: q.no,
+    section: q.section ? stripAllTagsToPlain(q.section.title) : null,
+    answer: q.answer ?? null,
+    variants: Object.fromEntries(
+      variants.map((v) => {
+        const vq = v.exam.questions.find((x) => x.master.index === index);
+        return [
+          v.code,
+          { no: vq.no, answer: vq.answer ?? null, ...(vq.master.choices ? { choices: vq.master.choices } : {}) },
+        ];
+      }),
+    ),
+  }));
+  return { seed, variants, mapping };
 }
 
-function normalizeLatexCommands(latex) {
-  if (!latex) return latex;
-  return fixSetBracesHard(String(latex));
+// ============================================================
+// EXAM EXPORT - Moodle XML / GIFT
+// (math giữ nguyên dạng \( ... \) để filter MathJax của Moodle render)
+// ============================================================
+function escapeXml(text) {
+  return String(text ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
 }
 
-function fixPiecewiseFunction(latex) {
-  let s = String(latex || "");
-  s = s.replace(/\(\.\s+/g, "(");
-  s = s.replace(/\s+\.\)/g, ")");
-  s = s.replace(/\[\.\s+/g, "[");
-  s = s.replace(/\s+\.\]/g, "]");
+function cdata(text) {
+  return `<![CDATA[${String(text ?? "").replaceAll("]]>", "]]]]><![CDATA[>")}]]>`;
+}
 
-  const piecewiseMatch = s.match(/(?<!\\)\{\.\s+/);
-  if (piecewiseMatch) {
-    const startIdx = piecewiseMatch.index;
-    const contentStart = startIdx + piecewiseMatch[0].length;
-    let braceCount = 1,
-      endIdx = contentStart,
-      foundEnd = false;
+function cleanExportHtml(html) {
+  return String(html || "")
+    .replace(/&emsp;/g, " ")
+    .replace(/(<br\/>\s*)+$/g, "")
+    .replace(/^(\s*<br\/>)+/g, "")
+    .trim();
+}
 
-    for (let i = contentStart; i < s.length; i++) {
-      const ch = s[i],
-        prevCh = i > 0 ? s[i - 1] : "";
-      if (prevCh === "\\") continue;
-      if (ch === "{") braceCount++;
-      else if (ch === "}") {
-        braceCount--;
-        if (braceCount === 0) {
-          endIdx = i;
-          foundEnd = true;
-          break;
-        }
-      }
+// data:image/...;base64 => file đính kèm (@@PLUGINFILE@@) của Moodle
+function extractDataUriImages(html, prefix) {
+  const files = [];
+  const out = String(html || "").replace(
+    /(<img\b[^>]*\bsrc\s*=\s*["'])data:([^;"']+);base64,([^"']+)(["'])/gi,
+    (m, pre, mime, b64, post) => {
+      const ext = (mime.split("/")[1] || "bin").replace("svg+xml", "svg").replace("jpeg", "jpg");
+      const name = `${prefix}_${files.length + 1}.${ext}`;
+      files.push({ name, b64 });
+      return `${pre}@@PLUGINFILE@@/${name}${post}`;
+    },
+  );
+  return { html: out, files };
+}
+
+function moodleText(tag, html, prefix) {
+  const { html: body, files } = extractDataUriImages(cleanExportHtml(html), prefix);
+  const fileXml = files
+    .map((f) => `<file name="${escapeXml(f.name)}" path="/" encoding="base64">${f.b64}</file>`)
+    .join("");
+  return `<${tag} format="html"><text>${cdata(body)}</text>${fileXml}</${tag}>`;
+}
+
+// Đề bài đầy đủ: câu tự luận nối các ý "a) ..." vào sau phần dẫn
+function questionTextHtml(q) {
+  if (q.type !== "essay" || !q.parts?.length) return q.stemHtml;
+  const trim = (html) => String(html || "").replace(/(?:\s*<br\/>)+\s*$/, "");
+  return [trim(q.stemHtml), ...q.parts.map((p) => `${p.key}) ${trim(p.html)}`)].filter(Boolean).join("<br/>");
+}
+
+function questionFeedbackHtml(q) {
+  return [q.solutionHtml, q.detailHtml].filter((x) => x && String(x).trim()).join("<br/>");
+}
+
+function parseNumericAnswer(value) {
+  const s = String(value ?? "")
+    .trim()
+    .replace(/\s+/g, "")
+    .replace(",", ".");
+  return /^[+-]?\d+(\.\d+)?$/.test(s) ? Number(s) : null;
+}
+
+// tf4: chỉ xuất các ý đã biết Đúng/Sai; answer null (chưa rõ) không được ghi thành "Sai"
+function knownStatementKeys(q) {
+  return Object.keys(q.statements || {}).filter((k) => q.statements[k] && typeof q.answer?.[k] === "boolean");
+}
+
+function moodleQuestionXml(q, idx, g = examGrammar()) {
+  const id = `q${q.no ?? idx + 1}`;
+  const name = `<name><text>${escapeXml(`${g.questionLabel} ${q.no ?? idx + 1}`)}</text></name>`;
+  const stem = moodleText("questiontext", questionTextHtml(q), `${id}_stem`);
+  const feedback = moodleText("generalfeedback", questionFeedbackHtml(q), `${id}_sol`);
+
+  if (q.type === "mcq") {
+    const answers = Object.entries(q.choicesHtml || {})
+      .filter(([, html]) => html)
+      .map(([key, html]) => {
+        const fraction = q.answer === key ? 100 : 0;
+        const { html: body, files } = extractDataUriImages(cleanExportHtml(html), `${id}_${key}`);
+        const fileXml = files.map(
+          (f) => `<file name="${escapeXml(f.name)}" path="/" encoding="base64">${f.b64}</file>`,
+        );
+        return `<answer fraction="${fraction}" format="html"><text>${cdata(body)}</text>${fileXml.join("")}</answer>`;
+      });
+    return (
+      `<question type="multichoice">${name}${stem}${feedback}` +
+      `<defaultgrade>1</defaultgrade><single>true</single><shuffleanswers>false</shuffleanswers>` +
+      `<answernumbering>ABCD</answernumbering>${answers.join("")}</question>`
+    );
+  }
+
+  if (q.type === "tf4" && knownStatementKeys(q).length) {
+    const subs = knownStatementKeys(q).map((key) => {
+      const label = q.answer[key] ? g.trueLabel : g.falseLabel;
+      const { html: body, files } = extractDataUriImages(cleanExportHtml(q.statements[key]), `${id}_${key}`);
+      const fileXml = files.map(
+        (f) => `<file name="${escapeXml(f.name)}" path="/" encoding="base64">${f.b64}</file>`,
+      );
+      return (
+        `<subquestion format="html"><text>${cdata(`${key}) ${body}`)}</text>${fileXml.join("")}` +
+        `<answer><text>${escapeXml(label)}</text></answer></subquestion>`
+      );
+    });
+    return (
+      `<question type="matching">${name}${stem}${feedback}` +
+      `<defaultgrade>1</defaultgrade><shuffleanswers>false</shuffleanswers>${subs.join("")}</question>`
+    );
+  }
+
+  // tf4 chưa biết ý nào => essay như câu chưa có đáp án
+  const answer = q.type === "tf4" ? null : q.answer ?? null;
+  const num = parseNumericAnswer(answer);
+  if (num !== null) {
+    return (
+      `<question type="numerical">${name}${stem}${feedback}<defaultgrade>1</defaultgrade>` +
+      `<answer fraction="100"><text>${num}</text><tolerance>0</tolerance></answer></question>`
+    );
+  }
+  if (answer !== null && String(answer).trim()) {
+    return (
+      `<question type="shortanswer">${name}${stem}${feedback}<defaultgrade>1</defaultgrade><usecase>0</usecase>` +
+      `<answer fraction="100"><text>${escapeXml(answer)}</text></answer></question>`
+    );
+  }
+  // Tự luận / chưa biết đáp án => essay để import không bị Moodle từ chối
+  return `<question type="essay">${name}${stem}${feedback}<defaultgrade>${q.points ?? 1}</defaultgrade></question>`;
+}
+
+function examToMoodleXml(exam, { name = "Exam" } = {}) {
+  const g = examGrammar(exam?.profile);
+  const parts = ['<?xml version="1.0" encoding="UTF-8"?>', "<quiz>"];
+  let currentSection;
+
+  (exam?.questions || []).forEach((q, idx) => {
+    const sectionTitle = q.section ? stripAllTagsToPlain(q.section.title) : null;
+    if (idx === 0 || sectionTitle !== currentSection) {
+      currentSection = sectionTitle;
+      const category = ["$course$", name, sectionTitle].filter(Boolean).join("/");
+      parts.push(`<question type="category"><category><text>${escapeXml(category)}</text></category></question>`);
     }
+    parts.push(moodleQuestionXml(q, idx, g));
+  });
 
-    if (!foundEnd) endIdx = s.length;
-    let content = s.slice(contentStart, endIdx).trim();
-    content = content.replace(/\s+\.\s*$/, "");
-    content = content.replace(/\s+\\\s+(?=\d)/g, " \\\\ ");
-    const before = s.slice(0, startIdx);
-    const after = foundEnd ? s.slice(endIdx + 1) : "";
-    s = before + `\\begin{cases} ${content} \\end{cases}` + after;
+  parts.push("</quiz>");
+  return parts.join("\n");
+}
+
+function escapeGift(text) {
+  return String(text ?? "").replace(/([\\~=#{}:])/g, "\\$1");
+}
+
+function giftHtml(html) {
+  return escapeGift(cleanExportHtml(html).replace(/\s*\n\s*/g, " "));
+}
+
+function giftQuestion(q, idx, g = examGrammar()) {
+  const title = `::${escapeGift(`${g.questionLabel} ${q.no ?? idx + 1}`)}::`;
+  const stem = `[html]${giftHtml(questionTextHtml(q))}`;
+  const fb = questionFeedbackHtml(q);
+  const feedback = fb ? `\n\t####${giftHtml(fb)}` : "";
+
+  if (q.type === "mcq") {
+    const answers = Object.entries(q.choicesHtml || {})
+      .filter(([, html]) => html)
+      .map(([key, html]) => `\t${q.answer === key ? "=" : "~"}${giftHtml(html)}`);
+    return `${title}${stem} {\n${answers.join("\n")}${feedback}\n}`;
   }
-  return s;
+
+  if (q.type === "tf4" && knownStatementKeys(q).length) {
+    const pairs = knownStatementKeys(q).map(
+      (key) => `\t=${giftHtml(`${key}) ${q.statements[key]}`)} -> ${q.answer[key] ? g.trueLabel : g.falseLabel}`,
+    );
+    return `${title}${stem} {\n${pairs.join("\n")}${feedback}\n}`;
+  }
+
+  const answer = q.type === "tf4" ? null : q.answer ?? null;
+  const num = parseNumericAnswer(answer);
+  if (num !== null) return `${title}${stem} {#${num}${feedback}\n}`;
+  if (answer !== null && String(answer).trim()) return `${title}${stem} {=${escapeGift(answer)}${feedback}\n}`;
+  return `${title}${stem} {${feedback}\n}`;
 }
 
-function processLatex(mathml) {
-  let latex = mathmlToLatexSafe(mathml);
-  if (!latex) return "";
+function examToGift(exam, { name = "Exam" } = {}) {
+  const g = examGrammar(exam?.profile);
+  const out = [];
+  let currentSection;
 
-  latex = sanitizeLatexStrict(latex);
-  latex = normalizeLatexCommands(latex);
-  latex = restoreArrowAndCoreCommands(latex);
-  latex = fixPiecewiseFunction(latex);
-  latex = postprocessLatexSqrt(latex);
-  latex = finalLatexCleanup(latex);
+  (exam?.questions || []).forEach((q, idx) => {
+    const sectionTitle = q.section ? stripAllTagsToPlain(q.section.title) : null;
+    if (idx === 0 || sectionTitle !== currentSection) {
+      currentSection = sectionTitle;
+      out.push(`$CATEGORY: ${["$course$", name, sectionTitle].filter(Boolean).join("/")}`);
+    }
+    out.push(giftQuestion(q, idx, g));
+  });
 
-  return latex;
+  return out.join("\n\n") + "\n";
 }
 
 // ============================================================
-// RELS MAP
+// EXAM EXPORT - IMS QTI 2.1 content package (.zip)
+// (math lấy MathML từ mathmlByRid theo data-rid, ảnh tách ra images/)
 // ============================================================
-function mimeFromExt(p) {
-  const ext = (p.split(".").pop() || "").toLowerCase();
-  if (ext === "png") return "image/png";
-  if (ext === "jpg" || ext === "jpeg") return "image/jpeg";
-  if (ext === "gif") return "image/gif";
-  if (ext === "webp") return "image/webp";
-  if (ext === "svg") return "image/svg+xml";
-  if (ext === "emf") return "image/emf";
-  if (ext === "wmf") return "image/wmf";
-  return "application/octet-stream";
+const QTI_NS = "http://www.imsglobal.org/xsd/imsqti_v2p1";
+const QTI_SCHEMA = `${QTI_NS} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1p2.xsd`;
+const QTI_RP = "http://www.imsglobal.org/question/qti_v2p1/rptemplates";
+
+const XML_NAMED_ENTITIES = { amp: 1, lt: 1, gt: 1, quot: 1, apos: 1 };
+const HTML_ENTITY_CODES = {
+  nbsp: 160,
+  ensp: 8194,
+  emsp: 8195,
+  thinsp: 8201,
+  middot: 183,
+  deg: 176,
+  times: 215,
+  divide: 247,
+  plusmn: 177,
+  minus: 8722,
+  radic: 8730,
+  infin: 8734,
+  le: 8804,
+  ge: 8805,
+  ne: 8800,
+  asymp: 8776,
+  larr: 8592,
+  rarr: 8594,
+  harr: 8596,
+  lArr: 8656,
+  rArr: 8658,
+  hArr: 8660,
+  pi: 960,
+  alpha: 945,
+  beta: 946,
+  gamma: 947,
+  delta: 948,
+  Delta: 916,
+  theta: 952,
+  lambda: 955,
+  mu: 956,
+  sigma: 963,
+  omega: 969,
+  Omega: 937,
+  isin: 8712,
+  notin: 8713,
+  sub: 8834,
+  sup: 8835,
+  cup: 8746,
+  cap: 8745,
+  empty: 8709,
+  forall: 8704,
+  exist: 8707,
+  part: 8706,
+  int: 8747,
+  sum: 8721,
+  prod: 8719,
+  prime: 8242,
+};
+
+function htmlEntitiesToXml(s) {
+  return String(s || "").replace(/&([A-Za-z][A-Za-z0-9]*);/g, (m, name) => {
+    if (XML_NAMED_ENTITIES[name]) return m;
+    const code = HTML_ENTITY_CODES[name];
+    return code ? `&#${code};` : `&amp;${name};`;
+  });
 }
 
-function getExtFromPath(p) {
-  return (p.split(".").pop() || "").toLowerCase();
+const VOID_HTML_TAGS = new Set(["br", "img", "hr"]);
+
+// Cắt HTML theo marker có thể làm lệch thẻ (vd "<u>" ở stem, "</u>" ở choice) => cân bằng lại cho XML
+function balanceHtmlFragment(html) {
+  const stack = [];
+  const out = String(html || "").replace(
+    /<(\/?)([A-Za-z][\w:-]*)([^>]*?)(\/?)>/g,
+    (m, close, tag, attrs, selfClose) => {
+      const name = tag.toLowerCase();
+      if (selfClose || VOID_HTML_TAGS.has(name)) return `<${tag}${attrs.replace(/\s*\/$/, "")}/>`;
+      if (!close) {
+        stack.push(name);
+        return m;
+      }
+      const at = stack.lastIndexOf(name);
+      if (at < 0) return "";
+      const closing = stack.splice(at).reverse();
+      return closing.map((t) => `</${t}>`).join("");
+    },
+  );
+  return (
+    out +
+    stack
+      .reverse()
+      .map((t) => `</${t}>`)
+      .join("")
+  );
 }
 
-function normRelTarget(target) {
-  let t = String(target || "").trim();
-  t = t.replace(/\\/g, "/");
-  try {
-    t = decodeURIComponent(t);
-  } catch {}
-  t = t.replace(/^\.?\//, "");
-  t = path.posix.normalize(t);
-  t = t.replace(/^(\.\.\/)+/, "");
-  return t;
+function mathmlForXml(mathml) {
+  let s = ensureMathMLNamespace(mathml);
+  s = s.replace(/<math\b([^>]*)\bdisplay="[^"]*"/i, "<math$1");
+  return htmlEntitiesToXml(s);
 }
 
-function buildRelMaps(relsXmlText) {
-  const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: "@_" });
-  const rels = parser.parse(relsXmlText);
-  const list = rels?.Relationships?.Relationship || [];
-  const arr = Array.isArray(list) ? list : [list];
+// HTML của exam => fragment XHTML hợp lệ cho QTI; ảnh data URI => files[]
+function htmlToQtiXhtml(html, { mathmlByRid = {}, prefix, files, hrefBase = "" }) {
+  const maths = [];
+  let s = cleanExportHtml(html).replace(
+    /<span class="math"(?: data-rid="([^"]*)")?>\\\(([\s\S]*?)\\\)<\/span>/g,
+    (m, rid, latex) => {
+      const mathml = rid && mathmlByRid[rid];
+      maths.push(mathml ? mathmlForXml(mathml) : `<span class="math">\\(${escapeXml(latex)}\\)</span>`);
+      return `\u0000${maths.length - 1}\u0000`;
+    },
+  );
 
-  const emb = {},
-    media = {};
+  s = s.replace(/(<img\b[^>]*\bsrc\s*=\s*["'])data:([^;"']+);base64,([^"']+)(["'])/gi, (m, pre, mime, b64, post) => {
+    const ext = (mime.split("/")[1] || "bin").replace("svg+xml", "svg").replace("jpeg", "jpg");
+    const name = `images/${prefix}_${files.length + 1}.${ext}`;
+    files.push({ name, data: Buffer.from(b64, "base64") });
+    return `${pre}${hrefBase}${name}${post}`;
+  });
+  s = s.replace(/<img\b(?![^>]*\balt=)/gi, '<img alt=""');
 
-  for (const r of arr) {
-    const id = r?.["@_Id"],
-      target = r?.["@_Target"],
-      targetMode = r?.["@_TargetMode"];
-    if (!id || !target) continue;
-    if (targetMode && String(targetModepreeMode).toLowerCase() === "external") continue;
+  s = htmlEntitiesToXml(balanceHtmlFragment(s)).replace(/<(u|b|i|strong|em|span)>\s*<\/\1>/g, "");
+  return s.replace(/\u0000(\d+)\u0000/g, (m, i) => maths[Number(i)]);
+}
 
-    const t0 = normRelTarget(target);
-    const low = t0.toLowerCase();
+function qtiIdentifier(raw, used) {
+  let id = String(raw).replace(/[^A-Za-z0-9_.-]/g, "_");
+  if (!/^[A-Za-z_]/.test(id)) id = `_${id}`;
+  let out = id,
+    n = 2;
+  while (used.has(out)) out = `${id}_${n++}`;
+  used.add(out);
+  return out;
+}
 
-    const embIdx = low.indexOf("embeddings/");
-    if (embIdx >= 0 && low.endsWith(".bin")) {
-      emb[id] = "word/" + t0.slice(embIdx);
-      continue;
-    }
+function qtiItemXml(q, id, opts) {
+  const { files, g = examGrammar() } = opts;
+  const x = (html, suffix) => htmlToQtiXhtml(html, { ...opts, prefix: `${id}_${suffix}`, files, hrefBase: "../" });
+  const title = escapeXml(`${g.questionLabel} ${q.no ?? ""}`.trim());
+
+  let responseDecl = "",
+    interaction = "",
+    rp = "";
+
+  if (q.type === "mcq") {
+    const keys = Object.keys(q.choicesHtml || {}).filter((k) => q.choicesHtml[k]);
+    const correct = q.answer ? `<correctResponse><value>${escapeXml(q.answer)}</value></correctResponse>` : "";
+    responseDecl = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">${correct}</responseDeclaration>`;
+    interaction =
+      `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">` +
+      keys.map((k) => `<simpleChoice identifier="${k}">${x(q.choicesHtml[k], k)}</simpleChoice>`).join("") +
+      `</choiceInteraction>`;
+    rp = `<responseProcessing template="${QTI_RP}/match_correct"/>`;
+  } else if (q.type === "tf4") {
+    const keys = Object.keys(q.statements || {}).filter((k) => q.statements[k]);
+    // ý chưa rõ đáp án (null) không có cặp đúng, vẫn hiện trong matchInteraction
+    const pairs = knownStatementKeys(q).map((k) => `${k} ${q.answer[k] ? "T" : "F"}`);
+    const weight = keys.length ? (1 / keys.length).toFixed(4).replace(/0+$/, "") : "0";
+    const correct = pairs.length
+      ? `<correctResponse>${pairs.map((p) => `<value>${p}</value>`).join("")}</correctResponse>`
+      : "";
+    responseDecl =
+      `<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">` +
+      correct +
+      `<mapping defaultValue="0">${pairs.map((p) => `<mapEntry mapKey="${p}" mappedValue="${weight}"/>`).join("")}</mapping>` +
+      `</responseDeclaration>`;
+    interaction =
+      `<matchInteraction responseIdentifier="RESPONSE" shuffle="false" maxAssociations="${keys.length}">` +
+      `<simpleMatchSet>${keys
+        .map(
+          (k) =>
+            `<simpleAssociableChoice identifier="${k}" matchMax="1">${k}) ${x(q.statements[k], k)}</simpleAssociableChoice>`,
+        )
+        .join("")}</simpleMatchSet>` +
+      `<simpleMatchSet><simpleAssociableChoice identifier="T" matchMax="${keys.length}">${g.trueLabel}</simpleAssociableChoice>` +
+      `<simpleAssociableChoice identifier="F" matchMax="${keys.length}">${g.falseLabel}</simpleAssociableChoice></simpleMatchSet>` +
+      `</matchInteraction>`;
+    rp = `<responseProcessing template="${QTI_RP}/map_response"/>`;
+  } else if (q.type === "essay") {
+    responseDecl = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>`;
+    interaction = `<extendedTextInteraction responseIdentifier="RESPONSE"/>`;
+  } else {
+    const answer = q.answer ?? null;
+    const num = parseNumericAnswer(answer);
+    const baseType = num !== null ? "float" : "string";
+    const value = num !== null ? String(num) : answer;
+    const correct =
+      value !== null && String(value).trim()
+        ? `<correctResponse><value>${escapeXml(value)}</value></correctResponse>`
+        : "";
+    responseDecl = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="${baseType}">${correct}</responseDeclaration>`;
+    interaction = `<p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${q.boxes || 4}"/></p>`;
+    rp = `<responseProcessing template="${QTI_RP}/match_correct"/>`;
+  }
 
-    const mediaIdx = low.indexOf("media/");
-    if (mediaIdx >= 0) {
-      media[id] = "word/" + t0.slice(mediaIdx);
+  const solution = questionFeedbackHtml(q);
+  const rubric = solution ? `<rubricBlock view="scorer tutor"><div>${x(solution, "sol")}</div></rubricBlock>` : "";
+
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<assessmentItem xmlns="${QTI_NS}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ` +
+    `xsi:schemaLocation="${QTI_SCHEMA}" identifier="${id}" title="${title}" adaptive="false" timeDependent="false">` +
+    responseDecl +
+    `<outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>` +
+    `<itemBody>${rubric}<div>${x(questionTextHtml(q), "stem")}</div>${interaction}</itemBody>` +
+    rp +
+    `</assessmentItem>\n`
+  );
+}
+
+function examToQtiPackage(exam, { name = "Exam", mathmlByRid = {} } = {}) {
+  const g = examGrammar(exam?.profile);
+  const used = new Set();
+  const entries = [];
+  const resources = [];
+  const sections = [];
+
+  (exam?.questions || []).forEach((q, idx) => {
+    const id = qtiIdentifier(`q${q.no ?? idx + 1}`, used);
+    const files = [];
+    const href = `items/${id}.xml`;
+    entries.push({ name: href, data: qtiItemXml(q, id, { mathmlByRid, files, g }) });
+    entries.push(...files);
+
+    resources.push(
+      `<resource identifier="${id}" type="imsqti_item_xmlv2p1" href="${href}">` +
+        `<file href="${href}"/>${files.map((f) => `<file href="${escapeXml(f.name)}"/>`).join("")}</resource>`,
+    );
+
+    const sectionTitle = q.section ? stripAllTagsToPlain(q.section.title) : name;
+    let sec = sections[sections.length - 1];
+    if (!sec || sec.title !== sectionTitle) sections.push((sec = { title: sectionTitle, refs: [] }));
+    sec.refs.push(`<assessmentItemRef identifier="${id}" href="${href}"/>`);
+  });
+
+  const testXml =
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<assessmentTest xmlns="${QTI_NS}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ` +
+    `xsi:schemaLocation="${QTI_SCHEMA}" identifier="TEST" title="${escapeXml(name)}">` +
+    `<testPart identifier="P1" navigationMode="nonlinear" submissionMode="simultaneous">` +
+    sections
+      .map(
+        (sec, i) =>
+          `<assessmentSection identifier="S${i + 1}" title="${escapeXml(sec.title)}" visible="true">${sec.refs.join("")}</assessmentSection>`,
+      )
+      .join("") +
+    `</testPart></assessmentTest>\n`;
+
+  const manifest =
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ` +
+    `xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd" ` +
+    `identifier="MANIFEST-${crypto.randomUUID()}">` +
+    `<metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion></metadata>` +
+    `<organizations/><resources>` +
+    `<resource identifier="TEST" type="imsqti_test_xmlv2p1" href="assessment.xml"><file href="assessment.xml"/>` +
+    [...used].map((id) => `<dependency identifierref="${id}"/>`).join("") +
+    `</resource>${resources.join("")}</resources></manifest>\n`;
+
+  return createZip([
+    { name: "imsmanifest.xml", data: manifest },
+    { name: "assessment.xml", data: testXml },
+    ...entries,
+  ]);
+}
+
+// ============================================================
+// EXAM -> DOCX (chiều ngược lại: exam JSON => file Word để in)
+// Giữ đúng quy ước "PHẦN / Câu N. / A. B. C. D. / a) b) c) d)" và gạch chân đáp án
+// để file xuất ra convert ngược lại được bằng chính server này
+// ============================================================
+const DOCX_NS =
+  'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ' +
+  'xmlns:m="http://schemas.openxmlformats.org/officeDocument/2006/math" ' +
+  'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" ' +
+  'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+  'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"';
+
+const DOCX_MAX_IMAGE_PX = 576; // 6 inch @ 96dpi
+const EMU_PER_PX = 9525;
+
+function decodeHtmlEntities(s) {
+  return String(s || "").replace(/&(#x[0-9a-f]+|#\d+|[A-Za-z][A-Za-z0-9]*);/gi, (m, ent) => {
+    if (ent[0] === "#") {
+      const code = ent[1] === "x" || ent[1] === "X" ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
     }
-  }
+    const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[ent];
+    if (named) return named;
+    if (ent === "emsp") return "\t";
+    return HTML_ENTITY_CODES[ent] ? String.fromCodePoint(HTML_ENTITY_CODES[ent]) : m;
+  });
+}
 
-  return { emb, media };
+function imagePixelSize(buf) {
+  try {
+    if (buf.length > 24 && buf.readUInt32BE(0) === 0x89504e47)
+      return { w: buf.readUInt32BE(16), h: buf.readUInt32BE(20) };
+    const svg = /^\s*<svg\b[^>]*?\bwidth="([\d.]+)"[^>]*?\bheight="([\d.]+)"/.exec(buf.toString("utf8", 0, 300));
+    if (svg) return { w: Math.round(+svg[1]), h: Math.round(+svg[2]) };
+    if (buf.length > 10 && buf.toString("latin1", 0, 3) === "GIF")
+      return { w: buf.readUInt16LE(6), h: buf.readUInt16LE(8) };
+    if (buf.length > 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+      let i = 2;
+      while (i + 9 < buf.length) {
+        if (buf[i] !== 0xff) break;
+        const marker = buf[i + 1];
+        const len = buf.readUInt16BE(i + 2);
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { w: buf.readUInt16BE(i + 7), h: buf.readUInt16BE(i + 5) };
+        }
+        i += 2 + len;
+      }
+    }
+  } catch {}
+  return { w: 200, h: 150 };
 }
 
-// ============================================================
-// PRESERVEORDER HELPERS (simplified)
-// ============================================================
-function kids(arr, tag) {
-  return Array.isArray(arr) ? arr.filter((n) => n && typeof n === "object" && n[tag]) : [];
+function docxRun(text, fmt = {}) {
+  if (!text) return "";
+  const rPr =
+    (fmt.b ? "<w:b/>" : "") +
+    (fmt.i ? "<w:i/>" : "") +
+    (fmt.u ? '<w:u w:val="single"/>' : "") +
+    (fmt.sup ? '<w:vertAlign w:val="superscript"/>' : fmt.sub ? '<w:vertAlign w:val="subscript"/>' : "");
+  const parts = String(text).split(/(\t|\n)/);
+  const body = parts
+    .map((p) =>
+      p === "\t" ? "<w:tab/>" : p === "\n" ? "<w:br/>" : p ? `<w:t xml:space="preserve">${escapeXml(p)}</w:t>` : "",
+    )
+    .join("");
+  return `<w:r>${rPr ? `<w:rPr>${rPr}</w:rPr>` : ""}${body}</w:r>`;
 }
 
-function findAllRidsDeep(x, out = []) {
-  const re = /^rId\d+$/;
-  if (!x) return out;
-  if (typeof x === "string") {
-    if (re.test(x.trim())) out.push(x.trim());
-    return out;
+function docxImageRun(buf, ext, ctx) {
+  // Word cần PNG fallback cho SVG => raster hoá nếu có @resvg/resvg-js
+  if (ext === "svg" && Resvg) {
+    try {
+      buf = svgToPng(buf);
+      ext = "png";
+    } catch {}
   }
-  if (Array.isArray(x)) {
-    for (const it of x) findAllRidsDeep(it, out);
-    return out;
+  // Ảnh trùng nội dung dùng chung 1 file word/media + 1 relationship
+  const hash = AssetStore.hash(buf);
+  let img = ctx.mediaByHash.get(hash);
+  if (!img) {
+    const m = ctx.media.length + 1;
+    img = { rid: `rIdImg${m}`, name: `image${m}.${ext}`, data: buf };
+    ctx.media.push(img);
+    ctx.mediaByHash.set(hash, img);
   }
-  if (typeof x === "object") {
-    for (const v of Object.values(x)) findAllRidsDeep(v, out);
+  const { rid, name } = img;
+  const n = ++ctx.drawings;
+
+  let { w, h } = imagePixelSize(buf);
+  if (w > DOCX_MAX_IMAGE_PX) {
+    h = Math.round((h * DOCX_MAX_IMAGE_PX) / w);
+    w = DOCX_MAX_IMAGE_PX;
   }
-  return out;
+  const cx = w * EMU_PER_PX,
+    cy = h * EMU_PER_PX;
+
+  return (
+    `<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/>` +
+    `<wp:docPr id="${n}" name="Picture ${n}"/><a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">` +
+    `<pic:pic><pic:nvPicPr><pic:cNvPr id="${n}" name="${name}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+    `<pic:blipFill><a:blip r:embed="${rid}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+    `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+    `</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>`
+  );
 }
 
-function findImageEmbedRidsDeep(x, out = []) {
-  if (!x) return out;
-  if (Array.isArray(x)) {
-    for (const it of x) findImageEmbedRidsDeep(it, out);
-    return out;
-  }
-  if (typeof x === "object") {
-    for (const [k, v] of Object.entries(x)) {
-      if ((k === "@_r:embed" || k === "@_r:id") && typeof v === "string" && v.startsWith("rId"))
-        out.push(v);
-      findImageEmbedRidsDeep(v, out);
+// HTML (exam fields) => runs của 1 paragraph; math (span hoặc \( \) / \[ \] trần) => OMML, ảnh data URI => word/media
+function htmlToDocxRuns(html, ctx, baseFmt = {}) {
+  const src = cleanExportHtml(html);
+  const re =
+    /<span class="math"(?: data-rid="([^"]*)")?>\\\(([\s\S]*?)\\\)<\/span>|\\\(([\s\S]*?)\\\)|\\\[([\s\S]*?)\\\]|<[^>]+>|(?:[^<\\]|\\(?![(\[]))+|\\/g;
+  const fmt = { ...baseFmt };
+  const counts = {};
+  let out = "",
+    m;
+
+  while ((m = re.exec(src)) !== null) {
+    const tok = m[0];
+    const latex = m[2] ?? m[3] ?? m[4];
+    if (latex !== undefined) {
+      const mathml = (m[1] && ctx.mathmlByRid[m[1]]) || latexToMathml(latex);
+      out += mathmlToOmml(mathml);
+      continue;
+    }
+    if (tok[0] !== "<") {
+      out += docxRun(decodeHtmlEntities(tok), fmt);
+      continue;
+    }
+
+    const tag = /^<\/?\s*([A-Za-z0-9]+)/.exec(tok)?.[1]?.toLowerCase();
+    const closing = tok.startsWith("</");
+    if (tag === "br") {
+      out += "<w:r><w:br/></w:r>";
+    } else if (tag === "img") {
+      const data = /src\s*=\s*["']data:([^;"']+);base64,([^"']+)["']/i.exec(tok);
+      if (data) {
+        const ext = (data[1].split("/")[1] || "png").replace("jpeg", "jpg").replace("svg+xml", "svg");
+        out += docxImageRun(Buffer.from(data[2], "base64"), ext, ctx);
+      }
+    } else {
+      const key = { u: "u", b: "b", strong: "b", i: "i", em: "i", sup: "sup", sub: "sub" }[tag];
+      if (key) {
+        counts[key] = Math.max(0, (counts[key] || 0) + (closing ? -1 : 1));
+        fmt[key] = baseFmt[key] || counts[key] > 0;
+      } else if (!closing && (tag === "p" || tag === "div")) {
+        if (out) out += "<w:r><w:br/></w:r>";
+      }
     }
   }
   return out;
 }
 
-function runHasOleLike(rNode) {
-  try {
-    const s = JSON.stringify(rNode);
-    return s.includes("o:OLEObject") || s.includes("w:object") || s.includes("w:oleObject");
-  } catch {
-    return false;
-  }
+function docxParagraph(runs, { align } = {}) {
+  const pPr = align ? `<w:pPr><w:jc w:val="${align}"/></w:pPr>` : "";
+  return `<w:p>${pPr}${runs}</w:p>`;
 }
 
-function runIsUnderlined(rNode) {
-  try {
-    const s = JSON.stringify(rNode);
-    return s.includes("w:u") && !s.toLowerCase().includes("none");
-  } catch {
-    return false;
+function examToDocxBody(exam, ctx) {
+  const g = examGrammar(exam.profile);
+  const paras = [];
+  let currentSection;
+
+  for (const q of exam?.questions || []) {
+    const sectionTitle = q.section ? q.section.title : null;
+    if (sectionTitle && sectionTitle !== currentSection) {
+      currentSection = sectionTitle;
+      paras.push(docxParagraph(htmlToDocxRuns(sectionTitle, ctx, { b: true })));
+    }
+
+    // Điểm ghi sau số câu như đề gốc: parse lại vẫn ra câu tự luận cùng số điểm
+    const points = q.type === "essay" && q.points != null ? ` ${pointsTagText(q.points, g)}` : "";
+    const label = docxRun(`${g.questionLabel} ${q.no}${points}.`, { b: true });
+    paras.push(docxParagraph(label + docxRun(" ") + htmlToDocxRuns(q.stemHtml, ctx)));
+
+    if (q.type === "mcq") {
+      for (const [key, html] of Object.entries(q.choicesHtml || {})) {
+        if (!html) continue;
+        const marker = docxRun(key, { u: q.answer === key }) + docxRun(". ");
+        paras.push(docxParagraph(marker + htmlToDocxRuns(html, ctx)));
+      }
+    } else if (q.type === "tf4") {
+      for (const [key, html] of Object.entries(q.statements || {})) {
+        if (!html) continue;
+        const marker = docxRun(key, { u: q.answer?.[key] === true }) + docxRun(") ");
+        paras.push(docxParagraph(marker + htmlToDocxRuns(html, ctx)));
+      }
+    } else if (q.type === "essay") {
+      for (const part of q.parts || []) {
+        const points = part.points != null && pointsIn(part.html, g) === null ? ` ${pointsTagText(part.points, g)}` : "";
+        paras.push(docxParagraph(docxRun(`${part.key}) `) + htmlToDocxRuns(part.html, ctx) + docxRun(points)));
+      }
+    }
+
+    for (const field of ["solutionHtml", "detailHtml"]) {
+      const html = q[field];
+      if (!html || !stripAllTagsToPlain(html)) continue;
+      const hasMarker = field === "detailHtml" || findSolutionMarkerIndex(html, 0, g) >= 0;
+      const prefix = hasMarker ? "" : docxRun(`${g.solutionLabel}. `, { b: true });
+      paras.push(docxParagraph(prefix + htmlToDocxRuns(html, ctx)));
+    }
   }
-}
 
-// ============================================================
-// TEXT EXTRACTION
-// ============================================================
-function getTextFromPreserveWrap(tagWrap, tagName) {
-  const v = tagWrap?.[tagName];
-  if (!v) return "";
-  if (Array.isArray(v)) return v.map((x) => x?.["#text"] || "").join("");
-  if (typeof v === "object") return v?.["#text"] || "";
-  return "";
+  return paras.join("");
 }
 
-function collectTextFromRun(rNode) {
-  let s = "";
-  for (const tWrap of kids(rNode, "w:t")) s += getTextFromPreserveWrap(tWrap, "w:t");
-  for (const tWrap of kids(rNode, "w:instrText")) s += getTextFromPreserveWrap(tWrap, "w:instrText");
-  for (const tWrap of kids(rNode, "w:delText")) s += getTextFromPreserveWrap(tWrap, "w:delText");
-  if (kids(rNode, "w:tab").length) s += "\t";
-  if (kids(rNode, "w:br").length) s += "\n";
-  return s;
+function examToDocx(exam, { name = "Exam", mathmlByRid = {} } = {}) {
+  const ctx = { mathmlByRid: mathmlByRid || {}, media: [], mediaByHash: new Map(), drawings: 0 };
+  const body = examToDocxBody(exam, ctx);
+
+  const documentXml =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:document ${DOCX_NS}><w:body>${body}` +
+    `<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" ` +
+    `w:header="709" w:footer="709" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+  const stylesXml =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+    `<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:docDefaults>` +
+    `<w:rPrDefault><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:cs="Times New Roman" w:eastAsia="Times New Roman"/>` +
+    `<w:sz w:val="24"/><w:szCs w:val="24"/><w:lang w:val="vi-VN"/></w:rPr></w:rPrDefault>` +
+    `<w:pPrDefault><w:pPr><w:spacing w:after="60" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>` +
+    `</w:docDefaults><w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style></w:styles>`;
+
+  const imageRels = ctx.media
+    .map(
+      (img) =>
+        `<Relationship Id="${img.rid}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/${img.name}"/>`,
+    )
+    .join("");
+  const documentRels =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+    `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    `<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+    `${imageRels}</Relationships>`;
+
+  const rootRels =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+    `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>` +
+    `<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>` +
+    `</Relationships>`;
+
+  const exts = unique(ctx.media.map((img) => getExtFromPath(img.name)));
+  const contentTypes =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+    `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+    `<Default Extension="xml" ContentType="application/xml"/>` +
+    exts.map((ext) => `<Default Extension="${ext}" ContentType="${mimeFromExt(`x.${ext}`)}"/>`).join("") +
+    `<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>` +
+    `<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>` +
+    `<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>` +
+    `</Types>`;
+
+  const coreXml =
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+    `<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ` +
+    `xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ` +
+    `xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${escapeXml(name)}</dc:title>` +
+    `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, "Z")}</dcterms:created>` +
+    `</cp:coreProperties>`;
+
+  return createZip([
+    { name: "[Content_Types].xml", data: contentTypes },
+    { name: "_rels/.rels", data: rootRels },
+    { name: "docProps/core.xml", data: coreXml },
+    { name: "word/document.xml", data: documentXml },
+    { name: "word/styles.xml", data: stylesXml },
+    { name: "word/_rels/document.xml.rels", data: documentRels },
+    ...ctx.media.map((img) => ({ name: `word/media/${img.name}`, data: img.data })),
+  ]);
 }
 
-function escapeTextToHtml(text) {
-  if (!text) return "";
-  return String(text)
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll("\t", "&emsp;")
-    .replaceAll("\n", "<br/>");
-}
+const EXAM_EXPORTERS = {
+  moodle: { render: examToMoodleXml, ext: "xml", type: "application/xml; charset=utf-8" },
+  gift: { render: examToGift, ext: "gift.txt", type: "text/plain; charset=utf-8" },
+  qti: { render: examToQtiPackage, ext: "qti.zip", type: "application/zip" },
+  docx: {
+    render: examToDocx,
+    ext: "docx",
+    type: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  },
+};
 
-function lastVisibleChar(html) {
-  const t = String(html || "").replace(/<[^>]*>/g, "");
-  return t.length ? t[t.length - 1] : "";
+// exam lấy từ chế độ images=url: <img src=".../assets/<hash>"> => data URI để exporter nhúng được ảnh
+async function inlineAssetImages(value) {
+  const hashes = unique([...JSON.stringify(value).matchAll(/\/assets\/([0-9a-f]{64})/g)].map((m) => m[1]));
+  if (!hashes.length) return value;
+
+  const uris = {};
+  for (const hash of hashes) {
+    const asset = await assetStore.get(hash);
+    if (asset) uris[hash] = `data:${asset.mime};base64,${asset.data.toString("base64")}`;
+  }
+
+  const re = /(<img\b[^>]*\bsrc\s*=\s*["'])[^"']*\/assets\/([0-9a-f]{64})(["'])/gi;
+  const walk = (v) => {
+    if (typeof v === "string") return v.replace(re, (m, pre, hash, post) => (uris[hash] ? pre + uris[hash] + post : m));
+    if (Array.isArray(v)) return v.map(walk);
+    if (v && typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, walk(x)]));
+    return v;
+  };
+  return walk(value);
 }
 
-function appendMathWithOneSpace(html, mathSpan) {
-  const prev = lastVisibleChar(html);
-  if (prev && !/\s/.test(prev)) html += " ";
-  html += mathSpan + " ";
-  return html;
+async function sendExamExport(res, exam, format, name, { mathmlByRid } = {}) {
+  const exporter = EXAM_EXPORTERS[format];
+  const base = String(name || "exam").replace(/\.docx$/i, "");
+  const fileName = `${base}.${exporter.ext}`;
+  const body = exporter.render(await inlineAssetImages(exam), { name: base, mathmlByRid });
+  res.setHeader("Content-Type", exporter.type);
+  res.setHeader("Content-Disposition", `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+  return res.send(body);
 }
 
 // ============================================================
-// RENDER PARAGRAPH / TABLE
+// DOCX -> HTML PIPELINE (dùng chung cho /convert-docx-html và /jobs)
 // ============================================================
-function renderParagraph(pNode, ctx) {
-  const { latexByRid, imageByRid, debug } = ctx;
-  let html = "";
-
-  const runs = kids(pNode, "w:r");
-  for (const rWrap of runs) {
-    const rNode = rWrap["w:r"];
-    const under = runIsUnderlined(rNode);
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
 
-    if (Array.isArray(rNode)) {
-      for (const child of rNode) {
-        if (child["w:t"]) {
-          const text = getTextFromPreserveWrap(child, "w:t");
-          if (text) {
-            const esc = escapeTextToHtml(text);
-            html += under ? `<u>${esc}</u>` : esc;
-          }
-        }
+const MATH_FORMATS = ["latex", "mathml", "asciimath", "speech"];
+const MATH_SPAN_RE = /<span class="math"(?: data-rid="([^"]*)")?>\\\(([\s\S]*?)\\\)<\/span>/g;
+
+// mathFormat khác latex: đổi các span \( \) sau khi layout + parse exam xong, vì các regex tách câu/lựa chọn
+// dựa vào \( \) để bỏ qua nội dung công thức. MathML lấy từ mathmlByRid; span không có rid (bảng LaTeX) đi qua
+// latexToMathml.
+function renderMathFormat(html, format, mathmlByRid) {
+  if (format === "latex" || !html) return html;
+  return html.replace(MATH_SPAN_RE, (m, rid, latex) => {
+    const mathml = (rid && mathmlByRid[rid]) || latexToMathml(latex);
+    const attrs = `class="math"${rid ? ` data-rid="${rid}"` : ""} data-format="${format}"`;
+    if (format === "mathml") return `<span ${attrs}>${mathmlForXml(mathml)}</span>`;
+    const text = format === "asciimath" ? `\`${mathmlToAsciiMath(mathml)}\`` : mathmlToSpeech(mathml);
+    return `<span ${attrs}>${escapeXml(text)}</span>`;
+  });
+}
 
-        if (child["w:tab"]) html += "&emsp;";
-        if (child["w:br"]) html += "<br/>";
+// fn áp lên mọi chuỗi của exam, giữ nguyên cấu trúc
+function mapExamStrings(exam, fn) {
+  const walk = (v) => {
+    if (typeof v === "string") return fn(v);
+    if (Array.isArray(v)) return v.map(walk);
+    if (v && typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, walk(x)]));
+    return v;
+  };
+  return walk(exam);
+}
 
-        if (child["a:blip"] || child["pic:blipFill"] || child["w:drawing"]) {
-          for (const rid of unique(findImageEmbedRidsDeep(child, []))) {
-            const dataUri = imageByRid[rid];
-            if (dataUri) {
-              debug.imagesInjected++;
-              html += `<img src="${dataUri}" style="max-width:100%;height:auto;vertical-align:middle;" />`;
-            }
-          }
-        }
+function renderExamMathFormat(exam, format, mathmlByRid) {
+  if (!exam || format === "latex") return exam;
+  return mapExamStrings(exam, (s) => renderMathFormat(s, format, mathmlByRid));
+}
 
-        if (child["w:pict"] || child["v:shape"]) {
-          for (const rid of unique(findImageEmbedRidsDeep(child, []))) {
-            const dataUri = imageByRid[rid];
-            if (dataUri) {
-              debug.imagesInjected++;
-              html += `<img src="${dataUri}" style="max-width:100%;height:auto;vertical-align:middle;" />`;
-            }
-          }
-        }
+async function convertDocxToHtml(
+  docxBuffer,
+  {
+    onProgress,
+    tables = "html",
+    images = "inline",
+    engine = CONFIG.MTEF_ENGINE,
+    diagnostics = false,
+    mathFormat = "latex",
+    output = "html",
+    examProfile = "auto",
+    answerSources = ANSWER_SOURCES,
+    assetPin,
+  } = {},
+) {
+  const startTime = Date.now();
+  const progress = (stage, extra = {}) => {
+    if (onProgress) onProgress({ stage, elapsedMs: Date.now() - startTime, ...extra });
+  };
 
-        if (child["w:object"] || child["o:OLEObject"]) {
-          let foundMath = false;
-          for (const rid of unique(findAllRidsDeep(child, []))) {
-            const latex = latexByRid[rid];
-            if (latex) {
-              debug.seenOle++;
-              debug.oleInjected++;
-              html = appendMathWithOneSpace(html, `<span class="math">\\(${latex}\\)</span>`);
-              foundMath = true;
-            }
-          }
-          if (!foundMath) {
-            for (const rid of unique(findImageEmbedRidsDeep(child, []))) {
-              const dataUri = imageByRid[rid];
-              if (dataUri) {
-                debug.imagesInjected++;
-                html += `<img src="${dataUri}" style="max-width:100%;height:auto;vertical-align:middle;" />`;
-              }
-            }
-          }
-        }
-      }
-    } else {
-      const runText = collectTextFromRun(rNode);
-      if (runText) {
-        const esc = escapeTextToHtml(runText);
-        html += under ? `<u>${esc}</u>` : esc;
+  const zip = await openDocxZip(docxBuffer);
+  const docBuf = await readZipEntry(zip, "word/document.xml");
+  const relBuf = await readZipEntry(zip, "word/_rels/document.xml.rels");
+  if (!docBuf || !relBuf) throw httpError(400, "Missing document.xml or rels");
+
+  const documentXml = docBuf.toString("utf8");
+  const docRels = buildRelMaps(relBuf.toString("utf8"));
+  const parts = await loadContentParts(zip, documentXml, docRels.parts);
+  const embRelMap = Object.assign({}, docRels.emb, ...parts.map((p) => p.emb));
+  const mediaRelMap = Object.assign({}, docRels.media, ...parts.map((p) => p.media));
+
+  // ============================================================
+  // STEP 1: Read all OLE buffers and check cache
+  // ============================================================
+  const oleEntries = Object.entries(embRelMap);
+  const ridsByEmbPath = groupRidsByPath(oleEntries);
+  const toConvert = [];
+  const latexByRid = {};
+  const mathmlByRid = {};
+  const latexCheckByRid = {};
+  const equationEngines = { ruby: 0, js: 0 };
+  const equationRids = new Set(); // rid của OLE MathType (đổi được hay không) - lint báo công thức lỗi
+  const oleInfo = new Map(); // embPath -> kết quả từng bước (cho diagnostics)
+  let cacheHits = 0,
+    cacheSkipped = 0;
+
+  const oleReadStart = Date.now();
+  progress("ole_read", { total: oleEntries.length });
+
+  for (const [embPath, rids] of ridsByEmbPath) {
+    const emb = (zip.files || []).find((f) => f.path === embPath);
+    if (!emb) continue;
+
+    const buf = await emb.buffer();
+    if (diagnostics) oleInfo.set(embPath, { oleClass: readOleClass(buf), cacheHit: false });
+
+    if (!isMathTypeOLE(buf)) {
+      cacheSkipped++;
+      if (diagnostics) oleInfo.get(embPath).error = "not_mathtype_ole";
+      continue;
+    }
+    for (const rid of rids) equationRids.add(rid);
+
+    const cached = await getCachedEquation(buf, engine);
+    if (cached) {
+      cacheHits++;
+      equationEngines[cached.engine]++;
+      if (diagnostics)
+        Object.assign(oleInfo.get(embPath), { cacheHit: true, engine: cached.engine, mathml: cached.mathml });
+      for (const rid of rids) {
+        mathmlByRid[rid] = cached.mathml;
+        latexByRid[rid] = cached.latex;
+        latexCheckByRid[rid] = latexCheckOf(cached);
       }
+      continue;
     }
 
-    const runImgRids = unique(findImageEmbedRidsDeep(rNode, []));
-    const processedInLoop = new Set();
+    toConvert.push({ rid: rids[0], buffer: buf, embPath });
+  }
 
-    if (Array.isArray(rNode)) {
-      for (const child of rNode) {
-        if (child["w:drawing"] || child["w:pict"] || child["v:shape"] || child["w:object"]) {
-          findImageEmbedRidsDeep(child, []).forEach((rid) => processedInLoop.add(rid));
-        }
-      }
-    }
+  const oleReadEnd = Date.now();
 
-    for (const rid of runImgRids) {
-      if (processedInLoop.has(rid)) continue;
-      const dataUri = imageByRid[rid];
-      if (dataUri) {
-        debug.imagesInjected++;
-        html += `<img src="${dataUri}" style="max-width:100%;height:auto;vertical-align:middle;" />`;
-      }
-    }
+  // ============================================================
+  // STEP 2: Batch convert uncached OLE files
+  // ============================================================
+  const oleConvertStart = Date.now();
+  let latexOk = 0;
 
-    if (runHasOleLike(rNode)) {
-      debug.seenOleRuns++;
-      const rids = unique(findAllRidsDeep(rNode, []));
-      const processedMathRids = new Set();
-      if (Array.isArray(rNode)) {
-        for (const child of rNode) {
-          if (child["w:object"] || child["o:OLEObject"]) {
-            findAllRidsDeep(child, []).forEach((rid) => {
-              if (latexByRid[rid]) processedMathRids.add(rid);
-            });
-          }
-        }
-      }
+  const batchCount = Math.ceil(toConvert.length / CONFIG.BATCH_SIZE);
+  progress("ole_convert", { done: 0, total: batchCount, equations: toConvert.length, cacheHits });
 
-      for (const rid of rids) {
-        if (processedMathRids.has(rid)) continue;
-        const latex = latexByRid[rid];
-        if (latex) {
-          debug.seenOle++;
-          debug.oleInjected++;
-          html = appendMathWithOneSpace(html, `<span class="math">\\(${latex}\\)</span>`);
-        } else {
-          debug.ignoredRids++;
-        }
+  const oleResults = await convertOleItems(toConvert, {
+    engine,
+    onBatch: (done, total) => progress("ole_convert", { done, total, equations: toConvert.length, cacheHits }),
+  });
+  for (const { rid: firstRid, mathml, latex, error, engine: used, fallback, ...result } of oleResults) {
+    const { embPath } = toConvert.find((x) => x.rid === firstRid);
+    if (mathml) equationEngines[used]++;
+    if (diagnostics) Object.assign(oleInfo.get(embPath), { engine: used, fallback, mathml, error });
+    for (const rid of ridsByEmbPath.get(embPath)) {
+      if (mathml) mathmlByRid[rid] = mathml;
+      if (latex) {
+        latexByRid[rid] = latex;
+        latexCheckByRid[rid] = latexCheckOf(result);
       }
     }
+    if (latex) latexOk++;
   }
 
-  return html;
-}
-
-function renderTable(tblNode, ctx) {
-  const rows = kids(tblNode, "w:tr");
-  let html = `<table border="1" style="border-collapse:collapse;width:auto;max-width:100%;">`;
+  const oleConvertEnd = Date.now();
 
-  for (const trWrap of rows) {
-    const trNode = trWrap["w:tr"];
-    html += "<tr>";
-    for (const tcWrap of kids(trNode, "w:tc")) {
-      const tcNode = tcWrap["w:tc"];
-      html += `<td style="padding:6px;vertical-align:top;">`;
-      for (const pWrap of kids(tcNode, "w:p")) {
-        const pHtml = renderParagraph(pWrap["w:p"], ctx);
-        if (pHtml) html += pHtml;
-        html += "<br/>";
-      }
-      html += "</td>";
-    }
-    html += "</tr>";
-  }
+  // ============================================================
+  // STEP 3: Process images in parallel
+  // ============================================================
+  const imgStart = Date.now();
+  const mediaEntries = Object.entries(mediaRelMap);
+  const ridsByMediaPath = groupRidsByPath(mediaEntries);
+  progress("images", { total: mediaEntries.length });
 
-  return html + "</table><br/>";
-}
+  const imageResults = await parallelMap([...ridsByMediaPath.keys()], async (mediaPath) => {
+    const mf = (zip.files || []).find((f) => f.path === mediaPath);
+    if (!mf) return { mediaPath, data: null, converted: false };
 
-function buildInlineHtml(documentXml, ctx) {
-  const parser = new XMLParser({ ignoreAttributes: false, preserveOrder: true });
-  const tree = parser.parse(documentXml);
-  const doc = kids(tree, "w:document")[0]?.["w:document"];
-  const body = kids(doc, "w:body")[0]?.["w:body"];
-  const bodyChildren = Array.isArray(body) ? body : [];
+    const buf = await mf.buffer();
+    const ext = getExtFromPath(mediaPath);
 
-  let html = "";
-  for (const child of bodyChildren) {
-    if (child["w:p"]) {
-      const pHtml = renderParagraph(child["w:p"], ctx);
-      if (pHtml) html += pHtml;
-      html += "<br/>";
-    } else if (child["w:tbl"]) {
-      html += renderTable(child["w:tbl"], ctx);
+    if (ext === "emf" || ext === "wmf") {
+      const out = convertMetafile(buf);
+      if (out) return { mediaPath, data: out.data, ext: out.ext, converted: true };
+      return { mediaPath, data: null, converted: false };
     }
+
+    return { mediaPath, data: buf, ext, converted: false };
+  });
+
+  const imageByRid = {};
+  const assets = new Map(); // hash -> { data, ext, mime }
+  let imagesOk = 0,
+    imagesConverted = 0;
+  for (const { mediaPath, data, ext, converted } of imageResults) {
+    const mime = data ? mimeFromExt(`.${ext}`) : null;
+    if (!data || mime === "application/octet-stream") continue;
+
+    const hash = AssetStore.hash(data);
+    if (!assets.has(hash)) assets.set(hash, { data, ext, mime });
+    for (const rid of ridsByMediaPath.get(mediaPath)) imageByRid[rid] = { hash, mime, ext };
+    imagesOk++;
+    if (converted) imagesConverted++;
   }
-  return html;
-}
 
-// ============================================================
-// FORMAT LAYOUT (simplified)
-// ============================================================
-function splitByMath(html) {
-  const out = [];
-  const re = /\\\([\s\S]*?\\\)/g;
-  let last = 0,
-    m;
-  while ((m = re.exec(html)) !== null) {
-    if (m.index > last) out.push({ math: false, text: html.slice(last, m.index) });
-    out.push({ math: true, text: m[0] });
-    last = m.index + m[0].length;
+  if (images === "url") {
+    await Promise.all([...assets.values()].map((a) => assetStore.put(a.data, a.ext, { pin: assetPin })));
   }
-  if (last < html.length) out.push({ math: false, text: html.slice(last) });
-  return out;
-}
 
-function normalizeGluedChoiceMarkers(s) {
-  s = String(s || "");
-  s = s.replace(/([^<\s>])([ABCD])\./g, "$1 $2.");
-  s = s.replace(/([^<\s>])([a-d])\)/gi, "$1 $2)");
-  s = s.replace(/([^<\s>])(<u[^>]*>\s*[ABCD]\s*<\/u>\s*\.)/gi, "$1 $2");
-  s = s.replace(/([^<\s>])(<u[^>]*>\s*[a-d]\s*<\/u>\s*\))/gi, "$1 $2");
-  return s;
-}
+  const base64ByHash = new Map();
+  const imageSrc = (ref) => {
+    if (images === "url") return `${CONFIG.PUBLIC_BASE_URL}/assets/${ref.hash}`;
+    if (images === "zip") return `images/${ref.hash}.${ref.ext}`;
+    if (!base64ByHash.has(ref.hash)) base64ByHash.set(ref.hash, assets.get(ref.hash).data.toString("base64"));
+    return `data:${ref.mime};base64,${base64ByHash.get(ref.hash)}`;
+  };
 
-function formatAbcdOutsideHeaders(text) {
-  const headerRegex = /(<div class="section-header">[\s\S]*?<\/div>)/g;
-  return text
-    .split(headerRegex)
-    .map((seg) => {
-      if (seg.startsWith('<div class="section-header">')) return seg;
-      let s = seg;
-      s = s
-        .replace(/(^|<br\/>\s*<br\/>|\n)\s*([a-d])\)/gi, "$1&emsp;$2)")
-        .replace(/([^<\n])\s*([a-d])\)/gi, "$1<br/>&emsp;$2)");
-      s = s
-        .replace(/(^|<br\/>\s*<br\/>|\n)\s*(<u[^>]*>\s*[a-d]\s*\)\s*<\/u>)/gi, "$1&emsp;$2")
-        .replace(/([^<\n])\s*(<u[^>]*>\s*[a-d]\s*\)\s*<\/u>)/gi, "$1<br/>&emsp;$2");
-      s = s
-        .replace(/(^|<br\/>\s*<br\/>|\n)\s*(<u[^>]*>\s*[a-d]\s*<\/u>\s*\))/gi, "$1&emsp;$2")
-        .replace(/([^<\n])\s*(<u[^>]*>\s*[a-d]\s*<\/u>\s*\))/gi, "$1<br/>&emsp;$2");
-      return s;
-    })
-    .join("");
-}
+  const imgEnd = Date.now();
+
+  // ============================================================
+  // STEP 4: Build HTML
+  // ============================================================
+  const debug = {
+    embeddings: oleEntries.length,
+    latexCount: Object.keys(latexByRid).length,
+    latexOk,
+    cacheHits,
+    cacheSkipped,
+    converted: toConvert.length,
+
+    imagesRelCount: mediaEntries.length,
+    imagesOk,
+    imagesConverted,
+    imagesUnique: assets.size,
+    imagesInjected: 0,
+    images,
+    mathFormat,
+    output,
+
+    seenOleRuns: 0,
+    seenOle: 0,
+    oleInjected: 0,
+    ignoredRids: 0,
+
+    omml: { seen: 0, injected: 0, failed: 0 },
+    latexCheck: { valid: 0, invalid: 0, repaired: 0 },
+
+    textBoxes: 0,
+    tables: { count: 0, latex: 0, latexInvalid: 0 },
+    parts: {
+      header: parts.filter((p) => p.type === "header").length,
+      footer: parts.filter((p) => p.type === "footer").length,
+      footnotes: 0,
+      endnotes: 0,
+    },
+
+    exam: { questions: 0, mcq: 0, tf4: 0, short: 0, essay: 0, answered: 0, answerConflicts: 0, warnings: 0 },
+
+    timing: {
+      oleReadMs: oleReadEnd - oleReadStart,
+      oleConvertMs: oleConvertEnd - oleConvertStart,
+      imageConvertMs: imgEnd - imgStart,
+      totalMs: 0,
+    },
+
+    engine,
+    equationEngines,
+    cache: { ...memoryCacheTotals(), ...equationCacheStats() },
+  };
+
+  const stylesBuf = await readZipEntry(zip, "word/styles.xml");
+  const numberingBuf = await readZipEntry(zip, "word/numbering.xml");
+  const styles = new WordStyles(stylesBuf?.toString("utf8"), numberingBuf?.toString("utf8"));
+  const ctx = {
+    latexByRid,
+    mathmlByRid,
+    latexCheckByRid,
+    equationRids,
+    mediaRids: new Set(Object.keys(mediaRelMap)),
+    imageByRid,
+    imageSrc,
+    debug,
+    styles,
+    tables,
+    markup: HTML_MARKUP,
+    latexTables: [],
+    notes: { footnote: [], endnote: [] },
+    oleVisits: diagnostics ? new Map() : null,
+  };
+
+  progress("layout");
+  let bodyHtml = buildInlineHtml(documentXml, ctx);
+  const grammar = examGrammar(examProfile === "auto" ? detectExamProfile(bodyHtml) : examProfile);
+  debug.examProfile = grammar.name;
+  const rawHtml = bodyHtml;
+  bodyHtml = formatExamLayout(bodyHtml, grammar);
+  bodyHtml = fixImageStickingToNextQuestion(bodyHtml, grammar); // ✅ CHỈ THÊM 1 DÒNG NÀY
+  bodyHtml = removeUnsupportedImages(bodyHtml, { mark: true });
+
+  const inlineHtml = renderMathFormat(
+    stripLintMarks(renderContentParts(parts, bodyHtml, ctx)),
+    mathFormat,
+    mathmlByRid,
+  );
+
+  progress("exam");
+  // Chỉ parse phần thân: footer ("Trang 1/4") hay chú thích không được dính vào câu cuối
+  const lint = [];
+  let exam = parseExamFromInlineHtml(bodyHtml, grammar, { answerSources, rawHtml, lint });
+  const warnings = lintExam(exam, { html: bodyHtml, issues: lint });
+  debug.exam.warnings = warnings.length;
+  if (exam) {
+    exam = mapExamStrings(exam, stripLintMarks);
+    debug.exam.questions = exam.questions.length;
+    for (const q of exam.questions) {
+      if (q.type === "mcq") debug.exam.mcq++;
+      else if (q.type === "tf4") debug.exam.tf4++;
+      else if (q.type === "essay") debug.exam.essay++;
+      else debug.exam.short++;
+      if (q.type === "tf4" ? q.answerConfidence === 1 : q.answerSource) debug.exam.answered++;
+      if (q.answerConflict) debug.exam.answerConflicts++;
+    }
+  }
 
-function formatExamLayout(html) {
-  let result = html.replace(/\s+/g, " ").replace(/PHẦN(\d)/gi, "PHẦN $1");
-  result = result.replace(
-    /(^|<br\/>)\s*(PHẦN\s+\d+\.(?:(?!<br\/>\s*Câu\s+\d).)*)/g,
-    '$1<br/><div class="section-header"><strong>$2</strong></div>'
-  );
+  for (const { latexValid, latexRepair } of Object.values(latexCheckByRid)) {
+    debug.latexCheck[latexValid ? "valid" : "invalid"]++;
+    if (latexRepair) debug.latexCheck.repaired++;
+  }
 
-  const parts = splitByMath(result);
-  for (const p of parts) {
-    if (p.math) continue;
-    p.text = normalizeGluedChoiceMarkers(p.text);
-    p.text = p.text
-      .replace(/(^|<br\/>\s*<br\/>|\n)\s*([ABCD])\./g, "$1&emsp;$2.")
-      .replace(/([^<\n])\s*([ABCD])\./g, "$1<br/>&emsp;$2.");
-    p.text = p.text
-      .replace(/(^|<br\/>\s*<br\/>|\n)\s*(<u[^>]*>\s*[ABCD]\s*<\/u>\s*\.)/gi, "$1&emsp;$2")
-      .replace(/([^<\n])\s*(<u[^>]*>\s*[ABCD]\s*<\/u>\s*\.)/gi, "$1<br/>&emsp;$2");
-    p.text = formatAbcdOutsideHeaders(p.text);
-    p.text = p.text
-      .replace(/(Câu)\s*(\d+)\s*\./g, "$1 $2.")
-      .replace(/(<br\/>\s*){3,}/g, "<br/><br/>");
+  // output=markdown|text: tách câu vẫn chạy trên HTML ở trên; văn bản render lại bằng markup tương ứng
+  let content = { inlineHtml };
+  if (output === "html") exam = renderExamMathFormat(exam, mathFormat, mathmlByRid);
+  else {
+    const markup = createMarkup(output, { mathFormat, mathmlByRid, grammar });
+    content = { [output]: renderDocumentMarkup(documentXml, parts, ctx, markup) };
+    exam = examToMarkup(exam, markup, output);
+    for (const w of warnings)
+      w.location = w.location
+        .split(".")
+        .map((k) => markupKey(k, output))
+        .join(".");
   }
+  debug.timing.totalMs = Date.now() - startTime;
 
-  return parts.map((x) => x.text).join("");
+  const result = { ...content, exam, warnings, debug, mathmlByRid, latexCheckByRid, assets, images };
+  if (diagnostics) result.diagnostics = buildOleDiagnostics(embRelMap, oleInfo, ctx);
+  return result;
 }
 
-// ============================================================
-// ✅ FIX ADDED: ẢNH DÍNH SANG "Câu N."
-// (chỉ thêm <br/> để ảnh tách khối trước khi vào câu tiếp theo)
-// ============================================================
-function fixImageStickingToNextQuestion(html) {
-  return String(html || "").replace(
-    /(<img\b[^>]*>\s*)(<br\/>\s*Câu\s+\d+\.)/gi,
-    "$1<br/><br/>$2"
-  );
+// Lượt duyệt thứ 2 dùng lại latexByRid / imageByRid; debug và thứ tự chú thích riêng để không đếm 2 lần
+// (khoá OMML "omml1", "omml2"... và số thứ tự bảng đánh lại từ đầu nên khớp với lượt HTML)
+function renderDocumentMarkup(documentXml, parts, ctx, markup) {
+  const debug = {
+    ...structuredClone(ctx.debug),
+    omml: { seen: 0, injected: 0, failed: 0 },
+    tables: { count: 0, latex: 0, latexInvalid: 0 },
+  };
+  const c = { ...ctx, markup, debug, notes: { footnote: [], endnote: [] }, oleVisits: null };
+  return markup.finish(renderContentParts(parts, buildInlineHtml(documentXml, c), c));
 }
 
-// ============================================================
-// EXAM PARSING (simplified - keeping essential functions)
-// ============================================================
-function stripAllTagsToPlain(html) {
-  return String(html || "")
-    .replace(/<br\s*\/?>/gi, "\n")
-    .replace(/&emsp;/g, " ")
-    .replace(/<[^>]*>/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
+// diagnostics=1: mỗi embedding (rid) một bản ghi - công thức mất ở bước nào (skip / engine / LaTeX / render)
+function buildOleDiagnostics(embRelMap, oleInfo, ctx) {
+  const traces = new Map(); // embPath -> trace của processLatex (tính lại, kể cả khi lấy từ cache)
+  const records = Object.entries(embRelMap).map(([rid, embPath]) => {
+    const info = oleInfo.get(embPath) || { error: "embedding_missing" };
+    if (info.mathml && !traces.has(embPath)) {
+      const trace = {};
+      trace.latex = processLatex(info.mathml, trace);
+      traces.set(embPath, trace);
+    }
+    const trace = traces.get(embPath) || {};
+    const check = latexCheckOf(ctx.latexCheckByRid[rid] || {});
+    const visit = ctx.oleVisits.get(rid);
+
+    const errors = [];
+    if (info.fallback) errors.push(`${info.fallback.from}: ${info.fallback.error}`);
+    if (info.error) errors.push(info.error);
+    if (trace.converterError) errors.push(`mathml-to-latex: ${trace.converterError}`);
+    if (trace.error) errors.push(trace.error);
+    if (check.latexError) errors.push(`latex: ${check.latexError}`);
+    if (!visit) errors.push("not_in_document");
+    else if (!visit.injected) errors.push("not_injected");
+
+    const failed = !visit?.injected;
+    return {
+      index: visit?.order ?? null,
+      rid,
+      embPath,
+      oleClass: info.oleClass || null,
+      engine: info.engine || null,
+      fallback: info.fallback ? info.fallback.from : null,
+      latexConverter: trace.converter || null,
+      cacheHit: !!info.cacheHit,
+      mathml: info.mathml || "",
+      rawLatex: trace.rawLatex || "",
+      latex: ctx.latexByRid[rid] || "",
+      ...check,
+      context: visit ? { before: visit.before, after: visit.after } : null,
+      previewImage: failed && visit?.preview ? ctx.imageSrc(visit.preview) : null,
+      errors: unique(errors),
+    };
+  });
 
-function detectHasMCQ(plain) {
-  return new Set((plain.match(/\b[ABCD]\./g) || [])).size >= 2;
-}
-function detectHasTF4(plain) {
-  return new Set((plain.match(/\b[a-d]\)/gi) || []).map((x) => x.toLowerCase())).size >= 2;
+  // Thứ tự trong tài liệu (đánh lại số chỉ tính embedding); rid không xuất hiện trong nội dung xếp cuối
+  const placed = records.filter((r) => r.index !== null).sort((a, b) => a.index - b.index);
+  placed.forEach((r, i) => (r.index = i + 1));
+  return [...placed, ...records.filter((r) => r.index === null)];
 }
 
-function findSolutionMarkerIndex(html, fromIndex = 0) {
-  const re = /(Lời(?:\s*<[^>]*>)*\s*giải|Giải(?:\s*<[^>]*>)*\s*chi\s*ti\s*ết|Hướng(?:\s*<[^>]*>)*\s*dẫn(?:\s*<[^>]*>)*\s*giải)/i;
-  const m = re.exec(String(html || "").slice(fromIndex));
-  return m ? fromIndex + m.index : -1;
+function latexCheckOf({ latexValid, latexError, latexRepair }) {
+  return { latexValid: !!latexValid, latexError: latexError || null, latexRepair: latexRepair || null };
 }
 
-function splitSolutionSections(tailHtml) {
-  let s = String(tailHtml || "").trim();
-  if (!s) return { solutionHtml: "", detailHtml: "" };
-  const matchCT = /(Giải(?:\s*<[^>]*>)*\s*chi\s*ti\s*ết)/i.exec(s);
-  if (matchCT) return { solutionHtml: s.slice(0, matchCT.index).trim(), detailHtml: s.slice(matchCT.index).trim() };
-  return { solutionHtml: s, detailHtml: "" };
+// Danh sách ảnh của response (chế độ url/zip): client tải / kiểm tra theo hash
+function assetList(assets, images) {
+  if (images === "inline") return undefined;
+  return [...assets].map(([hash, a]) => ({
+    hash,
+    mime: a.mime,
+    bytes: a.data.length,
+    src: images === "url" ? `${CONFIG.PUBLIC_BASE_URL}/assets/${hash}` : `images/${hash}.${a.ext}`,
+  }));
 }
 
-function extractUnderlinedKeys(blockHtml) {
-  const keys = { mcq: null, tf: [] };
-  const s = String(blockHtml || "");
-  let m = s.match(/<u[^>]*>\s*([A-D])\s*<\/u>\s*\./i) || s.match(/<u[^>]*>\s*([A-D])\.\s*<\/u>/i);
-  if (m) keys.mcq = m[1].toUpperCase();
-  let mm;
-  const reTF1 = /<u[^>]*>\s*([a-d])\s*\)\s*<\/u>/gi;
-  while ((mm = reTF1.exec(s)) !== null) keys.tf.push(mm[1].toLowerCase());
-  const reTF2 = /<u[^>]*>\s*([a-d])\s*<\/u>\s*\)/gi;
-  while ((mm = reTF2.exec(s)) !== null) keys.tf.push(mm[1].toLowerCase());
-  keys.tf = [...new Set(keys.tf)];
-  return keys;
+// images=zip: result.json + images/<hash>.<ext> (src trong HTML trỏ đúng vào các file này)
+function sendResultZip(res, result, assets, name) {
+  const base = String(name || "result").replace(/\.docx$/i, "");
+  const zip = createZip([
+    { name: "result.json", data: JSON.stringify(result) },
+    ...[...assets].map(([hash, a]) => ({ name: `images/${hash}.${a.ext}`, data: a.data })),
+  ]);
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", `attachment; filename*=UTF-8''${encodeURIComponent(base + ".zip")}`);
+  return res.send(zip);
 }
 
-function normalizeUnderlinedMarkersForSplit(html) {
-  let s = String(html || "");
-  s = s.replace(/<u[^>]*>\s*([A-D])\s*<\/u>\s*\./gi, "$1.");
-  s = s.replace(/<u[^>]*>\s*([A-D])\.\s*<\/u>/gi, "$1.");
-  s = s.replace(/<u[^>]*>\s*([a-d])\s*\)\s*<\/u>/gi, "$1)");
-  s = s.replace(/<u[^>]*>\s*([a-d])\s*<\/u>\s*\)/gi, "$1)");
-  return s;
+// ============================================================
+// HEADERS / FOOTERS / FOOTNOTES / ENDNOTES
+// ============================================================
+function groupRidsByPath(entries) {
+  const out = new Map();
+  for (const [rid, p] of entries) {
+    if (!out.has(p)) out.set(p, []);
+    out.get(p).push(rid);
+  }
+  return out;
 }
 
-function removeUnsupportedImages(html) {
-  let s = String(html || "");
-  s = s.replace(/<img[^>]*src\s*=\s*["']\s*["'][^>]*>/gi, "");
-  s = s.replace(/<img(?![^>]*src\s*=)[^>]*>/gi, "");
-  s = s.replace(/<img[^>]*data:application\/octet-stream[^>]*>/gi, "");
-  return s;
-}
+// Header/footer theo thứ tự w:sectPr trong document.xml (mỗi part 1 lần), footnotes/endnotes nếu có.
+// Mỗi part có rels riêng (word/_rels/header1.xml.rels) => rId được prefix bằng tên part.
+async function loadContentParts(zip, documentXml, partRels) {
+  const refRids = unique(
+    [...documentXml.matchAll(/<w:(?:header|footer)Reference\b[^>]*\br:id="([^"]+)"/g)].map((m) => m[1]),
+  );
+  const noteRids = Object.keys(partRels).filter((rid) => ["footnotes", "endnotes"].includes(partRels[rid].type));
 
-function splitChoicesHtmlABCD(blockHtml) {
-  let s = normalizeUnderlinedMarkersForSplit(blockHtml).replace(/&emsp;/g, " ");
-  s = normalizeGluedChoiceMarkers(s).replace(/<br\/>/g, " <br/>");
+  const parts = [];
+  const seen = new Set();
+  for (const rid of [...refRids, ...noteRids]) {
+    const rel = partRels[rid];
+    if (!rel || seen.has(rel.path)) continue;
+    seen.add(rel.path);
 
-  const re = /(^|[\s>.:;,<\)\]\}？？\?])([ABCD])\./g;
-  const hits = [];
-  let m;
-  while ((m = re.exec(s)) !== null) hits.push({ idx: m.index + m[1].length, key: m[2] });
-  if (hits.length < 2) return null;
+    const xmlBuf = await readZipEntry(zip, rel.path);
+    if (!xmlBuf) continue;
 
-  const solIdx = findSolutionMarkerIndex(s, hits[hits.length - 1].idx);
-  const endAll = solIdx >= 0 ? solIdx : s.length;
+    const name = path.posix.basename(rel.path, ".xml");
+    const prefix = `${name}:`;
+    const relsBuf = await readZipEntry(zip, path.posix.join(path.posix.dirname(rel.path), "_rels", `${name}.xml.rels`));
+    const { emb, media } = relsBuf ? buildRelMaps(relsBuf.toString("utf8"), prefix) : { emb: {}, media: {} };
 
-  const out = { _stem: s.slice(0, hits[0].idx).trim(), _tail: solIdx >= 0 ? s.slice(solIdx).trim() : "" };
-  for (let i = 0; i < hits.length; i++) {
-    const start = hits[i].idx,
-      end = i + 1 < hits.length ? hits[i + 1].idx : endAll;
-    out[hits[i].key] = removeUnsupportedImages(s.slice(start, end).trim().replace(/^([ABCD])\.\s*/i, ""));
+    parts.push({ type: rel.type, name, prefix, xml: xmlBuf.toString("utf8"), emb, media });
   }
-  return out;
+  return parts;
 }
 
-function splitStatementsHtmlabcd(blockHtml) {
-  let s = normalizeUnderlinedMarkersForSplit(blockHtml).replace(/&emsp;/g, " ");
-  s = normalizeGluedChoiceMarkers(s).replace(/<br\/>/g, " <br/>");
+// header + thân bài + chú thích cuối trang + chú thích cuối bài + footer
+function renderContentParts(parts, bodyHtml, ctx) {
+  const renderIn = (part, fn) => fn({ ...ctx, ridPrefix: part.prefix });
+
+  let headerHtml = "",
+    footerHtml = "",
+    notesHtml = "";
+  const rendered = new Set(); // header trang đầu / trang chẵn thường trùng header mặc định
+  for (const part of parts) {
+    if (part.type !== "header" && part.type !== "footer") continue;
+    const html = ctx.markup.trimPart(renderIn(part, (c) => renderHeaderFooter(part.xml, c)));
+    if (isBlankHtml(html)) continue;
+    if (rendered.has(html)) continue;
+    rendered.add(html);
+    if (part.type === "header") headerHtml += ctx.markup.part("header", html);
+    else footerHtml += ctx.markup.part("footer", html);
+  }
 
-  const earlysolIdx = findSolutionMarkerIndex(s, 0);
-  let workingHtml = s,
-    tailHtml = "";
-  if (earlysolIdx >= 0) {
-    workingHtml = s.slice(0, earlysolIdx);
-    tailHtml = s.slice(earlysolIdx).trim();
+  for (const part of parts) {
+    if (part.type !== "footnotes" && part.type !== "endnotes") continue;
+    const kind = part.type.slice(0, -1);
+    const notesById = renderIn(part, (c) => renderNotes(part.xml, kind, c));
+    ctx.debug.parts[part.type] = ctx.notes[kind].filter((id) => notesById[id] != null).length;
+    notesHtml += ctx.markup.notes(kind, ctx.notes[kind], notesById);
   }
 
-  const re = /(^|[\s>.:;,<\)\]\}？？\?])([a-d])\)/gi;
-  const hits = [];
-  let m;
-  while ((m = re.exec(workingHtml)) !== null) hits.push({ idx: m.index + m[1].length, key: m[2].toLowerCase() });
-  if (hits.length < 2) return null;
+  return removeUnsupportedImages(headerHtml) + bodyHtml + removeUnsupportedImages(notesHtml + footerHtml);
+}
 
-  const out = { _stem: workingHtml.slice(0, hits[0].idx).trim(), _tail: tailHtml };
-  for (let i = 0; i < hits.length; i++) {
-    const start = hits[i].idx,
-      end = i + 1 < hits.length ? hits[i + 1].idx : workingHtml.length;
-    out[hits[i].key] = removeUnsupportedImages(workingHtml.slice(start, end).trim().replace(/^([a-d])\)\s*/i, ""));
+// ============================================================
+// ASYNC JOBS - Convert file lớn ở nền, client poll hoặc nghe SSE
+// ============================================================
+class JobManager {
+  constructor({ concurrency = 2, retentionMs = 60 * 60 * 1000, maxJobs = 100 } = {}) {
+    this.jobs = new Map();
+    this.retentionMs = retentionMs;
+    this.maxJobs = maxJobs;
+    this.limit = createLimiter(concurrency);
+    this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweeper.unref();
   }
-  return out;
-}
 
-function cleanStem(html) {
-  return html ? String(html).replace(/^Câu\s+\d+\.?\s*/i, "").trim() : html;
-}
+  create(fn) {
+    this._evict();
+    if (this.jobs.size >= this.maxJobs) throw httpError(503, "Too many jobs in progress, try again later");
+
+    const id = crypto.randomUUID();
+    const job = {
+      id,
+      status: "queued",
+      stage: "queued",
+      progress: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      error: null,
+      result: null,
+      events: [],
+      listeners: new Set(),
+    };
+    this.jobs.set(id, job);
+    this._emit(job, "status", { status: job.status, stage: job.stage });
 
-function parseExamFromInlineHtml(inlineHtml) {
-  const re = /(^|<br\/>\s*)\s*(?:<[^>]*>\s*)*Câu\s+(\d+)\./gi;
-  const hits = [];
-  let m;
-  while ((m = re.exec(inlineHtml)) !== null) hits.push({ qno: Number(m[2]), pos: m.index + m[1].length });
-  if (!hits.length) return null;
+    this.limit(async () => {
+      job.status = "running";
+      job.stage = "starting";
+      job.startedAt = Date.now();
+      this._emit(job, "status", { status: job.status, stage: job.stage });
 
-  const sectionRe = /<div class="section-header"><strong>([\s\S]*?)<\/strong><\/div>/gi;
-  const sections = [];
-  let sectionMatch;
-  while ((sectionMatch = sectionRe.exec(inlineHtml)) !== null)
-    sections.push({ pos: sectionMatch.index, html: sectionMatch[0], title: sectionMatch[1].trim() });
+      try {
+        job.result = await fn((p) => {
+          job.stage = p.stage;
+          job.progress = p.total !== undefined ? { done: p.done ?? 0, total: p.total } : null;
+          this._emit(job, "progress", p);
+        });
+        job.status = "done";
+        job.stage = "done";
+        job.progress = null;
+      } catch (e) {
+        console.error("[JOB_FAIL]", id, e);
+        job.status = "failed";
+        job.error = e?.message || String(e);
+      }
 
-  const rawBlocks = [];
-  for (let i = 0; i < hits.length; i++) {
-    let start = hits[i].pos,
-      end = i + 1 < hits.length ? hits[i + 1].pos : inlineHtml.length;
-    for (const sec of sections) if (sec.pos > start && sec.pos < end) { end = sec.pos; break; }
-    rawBlocks.push({ qno: hits[i].qno, pos: start, html: inlineHtml.slice(start, end) });
+      job.finishedAt = Date.now();
+      job.expiresAt = job.finishedAt + this.retentionMs;
+      this._emit(job, job.status, { status: job.status, stage: job.stage, error: job.error });
+      for (const listener of job.listeners) listener(null);
+      job.listeners.clear();
+    });
+
+    return job;
   }
 
-  const blocks = [];
-  for (const b of rawBlocks) {
-    const last = blocks[blocks.length - 1];
-    if (last && last.qno === b.qno) last.html += "<br/>" + b.html;
-    else blocks.push({ ...b });
+  get(id) {
+    return this.jobs.get(id) || null;
   }
 
-  const exam = { version: 8, questions: [], sections };
-  const findSection = (qPos) => { let cur = null; for (const sec of sections) if (sec.pos < qPos) cur = sec; else break; return cur; };
+  _emit(job, type, data) {
+    const evt = { type, at: Date.now(), ...data };
+    job.events.push(evt);
+    for (const listener of job.listeners) listener(evt);
+  }
 
-  for (const b of blocks) {
-    const under = extractUnderlinedKeys(b.html);
-    const plain = stripAllTagsToPlain(b.html);
-    const section = findSection(b.pos);
-    const isMCQ = detectHasMCQ(plain),
-      isTF4 = !isMCQ && detectHasTF4(plain);
+  subscribe(job, fn) {
+    job.listeners.add(fn);
+    return () => job.listeners.delete(fn);
+  }
 
-    if (isMCQ) {
-      const parts = splitChoicesHtmlABCD(b.html),
-        sol = splitSolutionSections(parts?._tail || "");
-      exam.questions.push({
-        no: b.qno,
-        type: "mcq",
-        stemHtml: cleanStem(parts?._stem || b.html),
-        choicesHtml: { A: parts?.A || "", B: parts?.B || "", C: parts?.C || "", D: parts?.D || "" },
-        answer: under.mcq,
-        solutionHtml: sol.solutionHtml,
-        detailHtml: sol.detailHtml,
-        _plain: plain,
-        section: section ? { title: section.title, html: section.html } : null,
-      });
-    } else if (isTF4) {
-      const parts = splitStatementsHtmlabcd(b.html),
-        sol = splitSolutionSections(parts?._tail || "");
-      const ans = { a: null, b: null, c: null, d: null };
-      for (const k of ["a", "b", "c", "d"]) if (under.tf.includes(k)) ans[k] = true;
-      exam.questions.push({
-        no: b.qno,
-        type: "tf4",
-        stemHtml: cleanStem(parts?._stem || b.html),
-        statements: { a: parts?.a || "", b: parts?.b || "", c: parts?.c || "", d: parts?.d || "" },
-        answer: ans,
-        solutionHtml: sol.solutionHtml,
-        detailHtml: sol.detailHtml,
-        _plain: plain,
-        section: section ? { title: section.title, html: section.html } : null,
-      });
-    } else {
-      const solIdx = findSolutionMarkerIndex(b.html, 0);
-      const stemPart = solIdx >= 0 ? b.html.slice(0, solIdx).trim() : b.html;
-      const tailPart = solIdx >= 0 ? b.html.slice(solIdx).trim() : "";
-      const sol = splitSolutionSections(tailPart);
-      exam.questions.push({
-        no: b.qno,
-        type: "short",
-        stemHtml: cleanStem(stemPart),
-        boxes: 4,
-        solutionHtml: sol.solutionHtml || tailPart,
-        detailHtml: sol.detailHtml || "",
-        _plain: plain,
-        section: section ? { title: section.title, html: section.html } : null,
-      });
+  toJSON(job, { includeResult = true } = {}) {
+    return {
+      id: job.id,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      expiresAt: job.expiresAt,
+      error: job.error,
+      ...(includeResult && job.status === "done" ? { result: job.result } : {}),
+    };
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [id, job] of this.jobs) if (job.expiresAt && job.expiresAt < now) this.jobs.delete(id);
+  }
+
+  // Kết quả (kể cả ảnh base64) nằm trong RAM: vượt maxJobs => xoá job đã xong cũ nhất (Map giữ thứ tự tạo)
+  _evict() {
+    this.sweep();
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size < this.maxJobs) break;
+      if (job.finishedAt) this.jobs.delete(id);
     }
   }
 
-  return exam;
+  getStats() {
+    const byStatus = { queued: 0, running: 0, done: 0, failed: 0 };
+    for (const job of this.jobs.values()) byStatus[job.status]++;
+    return { total: this.jobs.size, ...byStatus, maxJobs: this.maxJobs, retentionMs: this.retentionMs };
+  }
 }
 
+const jobManager = new JobManager({
+  concurrency: CONFIG.JOB_CONCURRENCY,
+  retentionMs: CONFIG.JOB_RETENTION_MS,
+  maxJobs: CONFIG.JOB_MAX,
+});
+
 // ============================================================
 // ROUTES
 // ============================================================
 app.get("/", (req, res) => {
-  res.type("text").send("MathType Converter API (Ultra-Optimized): POST /convert-docx-html, GET /health, GET /cache-stats");
+  res.type("text").send("MathType Converter API (Ultra-Optimized): POST /convert, POST /convert-docx, POST /convert-docx-html, POST /jobs, GET /jobs/:id, POST /exam/export, GET /health, GET /cache-stats");
 });
 
 app.get("/health", (req, res) => {
-  res.json({ ok: true, node: process.version, cwd: process.cwd(), config: CONFIG });
+  res.json({
+    ok: true,
+    node: process.version,
+    cwd: process.cwd(),
+    config: CONFIG,
+    rubyPool: rubyPool.getStats(),
+    jobs: jobManager.getStats(),
+  });
 });
 
 app.get("/cache-stats", (req, res) => {
-  res.json({ mathmlCache: mathmlCache.getStats() });
+  res.json({ mathmlCache: memoryCacheTotals(), ...equationCacheStats(), assets: assetStore.getStats() });
 });
 
 app.post("/clear-cache", (req, res) => {
-  mathmlCache.clear();
+  for (const { memory, disk } of Object.values(equationCaches)) {
+    memory.clear();
+    disk.clear();
+  }
   res.json({ ok: true, message: "Cache cleared" });
 });
 
-app.post("/convert-docx-html", upload.single("file"), async (req, res) => {
-  const startTime = Date.now();
-
+app.post("/convert", upload.single("file"), async (req, res) => {
   try {
-    if (!req.file?.buffer) return res.status(400).json({ ok: false, error: "No file uploaded" });
+    if (!req.file?.buffer) return res.status(400).json({ success: false, error: "No file uploaded" });
 
-    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    const buf = req.file.buffer;
+    const name = req.file.originalname || "oleObject.bin";
+
+    if (!isMathTypeOLE(buf)) {
+      return res.status(422).json({ success: false, name, mathml: "", latex: "", error: "not_mathtype_ole" });
+    }
+
+    const engine = readOption(req, "engine", MTEF_ENGINES, CONFIG.MTEF_ENGINE);
+    const cached = await getCachedEquation(buf, engine);
+    if (cached) {
+      const { mathml, latex, engine: used } = cached;
+      return res.json({
+        success: true,
+        name,
+        mathml,
+        latex,
+        ...latexCheckOf(cached),
+        error: null,
+        cached: true,
+        engine: used,
+      });
+    }
+
+    const [result] = await convertOleItems([{ rid: "convert", buffer: buf, embPath: name }], { engine });
+    const ok = !result?.error;
+    return res.status(ok ? 200 : 422).json({
+      success: ok,
+      name,
+      mathml: result?.mathml || "",
+      latex: result?.latex || "",
+      ...latexCheckOf(result || {}),
+      error: result?.error || null,
+      cached: false,
+      engine: result?.engine || null,
+    });
+  } catch (e) {
+    console.error("[CONVERT_FAIL]", e);
+    return res.status(e.status || 500).json({ success: false, error: e?.message || String(e) });
+  }
+});
+
+app.post("/convert-docx", upload.single("file"), async (req, res) => {
+  try {
+    if (!req.file?.buffer) return res.status(400).json({ success: false, error: "No file uploaded" });
 
     const zip = await openDocxZip(req.file.buffer);
-    const docBuf = await readZipEntry(zip, "word/document.xml");
     const relBuf = await readZipEntry(zip, "word/_rels/document.xml.rels");
-    if (!docBuf || !relBuf) return res.status(400).json({ ok: false, error: "Missing document.xml or rels" });
+    const ridByPath = {};
+    if (relBuf) {
+      for (const [rid, embPath] of Object.entries(buildRelMaps(relBuf.toString("utf8")).emb))
+        ridByPath[embPath] ??= rid;
+    }
 
-    const { emb: embRelMap, media: mediaRelMap } = buildRelMaps(relBuf.toString("utf8"));
+    // Mọi file .bin trong word/embeddings, theo thứ tự oleObject1, oleObject2, ... oleObject10
+    const embFiles = (zip.files || [])
+      .filter((f) => /^word\/embeddings\/[^/]+\.bin$/i.test(f.path))
+      .sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
 
-    // ============================================================
-    // STEP 1: Read all OLE buffers and check cache
-    // ============================================================
-    const oleEntries = Object.entries(embRelMap);
+    const engine = readOption(req, "engine", MTEF_ENGINES, CONFIG.MTEF_ENGINE);
+    const equations = [];
     const toConvert = [];
-    const latexByRid = {};
-    const mathmlByRid = {};
-    let cacheHits = 0,
-      cacheSkipped = 0;
-
-    const oleReadStart = Date.now();
 
-    for (const [rid, embPath] of oleEntries) {
-      const emb = (zip.files || []).find((f) => f.path === embPath);
-      if (!emb) continue;
-
-      const buf = await emb.buffer();
+    for (const f of embFiles) {
+      const buf = await f.buffer();
+      const eq = {
+        index: equations.length + 1,
+        name: path.posix.basename(f.path),
+        rid: ridByPath[f.path] || null,
+        mathml: "",
+        latex: "",
+        latexValid: false,
+        latexError: null,
+        latexRepair: null,
+        error: null,
+        engine: null,
+      };
+      equations.push(eq);
 
       if (!isMathTypeOLE(buf)) {
-        cacheSkipped++;
+        eq.error = "not_mathtype_ole";
         continue;
       }
 
-      const cached = mathmlCache.get(buf);
+      const cached = await getCachedEquation(buf, engine);
       if (cached) {
-        cacheHits++;
-        mathmlByRid[rid] = cached.mathml;
-        latexByRid[rid] = cached.latex;
+        Object.assign(eq, {
+          mathml: cached.mathml,
+          latex: cached.latex,
+          ...latexCheckOf(cached),
+          engine: cached.engine,
+        });
         continue;
       }
 
-      toConvert.push({ rid, buffer: buf, embPath });
+      toConvert.push({ rid: String(eq.index), buffer: buf, embPath: f.path });
     }
 
-    const oleReadEnd = Date.now();
+    for (const { rid, mathml, latex, error, engine: used, ...result } of await convertOleItems(toConvert, { engine })) {
+      Object.assign(equations[Number(rid) - 1], { mathml, latex, ...latexCheckOf(result), error, engine: used });
+    }
 
-    // ============================================================
-    // STEP 2: Batch convert uncached OLE files
-    // ============================================================
-    const oleConvertStart = Date.now();
-    let latexOk = 0;
+    const errors = equations.filter((eq) => eq.error).length;
+    const latexInvalid = equations.filter((eq) => eq.latex && !eq.latexValid).length;
+    return res.json({ success: true, total: equations.length, errors, latexInvalid, equations });
+  } catch (e) {
+    console.error("[CONVERT_DOCX_FAIL]", e);
+    return res.status(e.status || 500).json({ success: false, error: e?.message || String(e) });
+  }
+});
 
-    if (toConvert.length > 0) {
-      const batches = [];
-      for (let i = 0; i < toConvert.length; i += CONFIG.BATCH_SIZE) {
-        batches.push(toConvert.slice(i, i + CONFIG.BATCH_SIZE));
-      }
+// Tuỳ chọn convert lấy từ query hoặc field multipart: ?tables=latex
+function readOption(req, name, allowed, fallback = allowed[0]) {
+  const v = String(req.query[name] || req.body?.[name] || fallback).toLowerCase();
+  if (!allowed.includes(v)) throw httpError(400, `Unknown ${name}: ${v} (expected ${allowed.join("|")})`);
+  return v;
+}
 
-      const batchResults = await parallelMap(batches, async (batch) => {
-        return batchConvertOleBinToMathML(batch);
-      });
+// ?answerSources=table,underline => danh sách theo đúng thứ tự gửi lên; bỏ trống => allowed
+function readListOption(req, name, allowed) {
+  const list = String(req.query[name] || req.body?.[name] || "")
+    .toLowerCase()
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+  const unknown = list.find((v) => !allowed.includes(v));
+  if (unknown) throw httpError(400, `Unknown ${name}: ${unknown} (expected ${allowed.join(",")})`);
+  return list.length ? [...new Set(list)] : allowed;
+}
 
-      for (const results of batchResults) {
-        for (const { rid, mathml } of results) {
-          if (!mathml) continue;
+function readConvertOptions(req) {
+  const options = {
+    tables: readOption(req, "tables", ["html", "latex"]),
+    images: readOption(req, "images", ["inline", "url", "zip"]),
+    engine: readOption(req, "engine", MTEF_ENGINES, CONFIG.MTEF_ENGINE),
+    diagnostics: ["1", "true"].includes(readOption(req, "diagnostics", ["0", "1", "false", "true"], "0")),
+    mathFormat: readOption(req, "mathFormat", MATH_FORMATS),
+    examProfile: readOption(req, "examProfile", ["auto", ...EXAM_PROFILE_NAMES]),
+    answerSources: readListOption(req, "answerSources", ANSWER_SOURCES),
+    output: readOption(req, "output", OUTPUT_FORMATS),
+  };
+  if (options.images === "url" && !assetStore.enabled) throw httpError(503, "Asset store is disabled (ASSET_MAX_MB=0)");
+  return options;
+}
 
-          mathmlByRid[rid] = mathml;
-          const latex = processLatex(mathml);
+app.post("/convert-docx-html", upload.single("file"), async (req, res) => {
+  try {
+    if (!req.file?.buffer) return res.status(400).json({ ok: false, error: "No file uploaded" });
 
-          if (latex) {
-            latexByRid[rid] = latex;
-            latexOk++;
+    const format = String(req.query.format || req.body?.format || "json").toLowerCase();
+    if (format !== "json" && !EXAM_EXPORTERS[format]) {
+      return res.status(400).json({ ok: false, error: `Unknown format: ${format}` });
+    }
 
-            const item = toConvert.find((x) => x.rid === rid);
-            if (item) {
-              mathmlCache.set(item.buffer, { mathml, latex });
-            }
-          }
-        }
-      }
+    const options = readConvertOptions(req);
+    // exporter cần HTML với ảnh nhúng + \( \)
+    if (format !== "json") Object.assign(options, { images: "inline", mathFormat: "latex", output: "html" });
+    const assetPin = assetStore.pin();
+    res.on("close", assetPin.release);
+
+    const {
+      inlineHtml,
+      markdown,
+      text,
+      exam,
+      warnings,
+      debug,
+      mathmlByRid,
+      latexCheckByRid,
+      assets,
+      images,
+      diagnostics,
+    } = await convertDocxToHtml(req.file.buffer, { ...options, assetPin });
+
+    if (format !== "json") {
+      if (!exam) return res.status(422).json({ ok: false, error: "No exam questions found", debug });
+      return await sendExamExport(res, exam, format, req.file.originalname, { mathmlByRid });
     }
 
-    const oleConvertEnd = Date.now();
+    const result = {
+      ok: true,
+      inlineHtml,
+      markdown,
+      text,
+      exam,
+      warnings,
+      debug,
+      mathmlByRid,
+      latexCheckByRid,
+      assets: assetList(assets, images),
+      diagnostics,
+    };
+    if (images === "zip") return sendResultZip(res, result, assets, req.file.originalname);
 
-    // ============================================================
-    // STEP 3: Process images in parallel
-    // ============================================================
-    const imgStart = Date.now();
-    const mediaEntries = Object.entries(mediaRelMap);
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    return res.json(result);
+  } catch (e) {
+    if (e?.status) return res.status(e.status).json({ ok: false, error: e.message });
+    console.error("[CONVERT_DOCX_HTML_FAIL]", e);
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
 
-    const imageResults = await parallelMap(mediaEntries, async ([rid, mediaPath]) => {
-      const mf = (zip.files || []).find((f) => f.path === mediaPath);
-      if (!mf) return { rid, dataUri: null, converted: false };
+app.post("/exam/export", async (req, res) => {
+  const { exam, name, mathmlByRid } = req.body || {};
+  const format = String(req.body?.format || req.query.format || "").toLowerCase();
 
-      const buf = await mf.buffer();
-      const ext = getExtFromPath(mediaPath);
+  if (!exam?.questions) return res.status(400).json({ ok: false, error: "Missing exam object" });
+  if (!EXAM_EXPORTERS[format]) {
+    return res
+      .status(400)
+      .json({ ok: false, error: `format must be one of: ${Object.keys(EXAM_EXPORTERS).join(", ")}` });
+  }
 
-      if (ext === "emf" || ext === "wmf") {
-        const pngBuf = await convertEmfWmfToPngAsync(buf, ext);
-        if (pngBuf) return { rid, dataUri: `data:image/png;base64,${pngBuf.toString("base64")}`, converted: true };
-        return { rid, dataUri: null, converted: false };
-      }
+  try {
+    return await sendExamExport(res, exam, format, name, { mathmlByRid });
+  } catch (e) {
+    console.error("[EXAM_EXPORT_FAIL]", e);
+    return res.status(e.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
 
-      return { rid, dataUri: `data:${mimeFromExt(mediaPath)};base64,${buf.toString("base64")}`, converted: false };
-    });
+// Lỗi cấu trúc đề: file .docx (cùng tuỳ chọn với /convert-docx-html) hoặc JSON { exam } dạng HTML đã tách.
+// Với exam JSON không còn biết công thức / ảnh lỗi, số câu bị gộp hay lời giải lạc - chỉ có trong file
+app.post("/exam/lint", upload.single("file"), async (req, res) => {
+  try {
+    let exam, warnings;
+    if (req.file?.buffer) {
+      const options = { ...readConvertOptions(req), images: "inline", mathFormat: "latex", output: "html" };
+      ({ exam, warnings } = await convertDocxToHtml(req.file.buffer, { ...options, diagnostics: false }));
+    } else {
+      exam = req.body?.exam;
+      if (!exam?.questions)
+        return res.status(400).json({ ok: false, error: "No file uploaded or missing exam object" });
+      warnings = lintExam(exam);
+    }
 
-    const imageByRid = {};
-    let imagesOk = 0,
-      imagesConverted = 0;
-    for (const { rid, dataUri, converted } of imageResults) {
-      if (dataUri) {
-        imageByRid[rid] = dataUri;
-        imagesOk++;
-        if (converted) imagesConverted++;
-      }
-    }
-
-    const imgEnd = Date.now();
-
-    // ============================================================
-    // STEP 4: Build HTML
-    // ============================================================
-    const debug = {
-      embeddings: oleEntries.length,
-      latexCount: Object.keys(latexByRid).length,
-      latexOk,
-      cacheHits,
-      cacheSkipped,
-      converted: toConvert.length,
-
-      imagesRelCount: mediaEntries.length,
-      imagesOk,
-      imagesConverted,
-      imagesInjected: 0,
-
-      seenOleRuns: 0,
-      seenOle: 0,
-      oleInjected: 0,
-      ignoredRids: 0,
-
-      exam: { questions: 0, mcq: 0, tf4: 0, short: 0 },
-
-      timing: {
-        oleReadMs: oleReadEnd - oleReadStart,
-        oleConvertMs: oleConvertEnd - oleConvertStart,
-        imageConvertMs: imgEnd - imgStart,
-        totalMs: 0,
-      },
+    const counts = { error: 0, warning: 0 };
+    for (const w of warnings) counts[w.severity]++;
+    return res.json({ ok: true, questions: exam?.questions.length ?? 0, counts, warnings });
+  } catch (e) {
+    if (e?.status) return res.status(e.status).json({ ok: false, error: e.message });
+    console.error("[EXAM_LINT_FAIL]", e);
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
 
-      cache: mathmlCache.getStats(),
-    };
+// Trộn đề: { exam, count | codes, seed, shuffleQuestions, shuffleChoices } => mỗi mã đề 1 exam + đáp án + HTML.
+// Không gửi seed => seed ngẫu nhiên, trả về để tạo lại đúng bộ đề
+app.post("/exam/variants", (req, res) => {
+  const { exam, codes, shuffleQuestions = true, shuffleChoices = true } = req.body || {};
+  if (!exam?.questions) return res.status(400).json({ ok: false, error: "Missing exam object" });
+  const codesError = codes === undefined ? null : variantCodesError(codes);
+  if (codesError) return res.status(400).json({ ok: false, error: codesError });
+  const count = Number(req.body.count ?? 4);
+  if (!isVariantCount(count))
+    return res.status(400).json({ ok: false, error: `count must be an integer between 1 and ${VARIANT_MAX}` });
+  const seed = String(req.body.seed ?? crypto.randomBytes(4).toString("hex"));
 
-    const ctx = { latexByRid, imageByRid, debug };
+  try {
+    const result = buildExamVariants(exam, { count, codes, seed, shuffleQuestions, shuffleChoices });
+    return res.json({ ok: true, ...result });
+  } catch (e) {
+    if (e?.status) return res.status(e.status).json({ ok: false, error: e.message });
+    console.error("[EXAM_VARIANTS_FAIL]", e);
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
 
-    let inlineHtml = buildInlineHtml(docBuf.toString("utf8"), ctx);
-    inlineHtml = formatExamLayout(inlineHtml);
-    inlineHtml = fixImageStickingToNextQuestion(inlineHtml); // ✅ CHỈ THÊM 1 DÒNG NÀY
-    inlineHtml = removeUnsupportedImages(inlineHtml);
+app.get("/assets/:hash", async (req, res) => {
+  const hash = String(req.params.hash)
+    .replace(/\.\w+$/, "")
+    .toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(hash)) return res.status(400).json({ ok: false, error: "Invalid asset hash" });
+
+  // SVG lấy thẳng từ file .docx người dùng tải lên: không cho chạy script / đoán lại kiểu trên origin của API
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+
+  // Nội dung bất biến theo hash => cache vĩnh viễn
+  res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+  res.setHeader("ETag", `"${hash}"`);
+  if (req.headers["if-none-match"] === `"${hash}"` && assetStore.has(hash)) return res.status(304).end();
+
+  const asset = await assetStore.get(hash);
+  if (!asset) {
+    res.removeHeader("Cache-Control");
+    res.removeHeader("ETag");
+    return res.status(404).json({ ok: false, error: "Asset not found" });
+  }
 
-    const exam = parseExamFromInlineHtml(inlineHtml);
-    if (exam) {
-      debug.exam.questions = exam.questions.length;
-      for (const q of exam.questions) {
-        if (q.type === "mcq") debug.exam.mcq++;
-        else if (q.type === "tf4") debug.exam.tf4++;
-        else debug.exam.short++;
-      }
-    }
+  res.setHeader("Content-Type", asset.mime);
+  return res.send(asset.data);
+});
 
-    debug.timing.totalMs = Date.now() - startTime;
+app.post("/jobs", upload.single("file"), (req, res) => {
+  if (!req.file?.buffer) return res.status(400).json({ ok: false, error: "No file uploaded" });
 
-    return res.json({ ok: true, inlineHtml, exam, debug, mathmlByRid });
+  let options;
+  try {
+    options = readConvertOptions(req);
+    if (options.images === "zip") throw httpError(400, "images=zip is not supported for jobs (use url)");
   } catch (e) {
-    console.error("[CONVERT_DOCX_HTML_FAIL]", e);
-    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    return res.status(e.status || 400).json({ ok: false, error: e.message });
+  }
+
+  const buffer = req.file.buffer;
+  let job;
+  try {
+    // Job không có response để chờ: giữ ảnh tới khi job xong
+    job = jobManager.create(async (onProgress) => {
+      const assetPin = assetStore.pin();
+      try {
+        const { assets, images, ...result } = await convertDocxToHtml(buffer, { ...options, onProgress, assetPin });
+        return { ok: true, ...result, assets: assetList(assets, images) };
+      } finally {
+        assetPin.release();
+      }
+    });
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
   }
+
+  return res.status(202).json({
+    ok: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/jobs/${job.id}`,
+    eventsUrl: `/jobs/${job.id}/events`,
+  });
+});
+
+app.get("/jobs/:id", (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found or expired" });
+  return res.json({ ok: true, job: jobManager.toJSON(job, { includeResult: req.query.result !== "0" }) });
+});
+
+app.get("/jobs/:id/events", (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found or expired" });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  const send = (evt) => res.write(`event: ${evt.type}\ndata: ${JSON.stringify(evt)}\n\n`);
+  for (const evt of job.events) send(evt);
+  if (job.status === "done" || job.status === "failed") return res.end();
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  const unsubscribe = jobManager.subscribe(job, (evt) => {
+    if (evt) return send(evt);
+    clearInterval(heartbeat);
+    res.end();
+  });
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
 });
 
 // ============================================================
 // START
 // ============================================================
 const PORT = process.env.PORT || 8080;
-app.listen(PORT, () => {
-  console.log(`🚀 Server listening on port ${PORT}`);
-  console.log(`⚡ Config:`, CONFIG);
-});
+
+// Chỉ mở cổng khi chạy trực tiếp (node server.js); test import module để gọi các hàm bên dưới
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const server = app.listen(PORT, () => {
+    console.log(`🚀 Server listening on port ${PORT}`);
+    console.log(`⚡ Config:`, CONFIG);
+    if (rubyPool.isAvailable()) console.log(`💎 Ruby worker pool: ${rubyPool.size} x mt_worker.rb (${rubyPool.mode})`);
+  });
+
+  for (const sig of ["SIGTERM", "SIGINT"]) {
+    process.on(sig, () => {
+      rubyPool.close();
+      server.close(() => process.exit(0));
+      setTimeout(() => process.exit(0), 5000).unref();
+    });
+  }
+}
+
+export {
+  app,
+  AssetStore,
+  DiskCache,
+  JobManager,
+  RubyWorkerPool,
+  batchConvertOleBinToMathML,
+  metafileToSvg,
+  createZip,
+  convertDocxToHtml,
+  parseExamFromInlineHtml,
+  examGrammar,
+  examToDocx,
+  examToMoodleXml,
+  examToGift,
+  examToQtiPackage,
+  buildExamVariants,
+  lintExam,
+  detectHasTF4,
+  detectIsEssay,
+  mtefToMathml,
+  jsConvertOleBinToMathML,
+  readEquationNative,
+};
@@ -0,0 +1,94 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Kho ảnh bật riêng cho file này: ghi sẵn 1 SVG vào ASSET_DIR trước khi import server.js
+const SVG = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+const HASH = crypto.createHash("sha256").update(SVG).digest("hex");
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "assets-test-"));
+fs.mkdirSync(path.join(dir, HASH.slice(0, 2)));
+fs.writeFileSync(path.join(dir, HASH.slice(0, 2), `${HASH}.svg`), SVG);
+process.env.ASSET_DIR = dir;
+process.env.ASSET_MAX_MB = "1";
+
+const { server, withServer, postFile, docxFromParagraphs } = await import("./helpers.js");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("assets are served by content hash and cannot run script", async () => {
+  await withServer(async (base) => {
+    const res = await fetch(`${base}/assets/${HASH}.svg`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "image/svg+xml");
+    assert.equal(res.headers.get("etag"), `"${HASH}"`);
+    assert.match(res.headers.get("cache-control"), /immutable/);
+    assert.equal(res.headers.get("x-content-type-options"), "nosniff");
+    assert.equal(res.headers.get("content-security-policy"), "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), SVG);
+
+    assert.equal((await fetch(`${base}/assets/${"0".repeat(64)}`)).status, 404);
+    assert.equal((await fetch(`${base}/assets/not-a-hash`)).status, 400);
+  });
+});
+
+test("images=url stores identical images once and serves them by hash", async () => {
+  const png = Buffer.from(
+    "89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c4890000000d49444154789c6360000002000100e221bc330000000049454e44ae426082",
+    "hex",
+  );
+  const img = (rid) =>
+    `<w:p><w:r><w:drawing><wp:inline><a:graphic><a:graphicData><pic:pic><pic:blipFill><a:blip r:embed="${rid}"/>` +
+    "</pic:blipFill></pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r></w:p>";
+  const docx = docxFromParagraphs([img("rId5"), img("rId6")], {
+    rels: [
+      { id: "rId5", type: "image", target: "media/image1.png" },
+      { id: "rId6", type: "image", target: "media/image2.png" },
+    ],
+    files: [
+      { name: "word/media/image1.png", data: png },
+      { name: "word/media/image2.png", data: png },
+    ],
+  });
+  const hash = crypto.createHash("sha256").update(png).digest("hex");
+
+  await withServer(async (base) => {
+    const body = await (await postFile(`${base}/convert-docx-html?images=url`, docx, "de.docx")).json();
+    assert.equal(body.inlineHtml.match(new RegExp(`<img src="/assets/${hash}"`, "g")).length, 2);
+    assert.deepEqual(
+      body.assets.map((a) => [a.hash, a.mime, a.src]),
+      [[hash, "image/png", `/assets/${hash}`]],
+    );
+
+    const res = await fetch(`${base}/assets/${hash}`);
+    assert.equal(res.headers.get("content-type"), "image/png");
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), png);
+  });
+});
+
+test("every image of an unfinished conversion is pinned until it is released", async () => {
+  const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "assets-pin-test-"));
+  try {
+    const store = new server.AssetStore(storeDir, { maxBytes: 10 });
+    const [a, b, c] = ["aaaaa", "bbbbb", "ccccc"].map((s) => Buffer.from(s));
+    const pin = store.pin();
+    const hashes = [await store.put(a, "png", { pin }), await store.put(b, "png", { pin })];
+    // c (không thuộc conversion) vượt maxBytes: a và b vẫn được giữ
+    const other = await store.put(c, "png");
+    assert.deepEqual(
+      [...hashes, other].map((h) => store.has(h)),
+      [true, true, true],
+    );
+    assert.equal(store.getStats().evictions, 0);
+
+    pin.release();
+    assert.equal(store.has(hashes[0]), false);
+    assert.ok(store.getStats().bytes <= 10);
+    pin.release();
+    assert.equal(store.pinned.size, 0);
+  } finally {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,95 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { server, withServer, convertParagraphs, para } from "./helpers.js";
+
+const OLE = Buffer.from("ole bytes");
+const VALUE = { mathml: "<math><mi>x</mi></math>", latex: "x" };
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "disk-cache-test-"));
+}
+
+test("disk cache entries survive a restart within the same namespace", async () => {
+  const dir = tmpDir();
+  try {
+    await new server.DiskCache(dir, { namespace: "ruby-auto-aaa", maxBytes: 1024 * 1024 }).set(OLE, VALUE);
+    const again = new server.DiskCache(dir, { namespace: "ruby-auto-aaa", maxBytes: 1024 * 1024 });
+    assert.deepEqual(await again.get(OLE), VALUE);
+    assert.equal(again.getStats().hits, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("other namespaces are kept unless pruneNamespaces is set", async () => {
+  const dir = tmpDir();
+  try {
+    await new server.DiskCache(dir, { namespace: "ruby-auto-aaa", maxBytes: 1024 * 1024 }).set(OLE, VALUE);
+    await new server.DiskCache(dir, { namespace: "js-bbb", maxBytes: 1024 * 1024 }).set(OLE, VALUE);
+
+    const ruby = new server.DiskCache(dir, { namespace: "ruby-auto-ccc", maxBytes: 1024 * 1024 });
+    assert.equal(await ruby.get(OLE), null);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ["js-bbb", "ruby-auto-aaa", "ruby-auto-ccc"]);
+
+    new server.DiskCache(dir, { namespace: "ruby-auto-ccc", maxBytes: 1024 * 1024, pruneNamespaces: true });
+    assert.deepEqual(fs.readdirSync(dir).sort(), ["js-bbb", "ruby-auto-ccc"]);
+    assert.deepEqual(await new server.DiskCache(dir, { namespace: "js-bbb", maxBytes: 1024 * 1024 }).get(OLE), VALUE);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("stale .tmp files from interrupted writes are removed on load", async () => {
+  const dir = tmpDir();
+  try {
+    await new server.DiskCache(dir, { namespace: "js-aaa", maxBytes: 1024 * 1024 }).set(OLE, VALUE);
+    const [shard] = fs.readdirSync(path.join(dir, "js-aaa"));
+    const shardDir = path.join(dir, "js-aaa", shard);
+    const stale = path.join(shardDir, "dead.json.1.tmp");
+    const fresh = path.join(shardDir, "live.json.2.tmp");
+    fs.writeFileSync(stale, "{");
+    fs.writeFileSync(fresh, "{");
+    const old = new Date(Date.now() - 60 * 60 * 1000);
+    fs.utimesSync(stale, old, old);
+
+    const cache = new server.DiskCache(dir, { namespace: "js-aaa", maxBytes: 1024 * 1024 });
+    assert.equal(fs.existsSync(stale), false);
+    // có thể là lần ghi đang chạy của process khác
+    assert.equal(fs.existsSync(fresh), true);
+    assert.equal(cache.getStats().size, 1);
+    assert.deepEqual(await cache.get(OLE), VALUE);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("disk cache evicts least recently used entries over maxBytes", async () => {
+  const dir = tmpDir();
+  try {
+    const size = Buffer.byteLength(JSON.stringify(VALUE));
+    const cache = new server.DiskCache(dir, { namespace: "js-aaa", maxBytes: size * 2 });
+    for (const key of ["a", "b", "c"]) await cache.set(Buffer.from(key), VALUE);
+    assert.equal(await cache.get(Buffer.from("a")), null);
+    assert.deepEqual(await cache.get(Buffer.from("c")), VALUE);
+    assert.equal(cache.getStats().evictions, 1);
+    assert.equal(new server.DiskCache(dir, { namespace: "js-aaa", maxBytes: 0 }).enabled, false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("debug.cache and /cache-stats keep the flat LRU keys next to the per-engine stats", async () => {
+  const { debug } = await convertParagraphs([para("Câu 1. Tính 1 + 1")]);
+  for (const key of ["hits", "misses", "hitRate", "size", "maxSize"]) assert.ok(key in debug.cache, key);
+  assert.equal(debug.cache.hits, debug.cache.ruby.memory.hits + debug.cache.js.memory.hits);
+  assert.equal(debug.cache.maxSize, debug.cache.ruby.memory.maxSize + debug.cache.js.memory.maxSize);
+
+  await withServer(async (base) => {
+    const stats = await (await fetch(`${base}/cache-stats`)).json();
+    assert.deepEqual(Object.keys(stats.mathmlCache), ["hits", "misses", "hitRate", "size", "maxSize"]);
+    assert.ok(stats.ruby.disk && stats.js.memory && stats.assets);
+  });
+});
@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { server, withServer, postFile, mathTypeOle } from "./helpers.js";
+
+const FRACTION_OLE = mathTypeOle();
+
+test("POST /convert returns MathML and LaTeX for one OLE object", async () => {
+  await withServer(async (base) => {
+    const res = await postFile(`${base}/convert?engine=js`, FRACTION_OLE, "oleObject1.bin");
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.success, true);
+    assert.equal(body.name, "oleObject1.bin");
+    assert.match(body.mathml, /<mfrac>/);
+    assert.match(body.latex, /\\frac\{1\}\{2\}/);
+
+    const bad = await postFile(`${base}/convert?engine=js`, Buffer.from("not ole"), "x.bin");
+    assert.equal(bad.status, 422);
+    assert.equal((await bad.json()).error, "not_mathtype_ole");
+    assert.equal((await fetch(`${base}/convert`, { method: "POST" })).status, 400);
+  });
+});
+
+test("POST /convert-docx lists every embedding in order with its rId", async () => {
+  const docx = server.createZip([
+    { name: "word/document.xml", data: "<w:document/>" },
+    {
+      name: "word/_rels/document.xml.rels",
+      data:
+        '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId7" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/oleObject" Target="embeddings/oleObject1.bin"/>' +
+        "</Relationships>",
+    },
+    { name: "word/embeddings/oleObject10.bin", data: Buffer.from("not ole") },
+    { name: "word/embeddings/oleObject1.bin", data: FRACTION_OLE },
+  ]);
+  await withServer(async (base) => {
+    const res = await postFile(`${base}/convert-docx?engine=js`, docx, "de.docx");
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.total, 2);
+    assert.equal(body.errors, 1);
+    assert.deepEqual(
+      body.equations.map((eq) => [eq.index, eq.name, eq.rid, eq.error]),
+      [
+        [1, "oleObject1.bin", "rId7", null],
+        [2, "oleObject10.bin", null, "not_mathtype_ole"],
+      ],
+    );
+    assert.match(body.equations[0].latex, /\\frac\{1\}\{2\}/);
+  });
+});
@@ -0,0 +1,70 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { server, readZip, convertParagraphs, para } from "./helpers.js";
+
+// PNG 1x1
+const PNG = Buffer.from(
+  "89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c4890000000d49444154789c6360000002000100e221bc330000000049454e44ae426082",
+  "hex",
+);
+const IMG = `<img src="data:image/png;base64,${PNG.toString("base64")}"/>`;
+
+test("docx export converts span and bare math to OMML", async () => {
+  const exam = {
+    questions: [
+      {
+        no: 1,
+        type: "short",
+        stemHtml: String.raw`Tính \(x^2\), \[y+1\] và <span class="math">\(z\)</span> \ ok`,
+        answer: "1",
+      },
+    ],
+  };
+  const files = await readZip(server.examToDocx(exam));
+  const doc = files["word/document.xml"].toString("utf8");
+  assert.equal(doc.match(/<m:oMath>/g).length, 3);
+  assert.doesNotMatch(doc, /\\\(|\\\[/);
+  assert.match(doc, /> \\ ok</);
+});
+
+test("docx export stores identical images once", async () => {
+  const exam = {
+    questions: [
+      { no: 1, type: "short", stemHtml: `Hình ${IMG}`, answer: "1" },
+      { no: 2, type: "short", stemHtml: `Hình ${IMG} ${IMG}`, answer: "2" },
+    ],
+  };
+  const files = await readZip(server.examToDocx(exam));
+  const media = Object.keys(files).filter((f) => f.startsWith("word/media/"));
+  assert.deepEqual(media, ["word/media/image1.png"]);
+
+  const doc = files["word/document.xml"].toString("utf8");
+  assert.equal(doc.match(/r:embed="rIdImg1"/g).length, 3);
+  const ids = [...doc.matchAll(/<wp:docPr id="(\d+)"/g)].map((m) => m[1]);
+  assert.equal(new Set(ids).size, 3);
+  assert.equal(files["word/_rels/document.xml.rels"].toString("utf8").match(/rIdImg/g).length, 1);
+});
+
+test("essay points and parts survive a docx round trip", async () => {
+  const { exam } = await convertParagraphs([
+    para("Câu 1 (3,0 điểm). Cho hàm số y = x + 1"),
+    para("a) Tìm tập xác định. (0,5 điểm)"),
+    para("b) Vẽ đồ thị. (1,5 điểm)"),
+    para("Câu 2. Tính 1 + 1"),
+  ]);
+  const shape = (e) => e.questions.map((q) => [q.no, q.type, q.points, q.parts?.map((p) => [p.key, p.points])]);
+  assert.deepEqual(shape(exam)[0], [1, "essay", 3, [["a", 0.5], ["b", 1.5]]]);
+
+  const again = await server.convertDocxToHtml(server.examToDocx(exam));
+  assert.deepEqual(shape(again.exam), shape(exam));
+
+  // Điểm chỉ có trong JSON (không nằm trong html của ý) vẫn được ghi ra
+  const built = {
+    questions: [
+      { no: 1, type: "essay", stemHtml: "Chứng minh", points: 2, parts: [{ key: "a", html: "Ý một", points: 0.5 }] },
+    ],
+  };
+  const doc = (await readZip(server.examToDocx(built)))["word/document.xml"].toString("utf8");
+  assert.match(doc, /Câu 1 \(2 điểm\)\./);
+  assert.match(doc, / \(0,5 điểm\)</);
+});
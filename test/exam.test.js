@@ -0,0 +1,346 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { server, convertParagraphs, para, run } from "./helpers.js";
+
+// Mở / đóng thẻ định dạng phải cân trong từng trường của câu
+function assertBalanced(html, where) {
+  const stack = [];
+  for (const [, close, tag] of String(html || "").matchAll(/<(\/?)(b|i|u|strong|em)\b[^>]*>/gi)) {
+    if (!close) stack.push(tag);
+    else assert.equal(stack.pop(), tag, `${where}: orphan </${tag}> in ${html}`);
+  }
+  assert.deepEqual(stack, [], `${where}: unclosed tags in ${html}`);
+}
+
+function assertQuestionsBalanced(exam) {
+  for (const q of exam.questions) {
+    for (const field of ["stemHtml", "solutionHtml", "detailHtml"]) assertBalanced(q[field], `${q.no}.${field}`);
+    for (const [key, html] of Object.entries(q.choicesHtml || {})) assertBalanced(html, `${q.no}.${key}`);
+  }
+}
+
+const BOLD_MARKERS = [
+  para(run("PHẦN 1. Trắc nghiệm", { b: true })),
+  para(run("Câu 1. ", { b: true }), "Chọn số chẵn"),
+  para("A. 1"),
+  para("B. 2"),
+  para("C. 3"),
+  para("D. 5"),
+  para(run("Đáp án: B", { b: true })),
+  para(run("PHẦN 2. Trả lời ngắn", { b: true })),
+  para("Câu 1. Tính 1/4+1"),
+  para(run("Lời giải. ", { b: true }), "Đáp án: 1,25"),
+];
+
+test("bold solution / answer markers are cut at tag boundaries", async () => {
+  const { exam } = await convertParagraphs(BOLD_MARKERS);
+  const [mcq, short] = exam.questions;
+
+  assert.equal(mcq.type, "mcq");
+  assert.equal(mcq.answer, "B");
+  assert.doesNotMatch(mcq.choicesHtml.D, /<b>/);
+  assert.match(mcq.solutionHtml, /^<b>Đáp án: B<\/b>/);
+
+  assert.equal(short.type, "short");
+  assert.equal(short.answer, "1,25");
+  assert.equal(short.stemHtml, "Tính 1/4+1<br/>");
+  assert.match(short.solutionHtml, /^<b>Lời giải\. <\/b>Đáp án: 1,25/);
+  assertQuestionsBalanced(exam);
+});
+
+test("section titles carry no formatting markup", async () => {
+  const { exam, inlineHtml } = await convertParagraphs(BOLD_MARKERS);
+  assert.deepEqual(
+    exam.questions.map((q) => q.section.title),
+    ["PHẦN 1. Trắc nghiệm", "PHẦN 2. Trả lời ngắn"],
+  );
+  assert.match(inlineHtml, /<div class="section-header"><strong>PHẦN 1\. Trắc nghiệm<\/strong><\/div>/);
+});
+
+test("docx export round-trips bold markers", async () => {
+  const { exam } = await convertParagraphs(BOLD_MARKERS);
+  const again = await server.convertDocxToHtml(server.examToDocx(exam));
+
+  assert.deepEqual(
+    again.exam.questions.map((q) => [q.section?.title, q.type, q.answer]),
+    exam.questions.map((q) => [q.section?.title, q.type, q.answer]),
+  );
+  const short = again.exam.questions[1];
+  assert.doesNotMatch(short.stemHtml, /Lời giải|<b>\s*(<br\/>\s*)*$/);
+  assert.match(short.solutionHtml, /^<b>Lời giải\./);
+  assertQuestionsBalanced(again.exam);
+});
+
+test("two lettered statements are a tf4 question", async () => {
+  const { exam } = await convertParagraphs([para("Câu 1. Xét tính đúng sai"), para("a) 1 > 0"), para("b) 2 < 0")]);
+  assert.equal(exam.questions[0].type, "tf4");
+  assert.deepEqual(Object.keys(exam.questions[0].statements).filter((k) => exam.questions[0].statements[k]), ["a", "b"]);
+});
+
+test("points in the grading rubric do not turn tf4 into essay", async () => {
+  const { exam } = await convertParagraphs([
+    para("Câu 1. Xét tính đúng sai"),
+    para("a) 1 > 0"),
+    para("b) 2 < 0"),
+    para("c) 3 > 0"),
+    para("d) 4 < 0"),
+    para("Lời giải"),
+    para("a) Đúng (0,25 điểm)"),
+  ]);
+  assert.equal(exam.questions[0].type, "tf4");
+});
+
+test("points in the stem make an essay with parts", async () => {
+  const { exam } = await convertParagraphs([
+    para("Câu 1 (2,0 điểm). Cho hàm số y = x + 1"),
+    para("a) Tìm tập xác định. (0,5 điểm)"),
+    para("b) Vẽ đồ thị. (1,5 điểm)"),
+  ]);
+  const [q] = exam.questions;
+  assert.equal(q.type, "essay");
+  assert.equal(q.points, 2);
+  assert.deepEqual(
+    q.parts.map((p) => [p.key, p.points]),
+    [
+      ["a", 0.5],
+      ["b", 1.5],
+    ],
+  );
+});
+
+test("lettered sub-parts without points outside any section are essay parts", async () => {
+  const { exam } = await convertParagraphs([
+    para("Câu 1. Cho hàm số y = x + 1"),
+    para("a) Tìm tập xác định"),
+    para("b) Vẽ đồ thị"),
+  ]);
+  const [q] = exam.questions;
+  assert.equal(q.type, "essay");
+  assert.deepEqual(
+    q.parts.map((p) => p.key),
+    ["a", "b"],
+  );
+
+  const g = server.examGrammar("vi");
+  const plain = "Câu 1. Cho hàm số y = x + 1 a) Tìm tập xác định b) Vẽ đồ thị";
+  assert.equal(server.detectHasTF4(plain, g), false);
+  assert.equal(server.detectIsEssay(plain, g), true);
+  assert.equal(server.detectHasTF4(plain, g, { tfKey: true }), true);
+  assert.equal(server.detectHasTF4(plain, g, { inTfSection: true }), true);
+});
+
+test("a true/false key keeps task-worded statements as tf4", async () => {
+  const { exam } = await convertParagraphs([
+    para("Câu 1. Cho hàm số y = x + 1"),
+    para("a) Tìm được tập xác định là R"),
+    para("b) Vẽ được đồ thị đi qua gốc toạ độ"),
+    para("Lời giải"),
+    para("a) Đúng b) Sai"),
+  ]);
+  assert.equal(exam.questions[0].type, "tf4");
+  assert.equal(exam.questions[0].answer.a, true);
+  assert.equal(exam.questions[0].answer.b, false);
+});
+
+test("tf4 and essay detectors never agree", () => {
+  const g = server.examGrammar("vi");
+  const stems = ["Câu 1. a) x b) y", "Câu 1. a) Tìm x b) Vẽ y", "Câu 1 (2 điểm). a) x b) y", "Câu 1 (2 điểm). Tính x", "Câu 1. Tính x"];
+  for (const plain of stems)
+    for (const inTfSection of [false, true])
+      for (const inEssaySection of [false, true]) {
+        const context = { inTfSection, inEssaySection };
+        const both = server.detectHasTF4(plain, g, context) && server.detectIsEssay(plain, g, context);
+        assert.equal(both, false, `${plain} ${JSON.stringify(context)}`);
+      }
+});
+
+test("exam schema version is 9", async () => {
+  const { exam } = await convertParagraphs([para("Câu 1. Tính 1 + 1")]);
+  assert.equal(exam.version, 9);
+});
+
+test("en profile is detected automatically and parses its own markers", async () => {
+  const paragraphs = [
+    para("PART I. Multiple choice"),
+    para("Question 1: Which is even?"),
+    para("(A) 1 (B) 2 (C) 3 (D) 5"),
+    para("Solution. 2 is even."),
+    para("Question 2. DNA. Explain."),
+  ];
+  const { exam, debug } = await convertParagraphs(paragraphs);
+  assert.equal(exam.profile, "en");
+  assert.equal(debug.examProfile, "en");
+
+  const [mcq, short] = exam.questions;
+  assert.equal(mcq.type, "mcq");
+  assert.equal(mcq.section.title, "PART I. Multiple choice");
+  assert.deepEqual(Object.keys(mcq.choicesHtml), ["A", "B", "C", "D"]);
+  assert.match(mcq.solutionHtml, /^Solution\. 2 is even\./);
+  // "DNA." không phải lựa chọn D
+  assert.equal(short.type, "short");
+  assert.match(short.stemHtml, /^DNA\. Explain\./);
+
+  assert.equal((await convertParagraphs(paragraphs, { examProfile: "vi" })).exam, null);
+});
+
+test("answers come from colour, highlight, bold, solution lines and the answer table", async () => {
+  const styled = (text, rPr) => `<w:r><w:rPr>${rPr}</w:rPr><w:t xml:space="preserve">${text}</w:t></w:r>`;
+  const paragraphs = [
+    para("Câu 1. Chọn"),
+    para("A. 1"),
+    para("B. 2"),
+    para(styled("C. 3", '<w:color w:val="FF0000"/>')),
+    para("D. 4"),
+    para("Câu 2. Chọn"),
+    para("A. 1"),
+    para(styled("B. 2", '<w:highlight w:val="yellow"/>')),
+    para("C. 3"),
+    para("D. 4"),
+    para("Câu 3. Chọn"),
+    para("A. 1"),
+    para("B. 2"),
+    para("C. 3"),
+    para(run("D.", { b: true }), " 4"),
+    para("Đáp án: A"),
+    para("Câu 4. Chọn"),
+    para("A. 1"),
+    para("B. 2"),
+    para("C. 3"),
+    para("D. 4"),
+    para("BẢNG ĐÁP ÁN"),
+    para("1.C 2-B 3.C 4.D"),
+  ];
+  const { exam, debug } = await convertParagraphs(paragraphs);
+  assert.deepEqual(
+    exam.questions.map((q) => [q.answer, q.answerSource, q.answerConflict]),
+    [
+      ["C", "color", null],
+      ["B", "highlight", null],
+      ["D", "bold", { bold: "D", solution: "A", table: "C" }],
+      ["D", "table", null],
+    ],
+  );
+  assert.doesNotMatch(exam.questions[3].choicesHtml.D, /ĐÁP ÁN/);
+  assert.equal(debug.exam.answered, 4);
+  assert.equal(debug.exam.answerConflicts, 1);
+
+  const { exam: byTable } = await convertParagraphs(paragraphs, { answerSources: ["table", "solution"] });
+  const { answer, answerSource, answerConflict } = byTable.questions[2];
+  assert.deepEqual([answer, answerSource, answerConflict], ["C", "table", { table: "C", solution: "A" }]);
+});
+
+test("short answers are normalised for the answer sheet boxes", async () => {
+  const { exam } = await convertParagraphs([
+    para("PHẦN 3. Trả lời ngắn"),
+    para("Câu 1. Tính"),
+    para("Đáp án: −0.5"),
+    para("Câu 2. Tính"),
+    para("Đáp số: +12"),
+    para("Câu 3. Tính"),
+    para("Kết quả: 12345"),
+    para("Câu 4. Nêu tên"),
+    para("Trả lời: Hà Nội"),
+    para("Câu 5. Tính"),
+  ]);
+  assert.deepEqual(
+    exam.questions.map((q) => [q.type, q.answer, q.answerValue, q.answerSource, q.boxes]),
+    [
+      ["short", "-0,5", -0.5, "solution", 4],
+      ["short", "12", 12, "solution", 2],
+      ["short", "12345", 12345, "solution", 5],
+      ["short", "Hà Nội", null, "solution", 4],
+      ["short", null, null, null, 4],
+    ],
+  );
+  assert.equal(exam.questions[0].stemHtml, "Tính<br/>");
+  assert.deepEqual(
+    exam.questions.map((q) => q.answerWarning),
+    [
+      null,
+      null,
+      'Answer "12345" needs 5 boxes (max 4)',
+      'Answer "Hà Nội" is not a number and cannot be written in the answer boxes',
+      null,
+    ],
+  );
+});
+
+test("tf4 answers carry a source per statement and a confidence", async () => {
+  const statements = [para("a) 1 > 0"), para("b) 2 < 0"), para("c) 3 > 0"), para("d) 4 < 0")];
+  const { exam, debug } = await convertParagraphs([
+    para("PHẦN 2. Đúng sai"),
+    para("Câu 1. Xét tính đúng sai"),
+    ...statements,
+    para("Lời giải"),
+    para("a) Đ, b) S"),
+    para("Câu 2. Xét tính đúng sai"),
+    ...statements,
+    para("Đáp án: ĐSĐS"),
+    para("Câu 3. Xét tính đúng sai"),
+    statements[0],
+    para(run("b)", { u: true }), " 2 < 0"),
+    ...statements.slice(2),
+    para("Lời giải"),
+    para("b) Sai"),
+  ]);
+  const [partial, full, underlined] = exam.questions;
+
+  assert.deepEqual(partial.answer, { a: true, b: false, c: null, d: null });
+  assert.deepEqual(partial.answerSource, { a: "solution", b: "solution", c: null, d: null });
+  assert.equal(partial.answerConfidence, 0.5);
+
+  assert.deepEqual(full.answer, { a: true, b: false, c: true, d: false });
+  assert.equal(full.answerConfidence, 1);
+
+  // gạch chân b) => các ý còn lại sai; lời giải nói b) Sai => xung đột
+  assert.deepEqual(underlined.answer, { a: false, b: true, c: false, d: false });
+  assert.equal(underlined.answerSource.b, "underline");
+  assert.deepEqual(underlined.answerConflict.solution, { a: null, b: false, c: null, d: null });
+
+  assert.equal(debug.exam.answered, 2);
+  assert.equal(debug.exam.answerConflicts, 1);
+});
+
+test("a choice mentioning \"đáp án A\" is not an answer line", async () => {
+  const { exam, warnings } = await convertParagraphs([
+    para("Câu 1. Chọn"),
+    para("A. x > 0"),
+    para("B. x < 1"),
+    para("C. x = 5"),
+    para("D. Cả đáp án A và B đều đúng"),
+    para("Câu 2. Chọn"),
+    para("A. 1"),
+    para("B. 2"),
+    para("C. 3"),
+    para("D. 4"),
+    para("Lời giải. Ta có 2 chẵn. Chọn B."),
+  ]);
+  const [q, solved] = exam.questions;
+  assert.match(q.choicesHtml.D, /^Cả đáp án A và B đều đúng/);
+  assert.equal(q.solutionHtml, "");
+  assert.equal(q.answer, null);
+  assert.equal(q.answerSource, null);
+  assert.deepEqual(
+    warnings.map((w) => [w.code, w.no]),
+    [["no_answer", 1]],
+  );
+  assert.equal(solved.answer, "B");
+});
+
+test("the short answer line wins over \"kết quả\" in the solution prose", async () => {
+  const { exam } = await convertParagraphs([
+    para("PHẦN 3. Trả lời ngắn"),
+    para("Câu 1. Tính xác suất"),
+    para("Lời giải. Số kết quả 8 trường hợp, trong đó 2 thuận lợi."),
+    para("Đáp án: 0,25"),
+    para("Câu 2. Tính xác suất"),
+    para("Lời giải. Số kết quả 8 trường hợp nên xác suất là 1/4. Đáp án: 0,25"),
+  ]);
+  assert.deepEqual(
+    exam.questions.map((q) => [q.answer, q.answerValue, q.boxes]),
+    [
+      ["0,25", 0.25, 4],
+      ["0,25", 0.25, 4],
+    ],
+  );
+});
@@ -0,0 +1,22 @@
+// Worker giả theo giao thức của mt_worker.rb (1 dòng JSON vào, 1 dòng JSON ra), chọn hành vi theo "path":
+//   echo:x  => <math>x pid</math>
+//   noisy:x => dòng rác + trả lời sai id trước, rồi mới trả lời đúng
+//   fail    => ok: false
+//   hang    => không trả lời
+//   crash   => thoát ngay
+import readline from "readline";
+
+const reply = (msg) => process.stdout.write(JSON.stringify(msg) + "\n");
+
+readline.createInterface({ input: process.stdin }).on("line", (line) => {
+  const { id, path } = JSON.parse(line);
+  const [kind, arg] = path.split(":");
+  if (kind === "crash") process.exit(1);
+  if (kind === "hang") return;
+  if (kind === "fail") return reply({ id, ok: false, error: "stub_failed" });
+  if (kind === "noisy") {
+    process.stdout.write("warming up\n");
+    reply({ id: `${id}0`, ok: true, mathml: "<math>wrong</math>" });
+  }
+  reply({ id, ok: true, mathml: `<math>${arg} ${process.pid}</math>`, mode_used: "stub" });
+});
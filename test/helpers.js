@@ -0,0 +1,82 @@
+// Không Ruby, không cache đĩa: import server.js (không mở cổng) rồi gọi thẳng các hàm
+process.env.RUBY_WORKERS ??= "0";
+process.env.DISK_CACHE_MAX_MB ??= "0";
+process.env.ASSET_MAX_MB ??= "0";
+
+import CFB from "cfb";
+import fs from "fs";
+import unzipper from "unzipper";
+
+export const server = await import("../server.js");
+
+const W_NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+// Run / paragraph tối giản của document.xml; text là văn bản thuần ("2 < 0")
+const xmlText = (s) => s.replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;");
+export const run = (text, { b = false, u = false } = {}) =>
+  `<w:r>${b || u ? `<w:rPr>${b ? "<w:b/>" : ""}${u ? '<w:u w:val="single"/>' : ""}</w:rPr>` : ""}` +
+  `<w:t xml:space="preserve">${xmlText(text)}</w:t></w:r>`;
+export const para = (...runs) => `<w:p>${runs.map((x) => (x.startsWith("<w:r>") ? x : run(x))).join("")}</w:p>`;
+
+// rels: [{ id, type: "header" | "footnotes" | "image"..., target }]; files: các entry zip khác (word/header1.xml...)
+export function docxFromParagraphs(paragraphs, { rels = [], files = [] } = {}) {
+  const relXml = rels.map(
+    (r) =>
+      `<Relationship Id="${r.id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${r.type}" Target="${r.target}"/>`,
+  );
+  return server.createZip([
+    {
+      name: "word/document.xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:document ${W_NS}><w:body>${paragraphs.join("")}</w:body></w:document>`,
+    },
+    {
+      name: "word/_rels/document.xml.rels",
+      data: `<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${relXml.join("")}</Relationships>`,
+    },
+    ...files,
+  ]);
+}
+
+export async function convertParagraphs(paragraphs, options = {}, docx = {}) {
+  return server.convertDocxToHtml(docxFromParagraphs(paragraphs, docx), options);
+}
+
+// zip => { tên file: Buffer }
+export async function readZip(buffer) {
+  const dir = await unzipper.Open.buffer(buffer);
+  const files = {};
+  for (const f of dir.files) files[f.path] = await f.buffer();
+  return files;
+}
+
+// Mở app trên cổng ngẫu nhiên cho các test gọi HTTP, đóng lại khi xong
+export async function withServer(fn) {
+  const http = server.app.listen(0);
+  await new Promise((resolve) => http.once("listening", resolve));
+  try {
+    return await fn(`http://127.0.0.1:${http.address().port}`);
+  } finally {
+    await new Promise((resolve) => http.close(resolve));
+  }
+}
+
+export function postFile(url, buffer, name) {
+  const form = new FormData();
+  form.append("file", new Blob([buffer]), name);
+  return fetch(url, { method: "POST", body: form });
+}
+
+// fixtures/fraction.bin chỉ có stream "Equation Native": thêm \x01CompObj (ProgID Equation.DSMT4) như file Word thật
+// để qua được isMathTypeOLE của /convert, /convert-docx
+export function mathTypeOle(name = "fraction.bin") {
+  const cfb = CFB.read(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url)), { type: "buffer" });
+  const str = (s) => {
+    const b = Buffer.alloc(4 + s.length + 1);
+    b.writeUInt32LE(s.length + 1, 0);
+    b.write(s, 4, "latin1");
+    return b;
+  };
+  const comp = Buffer.concat([Buffer.alloc(28), str("MathType 6.0 Equation"), Buffer.alloc(4), str("Equation.DSMT4")]);
+  CFB.utils.cfb_add(cfb, "\x01CompObj", comp);
+  return Buffer.from(CFB.write(cfb, { type: "buffer" }));
+}
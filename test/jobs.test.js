@@ -0,0 +1,122 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { server, withServer, postFile, docxFromParagraphs, para } from "./helpers.js";
+
+const DOCX = docxFromParagraphs([para("Câu 1. Tính 1 + 1")]);
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitForJob(base, id) {
+  for (let i = 0; i < 200; i++) {
+    const { job } = await (await fetch(`${base}/jobs/${id}`)).json();
+    if (job.status === "done" || job.status === "failed") return job;
+    await sleep(10);
+  }
+  throw new Error(`job ${id} did not finish`);
+}
+
+// "event: x\ndata: {...}\n\n" => [{ type, ... }]
+function parseEvents(body) {
+  return body
+    .split("\n\n")
+    .filter((chunk) => chunk.startsWith("event:"))
+    .map((chunk) => JSON.parse(chunk.split("\ndata: ")[1]));
+}
+
+// Job chỉ xong khi gọi release()
+function pendingJob(manager) {
+  let release;
+  const done = new Promise((resolve) => (release = resolve));
+  const job = manager.create(() => done);
+  return { job, release };
+}
+
+test("POST /jobs answers 202 and the job can be polled until done", async () => {
+  await withServer(async (base) => {
+    const res = await postFile(`${base}/jobs`, DOCX, "de.docx");
+    assert.equal(res.status, 202);
+    const { jobId, statusUrl, eventsUrl } = await res.json();
+    assert.equal(statusUrl, `/jobs/${jobId}`);
+    assert.equal(eventsUrl, `/jobs/${jobId}/events`);
+
+    const job = await waitForJob(base, jobId);
+    assert.equal(job.status, "done");
+    assert.equal(job.result.ok, true);
+    assert.equal(job.result.exam.questions.length, 1);
+    assert.ok(job.expiresAt > job.finishedAt);
+
+    const { job: brief } = await (await fetch(`${base}/jobs/${jobId}?result=0`)).json();
+    assert.equal(brief.result, undefined);
+    assert.equal((await fetch(`${base}/jobs/unknown`)).status, 404);
+  });
+});
+
+test("a job that throws is reported as failed", async () => {
+  await withServer(async (base) => {
+    const res = await postFile(`${base}/jobs`, Buffer.from("not a docx"), "de.docx");
+    assert.equal(res.status, 202);
+    const job = await waitForJob(base, (await res.json()).jobId);
+    assert.equal(job.status, "failed");
+    assert.ok(job.error);
+    assert.equal(job.result, undefined);
+  });
+});
+
+test("job events are replayed over SSE and the stream ends with the job", async () => {
+  await withServer(async (base) => {
+    const { jobId } = await (await postFile(`${base}/jobs`, DOCX, "de.docx")).json();
+    // Mở ngay khi job còn chạy: stream tự đóng khi job xong
+    const live = await fetch(`${base}/jobs/${jobId}/events`);
+    assert.equal(live.headers.get("content-type"), "text/event-stream; charset=utf-8");
+    const liveEvents = parseEvents(await live.text());
+    assert.equal(liveEvents[0].status, "queued");
+    assert.equal(liveEvents.at(-1).type, "done");
+
+    // Job đã xong: phát lại toàn bộ sự kiện rồi đóng
+    const replay = parseEvents(await (await fetch(`${base}/jobs/${jobId}/events`)).text());
+    assert.deepEqual(replay, liveEvents);
+    assert.ok(replay.some((e) => e.type === "progress"));
+    assert.equal((await fetch(`${base}/jobs/unknown/events`)).status, 404);
+  });
+});
+
+test("JOB_MAX rejects new jobs while all are running and evicts the oldest finished job", async () => {
+  const manager = new server.JobManager({ concurrency: 2, maxJobs: 2 });
+  const first = pendingJob(manager);
+  const second = pendingJob(manager);
+  assert.throws(() => manager.create(async () => 1), { status: 503 });
+
+  first.release("first");
+  await sleep(10);
+  assert.equal(manager.get(first.job.id).status, "done");
+  const third = manager.create(async () => "third");
+  assert.equal(manager.get(first.job.id), null);
+  assert.equal(manager.get(second.job.id).status, "running");
+  assert.equal(manager.get(third.id), third);
+
+  second.release("second");
+  await sleep(10);
+  assert.deepEqual(manager.getStats(), {
+    total: 2,
+    queued: 0,
+    running: 0,
+    done: 2,
+    failed: 0,
+    maxJobs: 2,
+    retentionMs: 60 * 60 * 1000,
+  });
+});
+
+test("finished jobs are swept after the retention period", async () => {
+  const manager = new server.JobManager({ retentionMs: 20 });
+  const running = pendingJob(manager);
+  const finished = manager.create(async () => "ok");
+  await sleep(5);
+  manager.sweep();
+  assert.equal(manager.get(finished.id).status, "done");
+
+  await sleep(30);
+  manager.sweep();
+  assert.equal(manager.get(finished.id), null);
+  assert.equal(manager.get(running.job.id).status, "running");
+  running.release();
+});
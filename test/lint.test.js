@@ -0,0 +1,101 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { server, withServer, postFile, docxFromParagraphs, convertParagraphs, para, run } from "./helpers.js";
+
+const EXAM = {
+  questions: [
+    { no: 1, type: "mcq", stemHtml: "Chọn", choicesHtml: { A: "1", B: "2", C: "", D: "" }, answer: "B" },
+    { no: 1, type: "mcq", stemHtml: "Chọn", choicesHtml: { A: "1", B: "2", C: "3", D: "4" }, answer: "E" },
+    { no: 3, type: "short", stemHtml: "", answer: null },
+  ],
+};
+
+const postJson = (url, body) =>
+  fetch(url, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(body) });
+
+test("lintExam reports structural problems per question", () => {
+  const warnings = server.lintExam(EXAM);
+  assert.deepEqual(
+    warnings.map((w) => [w.code, w.severity, w.index, w.location]),
+    [
+      ["missing_choices", "error", 0, "choicesHtml"],
+      ["duplicate_number", "error", 1, "question"],
+      ["invalid_answer", "error", 1, "answer"],
+      ["missing_number", "warning", 2, "question"],
+      ["empty_stem", "error", 2, "stemHtml"],
+      ["no_answer", "warning", 2, "answer"],
+    ],
+  );
+  assert.deepEqual(warnings[0].missing, ["C", "D"]);
+  assert.deepEqual(warnings[3].missing, [2]);
+});
+
+test("POST /exam/lint checks an exam JSON or a docx", async () => {
+  await withServer(async (base) => {
+    const res = await postJson(`${base}/exam/lint`, { exam: EXAM });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.questions, 3);
+    assert.deepEqual(body.counts, { error: 4, warning: 2 });
+    assert.equal((await postJson(`${base}/exam/lint`, {})).status, 400);
+
+    const docx = docxFromParagraphs([
+      para("Lời giải"),
+      para("Câu 1. Chọn"),
+      para("A. 1"),
+      para("B. 2"),
+      para("C. 3"),
+      para("D. 4"),
+      para("Câu 1. Tiếp"),
+      para("Câu 3. Tính"),
+    ]);
+    const fromFile = await (await postFile(`${base}/exam/lint`, docx, "de.docx")).json();
+    assert.equal(fromFile.questions, 2);
+    assert.deepEqual(
+      fromFile.warnings.map((w) => [w.code, w.no, w.location]),
+      [
+        ["orphan_solution", 1, "before"],
+        ["merged_number", 1, "question"],
+        ["no_answer", 1, "answer"],
+        ["missing_number", 3, "question"],
+        ["no_answer", 3, "answer"],
+      ],
+    );
+  });
+});
+
+test("mcq with more than one marked choice is reported by every marker detector", async () => {
+  const styled = (text, rPr) => `<w:r><w:rPr>${rPr}</w:rPr><w:t xml:space="preserve">${text}</w:t></w:r>`;
+  const question = (no, mark) => [
+    para(`Câu ${no}. Chọn`),
+    para(mark("A."), " 1"),
+    para("B. 2"),
+    para(mark("C."), " 3"),
+    para("D. 4"),
+  ];
+  const { exam, warnings } = await convertParagraphs([
+    ...question(1, (m) => run(m, { u: true })),
+    ...question(2, (m) => run(m, { b: true })),
+    ...question(3, (m) => styled(m, '<w:color w:val="FF0000"/>')),
+    ...question(4, (m) => styled(m, '<w:highlight w:val="yellow"/>')),
+    // in đậm mọi lựa chọn là trình bày
+    para("Câu 5. Chọn"),
+    ...["A", "B", "C", "D"].map((k, i) => para(run(`${k}.`, { b: true }), ` ${i + 1}`)),
+    para("Đáp án: B"),
+  ]);
+  assert.deepEqual(
+    exam.questions.map((q) => q.answer),
+    [null, null, null, null, "B"],
+  );
+  const multiple = warnings.filter((w) => w.code === "multiple_answers");
+  assert.deepEqual(
+    multiple.map((w) => [w.no, w.severity, w.location, w.marked]),
+    [
+      [1, "warning", "answer", { underline: ["A", "C"] }],
+      [2, "warning", "answer", { bold: ["A", "C"] }],
+      [3, "warning", "answer", { color: ["A", "C"] }],
+      [4, "warning", "answer", { highlight: ["A", "C"] }],
+    ],
+  );
+  assert.equal(multiple[0].message, "Question 1 marks more than one answer: A, C (underline)");
+});
@@ -0,0 +1,75 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { convertParagraphs, mathTypeOle } from "./helpers.js";
+
+// 1/2 + x^2 gõ bằng Insert → Equation của Word
+const OMML =
+  "<m:oMath><m:f><m:num><m:r><m:t>1</m:t></m:r></m:num><m:den><m:r><m:t>2</m:t></m:r></m:den></m:f>" +
+  "<m:r><m:t>+</m:t></m:r><m:sSup><m:e><m:r><m:t>x</m:t></m:r></m:e><m:sup><m:r><m:t>2</m:t></m:r></m:sup></m:sSup></m:oMath>";
+
+test("native Word equations convert to LaTeX spans and MathML", async () => {
+  const { inlineHtml, mathmlByRid } = await convertParagraphs([
+    `<w:p><w:r><w:t xml:space="preserve">Tính </w:t></w:r>${OMML}</w:p>`,
+    `<w:p><m:oMathPara>${OMML}</m:oMathPara></w:p>`,
+  ]);
+  assert.match(inlineHtml, /^Tính <span class="math" data-rid="omml1">\\\(\\frac\{1\}\{2\} \+ x\^\{2\}\\\)<\/span>/);
+  assert.match(inlineHtml, /<span class="math" data-rid="omml2">/);
+  assert.match(mathmlByRid.omml1, /<mfrac><mrow><mn>1<\/mn><\/mrow><mrow><mn>2<\/mn><\/mrow><\/mfrac>/);
+  assert.match(mathmlByRid.omml1, /<msup><mrow><mi>x<\/mi><\/mrow>/);
+});
+
+test("diagnostics=1 reports one record per embedding", async () => {
+  const ole = `<w:r><w:object><o:OLEObject Type="Embed" ProgID="Equation.DSMT4" r:id="rId8"/></w:object></w:r>`;
+  const { diagnostics } = await convertParagraphs(
+    [`<w:p><w:r><w:t xml:space="preserve">Câu 2. Tính </w:t></w:r>${ole}<w:r><w:t xml:space="preserve"> với x &gt; 0.</w:t></w:r></w:p>`],
+    { diagnostics: true, engine: "js" },
+    {
+      rels: [
+        { id: "rId8", type: "oleObject", target: "embeddings/oleObject1.bin" },
+        { id: "rId9", type: "oleObject", target: "embeddings/oleObject2.bin" },
+      ],
+      files: [
+        { name: "word/embeddings/oleObject1.bin", data: mathTypeOle() },
+        { name: "word/embeddings/oleObject2.bin", data: Buffer.from("junk") },
+      ],
+    },
+  );
+  assert.equal(diagnostics.length, 2);
+  const [eq, junk] = diagnostics;
+  assert.equal(eq.rid, "rId8");
+  assert.equal(eq.oleClass.progId, "Equation.DSMT4");
+  assert.equal(eq.engine, "js");
+  assert.equal(eq.latex, "x + \\frac{1}{2}");
+  assert.deepEqual(eq.context, { before: "Câu 2. Tính", after: "với x > 0." });
+  assert.deepEqual(eq.errors, []);
+  assert.equal(junk.rid, "rId9");
+  assert.deepEqual(junk.errors, ["not_mathtype_ole", "not_in_document"]);
+});
+
+test("LaTeX output is checked with KaTeX and repaired when it does not parse", async () => {
+  const { inlineHtml, latexCheckByRid, debug } = await convertParagraphs([
+    `<w:p>${OMML}</w:p>`,
+    `<w:p><m:oMath><m:r><m:t>a}b</m:t></m:r></m:oMath></w:p>`,
+  ]);
+  assert.deepEqual(latexCheckByRid.omml1, { latexValid: true, latexError: null, latexRepair: null });
+  assert.deepEqual(latexCheckByRid.omml2, { latexValid: true, latexError: null, latexRepair: "balance_braces" });
+  assert.match(inlineHtml, /data-rid="omml2">\\\(a \. b\\\)/);
+  assert.deepEqual(debug.latexCheck, { valid: 2, invalid: 0, repaired: 1 });
+});
+
+test("mathFormat swaps the math span content and keeps the exam parse", async () => {
+  const paragraphs = [`<w:p><w:r><w:t xml:space="preserve">Câu 1. Tính </w:t></w:r>${OMML}</w:p>`];
+  const latex = await convertParagraphs(paragraphs);
+  const expected = {
+    asciimath: "`1/2 + x^2`",
+    speech: "1 over 2 plus x squared",
+    mathml: latex.mathmlByRid.omml1,
+  };
+  for (const [mathFormat, content] of Object.entries(expected)) {
+    const { inlineHtml, exam } = await convertParagraphs(paragraphs, { mathFormat });
+    const span = `<span class="math" data-rid="omml1" data-format="${mathFormat}">${content}</span>`;
+    assert.ok(inlineHtml.includes(span), `${mathFormat}: ${inlineHtml}`);
+    assert.ok(exam.questions[0].stemHtml.includes(span), `${mathFormat}: ${exam.questions[0].stemHtml}`);
+    assert.equal(exam.questions[0].type, latex.exam.questions[0].type);
+  }
+});
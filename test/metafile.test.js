@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { server, convertParagraphs } from "./helpers.js";
+
+function wmfRecord(fn, words) {
+  const b = Buffer.alloc(6 + words.length * 2);
+  b.writeUInt32LE(3 + words.length, 0);
+  b.writeUInt16LE(fn, 4);
+  words.forEach((w, i) => b.writeInt16LE(w, 6 + i * 2));
+  return b;
+}
+
+// WMF 1 x 0,5 inch (placeable header): 1 polyline hình chữ V và chữ "Hi"
+function sampleWmf() {
+  const placeable = Buffer.alloc(22);
+  placeable.writeUInt32LE(0x9ac6cdd7, 0);
+  placeable.writeInt16LE(1440, 10);
+  placeable.writeInt16LE(720, 12);
+  placeable.writeUInt16LE(1440, 14);
+  const header = Buffer.alloc(18);
+  header.writeUInt16LE(1, 0);
+  header.writeUInt16LE(9, 2);
+  header.writeUInt16LE(0x300, 4);
+  return Buffer.concat([
+    placeable,
+    header,
+    wmfRecord(0x0325, [3, 0, 0, 720, 360, 1440, 0]), // POLYLINE
+    wmfRecord(0x0521, [2, Buffer.from("Hi", "latin1").readInt16LE(0), 200, 100]), // TEXTOUT
+    wmfRecord(0x0000, []),
+  ]);
+}
+
+test("wmf renders to svg without external tools", () => {
+  const svg = server.metafileToSvg(sampleWmf());
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="96" height="48" viewBox="0 0 96 48">/);
+  assert.match(svg, /<path d="M0 0L48 24L96 0" fill="none" stroke="#000000"/);
+  assert.match(svg, /<text [^>]*>Hi<\/text>/);
+  assert.equal(server.metafileToSvg(Buffer.from("not a metafile")), null);
+});
+
+test("wmf images in a docx become svg images", async () => {
+  const { inlineHtml, debug } = await convertParagraphs(
+    [
+      '<w:p><w:r><w:drawing><wp:inline><a:graphic><a:graphicData><pic:pic><pic:blipFill><a:blip r:embed="rId5"/>' +
+        "</pic:blipFill></pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r></w:p>",
+    ],
+    {},
+    {
+      rels: [{ id: "rId5", type: "image", target: "media/image1.wmf" }],
+      files: [{ name: "word/media/image1.wmf", data: sampleWmf() }],
+    },
+  );
+  const [, b64] = /<img src="data:image\/svg\+xml;base64,([^"]+)"/.exec(inlineHtml);
+  assert.match(Buffer.from(b64, "base64").toString("utf8"), /^<svg [^>]*>.*Hi<\/text><\/svg>$/);
+  assert.equal(debug.imagesConverted, 1);
+});
@@ -0,0 +1,93 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { server, readZip } from "./helpers.js";
+
+const EXAM = {
+  questions: [
+    {
+      no: 1,
+      type: "mcq",
+      section: { title: "PHẦN 1. Trắc nghiệm" },
+      stemHtml: String.raw`Giá trị của <span class="math">\(x^2\)</span> khi x = 2`,
+      choicesHtml: { A: "1", B: "4", C: "3", D: "2" },
+      answer: "B",
+    },
+    { no: 2, type: "short", stemHtml: "Tính 1/4+1", answer: "1,25" },
+  ],
+};
+
+test("moodle xml keeps answers and math", () => {
+  const xml = server.examToMoodleXml(EXAM);
+  assert.match(xml, /<question type="multichoice">/);
+  assert.match(xml, /<answer fraction="100" format="html"><text><!\[CDATA\[4\]\]>/);
+  assert.match(xml, /\\\(x\^2\\\)/);
+  assert.match(xml, /<question type="numerical">.*<answer fraction="100"><text>1\.25<\/text>/);
+});
+
+test("gift marks the correct choice", () => {
+  const gift = server.examToGift(EXAM);
+  assert.match(gift, /\$CATEGORY: \$course\$\/Exam\/PHẦN 1\. Trắc nghiệm/);
+  assert.match(gift, /=4\n/);
+  assert.match(gift, /\{#1\.25\n\}/);
+});
+
+test("tf4 statements with an unknown answer are not exported as false", () => {
+  const partial = {
+    questions: [
+      {
+        no: 1,
+        type: "tf4",
+        stemHtml: "Xét tính đúng sai",
+        statements: { a: "1 > 0", b: "2 < 0", c: "3 > 0", d: "4 < 0" },
+        answer: { a: true, b: false, c: null, d: null },
+      },
+      { no: 2, type: "tf4", stemHtml: "Chưa có đáp án", statements: { a: "x", b: "y" }, answer: { a: null, b: null } },
+    ],
+  };
+  const xml = server.examToMoodleXml(partial);
+  assert.deepEqual(
+    [...xml.matchAll(/<subquestion format="html"><text><!\[CDATA\[(.*?)\]\]><\/text><answer><text>(.*?)<\/text>/g)].map((m) => [m[1], m[2]]),
+    [
+      ["a) 1 > 0", "Đúng"],
+      ["b) 2 < 0", "Sai"],
+    ],
+  );
+  assert.match(xml, /<question type="essay"><name><text>Câu 2<\/text>/);
+
+  const gift = server.examToGift(partial);
+  assert.match(gift, /=a\) 1 > 0 -> Đúng\n\t=b\) 2 < 0 -> Sai\n/);
+  assert.doesNotMatch(gift, /c\) 3 > 0|-> Sai\n\t=d\)/);
+  assert.match(gift, /::Câu 2::\[html\]Chưa có đáp án \{\n\}/);
+});
+
+test("exports of an en-profile exam use the profile labels", async () => {
+  const exam = {
+    profile: "en",
+    questions: [
+      {
+        no: 1,
+        type: "tf4",
+        stemHtml: "True or false",
+        statements: { a: "1 > 0", b: "2 < 0" },
+        answer: { a: true, b: false },
+        solutionHtml: "Check the signs",
+      },
+    ],
+  };
+  const xml = server.examToMoodleXml(exam);
+  assert.match(xml, /<name><text>Question 1<\/text><\/name>/);
+  assert.match(xml, /<answer><text>True<\/text><\/answer>.*<answer><text>False<\/text><\/answer>/);
+
+  const gift = server.examToGift(exam);
+  assert.match(gift, /^::Question 1::/m);
+  assert.match(gift, /-> True\n\t=b\) 2 < 0 -> False\n/);
+
+  const item = (await readZip(server.examToQtiPackage(exam)))["items/q1.xml"].toString("utf8");
+  assert.match(item, /title="Question 1"/);
+  assert.match(item, /identifier="T" matchMax="2">True<.*identifier="F" matchMax="2">False</);
+
+  const doc = (await readZip(server.examToDocx(exam)))["word/document.xml"].toString("utf8");
+  assert.match(doc, />Question 1\.</);
+  assert.match(doc, />Solution\. </);
+  assert.doesNotMatch(xml + gift + item + doc, /Câu|Lời giải|Đúng|Sai/);
+});
@@ -0,0 +1,28 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { server } from "./helpers.js";
+
+// OLE MathType tối giản: stream "Equation Native" = header 28 byte + MTEF v5 của "x + 1/2"
+const FRACTION_OLE = fs.readFileSync(new URL("./fixtures/fraction.bin", import.meta.url));
+
+test("reads MTEF from the Equation Native stream", () => {
+  const mtef = server.readEquationNative(FRACTION_OLE);
+  assert.equal(mtef[0], 5);
+  assert.equal(mtef.toString("latin1", 5, 10), "DSMT6");
+});
+
+test("decodes an MTEF v5 fraction to MathML", () => {
+  const { mathml, error, engine } = server.jsConvertOleBinToMathML(FRACTION_OLE, "fraction.bin");
+  assert.equal(error, null);
+  assert.equal(engine, "js");
+  assert.equal(
+    mathml,
+    '<math xmlns="http://www.w3.org/1998/Math/MathML"><mrow><mi>x</mi><mo>+</mo>' +
+      "<mfrac><mrow><mn>1</mn></mrow><mrow><mn>2</mn></mrow></mfrac></mrow></math>",
+  );
+});
+
+test("rejects unsupported MTEF versions", () => {
+  assert.throws(() => server.mtefToMathml(Buffer.from([9, 0, 0, 0, 0, 0])), /mtef_unsupported_version_9/);
+});
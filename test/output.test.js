@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { convertParagraphs, para, run } from "./helpers.js";
+
+const cell = (s) => `<w:tc><w:p><w:r><w:t>${s}</w:t></w:r></w:p></w:tc>`;
+const TABLE = `<w:tbl><w:tr>${cell("x")}${cell("1")}</w:tr><w:tr>${cell("y")}${cell("2")}</w:tr></w:tbl>`;
+const MCQ = [
+  para(run("PHẦN 1. Trắc nghiệm", { b: true })),
+  para(run("Câu 1. ", { b: true }), "Chọn ", run("số chẵn", { b: true })),
+  TABLE,
+  para("A. 1"),
+  para("B. 2"),
+  para("C. 3"),
+  para("D. 5"),
+];
+
+test("output=markdown renders headings, tables and choice lists", async () => {
+  const { markdown, inlineHtml, exam } = await convertParagraphs(MCQ, { output: "markdown" });
+  assert.equal(inlineHtml, undefined);
+  assert.equal(
+    markdown,
+    "## PHẦN 1. Trắc nghiệm\n\n**Câu 1.** Chọn **số chẵn**\n\n| x | 1 |\n| --- | --- |\n| y | 2 |\n\n- A. 1\n- B. 2\n- C. 3\n- D. 5\n",
+  );
+
+  const [q] = exam.questions;
+  assert.equal(q.type, "mcq");
+  assert.equal(q.stemHtml, undefined);
+  assert.match(q.stemMarkdown, /^Chọn \*\*số chẵn\*\*\s+\| x \| 1 \|\n\| --- \| --- \|\n\| y \| 2 \|$/);
+  assert.deepEqual(q.choicesMarkdown, { A: "1", B: "2", C: "3", D: "5" });
+  assert.equal(q.section.markdown, "## PHẦN 1. Trắc nghiệm");
+});
+
+test("output=text drops formatting and separates table cells with tabs", async () => {
+  const { text, exam } = await convertParagraphs(MCQ, { output: "text" });
+  assert.equal(text, "PHẦN 1. Trắc nghiệm\n\nCâu 1. Chọn số chẵn\n\nx\t1\ny\t2\n\nA. 1\nB. 2\nC. 3\nD. 5\n");
+  assert.match(exam.questions[0].stemText, /^Chọn số chẵn\s+x\t1\ny\t2$/);
+  assert.deepEqual(exam.questions[0].choicesText, { A: "1", B: "2", C: "3", D: "5" });
+});
+
+test("pipes in table cells are escaped for markdown only", async () => {
+  const table = `<w:tbl><w:tr>${cell("a|b")}${cell("c")}</w:tr></w:tbl>`;
+  const { markdown } = await convertParagraphs([table], { output: "markdown" });
+  assert.match(markdown, /^\| a\\\|b \| c \|$/m);
+  const { text } = await convertParagraphs([table], { output: "text" });
+  assert.equal(text, "a|b\tc\n");
+});
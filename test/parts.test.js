@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { convertParagraphs, para } from "./helpers.js";
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+const R = 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+const TEXT_BOX =
+  "<w:r><w:drawing><wp:anchor><a:graphic><a:graphicData><wps:wsp><wps:txbx><w:txbxContent>" +
+  "<w:p><w:r><w:t>Mã đề 101</w:t></w:r></w:p></w:txbxContent></wps:txbx></wps:wsp></a:graphicData></a:graphic></wp:anchor></w:drawing></w:r>";
+
+const PARTS = {
+  rels: [
+    { id: "rId1", type: "header", target: "header1.xml" },
+    { id: "rId2", type: "footer", target: "footer1.xml" },
+    { id: "rId3", type: "footnotes", target: "footnotes.xml" },
+  ],
+  files: [
+    { name: "word/header1.xml", data: `<w:hdr ${W}><w:p><w:r><w:t>Trường THPT A</w:t></w:r></w:p></w:hdr>` },
+    { name: "word/footer1.xml", data: `<w:ftr ${W}><w:p><w:r><w:t>Trang 1</w:t></w:r></w:p></w:ftr>` },
+    {
+      name: "word/footnotes.xml",
+      data:
+        `<w:footnotes ${W}><w:footnote w:type="separator" w:id="-1"><w:p/></w:footnote>` +
+        `<w:footnote w:id="1"><w:p><w:r><w:t>Ghi chú một</w:t></w:r></w:p></w:footnote></w:footnotes>`,
+    },
+  ],
+};
+
+test("text boxes, headers, footers and footnotes are rendered in place", async () => {
+  const { inlineHtml, exam, debug } = await convertParagraphs(
+    [
+      `<w:p><w:r><w:t xml:space="preserve">Đề thi </w:t></w:r>${TEXT_BOX}</w:p>`,
+      para("Câu 1. Tính 1 + 1"),
+      `<w:p><w:r><w:t>Ghi chú</w:t></w:r><w:r><w:footnoteReference w:id="1"/></w:r></w:p>`,
+      `<w:sectPr ${R}><w:headerReference w:type="default" r:id="rId1"/><w:footerReference w:type="default" r:id="rId2"/></w:sectPr>`,
+    ],
+    {},
+    PARTS,
+  );
+
+  assert.match(inlineHtml, /^<div class="doc-header">Trường THPT A<\/div>/);
+  assert.match(inlineHtml, /Đề thi <br\/>Mã đề 101<br\/>/);
+  assert.match(inlineHtml, /Ghi chú<sup class="footnote-ref"><a href="#fn-1" id="fnref-1">1<\/a><\/sup>/);
+  assert.match(inlineHtml, /<div class="footnotes"><hr\/><ol><li id="fn-1">Ghi chú một <a href="#fnref-1"/);
+  assert.match(inlineHtml, /<div class="doc-footer">Trang 1<\/div>$/);
+  assert.deepEqual(debug.parts, { header: 1, footer: 1, footnotes: 1, endnotes: 0 });
+  assert.equal(debug.textBoxes, 1);
+
+  // exam chỉ tách từ thân bài
+  assert.equal(exam.questions.length, 1);
+  assert.doesNotMatch(exam.questions[0].stemHtml, /Trang 1|Ghi chú một/);
+});
@@ -0,0 +1,122 @@
+// rubyFallbackLimit đọc CONCURRENCY_LIMIT lúc import
+process.env.CONCURRENCY_LIMIT = "2";
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const { server, withServer } = await import("./helpers.js");
+
+const STUB = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "stub_worker.mjs");
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const stubPool = (size, options = {}) =>
+  new server.RubyWorkerPool(size, { command: process.execPath, script: STUB, ...options });
+const pidOf = ({ mathml }) => mathml.match(/(\d+)<\/math>$/)[1];
+
+test("replies are matched to their request id", async (t) => {
+  const pool = stubPool(2);
+  t.after(() => pool.close());
+  assert.equal(pool.isAvailable(), true);
+
+  const results = await Promise.all(["noisy:a", "echo:b", "noisy:c", "fail"].map((p) => pool.convert(p)));
+  assert.deepEqual(
+    results.map((r) => r.mathml.split(" ")[0]),
+    ["<math>a", "<math>b", "<math>c", ""],
+  );
+  assert.equal(results[1].mode, "stub");
+  assert.equal(results[3].error, "stub_failed");
+  assert.deepEqual(
+    [pool.getStats().jobs, pool.getStats().ok, pool.getStats().failed],
+    [4, 3, 1],
+  );
+});
+
+test("a worker that times out is killed and restarted", async (t) => {
+  const pool = stubPool(1, { jobTimeoutMs: 100 });
+  t.after(() => pool.close());
+  const before = pidOf(await pool.convert("echo:x"));
+
+  await assert.rejects(pool.convert("hang"), /ruby worker \d+ died/);
+  await sleep(50);
+  const after = pidOf(await pool.convert("echo:y"));
+  assert.notEqual(after, before);
+  const stats = pool.getStats();
+  assert.equal(stats.timeouts, 1);
+  assert.equal(stats.restarts, 1);
+  assert.equal(stats.alive, 1);
+});
+
+test("a crashed worker fails its job and is replaced", async (t) => {
+  const pool = stubPool(1);
+  t.after(() => pool.close());
+  await assert.rejects(pool.convert("crash"), /died/);
+  await sleep(50);
+  assert.match((await pool.convert("echo:z")).mathml, /^<math>z /);
+  assert.equal(pool.getStats().crashes, 1);
+});
+
+test("workers are recycled after maxJobsPerWorker jobs", async (t) => {
+  const pool = stubPool(1, { maxJobsPerWorker: 2 });
+  t.after(() => pool.close());
+  const first = pidOf(await pool.convert("echo:1"));
+  assert.equal(pidOf(await pool.convert("echo:2")), first);
+  // job thứ 3 chờ worker mới
+  const third = pidOf(await pool.convert("echo:3"));
+  assert.notEqual(third, first);
+  const stats = pool.getStats();
+  assert.equal(stats.recycled, 1);
+  assert.equal(stats.crashes, 0);
+});
+
+test("a missing ruby command disables the pool instead of respawning forever", async (t) => {
+  const pool = new server.RubyWorkerPool(2, { command: "no-such-ruby-binary", script: STUB });
+  t.after(() => pool.close());
+  pool.isAvailable();
+  await assert.rejects(pool.convert("echo:x"), /ENOENT/);
+  // 2 lần ENOENT lúc khởi động, lần thứ 3 sau backoff 500ms
+  await sleep(800);
+  assert.equal(pool.isAvailable(), false);
+  const stats = pool.getStats();
+  assert.equal(stats.enabled, false);
+  assert.match(stats.unavailable, /ENOENT/);
+  assert.ok(stats.restarts <= 2, `restarts=${stats.restarts}`);
+  await assert.rejects(pool.convert("echo:x"), /unavailable/);
+
+  await sleep(1200);
+  assert.equal(pool.getStats().restarts, stats.restarts);
+});
+
+test("pool failures fall back to one-off conversions through rubyFallbackLimit", async () => {
+  const failing = { isAvailable: () => true, convert: () => Promise.reject(new Error("worker died")) };
+  let active = 0,
+    maxActive = 0;
+  const convertOne = async (buffer) => {
+    maxActive = Math.max(maxActive, ++active);
+    await sleep(20);
+    active--;
+    return `<math>${buffer}</math>`;
+  };
+  const items = Array.from({ length: 6 }, (_, i) => ({
+    rid: `rId${i}`,
+    buffer: Buffer.from(`${i}`),
+    embPath: `oleObject${i}.bin`,
+  }));
+  const results = await server.batchConvertOleBinToMathML(items, { pool: failing, convertOne });
+  assert.deepEqual(
+    results.map((r) => [r.rid, r.mathml, r.error]),
+    items.map((item, i) => [item.rid, `<math>${i}</math>`, null]),
+  );
+  assert.equal(maxActive, 2);
+});
+
+test("/health reports the ruby pool", async () => {
+  await withServer(async (base) => {
+    const { rubyPool } = await (await fetch(`${base}/health`)).json();
+    // helpers đặt RUBY_WORKERS=0
+    assert.equal(rubyPool.enabled, false);
+    assert.equal(rubyPool.size, 0);
+    for (const key of ["alive", "busy", "queued", "jobs", "timeouts", "crashes", "restarts", "recycled"])
+      assert.equal(rubyPool[key], 0, key);
+  });
+});
@@ -0,0 +1,47 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { server, readZip } from "./helpers.js";
+
+const EXAM = {
+  questions: [
+    { no: 1, type: "mcq", stemHtml: "1 + 3 = ?", choicesHtml: { A: "1", B: "4", C: "3", D: "2" }, answer: "B" },
+    { no: 2, type: "short", stemHtml: "Tính 1/4+1", answer: "1,25" },
+  ],
+};
+
+test("createZip writes a valid DOS date", () => {
+  const zip = server.createZip([{ name: "a.txt", data: "a" }]);
+  const date = zip.readUInt16LE(12);
+  assert.notEqual(date, 0);
+  assert.ok((date >> 9) + 1980 >= 2024, "year");
+  assert.ok(((date >> 5) & 0x0f) >= 1 && ((date >> 5) & 0x0f) <= 12, "month");
+  assert.ok((date & 0x1f) >= 1, "day");
+});
+
+test("qti package has one item per question", async () => {
+  const files = await readZip(server.examToQtiPackage(EXAM));
+  assert.deepEqual(Object.keys(files).sort(), ["assessment.xml", "imsmanifest.xml", "items/q1.xml", "items/q2.xml"]);
+  assert.match(files["items/q1.xml"].toString("utf8"), /<correctResponse><value>B<\/value><\/correctResponse>/);
+});
+
+test("qti tf4 leaves unknown statements out of the correct response", async () => {
+  const files = await readZip(
+    server.examToQtiPackage({
+      questions: [
+        {
+          no: 1,
+          type: "tf4",
+          stemHtml: "Xét tính đúng sai",
+          statements: { a: "1 > 0", b: "2 < 0", c: "3 > 0" },
+          answer: { a: true, b: false, c: null },
+        },
+        { no: 2, type: "tf4", stemHtml: "Chưa có đáp án", statements: { a: "x", b: "y" }, answer: { a: null, b: null } },
+      ],
+    }),
+  );
+  const q1 = files["items/q1.xml"].toString("utf8");
+  assert.match(q1, /<correctResponse><value>a T<\/value><value>b F<\/value><\/correctResponse>/);
+  assert.doesNotMatch(q1, /"c [TF]"|>c [TF]</);
+  assert.match(q1, /<simpleAssociableChoice identifier="c" matchMax="1">/);
+  assert.doesNotMatch(files["items/q2.xml"].toString("utf8"), /<correctResponse>|<mapEntry/);
+});
@@ -0,0 +1,38 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { convertParagraphs } from "./helpers.js";
+
+const cell = (text, pr = "") => `<w:tc><w:tcPr>${pr}</w:tcPr><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:tc>`;
+
+test("merged cells, column widths, borders and nested tables are kept", async () => {
+  const nested = `<w:tc><w:tbl><w:tr>${cell("lồng")}</w:tr></w:tbl><w:p/></w:tc>`;
+  const { inlineHtml, debug } = await convertParagraphs([
+    '<w:tbl><w:tblPr><w:tblBorders><w:top w:val="single" w:sz="4"/></w:tblBorders></w:tblPr>' +
+      '<w:tblGrid><w:gridCol w:w="2000"/><w:gridCol w:w="1000"/><w:gridCol w:w="1000"/></w:tblGrid>' +
+      `<w:tr>${cell("x", '<w:vMerge w:val="restart"/>')}${cell("gộp", '<w:gridSpan w:val="2"/>')}</w:tr>` +
+      `<w:tr>${cell("", "<w:vMerge/>")}${cell("1")}${nested}</w:tr></w:tbl>`,
+  ]);
+
+  assert.match(inlineHtml, /<colgroup><col style="width:133px"\/><col style="width:67px"\/><col style="width:67px"\/><\/colgroup>/);
+  assert.match(inlineHtml, /<td rowspan="2" [^>]*border-top:1px solid #000;[^>]*>x<br\/><\/td><td colspan="2" /);
+  // hàng 2: ô gộp dọc không lặp lại => 2 ô + 1 ô của bảng lồng
+  assert.equal(inlineHtml.split("</tr>")[1].match(/<td\b/g).length, 3);
+  assert.match(inlineHtml, /<td [^>]*><table border="1" [^>]*><tr><td [^>]*>lồng<br\/><\/td><\/tr><\/table>/);
+  assert.deepEqual(debug.tables, { count: 2, latex: 0, latexInvalid: 0 });
+});
+
+test("tables=latex turns a variation table into an array", async () => {
+  const table =
+    `<w:tbl><w:tr>${cell("x")}${cell("−∞")}${cell("0")}${cell("+∞")}</w:tr>` +
+    `<w:tr>${cell("y")}${cell("↗")}${cell("1")}${cell("↘")}</w:tr></w:tbl>`;
+
+  const html = await convertParagraphs([table]);
+  assert.match(html.inlineHtml, /^<table /);
+
+  const { inlineHtml, debug } = await convertParagraphs([table], { tables: "latex" });
+  assert.equal(
+    inlineHtml,
+    String.raw`<span class="math">\(\begin{array}{cccc} x & -\infty & 0 & +\infty \\ y & \nearrow & 1 & \searrow \end{array}\)</span><br/>`,
+  );
+  assert.deepEqual(debug.tables, { count: 1, latex: 1, latexInvalid: 0 });
+});
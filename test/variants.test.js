@@ -0,0 +1,74 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { server } from "./helpers.js";
+
+const EXAM = {
+  questions: [1, 2, 3, 4].map((no) => ({
+    no,
+    type: "mcq",
+    stemHtml: `Câu hỏi ${no}`,
+    choicesHtml: { A: `${no}A`, B: `${no}B`, C: `${no}C`, D: `${no}D` },
+    answer: "ABCD"[no - 1],
+  })),
+};
+
+test("count is validated before building variants", () => {
+  for (const count of [0, -1, 1.5, 100, 1e9, NaN])
+    assert.throws(() => server.buildExamVariants(EXAM, { count, seed: "s" }), { status: 400 }, `count=${count}`);
+  assert.throws(
+    () => server.buildExamVariants(EXAM, { codes: Array.from({ length: 100 }, (_, i) => `${i}`), seed: "s" }),
+    { status: 400 },
+  );
+  for (const codes of [["1", "1"], ["1", 1], [1, { a: 1 }], ["A", ""], ["A", "  "], ["A", null], [NaN]])
+    assert.throws(() => server.buildExamVariants(EXAM, { codes, seed: "s" }), { status: 400 }, JSON.stringify(codes));
+});
+
+test("codes may be strings or numbers", () => {
+  const { variants } = server.buildExamVariants(EXAM, { codes: ["A1", 202], seed: "s" });
+  assert.deepEqual(
+    variants.map((v) => v.code),
+    ["A1", "202"],
+  );
+});
+
+test("same seed gives the same variants", () => {
+  const a = server.buildExamVariants(EXAM, { count: 3, seed: "de-thi" });
+  const b = server.buildExamVariants(EXAM, { count: 3, seed: "de-thi" });
+  assert.deepEqual(a, b);
+  assert.deepEqual(
+    a.variants.map((v) => v.code),
+    ["101", "102", "103"],
+  );
+});
+
+test("answer keys follow shuffled choices", () => {
+  const { variants } = server.buildExamVariants(EXAM, { count: 4, seed: 42 });
+  for (const { exam } of variants) {
+    for (const q of exam.questions) {
+      const original = EXAM.questions[q.master.index];
+      // Nội dung lựa chọn đúng không đổi sau khi trộn
+      assert.equal(q.choicesHtml[q.answer], original.choicesHtml[original.answer]);
+    }
+  }
+});
+
+test("a choice naming other choices keeps them in place", () => {
+  const exam = {
+    questions: [
+      {
+        no: 1,
+        type: "mcq",
+        stemHtml: "Chọn",
+        choicesHtml: { A: "x > 0", B: "x < 1", C: "x = 5", D: "Cả đáp án A và B đều đúng" },
+        answer: "D",
+      },
+    ],
+  };
+  const { variants } = server.buildExamVariants(exam, { count: 6, seed: 7, shuffleQuestions: false });
+  for (const { exam: v } of variants) {
+    assert.equal(v.questions[0].choicesHtml.A, "x > 0");
+    assert.equal(v.questions[0].choicesHtml.B, "x < 1");
+    assert.equal(v.questions[0].choicesHtml.D, "Cả đáp án A và B đều đúng");
+    assert.equal(v.questions[0].answer, "D");
+  }
+});